@@ -4,6 +4,7 @@ import commonjs from '@rollup/plugin-commonjs';
 import terser from '@rollup/plugin-terser';
 import json from '@rollup/plugin-json';
 import fs from 'fs';
+import path from 'path';
 
 // Имя пакета для UMD сборки
 const packageName = 'BinaryPackPackage';
@@ -53,6 +54,20 @@ const baseConfig = {
     ],
 };
 
+// Базовые настройки для CommonJS и UMD: встроенные модули Node.js загружает require(),
+// поэтому модуль предварительной загрузки с top-level await заменяется пустым
+const requireConfig = {
+    ...baseConfig,
+    plugins: [
+        alias({
+            entries: [
+                { find: './NodeModules.js', replacement: path.resolve('src/Utils/NodeModules.require.js') }
+            ]
+        }),
+        ...baseConfig.plugins,
+    ],
+};
+
 // Конфигурация для разных форматов вывода
 const configs = [
     // ES модуль (для современных сборщиков и браузеров с поддержкой ES модулей)
@@ -76,7 +91,7 @@ const configs = [
     },
     // CommonJS (для Node.js)
     {
-        ...baseConfig,
+        ...requireConfig,
         output: {
             file: `dist/${fileName}.cjs.js`,
             format: 'cjs',
@@ -87,7 +102,7 @@ const configs = [
     },
     // CommonJS минифицированный
     {
-        ...baseConfig,
+        ...requireConfig,
         output: {
             file: `dist/${fileName}.cjs.min.js`,
             format: 'cjs',
@@ -99,7 +114,7 @@ const configs = [
     },
     // UMD (для браузеров через тег script)
     {
-        ...baseConfig,
+        ...requireConfig,
         output: {
             file: `dist/${fileName}.umd.js`,
             format: 'umd',
@@ -109,7 +124,7 @@ const configs = [
     },
     // UMD минифицированный
     {
-        ...baseConfig,
+        ...requireConfig,
         output: {
             file: `dist/${fileName}.umd.min.js`,
             format: 'umd',
@@ -0,0 +1,165 @@
+// Максимальный тег пользовательского типа
+const MAX_EXTENSION_TAG = 127;
+
+/**
+ * Класс ExtensionValue представляет значение пользовательского типа, тег которого
+ * не зарегистрирован при распаковке. Возвращается в нестрогом режиме вместо ошибки
+ * и при повторной упаковке записывается без изменений.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class ExtensionValue
+ * @example
+ * const raw = new ExtensionValue(7, new Uint8Array([1, 2, 3]));
+ */
+class ExtensionValue {
+    /**
+     * Создает экземпляр ExtensionValue.
+     *
+     * @constructor
+     * @param {number} tag - Тег пользовательского типа
+     * @param {Uint8Array} data - Закодированные данные значения
+     */
+    constructor(tag, data) {
+        /**
+         * Тег пользовательского типа
+         * @type {number}
+         */
+        this.tag = tag;
+
+        /**
+         * Закодированные данные значения
+         * @type {Uint8Array}
+         */
+        this.data = data;
+    }
+}
+
+/**
+ * Класс ExtensionRegistry хранит пользовательские типы, упаковываемые с числовым тегом
+ * (по аналогии с ext-типами MessagePack). Реестр может ссылаться на родительский реестр:
+ * так реестр экземпляра BinaryPack дополняет глобальный реестр и имеет приоритет над ним.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class ExtensionRegistry
+ * @example
+ * const registry = new ExtensionRegistry(ExtensionRegistry.global);
+ * registry.register(1, Money, (money) => money.toBytes(), (bytes) => Money.fromBytes(bytes));
+ */
+class ExtensionRegistry {
+    /**
+     * Глобальный реестр, общий для всех экземпляров BinaryPack
+     * @static
+     * @type {ExtensionRegistry}
+     */
+    static global = new ExtensionRegistry();
+
+    /**
+     * Создает экземпляр ExtensionRegistry.
+     *
+     * @constructor
+     * @param {ExtensionRegistry|null} parent - Родительский реестр для поиска незарегистрированных типов
+     */
+    constructor(parent = null) {
+        /**
+         * Родительский реестр
+         * @type {ExtensionRegistry|null}
+         * @private
+         */
+        this.parent = parent;
+
+        /**
+         * Зарегистрированные типы по тегу
+         * @type {Map<number, {tag: number, type: Function, encode: Function, decode: Function}>}
+         * @private
+         */
+        this.byTag = new Map();
+
+        /**
+         * Зарегистрированные типы по классу
+         * @type {Map<Function, {tag: number, type: Function, encode: Function, decode: Function}>}
+         * @private
+         */
+        this.byType = new Map();
+    }
+
+    /**
+     * Регистрирует пользовательский тип.
+     *
+     * @param {number} tag - Тег типа (целое число от 0 до 127)
+     * @param {Function} type - Класс, экземпляры которого упаковываются с этим тегом
+     * @param {function(Object): (Uint8Array|ArrayBuffer)} encode - Преобразует экземпляр в байты
+     * @param {function(Uint8Array): Object} decode - Восстанавливает экземпляр из байт
+     * @returns {void}
+     * @throws {Error} При некорректных параметрах или повторной регистрации тега или класса
+     */
+    register(tag, type, encode, decode) {
+        if (!Number.isInteger(tag) || tag < 0 || tag > MAX_EXTENSION_TAG) {
+            throw new Error(`Тег типа должен быть целым числом от 0 до ${MAX_EXTENSION_TAG}`);
+        }
+
+        if (typeof type !== 'function') {
+            throw new Error('Тип должен быть классом');
+        }
+
+        if (typeof encode !== 'function' || typeof decode !== 'function') {
+            throw new Error('Функции encode и decode обязательны');
+        }
+
+        if (this.byTag.has(tag)) {
+            throw new Error(`Тег типа ${tag} уже зарегистрирован`);
+        }
+
+        if (this.byType.has(type)) {
+            throw new Error(`Тип ${type.name} уже зарегистрирован`);
+        }
+
+        const extension = {tag, type, encode, decode};
+
+        this.byTag.set(tag, extension);
+        this.byType.set(type, extension);
+    }
+
+    /**
+     * Находит зарегистрированный тип для значения, включая наследников зарегистрированных классов.
+     *
+     * @param {Object} value - Упаковываемое значение
+     * @returns {{tag: number, type: Function, encode: Function, decode: Function}|null} - Найденный тип или null
+     */
+    findByValue(value) {
+        const extension = this.byType.get(value.constructor);
+        if (extension) {
+            return extension;
+        }
+
+        for (const [type, candidate] of this.byType) {
+            if (value instanceof type) {
+                return candidate;
+            }
+        }
+
+        return this.parent ? this.parent.findByValue(value) : null;
+    }
+
+    /**
+     * Находит зарегистрированный тип по тегу.
+     *
+     * @param {number} tag - Тег типа
+     * @returns {{tag: number, type: Function, encode: Function, decode: Function}|null} - Найденный тип или null
+     */
+    findByTag(tag) {
+        const extension = this.byTag.get(tag);
+        if (extension) {
+            return extension;
+        }
+
+        return this.parent ? this.parent.findByTag(tag) : null;
+    }
+}
+
+export {ExtensionRegistry, ExtensionValue};
@@ -0,0 +1,126 @@
+/**
+ * Коды типов (теги) бинарного формата значений.
+ * Каждое значение в полезной нагрузке начинается с однобайтового тега,
+ * за которым следуют данные, зависящие от типа.
+ *
+ * Теги 0x00-0x7F зарезервированы под типы данных,
+ * теги 0x80-0xFF кодируют малые целые числа 0-127 прямо в теге.
+ *
+ * @constant {Object}
+ * @type {Object<string, number>}
+ */
+const Tags = {
+    // null
+    NULL: 0x00,
+
+    // false
+    FALSE: 0x01,
+
+    // true
+    TRUE: 0x02,
+
+    // Неотрицательное целое число: [varint]
+    UINT: 0x03,
+
+    // Отрицательное целое число: [varint(-value - 1)]
+    NINT: 0x04,
+
+    // Число с плавающей точкой: [float64 BE]
+    FLOAT64: 0x05,
+
+    // Строка: [varint длина][UTF-8 байты]
+    STRING: 0x06,
+
+    // Массив: [varint количество][значения...]
+    ARRAY: 0x07,
+
+    // Объект: [varint количество][ключ: varint длина + UTF-8][значение]...
+    OBJECT: 0x08,
+
+    // undefined
+    UNDEFINED: 0x09,
+
+    // Дата: [float64 BE миллисекунды с начала эпохи]
+    DATE: 0x0a,
+
+    // Неотрицательный BigInt: [varint длина][байты модуля, little-endian]
+    BIGINT: 0x0b,
+
+    // Отрицательный BigInt: [varint длина][байты (-value - 1), little-endian]
+    NBIGINT: 0x0c,
+
+    // Map: [varint количество][ключ][значение]...
+    MAP: 0x0d,
+
+    // Set: [varint количество][значения...]
+    SET: 0x0e,
+
+    // ArrayBuffer: [varint длина][байты]
+    BINARY: 0x0f,
+
+    // Типизированный массив или DataView: [вид:1B][varint длина в байтах][байты, little-endian]
+    TYPED_ARRAY: 0x10,
+
+    // Пользовательский тип: [varint тег типа][varint длина][байты]
+    EXTENSION: 0x11,
+
+    // Признак малого целого числа (0-127), значение хранится в младших 7 битах тега
+    FIXINT: 0x80,
+};
+
+/**
+ * Максимальное целое число, кодируемое прямо в теге.
+ * @constant {number}
+ */
+const FIXINT_MAX = 0x7f;
+
+/**
+ * Виды типизированных массивов, записываемые после тега TYPED_ARRAY.
+ * Индекс в массиве соответствует коду вида, поэтому порядок менять нельзя.
+ *
+ * @constant {Array<string>}
+ */
+const TypedArrayKinds = [
+    'DataView',
+    'Int8Array',
+    'Uint8Array',
+    'Uint8ClampedArray',
+    'Int16Array',
+    'Uint16Array',
+    'Int32Array',
+    'Uint32Array',
+    'Float32Array',
+    'Float64Array',
+    'BigInt64Array',
+    'BigUint64Array',
+];
+
+/**
+ * Признак платформы с порядком байт little-endian.
+ * Элементы типизированных массивов всегда хранятся в little-endian,
+ * на других платформах байты переставляются при записи и чтении.
+ *
+ * @constant {boolean}
+ */
+const LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+/**
+ * Возвращает копию байт с обратным порядком внутри каждого элемента.
+ *
+ * @param {Uint8Array} bytes - Исходные байты
+ * @param {number} elementSize - Размер элемента в байтах
+ * @returns {Uint8Array} - Байты с переставленным порядком
+ */
+function swapByteOrder(bytes, elementSize) {
+    const swapped = new Uint8Array(bytes.length);
+
+    for (let i = 0; i < bytes.length; i += elementSize) {
+        for (let j = 0; j < elementSize; j++) {
+            swapped[i + j] = bytes[i + elementSize - 1 - j];
+        }
+    }
+
+    return swapped;
+}
+
+export {Tags, FIXINT_MAX, TypedArrayKinds, LITTLE_ENDIAN, swapByteOrder};
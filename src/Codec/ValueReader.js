@@ -0,0 +1,391 @@
+import {Tags, FIXINT_MAX, TypedArrayKinds, LITTLE_ENDIAN, swapByteOrder} from './Tags.js';
+import {ExtensionRegistry, ExtensionValue} from './ExtensionRegistry.js';
+
+/**
+ * Класс ValueReader восстанавливает значения из бинарного формата, записанного ValueWriter.
+ * Проверяет границы буфера при каждом чтении, поэтому поврежденные или обрезанные
+ * данные приводят к ошибке, а не к чтению за пределами полезной нагрузки.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class ValueReader
+ * @example
+ * const value = ValueReader.decode(bytes);
+ */
+class ValueReader {
+    /**
+     * Создает экземпляр ValueReader для чтения указанных байт.
+     *
+     * @constructor
+     * @param {Uint8Array} bytes - Сериализованные данные
+     * @param {Object} [options] - Параметры чтения
+     * @param {ExtensionRegistry} [options.extensions] - Реестр пользовательских типов (по умолчанию глобальный)
+     * @param {boolean} [options.lenientExtensions] - Возвращать ExtensionValue для незарегистрированных тегов вместо ошибки
+     */
+    constructor(bytes, {extensions = ExtensionRegistry.global, lenientExtensions = false} = {}) {
+        /**
+         * Реестр пользовательских типов
+         * @type {ExtensionRegistry}
+         * @private
+         */
+        this.extensions = extensions;
+
+        /**
+         * Нестрогий режим для незарегистрированных пользовательских типов
+         * @type {boolean}
+         * @private
+         */
+        this.lenientExtensions = lenientExtensions;
+
+        /**
+         * Данные для чтения
+         * @type {Uint8Array}
+         * @private
+         */
+        this.bytes = bytes;
+
+        /**
+         * Представление данных для чтения чисел
+         * @type {DataView}
+         * @private
+         */
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        /**
+         * Текущая позиция чтения
+         * @type {number}
+         * @private
+         */
+        this.offset = 0;
+
+        /**
+         * Декодировщик бинарных данных в текст
+         * @type {TextDecoder}
+         * @private
+         */
+        this.decoder = new TextDecoder();
+    }
+
+    /**
+     * Восстанавливает одно значение, занимающее все переданные байты.
+     *
+     * @static
+     * @param {Uint8Array} bytes - Сериализованные данные
+     * @param {Object} [options] - Параметры чтения (см. конструктор)
+     * @returns {any} - Восстановленное значение
+     * @throws {Error} Если данные повреждены или содержат лишние байты
+     */
+    static decode(bytes, options) {
+        const reader = new ValueReader(bytes, options);
+        const value = reader.read();
+
+        if (reader.offset !== bytes.length) {
+            throw new Error('Лишние байты после значения');
+        }
+
+        return value;
+    }
+
+    /**
+     * Читает очередное значение.
+     *
+     * @returns {any} - Прочитанное значение
+     * @throws {Error} При неизвестном теге или выходе за границы данных
+     */
+    read() {
+        const tag = this.readByte();
+
+        if (tag & Tags.FIXINT) {
+            return tag & FIXINT_MAX;
+        }
+
+        switch (tag) {
+            case Tags.NULL:
+                return null;
+
+            case Tags.FALSE:
+                return false;
+
+            case Tags.TRUE:
+                return true;
+
+            case Tags.UINT:
+                return this.readVarint();
+
+            case Tags.NINT:
+                return -this.readVarint() - 1;
+
+            case Tags.FLOAT64: {
+                this.require(8);
+                const value = this.view.getFloat64(this.offset);
+                this.offset += 8;
+                return value;
+            }
+
+            case Tags.STRING:
+                return this.readString();
+
+            case Tags.ARRAY: {
+                const length = this.readLength();
+                const array = new Array(length);
+
+                for (let i = 0; i < length; i++) {
+                    array[i] = this.read();
+                }
+
+                return array;
+            }
+
+            case Tags.OBJECT: {
+                const length = this.readLength();
+                const object = {};
+
+                for (let i = 0; i < length; i++) {
+                    const key = this.readString();
+                    const value = this.read();
+
+                    if (key === '__proto__') {
+                        // Создаем собственное свойство, как это делает JSON.parse, а не меняем прототип
+                        Object.defineProperty(object, key, {value, enumerable: true, writable: true, configurable: true});
+                    } else {
+                        object[key] = value;
+                    }
+                }
+
+                return object;
+            }
+
+            case Tags.UNDEFINED:
+                return undefined;
+
+            case Tags.DATE: {
+                this.require(8);
+                const time = this.view.getFloat64(this.offset);
+                this.offset += 8;
+                return new Date(time);
+            }
+
+            case Tags.BIGINT:
+                return this.readBigInt();
+
+            case Tags.NBIGINT:
+                return -this.readBigInt() - 1n;
+
+            case Tags.MAP: {
+                const length = this.readLength();
+                const map = new Map();
+
+                for (let i = 0; i < length; i++) {
+                    const key = this.read();
+                    map.set(key, this.read());
+                }
+
+                return map;
+            }
+
+            case Tags.SET: {
+                const length = this.readLength();
+                const set = new Set();
+
+                for (let i = 0; i < length; i++) {
+                    set.add(this.read());
+                }
+
+                return set;
+            }
+
+            case Tags.BINARY:
+                return this.readBinary().buffer;
+
+            case Tags.TYPED_ARRAY:
+                return this.readTypedArray();
+
+            case Tags.EXTENSION:
+                return this.readExtension();
+
+            default:
+                throw new Error(`Неизвестный тип значения: ${tag}`);
+        }
+    }
+
+    /**
+     * Читает значение пользовательского типа: [varint тег][varint длина][байты].
+     *
+     * @returns {Object|ExtensionValue} - Экземпляр зарегистрированного класса или ExtensionValue в нестрогом режиме
+     * @throws {Error} Если тег не зарегистрирован и нестрогий режим выключен
+     * @private
+     */
+    readExtension() {
+        const tag = this.readVarint();
+        const data = this.readBinary();
+        const extension = this.extensions.findByTag(tag);
+
+        if (extension) {
+            return extension.decode(data);
+        }
+
+        if (this.lenientExtensions) {
+            return new ExtensionValue(tag, data);
+        }
+
+        throw new Error(`Незарегистрированный пользовательский тип с тегом ${tag}. Зарегистрируйте его через BinaryPack.registerType()`);
+    }
+
+    /**
+     * Читает модуль BigInt: [varint длина][байты little-endian].
+     *
+     * @returns {bigint} - Прочитанный модуль
+     * @private
+     */
+    readBigInt() {
+        const magnitudeBytes = this.readBinary();
+        let value = 0n;
+
+        for (let i = magnitudeBytes.length - 1; i >= 0; i--) {
+            value = (value << 8n) | BigInt(magnitudeBytes[i]);
+        }
+
+        return value;
+    }
+
+    /**
+     * Читает типизированный массив или DataView: [вид:1B][varint длина][байты little-endian].
+     *
+     * @returns {ArrayBufferView} - Прочитанный массив с собственным буфером
+     * @throws {Error} При неизвестном виде массива или длине, не кратной размеру элемента
+     * @private
+     */
+    readTypedArray() {
+        const kind = this.readByte();
+        const name = TypedArrayKinds[kind];
+        const constructor = name && globalThis[name];
+
+        if (!constructor) {
+            throw new Error(`Неподдерживаемый вид типизированного массива: ${kind}`);
+        }
+
+        let bytes = this.readBinary();
+        const elementSize = constructor.BYTES_PER_ELEMENT || 1;
+
+        if (bytes.length % elementSize !== 0) {
+            throw new Error('Некорректная длина типизированного массива');
+        }
+
+        if (!LITTLE_ENDIAN && elementSize > 1) {
+            bytes = swapByteOrder(bytes, elementSize);
+        }
+
+        return new constructor(bytes.buffer);
+    }
+
+    /**
+     * Читает бинарные данные без тега: [varint длина][байты].
+     *
+     * @returns {Uint8Array} - Копия прочитанных байт с собственным выровненным буфером
+     * @private
+     */
+    readBinary() {
+        const length = this.readLength();
+        const bytes = this.bytes.slice(this.offset, this.offset + length);
+        this.offset += length;
+
+        return bytes;
+    }
+
+    /**
+     * Читает строку без тега: [varint длина][UTF-8 байты].
+     *
+     * @returns {string} - Прочитанная строка
+     */
+    readString() {
+        const length = this.readLength();
+        const stringBytes = this.bytes.subarray(this.offset, this.offset + length);
+        this.offset += length;
+
+        return this.decoder.decode(stringBytes);
+    }
+
+    /**
+     * Читает длину (количество байт или элементов) и проверяет,
+     * что она не превышает остаток данных - каждый элемент занимает хотя бы один байт.
+     *
+     * @returns {number} - Прочитанная длина
+     */
+    readLength() {
+        const length = this.readVarint();
+        this.require(length);
+
+        return length;
+    }
+
+    /**
+     * Читает беззнаковое целое число в формате varint (LEB128).
+     *
+     * @returns {number} - Прочитанное число
+     * @throws {Error} Если число превышает безопасный диапазон
+     */
+    readVarint() {
+        let value = 0;
+        let multiplier = 1;
+
+        while (true) {
+            const byte = this.readByte();
+            value += (byte & 0x7f) * multiplier;
+
+            if (!(byte & 0x80)) {
+                break;
+            }
+
+            multiplier *= 0x80;
+            if (multiplier > Number.MAX_SAFE_INTEGER) {
+                throw new Error('Слишком большое целое число');
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Читает число фиксированного размера через метод DataView (big-endian).
+     *
+     * @param {string} getter - Имя метода DataView, например 'getUint16' или 'getFloat32'
+     * @param {number} size - Размер числа в байтах
+     * @returns {number} - Прочитанное значение
+     */
+    readFixed(getter, size) {
+        this.require(size);
+        const value = this.view[getter](this.offset);
+        this.offset += size;
+
+        return value;
+    }
+
+    /**
+     * Читает один байт.
+     *
+     * @returns {number} - Значение байта
+     */
+    readByte() {
+        this.require(1);
+
+        return this.bytes[this.offset++];
+    }
+
+    /**
+     * Проверяет, что в данных осталось не меньше указанного количества байт.
+     *
+     * @param {number} size - Требуемое количество байт
+     * @returns {void}
+     * @throws {Error} Если данных недостаточно
+     * @private
+     */
+    require(size) {
+        if (this.offset + size > this.bytes.length) {
+            throw new Error('Неожиданный конец данных');
+        }
+    }
+}
+
+export {ValueReader};
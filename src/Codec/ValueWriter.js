@@ -0,0 +1,475 @@
+import {Tags, FIXINT_MAX, TypedArrayKinds, LITTLE_ENDIAN, swapByteOrder} from './Tags.js';
+import {ExtensionRegistry, ExtensionValue} from './ExtensionRegistry.js';
+
+// Начальный размер внутреннего буфера
+const INITIAL_SIZE = 256;
+
+/**
+ * Класс ValueWriter сериализует значения в компактный бинарный формат с тегами типов.
+ * Целые числа записываются как varint, дробные - как float64, строки, массивы и объекты
+ * предваряются своей длиной. Помимо JSON-совместимых значений сохраняются undefined,
+ * NaN и Infinity, Date, Map, Set, BigInt, ArrayBuffer, типизированные массивы и DataView
+ * (бинарные данные записываются как есть, без преобразования в массив чисел).
+ * Экземпляры классов из реестра пользовательских типов записываются с их тегом.
+ * Свойства с функциями и символами пропускаются, в массивах заменяются на null,
+ * прочие объекты с методом toJSON сериализуются через его результат.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class ValueWriter
+ * @example
+ * const bytes = ValueWriter.encode({ id: 1, name: 'sensor' });
+ * const value = ValueReader.decode(bytes);
+ */
+class ValueWriter {
+    /**
+     * Создает экземпляр ValueWriter с пустым растущим буфером.
+     *
+     * @constructor
+     * @param {Object} [options] - Параметры записи
+     * @param {ExtensionRegistry} [options.extensions] - Реестр пользовательских типов (по умолчанию глобальный)
+     */
+    constructor({extensions = ExtensionRegistry.global} = {}) {
+        /**
+         * Реестр пользовательских типов
+         * @type {ExtensionRegistry}
+         * @private
+         */
+        this.extensions = extensions;
+
+        /**
+         * Буфер для записи
+         * @type {Uint8Array}
+         * @private
+         */
+        this.bytes = new Uint8Array(INITIAL_SIZE);
+
+        /**
+         * Представление буфера для записи чисел
+         * @type {DataView}
+         * @private
+         */
+        this.view = new DataView(this.bytes.buffer);
+
+        /**
+         * Количество записанных байт
+         * @type {number}
+         * @private
+         */
+        this.length = 0;
+
+        /**
+         * Кодировщик текста в бинарные данные
+         * @type {TextEncoder}
+         * @private
+         */
+        this.encoder = new TextEncoder();
+
+        /**
+         * Объекты, находящиеся в процессе записи (для обнаружения циклических ссылок)
+         * @type {Set<Object>}
+         * @private
+         */
+        this.ancestors = new Set();
+    }
+
+    /**
+     * Сериализует значение в новый массив байт.
+     *
+     * @static
+     * @param {any} value - Значение для сериализации
+     * @param {Object} [options] - Параметры записи (см. конструктор)
+     * @returns {Uint8Array} - Сериализованные данные
+     * @throws {Error} Если значение содержит неподдерживаемые типы или циклические ссылки
+     */
+    static encode(value, options) {
+        const writer = new ValueWriter(options);
+        writer.write(value);
+
+        return writer.finish();
+    }
+
+    /**
+     * Возвращает записанные данные.
+     *
+     * @returns {Uint8Array} - Представление записанной части буфера
+     */
+    finish() {
+        return this.bytes.subarray(0, this.length);
+    }
+
+    /**
+     * Записывает значение вместе с тегом типа.
+     *
+     * @param {any} value - Значение для записи
+     * @returns {void}
+     * @throws {Error} Если значение не может быть сериализовано
+     */
+    write(value) {
+        switch (typeof value) {
+            case 'number':
+                this.writeNumber(value);
+                return;
+
+            case 'string':
+                this.writeByte(Tags.STRING);
+                this.writeString(value);
+                return;
+
+            case 'boolean':
+                this.writeByte(value ? Tags.TRUE : Tags.FALSE);
+                return;
+
+            case 'bigint':
+                this.writeBigInt(value);
+                return;
+
+            case 'undefined':
+                this.writeByte(Tags.UNDEFINED);
+                return;
+
+            case 'object':
+                if (value === null) {
+                    this.writeByte(Tags.NULL);
+                    return;
+                }
+                this.writeObjectValue(value);
+                return;
+
+            default:
+                // Функции и символы на верхнем уровне записываются как null
+                this.writeByte(Tags.NULL);
+        }
+    }
+
+    /**
+     * Записывает число: целые в безопасном диапазоне - как varint, остальные - как float64.
+     *
+     * @param {number} value - Число для записи
+     * @returns {void}
+     * @private
+     */
+    writeNumber(value) {
+        if (!Number.isSafeInteger(value) || Object.is(value, -0)) {
+            this.writeByte(Tags.FLOAT64);
+            this.ensure(8);
+            this.view.setFloat64(this.length, value);
+            this.length += 8;
+            return;
+        }
+
+        if (value >= 0 && value <= FIXINT_MAX) {
+            this.writeByte(Tags.FIXINT | value);
+            return;
+        }
+
+        if (value >= 0) {
+            this.writeByte(Tags.UINT);
+            this.writeVarint(value);
+        } else {
+            this.writeByte(Tags.NINT);
+            this.writeVarint(-value - 1);
+        }
+    }
+
+    /**
+     * Записывает значение пользовательского типа, если его класс зарегистрирован.
+     * Простые объекты и массивы в реестре не ищутся.
+     *
+     * @param {Object} value - Записываемое значение
+     * @returns {boolean} - true, если значение записано как пользовательский тип
+     * @throws {Error} Если функция encode вернула не бинарные данные
+     * @private
+     */
+    writeExtension(value) {
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype === Object.prototype || prototype === Array.prototype || prototype === null) {
+            return false;
+        }
+
+        let tag;
+        let data;
+
+        if (value instanceof ExtensionValue) {
+            ({tag, data} = value);
+        } else {
+            const extension = this.extensions.findByValue(value);
+            if (!extension) {
+                return false;
+            }
+
+            tag = extension.tag;
+            data = extension.encode(value);
+        }
+
+        if (data instanceof ArrayBuffer) {
+            data = new Uint8Array(data);
+        }
+
+        if (!(data instanceof Uint8Array)) {
+            throw new Error(`Функция encode для типа с тегом ${tag} должна вернуть Uint8Array или ArrayBuffer`);
+        }
+
+        this.writeByte(Tags.EXTENSION);
+        this.writeVarint(tag);
+        this.writeVarint(data.length);
+        this.writeBytes(data);
+
+        return true;
+    }
+
+    /**
+     * Записывает BigInt как модуль в байтах little-endian, знак определяется тегом.
+     *
+     * @param {bigint} value - Число для записи
+     * @returns {void}
+     * @private
+     */
+    writeBigInt(value) {
+        const negative = value < 0n;
+        let magnitude = negative ? -value - 1n : value;
+
+        const magnitudeBytes = [];
+        while (magnitude > 0n) {
+            magnitudeBytes.push(Number(magnitude & 0xffn));
+            magnitude >>= 8n;
+        }
+
+        this.writeByte(negative ? Tags.NBIGINT : Tags.BIGINT);
+        this.writeVarint(magnitudeBytes.length);
+        this.writeBytes(magnitudeBytes);
+    }
+
+    /**
+     * Записывает бинарные данные: ArrayBuffer, типизированный массив или DataView.
+     *
+     * @param {ArrayBuffer|ArrayBufferView} value - Бинарные данные
+     * @returns {void}
+     * @private
+     */
+    writeBinary(value) {
+        if (!ArrayBuffer.isView(value)) {
+            const bytes = new Uint8Array(value);
+
+            this.writeByte(Tags.BINARY);
+            this.writeVarint(bytes.length);
+            this.writeBytes(bytes);
+            return;
+        }
+
+        // Node.js Buffer и другие наследники записываются как их базовый тип
+        const kind = TypedArrayKinds.findIndex((name) => globalThis[name] && value instanceof globalThis[name]);
+        if (kind === -1) {
+            throw new Error(`Тип ${value.constructor.name} не поддерживается`);
+        }
+
+        let bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        const elementSize = value.BYTES_PER_ELEMENT || 1;
+
+        if (!LITTLE_ENDIAN && elementSize > 1) {
+            bytes = swapByteOrder(bytes, elementSize);
+        }
+
+        this.writeByte(Tags.TYPED_ARRAY);
+        this.writeByte(kind);
+        this.writeVarint(bytes.length);
+        this.writeBytes(bytes);
+    }
+
+    /**
+     * Записывает объект, массив или коллекцию.
+     *
+     * @param {Object} value - Объект для записи
+     * @returns {void}
+     * @throws {Error} При обнаружении циклической ссылки
+     * @private
+     */
+    writeObjectValue(value) {
+        if (this.writeExtension(value)) {
+            return;
+        }
+
+        if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer || this.isSharedArrayBuffer(value)) {
+            this.writeBinary(value);
+            return;
+        }
+
+        if (value instanceof Date) {
+            this.writeByte(Tags.DATE);
+            this.ensure(8);
+            this.view.setFloat64(this.length, value.getTime());
+            this.length += 8;
+            return;
+        }
+
+        if (!(value instanceof Map) && !(value instanceof Set) && typeof value.toJSON === 'function') {
+            this.write(value.toJSON());
+            return;
+        }
+
+        if (this.ancestors.has(value)) {
+            throw new Error('Обнаружена циклическая ссылка');
+        }
+
+        this.ancestors.add(value);
+
+        if (value instanceof Map) {
+            this.writeByte(Tags.MAP);
+            this.writeVarint(value.size);
+
+            for (const [key, item] of value) {
+                this.write(key);
+                this.write(item);
+            }
+        } else if (value instanceof Set) {
+            this.writeByte(Tags.SET);
+            this.writeVarint(value.size);
+
+            for (const item of value) {
+                this.write(item);
+            }
+        } else if (Array.isArray(value)) {
+            this.writeByte(Tags.ARRAY);
+            this.writeVarint(value.length);
+
+            for (let i = 0; i < value.length; i++) {
+                this.write(value[i]);
+            }
+        } else {
+            // Пропускаем свойства с функциями и символами
+            const keys = Object.keys(value).filter((key) => this.isSerializable(value[key]));
+
+            this.writeByte(Tags.OBJECT);
+            this.writeVarint(keys.length);
+
+            for (const key of keys) {
+                this.writeString(key);
+                this.write(value[key]);
+            }
+        }
+
+        this.ancestors.delete(value);
+    }
+
+    /**
+     * Проверяет, сохраняется ли значение как свойство объекта.
+     *
+     * @param {any} value - Значение свойства
+     * @returns {boolean} - false для функций и символов
+     * @private
+     */
+    isSerializable(value) {
+        const type = typeof value;
+
+        return type !== 'function' && type !== 'symbol';
+    }
+
+    /**
+     * Проверяет, является ли значение SharedArrayBuffer (доступен не во всех окружениях).
+     *
+     * @param {any} value - Проверяемое значение
+     * @returns {boolean} - true для SharedArrayBuffer
+     * @private
+     */
+    isSharedArrayBuffer(value) {
+        return typeof SharedArrayBuffer !== 'undefined' && value instanceof SharedArrayBuffer;
+    }
+
+    /**
+     * Записывает строку без тега: [varint длина][UTF-8 байты].
+     *
+     * @param {string} value - Строка для записи
+     * @returns {void}
+     */
+    writeString(value) {
+        const stringBytes = this.encoder.encode(value);
+
+        this.writeVarint(stringBytes.length);
+        this.writeBytes(stringBytes);
+    }
+
+    /**
+     * Записывает беззнаковое целое число в формате varint (LEB128).
+     * Используется арифметика вместо битовых операций, чтобы поддержать числа больше 2^31.
+     *
+     * @param {number} value - Неотрицательное целое число до 2^53 - 1
+     * @returns {void}
+     */
+    writeVarint(value) {
+        this.ensure(8);
+
+        while (value > 0x7f) {
+            this.bytes[this.length++] = (value % 0x80) | 0x80;
+            value = Math.floor(value / 0x80);
+        }
+
+        this.bytes[this.length++] = value;
+    }
+
+    /**
+     * Записывает один байт.
+     *
+     * @param {number} value - Значение байта
+     * @returns {void}
+     */
+    writeByte(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value;
+    }
+
+    /**
+     * Записывает число фиксированного размера через метод DataView (big-endian).
+     *
+     * @param {string} setter - Имя метода DataView, например 'setUint16' или 'setFloat32'
+     * @param {number} size - Размер числа в байтах
+     * @param {number} value - Значение для записи
+     * @returns {void}
+     */
+    writeFixed(setter, size, value) {
+        this.ensure(size);
+        this.view[setter](this.length, value);
+        this.length += size;
+    }
+
+    /**
+     * Копирует массив байт в буфер.
+     *
+     * @param {Uint8Array|Array<number>} value - Байты для записи
+     * @returns {void}
+     */
+    writeBytes(value) {
+        this.ensure(value.length);
+        this.bytes.set(value, this.length);
+        this.length += value.length;
+    }
+
+    /**
+     * Гарантирует наличие свободного места в буфере, увеличивая его при необходимости.
+     *
+     * @param {number} size - Требуемое количество свободных байт
+     * @returns {void}
+     * @private
+     */
+    ensure(size) {
+        const required = this.length + size;
+
+        if (required <= this.bytes.length) {
+            return;
+        }
+
+        let capacity = this.bytes.length * 2;
+        while (capacity < required) {
+            capacity *= 2;
+        }
+
+        const bytes = new Uint8Array(capacity);
+        bytes.set(this.bytes.subarray(0, this.length));
+
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+}
+
+export {ValueWriter};
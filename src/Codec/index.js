@@ -0,0 +1,4 @@
+export * from './Tags.js'
+export * from './ValueWriter.js'
+export * from './ValueReader.js'
+export * from './ExtensionRegistry.js'
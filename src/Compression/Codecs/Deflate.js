@@ -0,0 +1,110 @@
+import {CompressionInterface} from './_CompressionInterface.js';
+
+// Константа с именем алгоритма сжатия
+const COMPRESSION_NAME = 'deflate';
+
+/**
+ * Реализация сжатия deflate через встроенные CompressionStream и DecompressionStream
+ * (браузеры и Node.js 18+). Потоковые API асинхронны, поэтому алгоритм доступен
+ * только в packAsync() и unpackAsync().
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class Deflate
+ * @extends CompressionInterface
+ * @example
+ * const deflate = new Deflate();
+ * const compressed = await deflate.compressAsync(bytes);
+ * const restored = await deflate.decompressAsync(compressed);
+ */
+class Deflate extends CompressionInterface {
+    /**
+     * Статическое свойство с именем алгоритма сжатия
+     * @static
+     * @type {string}
+     */
+    static name = COMPRESSION_NAME;
+
+    /**
+     * Асинхронно сжимает данные.
+     *
+     * @param {Uint8Array} bytes - Исходные данные
+     * @returns {Promise<Uint8Array>} - Сжатые данные
+     * @throws {Error} Если CompressionStream недоступен в окружении
+     */
+    async compressAsync(bytes) {
+        if (typeof CompressionStream === 'undefined') {
+            throw new Error('CompressionStream недоступен в текущем окружении');
+        }
+
+        return this.transform(bytes, new CompressionStream(COMPRESSION_NAME));
+    }
+
+    /**
+     * Асинхронно восстанавливает сжатые данные.
+     *
+     * @param {Uint8Array} bytes - Сжатые данные
+     * @param {number} [maxLength=Infinity] - Максимальная длина исходных данных в байтах
+     * @returns {Promise<Uint8Array>} - Исходные данные
+     * @throws {Error} Если DecompressionStream недоступен, данные повреждены или их длина превышает maxLength
+     */
+    async decompressAsync(bytes, maxLength = Infinity) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('DecompressionStream недоступен в текущем окружении');
+        }
+
+        return this.transform(bytes, new DecompressionStream(COMPRESSION_NAME), maxLength);
+    }
+
+    /**
+     * Пропускает данные через поток преобразования и собирает результат.
+     *
+     * @param {Uint8Array} bytes - Входные данные
+     * @param {TransformStream} stream - Поток сжатия или распаковки
+     * @param {number} [maxLength=Infinity] - Максимальная длина результата в байтах
+     * @returns {Promise<Uint8Array>} - Результат преобразования
+     * @throws {Error} Если длина результата превышает maxLength (чтение потока при этом отменяется)
+     * @private
+     */
+    async transform(bytes, stream, maxLength = Infinity) {
+        // Запись не ожидаем: поток не примет данные, пока результат не начнут читать.
+        // Ошибки записи повторно возникнут при чтении
+        const writer = stream.writable.getWriter();
+        writer.write(bytes).catch(() => {});
+        writer.close().catch(() => {});
+
+        const reader = stream.readable.getReader();
+        const chunks = [];
+        let length = 0;
+
+        while (true) {
+            const {done, value} = await reader.read();
+            if (done) {
+                break;
+            }
+
+            chunks.push(value);
+            length += value.length;
+
+            if (length > maxLength) {
+                // Остаток не распаковывается: отмена чтения останавливает поток
+                await reader.cancel().catch(() => {});
+                this.checkLength(length, maxLength);
+            }
+        }
+
+        const result = new Uint8Array(length);
+        let offset = 0;
+
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        return result;
+    }
+}
+
+export {Deflate};
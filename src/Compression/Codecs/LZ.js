@@ -0,0 +1,278 @@
+import {CompressionInterface} from './_CompressionInterface.js';
+
+// Константа с именем алгоритма сжатия
+const COMPRESSION_NAME = 'lz';
+
+// Минимальная длина совпадения
+const MIN_MATCH = 4;
+
+// Максимальное расстояние до совпадения
+const MAX_OFFSET = 0xffff;
+
+// Количество последних байт, которые всегда записываются как литералы
+const LAST_LITERALS = 5;
+
+// Поиск совпадений прекращается за столько байт до конца данных
+const MATCH_SEARCH_LIMIT = 12;
+
+// Размер хэш-таблицы (в битах)
+const HASH_LOG = 14;
+
+// Размер заголовка с исходной длиной данных
+const HEADER_LENGTH = 4;
+
+/**
+ * Реализация алгоритма сжатия семейства LZ77 в формате, близком к блоку LZ4.
+ * Работает синхронно на чистом JavaScript и хорошо сжимает данные с повторами,
+ * например массивы однотипных объектов.
+ *
+ * Формат: [исходная длина:4B][последовательности...], где каждая последовательность -
+ * [токен:1B][длина литералов+][литералы][сдвиг:2B LE][длина совпадения+].
+ * Старшие 4 бита токена - длина литералов, младшие - длина совпадения минус 4;
+ * значение 15 продолжается байтами, пока они равны 255.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class LZ
+ * @extends CompressionInterface
+ * @example
+ * const lz = new LZ();
+ * const compressed = lz.compress(bytes);
+ * const restored = lz.decompress(compressed);
+ */
+class LZ extends CompressionInterface {
+    /**
+     * Статическое свойство с именем алгоритма сжатия
+     * @static
+     * @type {string}
+     */
+    static name = COMPRESSION_NAME;
+
+    /**
+     * Сжимает данные.
+     *
+     * @param {Uint8Array} bytes - Исходные данные
+     * @returns {Uint8Array} - Сжатые данные
+     */
+    compress(bytes) {
+        const length = bytes.length;
+
+        // Худший случай: все данные - литералы плюс байты продолжения длины
+        const output = new Uint8Array(HEADER_LENGTH + length + Math.ceil(length / 255) + 16);
+        new DataView(output.buffer).setUint32(0, length);
+
+        const table = new Int32Array(1 << HASH_LOG).fill(-1);
+        let outputOffset = HEADER_LENGTH;
+        let anchor = 0;
+        let position = 0;
+
+        while (position < length - MATCH_SEARCH_LIMIT) {
+            const sequence = this.read32(bytes, position);
+            const hash = Math.imul(sequence, 2654435761) >>> (32 - HASH_LOG);
+            const reference = table[hash];
+            table[hash] = position;
+
+            if (reference < 0 || position - reference > MAX_OFFSET || this.read32(bytes, reference) !== sequence) {
+                position++;
+                continue;
+            }
+
+            // Продлеваем совпадение, оставляя последние байты литералами
+            let matchLength = MIN_MATCH;
+            while (position + matchLength < length - LAST_LITERALS
+                && bytes[reference + matchLength] === bytes[position + matchLength]) {
+                matchLength++;
+            }
+
+            outputOffset = this.writeSequence(output, outputOffset, bytes, anchor, position, position - reference, matchLength);
+
+            position += matchLength;
+            anchor = position;
+        }
+
+        outputOffset = this.writeSequence(output, outputOffset, bytes, anchor, length, 0, 0);
+
+        return output.slice(0, outputOffset);
+    }
+
+    /**
+     * Восстанавливает сжатые данные.
+     *
+     * @param {Uint8Array} bytes - Сжатые данные
+     * @param {number} [maxLength=Infinity] - Максимальная длина исходных данных в байтах
+     * @returns {Uint8Array} - Исходные данные
+     * @throws {Error} Если сжатые данные повреждены или их длина превышает maxLength
+     */
+    decompress(bytes, maxLength = Infinity) {
+        if (bytes.length < HEADER_LENGTH) {
+            throw new Error('Повреждены сжатые данные');
+        }
+
+        const length = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0);
+
+        // Каждый байт сжатых данных раскрывается не более чем в 255 байт,
+        // поэтому поврежденная длина не приведет к выделению лишней памяти
+        if (length > (bytes.length - HEADER_LENGTH) * 255) {
+            throw new Error('Повреждены сжатые данные');
+        }
+
+        // Исходная длина записана в заголовке, поэтому память не выделяется сверх ограничения
+        this.checkLength(length, maxLength);
+
+        const output = new Uint8Array(length);
+        let inputOffset = HEADER_LENGTH;
+        let outputOffset = 0;
+
+        while (inputOffset < bytes.length) {
+            const token = bytes[inputOffset++];
+
+            // Литералы
+            let literalLength = token >>> 4;
+            if (literalLength === 15) {
+                [literalLength, inputOffset] = this.readLength(bytes, inputOffset, literalLength);
+            }
+
+            if (inputOffset + literalLength > bytes.length || outputOffset + literalLength > length) {
+                throw new Error('Повреждены сжатые данные');
+            }
+
+            output.set(bytes.subarray(inputOffset, inputOffset + literalLength), outputOffset);
+            inputOffset += literalLength;
+            outputOffset += literalLength;
+
+            // Последняя последовательность содержит только литералы
+            if (inputOffset === bytes.length) {
+                break;
+            }
+
+            // Совпадение
+            if (inputOffset + 2 > bytes.length) {
+                throw new Error('Повреждены сжатые данные');
+            }
+
+            const offset = bytes[inputOffset] | (bytes[inputOffset + 1] << 8);
+            inputOffset += 2;
+
+            let matchLength = token & 0x0f;
+            if (matchLength === 15) {
+                [matchLength, inputOffset] = this.readLength(bytes, inputOffset, matchLength);
+            }
+            matchLength += MIN_MATCH;
+
+            if (offset === 0 || offset > outputOffset || outputOffset + matchLength > length) {
+                throw new Error('Повреждены сжатые данные');
+            }
+
+            // Побайтовое копирование, так как совпадение может перекрываться с записываемыми данными
+            for (let i = 0; i < matchLength; i++) {
+                output[outputOffset] = output[outputOffset - offset];
+                outputOffset++;
+            }
+        }
+
+        if (outputOffset !== length) {
+            throw new Error('Повреждены сжатые данные');
+        }
+
+        return output;
+    }
+
+    /**
+     * Записывает последовательность: литералы от anchor до end и совпадение (если matchLength > 0).
+     *
+     * @param {Uint8Array} output - Буфер для записи
+     * @param {number} outputOffset - Позиция записи
+     * @param {Uint8Array} bytes - Исходные данные
+     * @param {number} anchor - Начало литералов
+     * @param {number} end - Конец литералов
+     * @param {number} offset - Расстояние до совпадения
+     * @param {number} matchLength - Длина совпадения (0 для последней последовательности)
+     * @returns {number} - Новая позиция записи
+     * @private
+     */
+    writeSequence(output, outputOffset, bytes, anchor, end, offset, matchLength) {
+        const literalLength = end - anchor;
+        const matchCode = matchLength ? matchLength - MIN_MATCH : 0;
+
+        output[outputOffset++] = (Math.min(literalLength, 15) << 4) | Math.min(matchCode, 15);
+
+        if (literalLength >= 15) {
+            outputOffset = this.writeLength(output, outputOffset, literalLength - 15);
+        }
+
+        output.set(bytes.subarray(anchor, end), outputOffset);
+        outputOffset += literalLength;
+
+        if (matchLength) {
+            output[outputOffset++] = offset & 0xff;
+            output[outputOffset++] = offset >>> 8;
+
+            if (matchCode >= 15) {
+                outputOffset = this.writeLength(output, outputOffset, matchCode - 15);
+            }
+        }
+
+        return outputOffset;
+    }
+
+    /**
+     * Записывает продолжение длины байтами по 255.
+     *
+     * @param {Uint8Array} output - Буфер для записи
+     * @param {number} outputOffset - Позиция записи
+     * @param {number} value - Остаток длины
+     * @returns {number} - Новая позиция записи
+     * @private
+     */
+    writeLength(output, outputOffset, value) {
+        while (value >= 255) {
+            output[outputOffset++] = 255;
+            value -= 255;
+        }
+
+        output[outputOffset++] = value;
+
+        return outputOffset;
+    }
+
+    /**
+     * Читает продолжение длины, записанное байтами по 255.
+     *
+     * @param {Uint8Array} bytes - Сжатые данные
+     * @param {number} inputOffset - Позиция чтения
+     * @param {number} value - Начальное значение длины
+     * @returns {[number, number]} - Длина и новая позиция чтения
+     * @throws {Error} Если данные закончились раньше длины
+     * @private
+     */
+    readLength(bytes, inputOffset, value) {
+        let byte;
+
+        do {
+            if (inputOffset >= bytes.length) {
+                throw new Error('Повреждены сжатые данные');
+            }
+
+            byte = bytes[inputOffset++];
+            value += byte;
+        } while (byte === 255);
+
+        return [value, inputOffset];
+    }
+
+    /**
+     * Читает 4 байта как 32-битное число.
+     *
+     * @param {Uint8Array} bytes - Данные
+     * @param {number} offset - Позиция чтения
+     * @returns {number} - Прочитанное число
+     * @private
+     */
+    read32(bytes, offset) {
+        return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24);
+    }
+}
+
+export {LZ};
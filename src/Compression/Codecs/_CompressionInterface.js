@@ -0,0 +1,93 @@
+/**
+ * Абстрактный базовый класс для реализации алгоритмов сжатия.
+ * Алгоритм реализует синхронные методы compress/decompress и/или асинхронные
+ * compressAsync/decompressAsync. По умолчанию асинхронные методы вызывают синхронные,
+ * поэтому алгоритм с синхронной реализацией доступен и в pack(), и в packAsync().
+ * Распаковка принимает максимальную длину результата и прекращается с ошибкой, как только
+ * она превышена: сжатые данные из пакета не должны раскрываться в неограниченный объем памяти.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @abstract
+ * @class CompressionInterface
+ * @example
+ * class MyCompression extends CompressionInterface {
+ *   static name = 'my-compression';
+ *
+ *   compress(bytes) {
+ *     // Реализация сжатия
+ *   }
+ *
+ *   decompress(bytes, maxLength) {
+ *     // Реализация распаковки не длиннее maxLength байт
+ *   }
+ * }
+ */
+class CompressionInterface {
+    /**
+     * Сжимает данные.
+     *
+     * @abstract
+     * @param {Uint8Array} bytes - Исходные данные
+     * @returns {Uint8Array} - Сжатые данные
+     * @throws {Error} Если алгоритм не поддерживает синхронное сжатие
+     */
+    compress(bytes) {
+        throw new Error(`Алгоритм сжатия ${this.constructor.name} доступен только в packAsync()`);
+    }
+
+    /**
+     * Восстанавливает сжатые данные.
+     *
+     * @abstract
+     * @param {Uint8Array} bytes - Сжатые данные
+     * @param {number} [maxLength=Infinity] - Максимальная длина исходных данных в байтах
+     * @returns {Uint8Array} - Исходные данные
+     * @throws {Error} Если алгоритм не поддерживает синхронную распаковку, данные повреждены
+     *                 или их длина превышает maxLength
+     */
+    decompress(bytes, maxLength = Infinity) {
+        throw new Error(`Алгоритм сжатия ${this.constructor.name} доступен только в unpackAsync()`);
+    }
+
+    /**
+     * Асинхронно сжимает данные.
+     *
+     * @param {Uint8Array} bytes - Исходные данные
+     * @returns {Promise<Uint8Array>} - Сжатые данные
+     */
+    async compressAsync(bytes) {
+        return this.compress(bytes);
+    }
+
+    /**
+     * Асинхронно восстанавливает сжатые данные.
+     *
+     * @param {Uint8Array} bytes - Сжатые данные
+     * @param {number} [maxLength=Infinity] - Максимальная длина исходных данных в байтах
+     * @returns {Promise<Uint8Array>} - Исходные данные
+     * @throws {Error} Если данные повреждены или их длина превышает maxLength
+     */
+    async decompressAsync(bytes, maxLength = Infinity) {
+        return this.decompress(bytes, maxLength);
+    }
+
+    /**
+     * Проверяет длину исходных данных.
+     *
+     * @param {number} length - Длина исходных данных (или уже полученной их части) в байтах
+     * @param {number} maxLength - Максимальная длина в байтах
+     * @returns {void}
+     * @throws {Error} Если длина превышает maxLength
+     * @protected
+     */
+    checkLength(length, maxLength) {
+        if (length > maxLength) {
+            throw new Error(`Длина распакованных данных превышает допустимую: ${maxLength} байт`);
+        }
+    }
+}
+
+export {CompressionInterface};
@@ -0,0 +1,30 @@
+import { LZ } from './LZ.js';
+import { Deflate } from './Deflate.js';
+
+/**
+ * Массив доступных алгоритмов сжатия с их кодами, именами и классами-реализациями.
+ * Каждый элемент массива содержит:
+ * - code: числовой идентификатор алгоритма (записывается в заголовок)
+ * - name: строковое имя алгоритма (соответствует статическому свойству name класса)
+ * - instance: класс-реализация алгоритма сжатия
+ *
+ * @constant {Array<Object>}
+ * @type {Array<{code: number, name: string, instance: CompressionInterface}>}
+ */
+const AvailableCompressions = [
+    { code: 1, name: LZ.name, instance: LZ },
+    { code: 2, name: Deflate.name, instance: Deflate },
+];
+
+/**
+ * Объект-справочник для получения имен алгоритмов сжатия по удобным ключам.
+ *
+ * @constant {Object}
+ * @type {{LZ: string, DEFLATE: string}}
+ */
+const AvailableCompressionsName = {
+    'LZ': LZ.name,
+    'DEFLATE': Deflate.name,
+};
+
+export { AvailableCompressions, AvailableCompressionsName };
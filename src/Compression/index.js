@@ -0,0 +1 @@
+export * from './Codecs/index.js'
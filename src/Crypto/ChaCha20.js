@@ -0,0 +1,188 @@
+// Константа "expand 32-byte k" - первые четыре слова состояния
+const SIGMA = [0x61707865, 0x3320646e, 0x79622d32, 0x6b206574];
+
+// Размер блока ключевого потока в байтах
+const BLOCK_LENGTH = 64;
+
+/**
+ * Класс ChaCha20 - потоковый шифр ChaCha20 (RFC 8439, раздел 2.4) на чистом JavaScript:
+ * 256-битный ключ, 96-битный nonce и 32-битный счетчик блоков.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const encrypted = ChaCha20.xor(key, nonce, 1, data);
+ * const decrypted = ChaCha20.xor(key, nonce, 1, encrypted);
+ */
+class ChaCha20 {
+    /**
+     * Длина ключа в байтах
+     * @static
+     * @type {number}
+     */
+    static keyLength = 32;
+
+    /**
+     * Длина nonce в байтах
+     * @static
+     * @type {number}
+     */
+    static nonceLength = 12;
+
+    /**
+     * Вычисляет один 64-байтовый блок ключевого потока.
+     *
+     * @static
+     * @param {Uint8Array} key - Ключ (32 байта)
+     * @param {Uint8Array} nonce - Nonce (12 байт)
+     * @param {number} counter - Номер блока
+     * @returns {Uint8Array} - 64 байта ключевого потока
+     * @example
+     * const polyKey = ChaCha20.block(key, nonce, 0).subarray(0, 32);
+     */
+    static block(key, nonce, counter) {
+        const output = new Uint8Array(BLOCK_LENGTH);
+        ChaCha20.compute(ChaCha20.createState(key, nonce), counter, new Uint32Array(16), output);
+
+        return output;
+    }
+
+    /**
+     * Шифрует или дешифрует данные (операция симметрична): складывает их по XOR
+     * с ключевым потоком, начиная с блока counter. Исходный массив не изменяется.
+     *
+     * @static
+     * @param {Uint8Array} key - Ключ (32 байта)
+     * @param {Uint8Array} nonce - Nonce (12 байт)
+     * @param {number} counter - Номер первого блока
+     * @param {Uint8Array} data - Данные
+     * @returns {Uint8Array} - Результат той же длины
+     * @throws {Error} Если данные не помещаются в 2^32 блока
+     */
+    static xor(key, nonce, counter, data) {
+        if (counter + Math.ceil(data.length / BLOCK_LENGTH) > 0x100000000) {
+            throw new Error('Слишком большой объем данных для ChaCha20');
+        }
+
+        const state = ChaCha20.createState(key, nonce);
+        const working = new Uint32Array(16);
+        const stream = new Uint8Array(BLOCK_LENGTH);
+        const result = new Uint8Array(data.length);
+
+        for (let offset = 0; offset < data.length; offset += BLOCK_LENGTH, counter++) {
+            ChaCha20.compute(state, counter, working, stream);
+
+            const end = Math.min(BLOCK_LENGTH, data.length - offset);
+            for (let i = 0; i < end; i++) {
+                result[offset + i] = data[offset + i] ^ stream[i];
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Создает начальное состояние: константы, ключ, счетчик (заполняется в compute) и nonce.
+     *
+     * @static
+     * @param {Uint8Array} key - Ключ (32 байта)
+     * @param {Uint8Array} nonce - Nonce (12 байт)
+     * @returns {Uint32Array} - 16 слов состояния
+     * @throws {Error} Если длина ключа или nonce неверная
+     * @private
+     */
+    static createState(key, nonce) {
+        if (key.length !== ChaCha20.keyLength) {
+            throw new Error(`Ключ ChaCha20 должен быть длиной ${ChaCha20.keyLength} байта`);
+        }
+        if (nonce.length !== ChaCha20.nonceLength) {
+            throw new Error(`Nonce ChaCha20 должен быть длиной ${ChaCha20.nonceLength} байт`);
+        }
+
+        const state = new Uint32Array(16);
+        state.set(SIGMA);
+        for (let i = 0; i < 8; i++) {
+            state[4 + i] = ChaCha20.readUint32(key, i * 4);
+        }
+        for (let i = 0; i < 3; i++) {
+            state[13 + i] = ChaCha20.readUint32(nonce, i * 4);
+        }
+
+        return state;
+    }
+
+    /**
+     * Вычисляет блок ключевого потока: 20 раундов (10 двойных) и сложение с исходным состоянием.
+     *
+     * @static
+     * @param {Uint32Array} state - Начальное состояние
+     * @param {number} counter - Номер блока
+     * @param {Uint32Array} x - Рабочий буфер (16 слов)
+     * @param {Uint8Array} output - Результат (64 байта, little-endian)
+     * @returns {void}
+     * @private
+     */
+    static compute(state, counter, x, output) {
+        state[12] = counter;
+        x.set(state);
+
+        for (let round = 0; round < 10; round++) {
+            // Столбцы
+            ChaCha20.quarterRound(x, 0, 4, 8, 12);
+            ChaCha20.quarterRound(x, 1, 5, 9, 13);
+            ChaCha20.quarterRound(x, 2, 6, 10, 14);
+            ChaCha20.quarterRound(x, 3, 7, 11, 15);
+            // Диагонали
+            ChaCha20.quarterRound(x, 0, 5, 10, 15);
+            ChaCha20.quarterRound(x, 1, 6, 11, 12);
+            ChaCha20.quarterRound(x, 2, 7, 8, 13);
+            ChaCha20.quarterRound(x, 3, 4, 9, 14);
+        }
+
+        for (let i = 0; i < 16; i++) {
+            const word = (x[i] + state[i]) | 0;
+            output[i * 4] = word;
+            output[i * 4 + 1] = word >>> 8;
+            output[i * 4 + 2] = word >>> 16;
+            output[i * 4 + 3] = word >>> 24;
+        }
+    }
+
+    /**
+     * Четвертьраунд ChaCha: сложение, XOR и циклические сдвиги на 16, 12, 8 и 7 бит.
+     *
+     * @static
+     * @param {Uint32Array} x - Состояние
+     * @param {number} a - Индекс слова
+     * @param {number} b - Индекс слова
+     * @param {number} c - Индекс слова
+     * @param {number} d - Индекс слова
+     * @returns {void}
+     * @private
+     */
+    static quarterRound(x, a, b, c, d) {
+        let t;
+        x[a] += x[b]; t = x[d] ^ x[a]; x[d] = (t << 16) | (t >>> 16);
+        x[c] += x[d]; t = x[b] ^ x[c]; x[b] = (t << 12) | (t >>> 20);
+        x[a] += x[b]; t = x[d] ^ x[a]; x[d] = (t << 8) | (t >>> 24);
+        x[c] += x[d]; t = x[b] ^ x[c]; x[b] = (t << 7) | (t >>> 25);
+    }
+
+    /**
+     * Читает 32-битное слово little-endian.
+     *
+     * @static
+     * @param {Uint8Array} bytes - Массив байт
+     * @param {number} offset - Смещение
+     * @returns {number} - Слово
+     * @private
+     */
+    static readUint32(bytes, offset) {
+        return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    }
+}
+
+export {ChaCha20};
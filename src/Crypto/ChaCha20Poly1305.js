@@ -0,0 +1,117 @@
+import {ChaCha20} from './ChaCha20.js';
+import {Poly1305} from './Poly1305.js';
+
+/**
+ * Класс ChaCha20Poly1305 - AEAD-конструкция ChaCha20-Poly1305 (RFC 8439, раздел 2.8)
+ * на чистом JavaScript. Работает синхронно и не зависит от WebCrypto.
+ *
+ * Одноразовый ключ Poly1305 - первые 32 байта блока 0 ключевого потока, данные шифруются
+ * начиная с блока 1. Тег аутентифицирует дополнительные данные и шифротекст.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const sealed = ChaCha20Poly1305.seal(key, nonce, data, aad);
+ * const opened = ChaCha20Poly1305.open(key, nonce, sealed, aad); // null, если тег не совпал
+ */
+class ChaCha20Poly1305 {
+    /**
+     * Длина ключа в байтах
+     * @static
+     * @type {number}
+     */
+    static keyLength = ChaCha20.keyLength;
+
+    /**
+     * Длина nonce в байтах
+     * @static
+     * @type {number}
+     */
+    static nonceLength = ChaCha20.nonceLength;
+
+    /**
+     * Длина тега аутентификации в байтах
+     * @static
+     * @type {number}
+     */
+    static tagLength = Poly1305.tagLength;
+
+    /**
+     * Шифрует данные и добавляет тег аутентификации.
+     *
+     * @static
+     * @param {Uint8Array} key - Ключ (32 байта)
+     * @param {Uint8Array} nonce - Nonce (12 байт), уникальный для каждого сообщения
+     * @param {Uint8Array} data - Открытые данные
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные
+     * @returns {Uint8Array} - [шифротекст][тег:16B]
+     */
+    static seal(key, nonce, data, aad = new Uint8Array(0)) {
+        const encrypted = ChaCha20.xor(key, nonce, 1, data);
+
+        const result = new Uint8Array(encrypted.length + ChaCha20Poly1305.tagLength);
+        result.set(encrypted);
+        result.set(ChaCha20Poly1305.tag(key, nonce, encrypted, aad), encrypted.length);
+
+        return result;
+    }
+
+    /**
+     * Проверяет тег аутентификации и дешифрует данные.
+     *
+     * @static
+     * @param {Uint8Array} key - Ключ (32 байта)
+     * @param {Uint8Array} nonce - Nonce (12 байт)
+     * @param {Uint8Array} sealed - [шифротекст][тег:16B]
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные
+     * @returns {Uint8Array|null} - Открытые данные или null, если тег не совпал
+     */
+    static open(key, nonce, sealed, aad = new Uint8Array(0)) {
+        if (sealed.length < ChaCha20Poly1305.tagLength) {
+            return null;
+        }
+
+        const encrypted = sealed.subarray(0, sealed.length - ChaCha20Poly1305.tagLength);
+        const expected = ChaCha20Poly1305.tag(key, nonce, encrypted, aad);
+
+        // Сравнение без раннего выхода, чтобы время не зависело от позиции расхождения
+        let difference = 0;
+        for (let i = 0; i < expected.length; i++) {
+            difference |= expected[i] ^ sealed[encrypted.length + i];
+        }
+        if (difference !== 0) {
+            return null;
+        }
+
+        return ChaCha20.xor(key, nonce, 1, encrypted);
+    }
+
+    /**
+     * Вычисляет тег: Poly1305(aad | дополнение | шифротекст | дополнение | длины по 8 байт).
+     *
+     * @static
+     * @param {Uint8Array} key - Ключ (32 байта)
+     * @param {Uint8Array} nonce - Nonce (12 байт)
+     * @param {Uint8Array} encrypted - Шифротекст
+     * @param {Uint8Array} aad - Дополнительные аутентифицируемые данные
+     * @returns {Uint8Array} - 16 байт тега
+     * @private
+     */
+    static tag(key, nonce, encrypted, aad) {
+        const polyKey = ChaCha20.block(key, nonce, 0).subarray(0, Poly1305.keyLength);
+
+        const lengths = new Uint8Array(16);
+        const view = new DataView(lengths.buffer);
+        view.setUint32(0, aad.length, true);
+        view.setUint32(4, Math.floor(aad.length / 0x100000000), true);
+        view.setUint32(8, encrypted.length, true);
+        view.setUint32(12, Math.floor(encrypted.length / 0x100000000), true);
+
+        return Poly1305.mac(polyKey, [aad, encrypted, lengths], true);
+    }
+}
+
+export {ChaCha20Poly1305};
@@ -0,0 +1,337 @@
+import {Sha512} from './Sha512.js';
+
+// Модуль поля Curve25519: 2^255 - 19
+const P = (1n << 255n) - 19n;
+
+// Порядок базовой точки: 2^252 + 27742317777372353535851937790883648493
+const L = (1n << 252n) + 27742317777372353535851937790883648493n;
+
+// Параметр скрученной кривой Эдвардса: -121665 / 121666
+const D = 37095705934669439343138083508754565189542113879843219016388785533085940283555n;
+
+// Квадратный корень из -1 по модулю P
+const SQRT_M1 = 19681161376707505956807079304988542015446066515923890162744021073123829784752n;
+
+// Базовая точка в расширенных координатах (X, Y, Z, T)
+const BASE_X = 15112221349535400772501151409588531511454012693041857206046113283949847762202n;
+const BASE_Y = 46316835694926478169428394003475163141307993866256225615783033603165251855960n;
+const BASE = [BASE_X, BASE_Y, 1n, BASE_X * BASE_Y % P];
+
+// Нейтральный элемент группы
+const IDENTITY = [0n, 1n, 1n, 0n];
+
+// Длина закрытого (seed) и открытого ключей в байтах
+const KEY_LENGTH = 32;
+
+// Длина подписи в байтах: [R:32B][S:32B]
+const SIGNATURE_LENGTH = 64;
+
+/**
+ * Класс Ed25519 - подписи EdDSA на кривой edwards25519 (RFC 8032) на чистом JavaScript.
+ * Вычисления выполняются через BigInt и не защищены от атак по времени выполнения,
+ * поэтому в Node.js предпочтительнее node:crypto (см. Signature).
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const publicKey = Ed25519.publicKey(privateKey);
+ * const signature = Ed25519.sign(privateKey, message);
+ * Ed25519.verify(publicKey, signature, message); // true
+ */
+class Ed25519 {
+    /**
+     * Длина закрытого и открытого ключей в байтах
+     * @static
+     * @type {number}
+     */
+    static keyLength = KEY_LENGTH;
+
+    /**
+     * Длина подписи в байтах
+     * @static
+     * @type {number}
+     */
+    static signatureLength = SIGNATURE_LENGTH;
+
+    /**
+     * Вычисляет открытый ключ по закрытому.
+     *
+     * @static
+     * @param {Uint8Array} privateKey - Закрытый ключ (32 байта)
+     * @returns {Uint8Array} - Открытый ключ (32 байта)
+     */
+    static publicKey(privateKey) {
+        const {scalar} = Ed25519.expand(privateKey);
+
+        return Ed25519.encode(Ed25519.multiply(BASE, scalar));
+    }
+
+    /**
+     * Подписывает одно или несколько сообщений, записанных подряд.
+     *
+     * @static
+     * @param {Uint8Array} privateKey - Закрытый ключ (32 байта)
+     * @param {...Uint8Array} parts - Данные для подписи
+     * @returns {Uint8Array} - Подпись (64 байта)
+     */
+    static sign(privateKey, ...parts) {
+        const {scalar, prefix} = Ed25519.expand(privateKey);
+        const publicKey = Ed25519.encode(Ed25519.multiply(BASE, scalar));
+
+        const r = Ed25519.toNumber(Sha512.digest(prefix, ...parts)) % L;
+        const R = Ed25519.encode(Ed25519.multiply(BASE, r));
+        const k = Ed25519.toNumber(Sha512.digest(R, publicKey, ...parts)) % L;
+        const S = (r + k * scalar) % L;
+
+        const signature = new Uint8Array(SIGNATURE_LENGTH);
+        signature.set(R);
+        signature.set(Ed25519.toBytes(S), KEY_LENGTH);
+
+        return signature;
+    }
+
+    /**
+     * Проверяет подпись: [S]B = R + [k]A.
+     *
+     * @static
+     * @param {Uint8Array} publicKey - Открытый ключ (32 байта)
+     * @param {Uint8Array} signature - Подпись (64 байта)
+     * @param {...Uint8Array} parts - Подписанные данные
+     * @returns {boolean} - true, если подпись верна
+     */
+    static verify(publicKey, signature, ...parts) {
+        if (publicKey.length !== KEY_LENGTH || signature.length !== SIGNATURE_LENGTH) {
+            return false;
+        }
+
+        const A = Ed25519.decode(publicKey);
+        const R = Ed25519.decode(signature.subarray(0, KEY_LENGTH));
+        const S = Ed25519.toNumber(signature.subarray(KEY_LENGTH));
+
+        if (!A || !R || S >= L) {
+            return false;
+        }
+
+        const k = Ed25519.toNumber(Sha512.digest(signature.subarray(0, KEY_LENGTH), publicKey, ...parts)) % L;
+
+        return Ed25519.equals(Ed25519.multiply(BASE, S), Ed25519.add(R, Ed25519.multiply(A, k)));
+    }
+
+    /**
+     * Получает из закрытого ключа скаляр и префикс для nonce (RFC 8032, раздел 5.1.5).
+     *
+     * @static
+     * @param {Uint8Array} privateKey - Закрытый ключ
+     * @returns {{scalar: bigint, prefix: Uint8Array}} - Скаляр и префикс
+     * @private
+     */
+    static expand(privateKey) {
+        const hash = Sha512.digest(privateKey);
+        const head = hash.slice(0, KEY_LENGTH);
+        head[0] &= 248;
+        head[31] &= 127;
+        head[31] |= 64;
+
+        return {scalar: Ed25519.toNumber(head), prefix: hash.subarray(KEY_LENGTH)};
+    }
+
+    /**
+     * Складывает точки в расширенных координатах (формулы для a = -1).
+     *
+     * @static
+     * @param {Array<bigint>} p - Первая точка
+     * @param {Array<bigint>} q - Вторая точка
+     * @returns {Array<bigint>} - Сумма
+     * @private
+     */
+    static add([x1, y1, z1, t1], [x2, y2, z2, t2]) {
+        const a = Ed25519.mod((y1 - x1) * (y2 - x2));
+        const b = Ed25519.mod((y1 + x1) * (y2 + x2));
+        const c = Ed25519.mod(2n * t1 * t2 % P * D);
+        const d = Ed25519.mod(2n * z1 * z2);
+        const e = b - a;
+        const f = d - c;
+        const g = d + c;
+        const h = b + a;
+
+        return [Ed25519.mod(e * f), Ed25519.mod(g * h), Ed25519.mod(f * g), Ed25519.mod(e * h)];
+    }
+
+    /**
+     * Умножает точку на скаляр (двоичный метод).
+     *
+     * @static
+     * @param {Array<bigint>} point - Точка
+     * @param {bigint} scalar - Скаляр
+     * @returns {Array<bigint>} - Произведение
+     * @private
+     */
+    static multiply(point, scalar) {
+        let result = IDENTITY;
+
+        while (scalar > 0n) {
+            if (scalar & 1n) {
+                result = Ed25519.add(result, point);
+            }
+
+            point = Ed25519.add(point, point);
+            scalar >>= 1n;
+        }
+
+        return result;
+    }
+
+    /**
+     * Сравнивает точки в проективных координатах.
+     *
+     * @static
+     * @param {Array<bigint>} p - Первая точка
+     * @param {Array<bigint>} q - Вторая точка
+     * @returns {boolean} - true, если точки совпадают
+     * @private
+     */
+    static equals([x1, y1, z1], [x2, y2, z2]) {
+        return Ed25519.mod(x1 * z2 - x2 * z1) === 0n && Ed25519.mod(y1 * z2 - y2 * z1) === 0n;
+    }
+
+    /**
+     * Кодирует точку: координата y и знак x в старшем бите.
+     *
+     * @static
+     * @param {Array<bigint>} point - Точка
+     * @returns {Uint8Array} - 32 байта
+     * @private
+     */
+    static encode([x, y, z]) {
+        const inverse = Ed25519.pow(z, P - 2n);
+        const bytes = Ed25519.toBytes(Ed25519.mod(y * inverse));
+
+        if (Ed25519.mod(x * inverse) & 1n) {
+            bytes[31] |= 0x80;
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Декодирует точку (RFC 8032, раздел 5.1.3).
+     *
+     * @static
+     * @param {Uint8Array} bytes - 32 байта
+     * @returns {Array<bigint>|null} - Точка или null, если байты не задают точку кривой
+     * @private
+     */
+    static decode(bytes) {
+        const copy = Uint8Array.from(bytes);
+        const sign = copy[31] >> 7;
+        copy[31] &= 0x7F;
+
+        const y = Ed25519.toNumber(copy);
+        if (y >= P) {
+            return null;
+        }
+
+        // x^2 = (y^2 - 1) / (d * y^2 + 1)
+        const u = Ed25519.mod(y * y - 1n);
+        const v = Ed25519.mod(D * y * y + 1n);
+        let x = Ed25519.mod(u * Ed25519.pow(v, 3n) * Ed25519.pow(u * Ed25519.pow(v, 7n), (P - 5n) / 8n));
+
+        const check = Ed25519.mod(v * x * x);
+        if (check === Ed25519.mod(-u)) {
+            x = Ed25519.mod(x * SQRT_M1);
+        } else if (check !== u) {
+            return null;
+        }
+
+        if (x === 0n && sign === 1) {
+            return null;
+        }
+
+        if (Number(x & 1n) !== sign) {
+            x = P - x;
+        }
+
+        return [x, y, 1n, Ed25519.mod(x * y)];
+    }
+
+    /**
+     * Приводит число по модулю поля.
+     *
+     * @static
+     * @param {bigint} value - Число
+     * @returns {bigint} - Число от 0 до P - 1
+     * @private
+     */
+    static mod(value) {
+        const result = value % P;
+
+        return result < 0n ? result + P : result;
+    }
+
+    /**
+     * Возводит число в степень по модулю поля.
+     *
+     * @static
+     * @param {bigint} base - Основание
+     * @param {bigint} exponent - Показатель
+     * @returns {bigint} - Результат
+     * @private
+     */
+    static pow(base, exponent) {
+        let result = 1n;
+        base = Ed25519.mod(base);
+
+        while (exponent > 0n) {
+            if (exponent & 1n) {
+                result = Ed25519.mod(result * base);
+            }
+
+            base = Ed25519.mod(base * base);
+            exponent >>= 1n;
+        }
+
+        return result;
+    }
+
+    /**
+     * Читает байты как число в порядке little-endian.
+     *
+     * @static
+     * @param {Uint8Array} bytes - Байты
+     * @returns {bigint} - Число
+     * @private
+     */
+    static toNumber(bytes) {
+        let result = 0n;
+
+        for (let i = bytes.length - 1; i >= 0; i--) {
+            result = (result << 8n) | BigInt(bytes[i]);
+        }
+
+        return result;
+    }
+
+    /**
+     * Записывает число в 32 байта в порядке little-endian.
+     *
+     * @static
+     * @param {bigint} value - Число
+     * @returns {Uint8Array} - Байты
+     * @private
+     */
+    static toBytes(value) {
+        const bytes = new Uint8Array(KEY_LENGTH);
+
+        for (let i = 0; i < KEY_LENGTH; i++) {
+            bytes[i] = Number(value & 0xFFn);
+            value >>= 8n;
+        }
+
+        return bytes;
+    }
+}
+
+export {Ed25519};
@@ -0,0 +1,42 @@
+import {Hmac} from './Hmac.js';
+
+/**
+ * Класс Hkdf - функция формирования ключа HKDF-SHA256 (RFC 5869) на чистом JavaScript.
+ * Используется там, где нет node:crypto и нужен синхронный результат.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const key = Hkdf.derive(secret, salt, info, 32);
+ */
+class Hkdf {
+    /**
+     * Формирует ключ из исходного ключевого материала, соли и контекста.
+     *
+     * @static
+     * @param {Uint8Array} material - Исходный ключевой материал
+     * @param {Uint8Array} salt - Соль
+     * @param {Uint8Array} info - Контекст применения ключа
+     * @param {number} length - Длина ключа в байтах (не более 8160)
+     * @returns {Uint8Array} - Ключ
+     */
+    static derive(material, salt, info, length) {
+        // Извлечение: PRK = HMAC(соль, материал)
+        const hmac = Hmac.create(Hmac.sign(salt, material));
+        const result = new Uint8Array(length);
+
+        // Расширение: T(i) = HMAC(PRK, T(i-1) | контекст | i)
+        let block = new Uint8Array(0);
+        for (let index = 1, offset = 0; offset < length; index++, offset += Hmac.digestLength) {
+            block = hmac(block, info, new Uint8Array([index]));
+            result.set(block.subarray(0, Math.min(block.length, length - offset)), offset);
+        }
+
+        return result;
+    }
+}
+
+export {Hkdf};
@@ -0,0 +1,81 @@
+import {Sha256} from './Sha256.js';
+
+/**
+ * Класс Hmac - код аутентификации сообщений HMAC-SHA256 (RFC 2104) на чистом JavaScript.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const mac = Hmac.sign(key, header, body);
+ * console.log(mac.length); // 32
+ */
+class Hmac {
+    /**
+     * Длина кода аутентификации в байтах
+     * @static
+     * @type {number}
+     */
+    static digestLength = Sha256.digestLength;
+
+    /**
+     * Вычисляет HMAC-SHA256 от одного или нескольких массивов байт, записанных подряд.
+     *
+     * @static
+     * @param {Uint8Array} key - Ключ произвольной длины
+     * @param {...Uint8Array} parts - Данные
+     * @returns {Uint8Array} - 32 байта кода аутентификации
+     */
+    static sign(key, ...parts) {
+        return Hmac.create(key)(...parts);
+    }
+
+    /**
+     * Подготавливает ключ и возвращает функцию вычисления HMAC с этим ключом.
+     * Удобно, когда один ключ используется многократно (например, в PBKDF2).
+     *
+     * @static
+     * @param {Uint8Array} key - Ключ произвольной длины
+     * @returns {function(...Uint8Array): Uint8Array} - Функция вычисления HMAC
+     */
+    static create(key) {
+        // Ключ длиннее блока заменяется его хэшем
+        if (key.length > Sha256.blockLength) {
+            key = Sha256.digest(key);
+        }
+
+        const innerPad = new Uint8Array(Sha256.blockLength).fill(0x36);
+        const outerPad = new Uint8Array(Sha256.blockLength).fill(0x5c);
+        for (let i = 0; i < key.length; i++) {
+            innerPad[i] ^= key[i];
+            outerPad[i] ^= key[i];
+        }
+
+        return (...parts) => Sha256.digest(outerPad, Sha256.digest(innerPad, ...parts));
+    }
+
+    /**
+     * Сравнивает два кода аутентификации за время, не зависящее от позиции расхождения.
+     *
+     * @static
+     * @param {Uint8Array} a - Первый код
+     * @param {Uint8Array} b - Второй код
+     * @returns {boolean} - true, если коды совпадают
+     */
+    static equal(a, b) {
+        if (a.length !== b.length) {
+            return false;
+        }
+
+        let difference = 0;
+        for (let i = 0; i < a.length; i++) {
+            difference |= a[i] ^ b[i];
+        }
+
+        return difference === 0;
+    }
+}
+
+export {Hmac};
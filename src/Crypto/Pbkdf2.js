@@ -0,0 +1,51 @@
+import {Hmac} from './Hmac.js';
+
+/**
+ * Класс Pbkdf2 - функция формирования ключа PBKDF2-HMAC-SHA256 (RFC 8018) на чистом JavaScript.
+ * Используется там, где нет node:crypto и нужен синхронный результат.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const key = Pbkdf2.derive(password, salt, 600000, 32);
+ */
+class Pbkdf2 {
+    /**
+     * Формирует ключ из пароля и соли.
+     *
+     * @static
+     * @param {Uint8Array} password - Пароль
+     * @param {Uint8Array} salt - Соль
+     * @param {number} iterations - Количество итераций
+     * @param {number} length - Длина ключа в байтах
+     * @returns {Uint8Array} - Ключ
+     */
+    static derive(password, salt, iterations, length) {
+        const hmac = Hmac.create(password);
+        const result = new Uint8Array(length);
+        const index = new Uint8Array(4);
+
+        for (let block = 1, offset = 0; offset < length; block++, offset += Hmac.digestLength) {
+            new DataView(index.buffer).setUint32(0, block);
+
+            // T = U1 ^ U2 ^ ... ^ Uc, где U1 = HMAC(пароль, соль | номер блока), Uj = HMAC(пароль, Uj-1)
+            let u = hmac(salt, index);
+            const t = u.slice();
+            for (let i = 1; i < iterations; i++) {
+                u = hmac(u);
+                for (let j = 0; j < t.length; j++) {
+                    t[j] ^= u[j];
+                }
+            }
+
+            result.set(t.subarray(0, Math.min(t.length, length - offset)), offset);
+        }
+
+        return result;
+    }
+}
+
+export {Pbkdf2};
@@ -0,0 +1,228 @@
+// Маски "зажима" ключа r (RFC 8439, раздел 2.5) в представлении 13-битными разрядами
+const R_MASKS = [0x1fff, 0x1fff, 0x1f03, 0x1fff, 0x00ff, 0x1ffe, 0x1fff, 0x1f81, 0x1fff, 0x007f];
+
+// Основание разряда (2^13)
+const LIMB = 0x2000;
+
+// Маска разряда
+const LIMB_MASK = 0x1fff;
+
+/**
+ * Класс Poly1305 - одноразовый код аутентификации сообщений Poly1305 (RFC 8439, раздел 2.5)
+ * на чистом JavaScript. Арифметика по модулю 2^130 - 5 ведется в десяти 13-битных разрядах:
+ * произведения разрядов не превышают 2^53 и точно представимы в числах JavaScript.
+ *
+ * Ключ одноразовый: один и тот же ключ нельзя использовать для двух сообщений.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const tag = Poly1305.mac(oneTimeKey, message);
+ * console.log(tag.length); // 16
+ */
+class Poly1305 {
+    /**
+     * Длина ключа в байтах
+     * @static
+     * @type {number}
+     */
+    static keyLength = 32;
+
+    /**
+     * Длина тега в байтах
+     * @static
+     * @type {number}
+     */
+    static tagLength = 16;
+
+    /**
+     * Вычисляет тег Poly1305 для данных, записанных подряд из нескольких частей.
+     * Каждая часть дополняется нулями до границы 16 байт, если задан padded
+     * (так данные передаются в AEAD ChaCha20-Poly1305).
+     *
+     * @static
+     * @param {Uint8Array} key - Одноразовый ключ (32 байта: r и s)
+     * @param {Uint8Array[]} parts - Части сообщения
+     * @param {boolean} [padded=false] - Дополнять каждую часть нулями до 16 байт
+     * @returns {Uint8Array} - 16 байт тега
+     * @throws {Error} Если длина ключа неверная
+     */
+    static mac(key, parts, padded = false) {
+        if (key.length !== Poly1305.keyLength) {
+            throw new Error(`Ключ Poly1305 должен быть длиной ${Poly1305.keyLength} байта`);
+        }
+
+        const r = Poly1305.toLimbs(key, 0, 16);
+        for (let i = 0; i < 10; i++) {
+            r[i] &= R_MASKS[i];
+        }
+
+        const h = new Array(10).fill(0);
+        const block = new Uint8Array(16);
+        let blockLength = 0;
+
+        for (const part of Array.isArray(parts) ? parts : [parts]) {
+            for (let offset = 0; offset < part.length;) {
+                const count = Math.min(16 - blockLength, part.length - offset);
+                block.set(part.subarray(offset, offset + count), blockLength);
+                blockLength += count;
+                offset += count;
+
+                if (blockLength === 16) {
+                    Poly1305.processBlock(h, r, block, 16);
+                    blockLength = 0;
+                }
+            }
+
+            if (padded && blockLength > 0) {
+                block.fill(0, blockLength);
+                Poly1305.processBlock(h, r, block, 16);
+                blockLength = 0;
+            }
+        }
+
+        if (blockLength > 0) {
+            Poly1305.processBlock(h, r, block, blockLength);
+        }
+
+        return Poly1305.finish(h, key.subarray(16, 32));
+    }
+
+    /**
+     * Добавляет блок к аккумулятору и умножает его на r по модулю 2^130 - 5.
+     *
+     * @static
+     * @param {number[]} h - Аккумулятор (изменяется на месте)
+     * @param {number[]} r - Ключ r
+     * @param {Uint8Array} block - Блок данных
+     * @param {number} length - Длина блока (неполный блок дополняется байтом 0x01 и нулями)
+     * @returns {void}
+     * @private
+     */
+    static processBlock(h, r, block, length) {
+        const padded = new Uint8Array(17);
+        padded.set(block.subarray(0, length));
+        padded[length] = 1;
+
+        const m = Poly1305.toLimbs(padded, 0, 17);
+        for (let i = 0; i < 10; i++) {
+            h[i] += m[i];
+        }
+
+        const d = new Array(10);
+        for (let i = 0; i < 10; i++) {
+            let sum = 0;
+            for (let j = 0; j < 10; j++) {
+                // Разряды выше 2^130 сворачиваются умножением на 5, так как 2^130 = 5 (mod p)
+                sum += h[j] * (j <= i ? r[i - j] : 5 * r[i + 10 - j]);
+            }
+            d[i] = sum;
+        }
+
+        let carry = 0;
+        for (let i = 0; i < 10; i++) {
+            d[i] += carry;
+            carry = Math.floor(d[i] / LIMB);
+            d[i] -= carry * LIMB;
+        }
+
+        d[0] += carry * 5;
+        carry = d[0] >>> 13;
+        d[0] &= LIMB_MASK;
+        d[1] += carry;
+
+        for (let i = 0; i < 10; i++) {
+            h[i] = d[i];
+        }
+    }
+
+    /**
+     * Полностью приводит аккумулятор по модулю 2^130 - 5 и прибавляет s.
+     *
+     * @static
+     * @param {number[]} h - Аккумулятор
+     * @param {Uint8Array} s - Вторая половина ключа (16 байт)
+     * @returns {Uint8Array} - 16 байт тега
+     * @private
+     */
+    static finish(h, s) {
+        // Два прохода переносов: после первого в h[1] может остаться лишний бит
+        let carry;
+        for (let pass = 0; pass < 2; pass++) {
+            carry = 0;
+            for (let i = 0; i < 10; i++) {
+                h[i] += carry;
+                carry = h[i] >>> 13;
+                h[i] &= LIMB_MASK;
+            }
+            h[0] += carry * 5;
+        }
+
+        // g = h + 5 - 2^130: если не отрицательно, то h >= p и результатом будет g
+        const g = new Array(10);
+        carry = 5;
+        for (let i = 0; i < 10; i++) {
+            g[i] = h[i] + carry;
+            carry = g[i] >>> 13;
+            g[i] &= LIMB_MASK;
+        }
+        const value = carry ? g : h;
+
+        // Значение по модулю 2^128 в виде восьми 16-битных слов
+        const words = [
+            value[0] | (value[1] << 13),
+            (value[1] >>> 3) | (value[2] << 10),
+            (value[2] >>> 6) | (value[3] << 7),
+            (value[3] >>> 9) | (value[4] << 4),
+            (value[4] >>> 12) | (value[5] << 1) | (value[6] << 14),
+            (value[6] >>> 2) | (value[7] << 11),
+            (value[7] >>> 5) | (value[8] << 8),
+            (value[8] >>> 8) | (value[9] << 5),
+        ];
+
+        const tag = new Uint8Array(16);
+        carry = 0;
+        for (let i = 0; i < 8; i++) {
+            const sum = (words[i] & 0xffff) + (s[i * 2] | (s[i * 2 + 1] << 8)) + carry;
+            carry = sum >>> 16;
+            tag[i * 2] = sum;
+            tag[i * 2 + 1] = sum >>> 8;
+        }
+
+        return tag;
+    }
+
+    /**
+     * Разбивает число little-endian на десять 13-битных разрядов.
+     *
+     * @static
+     * @param {Uint8Array} bytes - Массив байт
+     * @param {number} offset - Смещение
+     * @param {number} length - Количество байт (не более 17)
+     * @returns {number[]} - Разряды
+     * @private
+     */
+    static toLimbs(bytes, offset, length) {
+        const limbs = new Array(10).fill(0);
+
+        for (let i = 0; i < length; i++) {
+            const bit = i * 8;
+            const limb = Math.floor(bit / 13);
+            const shift = bit % 13;
+            const value = bytes[offset + i] * (1 << shift);
+
+            limbs[limb] += value & LIMB_MASK;
+            // Байт занимает не более 20 бит от начала разряда, то есть не более двух разрядов
+            if (limb + 1 < 10) {
+                limbs[limb + 1] += value >>> 13;
+            }
+        }
+
+        return limbs;
+    }
+}
+
+export {Poly1305};
@@ -0,0 +1,134 @@
+import {Pbkdf2} from './Pbkdf2.js';
+
+/**
+ * Класс Scrypt - функция формирования ключа scrypt (RFC 7914) на чистом JavaScript.
+ * Требует 128 * N * r байт памяти, что затрудняет подбор пароля на специализированном оборудовании.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const key = Scrypt.derive(password, salt, 32768, 8, 1, 32);
+ */
+class Scrypt {
+    /**
+     * Формирует ключ из пароля и соли.
+     *
+     * @static
+     * @param {Uint8Array} password - Пароль
+     * @param {Uint8Array} salt - Соль
+     * @param {number} N - Параметр стоимости (степень двойки)
+     * @param {number} r - Размер блока
+     * @param {number} p - Параметр параллельности
+     * @param {number} length - Длина ключа в байтах
+     * @returns {Uint8Array} - Ключ
+     */
+    static derive(password, salt, N, r, p, length) {
+        const blockWords = 32 * r;
+        const blocks = Pbkdf2.derive(password, salt, 1, p * blockWords * 4);
+        const view = new DataView(blocks.buffer);
+
+        const x = new Uint32Array(blockWords);
+        const y = new Uint32Array(blockWords);
+        const v = new Uint32Array(blockWords * N);
+        const t = new Uint32Array(16);
+
+        for (let block = 0; block < p; block++) {
+            const offset = block * blockWords * 4;
+
+            for (let i = 0; i < blockWords; i++) {
+                x[i] = view.getUint32(offset + i * 4, true);
+            }
+
+            // ROMix: заполнение таблицы V и зависящие от данных обращения к ней
+            for (let i = 0; i < N; i++) {
+                v.set(x, i * blockWords);
+                Scrypt.blockMix(x, y, t, r);
+            }
+            for (let i = 0; i < N; i++) {
+                const j = x[(2 * r - 1) * 16] & (N - 1);
+                for (let k = 0; k < blockWords; k++) {
+                    x[k] ^= v[j * blockWords + k];
+                }
+                Scrypt.blockMix(x, y, t, r);
+            }
+
+            for (let i = 0; i < blockWords; i++) {
+                view.setUint32(offset + i * 4, x[i], true);
+            }
+        }
+
+        return Pbkdf2.derive(password, blocks, 1, length);
+    }
+
+    /**
+     * BlockMix: перемешивает блок из 2r частей по 64 байта функцией Salsa20/8.
+     *
+     * @static
+     * @param {Uint32Array} b - Блок (изменяется на месте)
+     * @param {Uint32Array} y - Рабочий буфер размера блока
+     * @param {Uint32Array} t - Рабочий буфер (16 слов)
+     * @param {number} r - Размер блока
+     * @returns {void}
+     * @private
+     */
+    static blockMix(b, y, t, r) {
+        t.set(b.subarray((2 * r - 1) * 16, 2 * r * 16));
+
+        for (let i = 0; i < 2 * r; i++) {
+            for (let k = 0; k < 16; k++) {
+                t[k] ^= b[i * 16 + k];
+            }
+            Scrypt.salsa20(t);
+            y.set(t, i * 16);
+        }
+
+        // Четные части в первую половину блока, нечетные - во вторую
+        for (let i = 0; i < r; i++) {
+            b.set(y.subarray(2 * i * 16, (2 * i + 1) * 16), i * 16);
+            b.set(y.subarray((2 * i + 1) * 16, (2 * i + 2) * 16), (r + i) * 16);
+        }
+    }
+
+    /**
+     * Функция Salsa20/8 (8 раундов) над 16 словами.
+     *
+     * @static
+     * @param {Uint32Array} b - 16 слов (изменяются на месте)
+     * @returns {void}
+     * @private
+     */
+    static salsa20(b) {
+        const x = Uint32Array.from(b);
+        const R = (a, n) => (a << n) | (a >>> (32 - n));
+
+        for (let i = 0; i < 8; i += 2) {
+            // Столбцы
+            x[4] ^= R(x[0] + x[12], 7); x[8] ^= R(x[4] + x[0], 9);
+            x[12] ^= R(x[8] + x[4], 13); x[0] ^= R(x[12] + x[8], 18);
+            x[9] ^= R(x[5] + x[1], 7); x[13] ^= R(x[9] + x[5], 9);
+            x[1] ^= R(x[13] + x[9], 13); x[5] ^= R(x[1] + x[13], 18);
+            x[14] ^= R(x[10] + x[6], 7); x[2] ^= R(x[14] + x[10], 9);
+            x[6] ^= R(x[2] + x[14], 13); x[10] ^= R(x[6] + x[2], 18);
+            x[3] ^= R(x[15] + x[11], 7); x[7] ^= R(x[3] + x[15], 9);
+            x[11] ^= R(x[7] + x[3], 13); x[15] ^= R(x[11] + x[7], 18);
+            // Строки
+            x[1] ^= R(x[0] + x[3], 7); x[2] ^= R(x[1] + x[0], 9);
+            x[3] ^= R(x[2] + x[1], 13); x[0] ^= R(x[3] + x[2], 18);
+            x[6] ^= R(x[5] + x[4], 7); x[7] ^= R(x[6] + x[5], 9);
+            x[4] ^= R(x[7] + x[6], 13); x[5] ^= R(x[4] + x[7], 18);
+            x[11] ^= R(x[10] + x[9], 7); x[8] ^= R(x[11] + x[10], 9);
+            x[9] ^= R(x[8] + x[11], 13); x[10] ^= R(x[9] + x[8], 18);
+            x[12] ^= R(x[15] + x[14], 7); x[13] ^= R(x[12] + x[15], 9);
+            x[14] ^= R(x[13] + x[12], 13); x[15] ^= R(x[14] + x[13], 18);
+        }
+
+        for (let i = 0; i < 16; i++) {
+            b[i] += x[i];
+        }
+    }
+}
+
+export {Scrypt};
@@ -0,0 +1,162 @@
+// Константы раундов SHA-256: дробные части кубических корней первых 64 простых чисел
+const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+// Начальное состояние: дробные части квадратных корней первых 8 простых чисел
+const INITIAL_STATE = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+];
+
+// Размер блока SHA-256 в байтах
+const BLOCK_LENGTH = 64;
+
+/**
+ * Класс Sha256 - синхронная реализация SHA-256 (FIPS 180-4) на чистом JavaScript.
+ * Используется там, где нужен криптографический хэш без асинхронного WebCrypto.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const hash = Sha256.digest(new TextEncoder().encode('abc'));
+ * console.log(hash.length); // 32
+ */
+class Sha256 {
+    /**
+     * Размер блока в байтах (нужен HMAC)
+     * @static
+     * @type {number}
+     */
+    static blockLength = BLOCK_LENGTH;
+
+    /**
+     * Длина хэша в байтах
+     * @static
+     * @type {number}
+     */
+    static digestLength = 32;
+
+    /**
+     * Вычисляет SHA-256 от одного или нескольких массивов байт, записанных подряд.
+     *
+     * @static
+     * @param {...Uint8Array} parts - Данные для хэширования
+     * @returns {Uint8Array} - 32 байта хэша
+     * @example
+     * const hash = Sha256.digest(header, body);
+     */
+    static digest(...parts) {
+        const state = Uint32Array.from(INITIAL_STATE);
+        const words = new Uint32Array(64);
+        const block = new Uint8Array(BLOCK_LENGTH);
+
+        let blockLength = 0;
+        let totalLength = 0;
+
+        for (const part of parts) {
+            totalLength += part.length;
+
+            let offset = 0;
+            while (offset < part.length) {
+                const count = Math.min(BLOCK_LENGTH - blockLength, part.length - offset);
+                block.set(part.subarray(offset, offset + count), blockLength);
+                blockLength += count;
+                offset += count;
+
+                if (blockLength === BLOCK_LENGTH) {
+                    Sha256.compress(state, words, block);
+                    blockLength = 0;
+                }
+            }
+        }
+
+        // Дополнение: бит 1, нули и длина сообщения в битах (64 бита big-endian)
+        block[blockLength++] = 0x80;
+        if (blockLength > BLOCK_LENGTH - 8) {
+            block.fill(0, blockLength);
+            Sha256.compress(state, words, block);
+            blockLength = 0;
+        }
+        block.fill(0, blockLength);
+
+        const view = new DataView(block.buffer);
+        view.setUint32(BLOCK_LENGTH - 8, Math.floor(totalLength / 0x20000000));
+        view.setUint32(BLOCK_LENGTH - 4, (totalLength << 3) >>> 0);
+        Sha256.compress(state, words, block);
+
+        const result = new Uint8Array(32);
+        const resultView = new DataView(result.buffer);
+        for (let i = 0; i < 8; i++) {
+            resultView.setUint32(i * 4, state[i]);
+        }
+
+        return result;
+    }
+
+    /**
+     * Обрабатывает один 64-байтовый блок.
+     *
+     * @static
+     * @param {Uint32Array} state - Состояние (изменяется на месте)
+     * @param {Uint32Array} words - Буфер расписания сообщения (64 слова)
+     * @param {Uint8Array} block - Блок данных
+     * @returns {void}
+     * @private
+     */
+    static compress(state, words, block) {
+        for (let i = 0; i < 16; i++) {
+            const j = i * 4;
+            words[i] = (block[j] << 24) | (block[j + 1] << 16) | (block[j + 2] << 8) | block[j + 3];
+        }
+
+        for (let i = 16; i < 64; i++) {
+            const w15 = words[i - 15];
+            const w2 = words[i - 2];
+            const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+            const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+            words[i] = (words[i - 16] + s0 + words[i - 7] + s1) | 0;
+        }
+
+        let a = state[0], b = state[1], c = state[2], d = state[3];
+        let e = state[4], f = state[5], g = state[6], h = state[7];
+
+        for (let i = 0; i < 64; i++) {
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const ch = (e & f) ^ (~e & g);
+            const temp1 = (h + S1 + ch + K[i] + words[i]) | 0;
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (S0 + maj) | 0;
+
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) | 0;
+        }
+
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        state[5] += f;
+        state[6] += g;
+        state[7] += h;
+    }
+}
+
+export {Sha256};
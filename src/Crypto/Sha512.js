@@ -0,0 +1,222 @@
+// Константы раундов SHA-512: дробные части кубических корней первых 80 простых чисел
+// (пары 32-битных слов: старшее, младшее)
+const K = new Uint32Array([
+    0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+    0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+    0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+    0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+    0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+    0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+    0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+    0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+    0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+    0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+    0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+    0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+    0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+    0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+    0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+    0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+    0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+    0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+    0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+    0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817,
+]);
+
+// Начальное состояние: дробные части квадратных корней первых 8 простых чисел
+const INITIAL_STATE = [
+    0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+    0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f, 0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179,
+];
+
+// Размер блока SHA-512 в байтах
+const BLOCK_LENGTH = 128;
+
+/**
+ * Класс Sha512 - синхронная реализация SHA-512 (FIPS 180-4) на чистом JavaScript.
+ * 64-битные слова хранятся парами 32-битных половин. Нужен подписям Ed25519.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const hash = Sha512.digest(new TextEncoder().encode('abc'));
+ * console.log(hash.length); // 64
+ */
+class Sha512 {
+    /**
+     * Размер блока в байтах
+     * @static
+     * @type {number}
+     */
+    static blockLength = BLOCK_LENGTH;
+
+    /**
+     * Длина хэша в байтах
+     * @static
+     * @type {number}
+     */
+    static digestLength = 64;
+
+    /**
+     * Вычисляет SHA-512 от одного или нескольких массивов байт, записанных подряд.
+     *
+     * @static
+     * @param {...Uint8Array} parts - Данные для хэширования
+     * @returns {Uint8Array} - 64 байта хэша
+     * @example
+     * const hash = Sha512.digest(prefix, message);
+     */
+    static digest(...parts) {
+        const state = Uint32Array.from(INITIAL_STATE);
+        const words = new Uint32Array(160);
+        const block = new Uint8Array(BLOCK_LENGTH);
+
+        let blockLength = 0;
+        let totalLength = 0;
+
+        for (const part of parts) {
+            totalLength += part.length;
+
+            let offset = 0;
+            while (offset < part.length) {
+                const count = Math.min(BLOCK_LENGTH - blockLength, part.length - offset);
+                block.set(part.subarray(offset, offset + count), blockLength);
+                blockLength += count;
+                offset += count;
+
+                if (blockLength === BLOCK_LENGTH) {
+                    Sha512.compress(state, words, block);
+                    blockLength = 0;
+                }
+            }
+        }
+
+        // Дополнение: бит 1, нули и длина сообщения в битах (128 бит big-endian)
+        block[blockLength++] = 0x80;
+        if (blockLength > BLOCK_LENGTH - 16) {
+            block.fill(0, blockLength);
+            Sha512.compress(state, words, block);
+            blockLength = 0;
+        }
+        block.fill(0, blockLength);
+
+        const view = new DataView(block.buffer);
+        view.setUint32(BLOCK_LENGTH - 8, Math.floor(totalLength / 0x20000000));
+        view.setUint32(BLOCK_LENGTH - 4, (totalLength << 3) >>> 0);
+        Sha512.compress(state, words, block);
+
+        const result = new Uint8Array(64);
+        const resultView = new DataView(result.buffer);
+        for (let i = 0; i < 16; i++) {
+            resultView.setUint32(i * 4, state[i]);
+        }
+
+        return result;
+    }
+
+    /**
+     * Обрабатывает один 128-байтовый блок. Слово i хранится в элементах 2i (старшая половина)
+     * и 2i + 1 (младшая половина).
+     *
+     * @static
+     * @param {Uint32Array} state - Состояние из 16 половин (изменяется на месте)
+     * @param {Uint32Array} words - Буфер расписания сообщения (160 половин)
+     * @param {Uint8Array} block - Блок данных
+     * @returns {void}
+     * @private
+     */
+    static compress(state, words, block) {
+        for (let i = 0; i < 32; i++) {
+            const j = i * 4;
+            words[i] = (block[j] << 24) | (block[j + 1] << 16) | (block[j + 2] << 8) | block[j + 3];
+        }
+
+        for (let i = 32; i < 160; i += 2) {
+            // sigma0 = rotr(w15, 1) ^ rotr(w15, 8) ^ (w15 >>> 7)
+            const h15 = words[i - 30], l15 = words[i - 29];
+            const s0h = ((h15 >>> 1) | (l15 << 31)) ^ ((h15 >>> 8) | (l15 << 24)) ^ (h15 >>> 7);
+            const s0l = ((l15 >>> 1) | (h15 << 31)) ^ ((l15 >>> 8) | (h15 << 24)) ^ ((l15 >>> 7) | (h15 << 25));
+
+            // sigma1 = rotr(w2, 19) ^ rotr(w2, 61) ^ (w2 >>> 6)
+            const h2 = words[i - 4], l2 = words[i - 3];
+            const s1h = ((h2 >>> 19) | (l2 << 13)) ^ ((l2 >>> 29) | (h2 << 3)) ^ (h2 >>> 6);
+            const s1l = ((l2 >>> 19) | (h2 << 13)) ^ ((h2 >>> 29) | (l2 << 3)) ^ ((l2 >>> 6) | (h2 << 26));
+
+            const low = (s0l >>> 0) + (s1l >>> 0) + words[i - 13] + words[i - 31];
+            words[i] = s0h + s1h + words[i - 14] + words[i - 32] + Math.floor(low / 0x100000000);
+            words[i + 1] = low;
+        }
+
+        let ah = state[0], al = state[1], bh = state[2], bl = state[3];
+        let ch = state[4], cl = state[5], dh = state[6], dl = state[7];
+        let eh = state[8], el = state[9], fh = state[10], fl = state[11];
+        let gh = state[12], gl = state[13], hh = state[14], hl = state[15];
+
+        for (let i = 0; i < 160; i += 2) {
+            // Sigma1 = rotr(e, 14) ^ rotr(e, 18) ^ rotr(e, 41)
+            const S1h = ((eh >>> 14) | (el << 18)) ^ ((eh >>> 18) | (el << 14)) ^ ((el >>> 9) | (eh << 23));
+            const S1l = ((el >>> 14) | (eh << 18)) ^ ((el >>> 18) | (eh << 14)) ^ ((eh >>> 9) | (el << 23));
+            const chh = (eh & fh) ^ (~eh & gh);
+            const chl = (el & fl) ^ (~el & gl);
+
+            const t1l = (hl >>> 0) + (S1l >>> 0) + (chl >>> 0) + K[i + 1] + words[i + 1];
+            const t1h = (hh + S1h + chh + K[i] + words[i] + Math.floor(t1l / 0x100000000)) >>> 0;
+
+            // Sigma0 = rotr(a, 28) ^ rotr(a, 34) ^ rotr(a, 39)
+            const S0h = ((ah >>> 28) | (al << 4)) ^ ((al >>> 2) | (ah << 30)) ^ ((al >>> 7) | (ah << 25));
+            const S0l = ((al >>> 28) | (ah << 4)) ^ ((ah >>> 2) | (al << 30)) ^ ((ah >>> 7) | (al << 25));
+            const majh = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+            const majl = (al & bl) ^ (al & cl) ^ (bl & cl);
+
+            const t2l = (S0l >>> 0) + (majl >>> 0);
+            const t2h = (S0h + majh + Math.floor(t2l / 0x100000000)) >>> 0;
+
+            hh = gh; hl = gl;
+            gh = fh; gl = fl;
+            fh = eh; fl = el;
+
+            const el2 = (dl >>> 0) + (t1l >>> 0);
+            eh = (dh + t1h + Math.floor(el2 / 0x100000000)) >>> 0;
+            el = el2 >>> 0;
+
+            dh = ch; dl = cl;
+            ch = bh; cl = bl;
+            bh = ah; bl = al;
+
+            const al2 = (t1l >>> 0) + (t2l >>> 0);
+            ah = (t1h + t2h + Math.floor(al2 / 0x100000000)) >>> 0;
+            al = al2 >>> 0;
+        }
+
+        Sha512.add(state, 0, ah, al);
+        Sha512.add(state, 2, bh, bl);
+        Sha512.add(state, 4, ch, cl);
+        Sha512.add(state, 6, dh, dl);
+        Sha512.add(state, 8, eh, el);
+        Sha512.add(state, 10, fh, fl);
+        Sha512.add(state, 12, gh, gl);
+        Sha512.add(state, 14, hh, hl);
+    }
+
+    /**
+     * Прибавляет 64-битное слово к слову состояния по модулю 2^64.
+     *
+     * @static
+     * @param {Uint32Array} state - Состояние
+     * @param {number} index - Индекс старшей половины слова
+     * @param {number} high - Старшая половина слагаемого
+     * @param {number} low - Младшая половина слагаемого
+     * @returns {void}
+     * @private
+     */
+    static add(state, index, high, low) {
+        const sum = state[index + 1] + (low >>> 0);
+        state[index] += high + Math.floor(sum / 0x100000000);
+        state[index + 1] = sum;
+    }
+}
+
+export {Sha512};
@@ -0,0 +1,183 @@
+// Модуль поля Curve25519: 2^255 - 19
+const P = (1n << 255n) - 19n;
+
+// Константа (A - 2) / 4 лестницы Монтгомери для A = 486662
+const A24 = 121665n;
+
+// Длина ключей и общего секрета в байтах
+const KEY_LENGTH = 32;
+
+/**
+ * Класс X25519 - согласование ключей на кривой Curve25519 (RFC 7748) на чистом JavaScript.
+ * Вычисления выполняются через BigInt и не защищены от атак по времени выполнения,
+ * поэтому в Node.js предпочтительнее node:crypto (см. Envelope).
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const publicKey = X25519.publicKey(privateKey);
+ * const shared = X25519.sharedSecret(privateKey, peerPublicKey);
+ */
+class X25519 {
+    /**
+     * Длина закрытого и открытого ключей в байтах
+     * @static
+     * @type {number}
+     */
+    static keyLength = KEY_LENGTH;
+
+    /**
+     * Вычисляет открытый ключ по закрытому.
+     *
+     * @static
+     * @param {Uint8Array} privateKey - Закрытый ключ (32 байта)
+     * @returns {Uint8Array} - Открытый ключ (32 байта)
+     */
+    static publicKey(privateKey) {
+        const base = new Uint8Array(KEY_LENGTH);
+        base[0] = 9;
+
+        return X25519.sharedSecret(privateKey, base);
+    }
+
+    /**
+     * Вычисляет общий секрет: умножение точки открытого ключа собеседника на закрытый ключ.
+     *
+     * @static
+     * @param {Uint8Array} privateKey - Закрытый ключ (32 байта)
+     * @param {Uint8Array} publicKey - Открытый ключ собеседника (32 байта)
+     * @returns {Uint8Array} - Общий секрет (32 байта)
+     */
+    static sharedSecret(privateKey, publicKey) {
+        // Закрытый ключ приводится к кратному 8 числу со старшим битом 254
+        const scalar = Uint8Array.from(privateKey);
+        scalar[0] &= 248;
+        scalar[31] &= 127;
+        scalar[31] |= 64;
+
+        const point = Uint8Array.from(publicKey);
+        point[31] &= 127;
+
+        const k = X25519.toNumber(scalar);
+        const x1 = X25519.toNumber(point) % P;
+
+        // Лестница Монтгомери (RFC 7748, раздел 5)
+        let x2 = 1n;
+        let z2 = 0n;
+        let x3 = x1;
+        let z3 = 1n;
+        let swap = 0n;
+
+        for (let t = 254n; t >= 0n; t--) {
+            const bit = (k >> t) & 1n;
+            swap ^= bit;
+            if (swap) {
+                [x2, x3] = [x3, x2];
+                [z2, z3] = [z3, z2];
+            }
+            swap = bit;
+
+            const a = X25519.mod(x2 + z2);
+            const aa = X25519.mod(a * a);
+            const b = X25519.mod(x2 - z2);
+            const bb = X25519.mod(b * b);
+            const e = X25519.mod(aa - bb);
+            const c = X25519.mod(x3 + z3);
+            const d = X25519.mod(x3 - z3);
+            const da = X25519.mod(d * a);
+            const cb = X25519.mod(c * b);
+
+            x3 = X25519.mod((da + cb) ** 2n);
+            z3 = X25519.mod(x1 * X25519.mod((da - cb) ** 2n));
+            x2 = X25519.mod(aa * bb);
+            z2 = X25519.mod(e * (aa + A24 * e));
+        }
+
+        if (swap) {
+            [x2, x3] = [x3, x2];
+            [z2, z3] = [z3, z2];
+        }
+
+        return X25519.toBytes(X25519.mod(x2 * X25519.pow(z2, P - 2n)));
+    }
+
+    /**
+     * Приводит число по модулю поля.
+     *
+     * @static
+     * @param {bigint} value - Число
+     * @returns {bigint} - Число от 0 до P - 1
+     * @private
+     */
+    static mod(value) {
+        const result = value % P;
+
+        return result < 0n ? result + P : result;
+    }
+
+    /**
+     * Возводит число в степень по модулю поля.
+     *
+     * @static
+     * @param {bigint} base - Основание
+     * @param {bigint} exponent - Показатель
+     * @returns {bigint} - Результат
+     * @private
+     */
+    static pow(base, exponent) {
+        let result = 1n;
+
+        while (exponent > 0n) {
+            if (exponent & 1n) {
+                result = X25519.mod(result * base);
+            }
+
+            base = X25519.mod(base * base);
+            exponent >>= 1n;
+        }
+
+        return result;
+    }
+
+    /**
+     * Читает 32 байта как число в порядке little-endian.
+     *
+     * @static
+     * @param {Uint8Array} bytes - Байты
+     * @returns {bigint} - Число
+     * @private
+     */
+    static toNumber(bytes) {
+        let result = 0n;
+
+        for (let i = bytes.length - 1; i >= 0; i--) {
+            result = (result << 8n) | BigInt(bytes[i]);
+        }
+
+        return result;
+    }
+
+    /**
+     * Записывает число в 32 байта в порядке little-endian.
+     *
+     * @static
+     * @param {bigint} value - Число
+     * @returns {Uint8Array} - Байты
+     * @private
+     */
+    static toBytes(value) {
+        const bytes = new Uint8Array(KEY_LENGTH);
+
+        for (let i = 0; i < KEY_LENGTH; i++) {
+            bytes[i] = Number(value & 0xFFn);
+            value >>= 8n;
+        }
+
+        return bytes;
+    }
+}
+
+export {X25519};
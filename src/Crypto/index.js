@@ -0,0 +1,11 @@
+export * from './Sha256.js'
+export * from './Hmac.js'
+export * from './Pbkdf2.js'
+export * from './Hkdf.js'
+export * from './Scrypt.js'
+export * from './ChaCha20.js'
+export * from './Poly1305.js'
+export * from './ChaCha20Poly1305.js'
+export * from './X25519.js'
+export * from './Sha512.js'
+export * from './Ed25519.js'
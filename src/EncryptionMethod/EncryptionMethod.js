@@ -1,4 +1,14 @@
-import {AvailableMethods, AvailableMethodsName} from './Methods/index.js';
+import {AvailableMethods, AvailableMethodsName, MethodInterface} from './Methods/index.js';
+import {Runtime} from '../Utils/index.js';
+import {Hmac} from '../Crypto/index.js';
+import {PackKey} from '../PackKey/index.js';
+
+// Метка, отделяющая ключ кода аутентификации от ключа шифрования
+const MAC_KEY_LABEL = 'binary-pack integrity';
+
+// Максимальный код метода шифрования (поле заголовка - 1 байт, код 0 означает данные без шифрования,
+// код 255 - пакет со скрытыми метаданными)
+const MAX_METHOD_CODE = 254;
 
 /**
  * Класс EncryptionMethod предоставляет абстракцию для работы с различными методами шифрования.
@@ -20,16 +30,17 @@ class EncryptionMethod {
      * Создает экземпляр EncryptionMethod с указанным секретным ключом.
      *
      * @constructor
-     * @param {string|null} secret - Секретный ключ, используемый для шифрования и дешифрования
+     * @param {string|Uint8Array|PackKey|null} secret - Секретный ключ, ключ PackKey или ключ, сформированный
+     *                                                функцией формирования ключа (массив не копируется)
      * @param {number} metaLength - Количество байт метаданных
      */
     constructor(secret, metaLength) {
         /**
-         * Секретный ключ, используемый для шифрования и дешифрования
-         * @type {string}
+         * Ключ, используемый для шифрования и дешифрования
+         * @type {PackKey|null}
          * @private
          */
-        this.secret = secret;
+        this.key = secret === null || secret instanceof PackKey ? secret : new PackKey(secret);
 
         /**
          * Сдвиг данных в буфере
@@ -44,40 +55,232 @@ class EncryptionMethod {
          * @private
          */
         this.methods = AvailableMethods;
+
+        /**
+         * Экземпляры методов шифрования без ключа (для свойств методов: overhead, authenticated)
+         * @type {Map<number, MethodInterface>}
+         * @private
+         */
+        this.instances = new Map();
+
+        /**
+         * Модуль node:crypto или null вне Node.js
+         * @type {Object|null}
+         * @private
+         */
+        this.nodeCrypto = Runtime.nodeModule('node:crypto');
+    }
+
+    /**
+     * Регистрирует пользовательский метод шифрования для всех экземпляров. Метод сразу становится
+     * доступен по имени при шифровании, по коду при дешифровании и при проверке параметров BinaryPack.
+     *
+     * @static
+     * @param {{code: number, name: string, instance: Function}} method - Код (1-254), имя и класс-наследник
+     *                                                                  MethodInterface
+     * @returns {void}
+     * @throws {Error} При некорректных параметрах, классе без реализации шифрования или повторной регистрации
+     *                 кода или имени
+     * @example
+     * EncryptionMethod.register({ code: 200, name: 'in-house', instance: InHouseCipher });
+     */
+    static register(method) {
+        const {code, name, instance} = method || {};
+
+        if (!Number.isInteger(code) || code < 1 || code > MAX_METHOD_CODE) {
+            throw new Error(`Код метода шифрования должен быть целым числом от 1 до ${MAX_METHOD_CODE}: ${code}`);
+        }
+
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('Имя метода шифрования должно быть непустой строкой');
+        }
+
+        if (typeof instance !== 'function' || !(instance.prototype instanceof MethodInterface)) {
+            throw new Error(`Класс метода шифрования ${name} должен наследовать MethodInterface`);
+        }
+
+        // Метод реализует шифрование на месте (encrypt/decrypt) или с изменением длины данных (seal/open)
+        const prototype = MethodInterface.prototype;
+        const overrides = (...names) => names.every((key) => instance.prototype[key] !== prototype[key]);
+
+        if (!overrides('encrypt', 'decrypt') && !overrides('seal', 'open')) {
+            throw new Error(`Класс метода шифрования ${name} должен реализовать encrypt и decrypt или seal и open`);
+        }
+
+        if (AvailableMethods.some((existMethod) => existMethod.code === code)) {
+            throw new Error(`Код метода шифрования ${code} уже зарегистрирован`);
+        }
+
+        if (AvailableMethods.some((existMethod) => existMethod.name === name)) {
+            throw new Error(`Метод шифрования ${name} уже зарегистрирован`);
+        }
+
+        AvailableMethods.push(Object.freeze({code, name, instance}));
+    }
+
+    /**
+     * Вычисляет код аутентификации HMAC-SHA256 от данных, записанных подряд. Ключ кода -
+     * HMAC-SHA256 от секрета с отдельной меткой, поэтому он не совпадает с ключом шифрования.
+     *
+     * @param {...Uint8Array} parts - Данные (например, заголовок и зашифрованные данные)
+     * @returns {Uint8Array} - 32 байта кода аутентификации
+     * @example
+     * const mac = encryptor.mac(header, body);
+     */
+    mac(...parts) {
+        const macKey = this.key.subkey(MAC_KEY_LABEL, (bytes) => Hmac.sign(bytes, new TextEncoder().encode(MAC_KEY_LABEL))).bytes;
+
+        if (this.nodeCrypto) {
+            const hmac = this.nodeCrypto.createHmac('sha256', macKey);
+            parts.forEach((part) => hmac.update(part));
+
+            return new Uint8Array(hmac.digest());
+        }
+
+        return Hmac.sign(macKey, ...parts);
+    }
+
+    /**
+     * Проверяет, что метод сам обеспечивает проверку подлинности (шифрование с аутентификацией).
+     *
+     * @param {string|null} method - Название метода шифрования
+     * @returns {boolean} - true для методов с аутентификацией
+     */
+    isAuthenticated(method) {
+        const code = this.getEncryptionMethodCode(method);
+
+        return code ? this.getInstance(code).authenticated : false;
+    }
+
+    /**
+     * Шифрует данные методом с указанным именем и возвращает результат в новом массиве.
+     * В отличие от encrypt() поддерживает методы, изменяющие длину данных (например, AES-GCM).
+     *
+     * @param {Uint8Array} data - Данные для шифрования (не изменяются)
+     * @param {string} method - Название метода шифрования
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные (заголовок)
+     * @returns {Uint8Array} - Зашифрованные данные
+     * @throws {Error} Если метод не найден или недоступен синхронно
+     * @example
+     * const sealed = encryptor.seal(body, 'aes-256-gcm', header);
+     */
+    seal(data, method, aad) {
+        return this.getInstance(this.getEncryptionMethodCode(method)).seal(data, aad);
+    }
+
+    /**
+     * Асинхронная версия seal().
+     *
+     * @param {Uint8Array} data - Данные для шифрования (не изменяются)
+     * @param {string} method - Название метода шифрования
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные (заголовок)
+     * @returns {Promise<Uint8Array>} - Зашифрованные данные
+     * @throws {Error} Если метод не найден
+     */
+    async sealAsync(data, method, aad) {
+        return this.getInstance(this.getEncryptionMethodCode(method)).sealAsync(data, aad);
+    }
+
+    /**
+     * Дешифрует данные, зашифрованные seal(), методом с указанным кодом.
+     *
+     * @param {Uint8Array} data - Зашифрованные данные (не изменяются)
+     * @param {number} methodCode - Код метода шифрования
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные (заголовок)
+     * @returns {Uint8Array} - Исходные данные
+     * @throws {AuthenticationError} Если метод проверяет подлинность и проверка не пройдена
+     * @throws {Error} Если метод не найден или недоступен синхронно
+     */
+    open(data, methodCode, aad) {
+        return this.getInstance(methodCode).open(data, aad);
+    }
+
+    /**
+     * Асинхронная версия open().
+     *
+     * @param {Uint8Array} data - Зашифрованные данные (не изменяются)
+     * @param {number} methodCode - Код метода шифрования
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные (заголовок)
+     * @returns {Promise<Uint8Array>} - Исходные данные
+     * @throws {AuthenticationError} Если метод проверяет подлинность и проверка не пройдена
+     * @throws {Error} Если метод не найден
+     */
+    async openAsync(data, methodCode, aad) {
+        return this.getInstance(methodCode).openAsync(data, aad);
+    }
+
+    /**
+     * Возвращает количество байт, которое метод добавляет к данным при шифровании.
+     *
+     * @param {string|null} method - Название метода шифрования
+     * @returns {number} - Количество дополнительных байт (0, если метод не найден)
+     */
+    getOverhead(method) {
+        const code = this.getEncryptionMethodCode(method);
+
+        return code ? this.getInstance(code).overhead : 0;
+    }
+
+    /**
+     * Возвращает экземпляр метода шифрования по коду. Экземпляры с ключом хранит PackKey:
+     * расписание ключа вычисляется один раз и переиспользуется всеми вызовами.
+     *
+     * @param {number} methodCode - Код метода шифрования
+     * @returns {MethodInterface} - Экземпляр метода
+     * @throws {Error} Если метод не найден или ключ уничтожен
+     * @private
+     */
+    getInstance(methodCode) {
+        const existMethod = this.methods.find(({code}) => code === methodCode);
+        if (!existMethod) {
+            throw new Error(`Неизвестный код метода шифрования: ${methodCode}`);
+        }
+
+        if (this.key) {
+            return this.key.instance(existMethod);
+        }
+
+        let instance = this.instances.get(methodCode);
+
+        if (!instance) {
+            instance = new existMethod.instance(null);
+            this.instances.set(methodCode, instance);
+        }
+
+        return instance;
     }
 
     /**
      * Шифрует данные в буфере с использованием указанного метода шифрования.
-     * Шифрование применяется только к части данных (начиная с 6-го байта),
+     * Шифрование применяется только к части данных (после метаданных),
      * чтобы сохранить метаданные (заголовок) незашифрованными.
      *
-     * @param {ArrayBuffer} buffer - Буфер данных для шифрования
+     * @param {ArrayBuffer|Uint8Array} buffer - Буфер данных для шифрования (или его часть)
      * @param {string} method - Название метода шифрования (например, 'xor', 'aes-like')
-     * @returns {ArrayBuffer} - Буфер с зашифрованными данными
+     * @param {number} [offset] - Сдвиг начала данных, по умолчанию равен длине метаданных
+     * @returns {ArrayBuffer|Uint8Array} - Буфер с зашифрованными данными
      * @example
      * const buffer = new ArrayBuffer(100);
      * // ... заполнение буфера данными
      * const encrypted = encryptor.encrypt(buffer, 'aes-like');
      */
-    encrypt(buffer, method) {
+    encrypt(buffer, method, offset = this.metaLength) {
         // Поиск метода по имени
-        const existMethod = this.methods.find(({name}) => name === method);
+        const methodCode = this.getEncryptionMethodCode(method);
 
         // Если метод не найден, возвращаем исходный буфер без изменений
-        if (!existMethod) {
+        if (!methodCode) {
             return buffer;
         }
 
-        // Создаем представление для работы с буфером
-        const view = new Uint8Array(buffer);
+        // Создаем представление для работы с буфером (или используем переданное)
+        const view = ArrayBuffer.isView(buffer) ? buffer : new Uint8Array(buffer);
 
         // Выделяем часть данных для шифрования
-        const dataPart = view.subarray(this.metaLength);
+        const dataPart = view.subarray(offset);
 
-        // Создаем экземпляр класса шифрования и применяем шифрование
-        const instance = existMethod.instance;
-        const cl = new instance(this.secret);
-        cl.encrypt(dataPart);
+        // Применяем шифрование экземпляром метода с этим ключом
+        this.getInstance(methodCode).encrypt(dataPart);
 
         return buffer;
     }
@@ -86,31 +289,27 @@ class EncryptionMethod {
      * Дешифрует данные в буфере с использованием метода, указанного по коду.
      * Дешифрование применяется только к части данных, чтобы сохранить метаданные (заголовок).
      *
-     * @param {ArrayBuffer} buffer - Буфер с зашифрованными данными
+     * @param {ArrayBuffer|Uint8Array} buffer - Буфер с зашифрованными данными (или его часть)
      * @param {number} methodCode - Код метода шифрования (например, 1, 2, 3)
-     * @returns {ArrayBuffer} - Буфер с дешифрованными данными
+     * @param {number} [offset] - Сдвиг начала данных, по умолчанию равен длине метаданных
+     * @returns {ArrayBuffer|Uint8Array} - Буфер с дешифрованными данными
      * @example
      * const decrypted = encryptor.decrypt(encryptedBuffer, 3);
      */
-    decrypt(buffer, methodCode = 0) {
-        // Поиск метода по коду
-        const existMethod = this.methods.find(({code}) => code === methodCode);
-
+    decrypt(buffer, methodCode = 0, offset = this.metaLength) {
         // Если метод не найден, возвращаем исходный буфер без изменений
-        if (!existMethod) {
+        if (!this.getEncryptionMethodName(methodCode)) {
             return buffer;
         }
 
-        // Создаем представление для работы с буфером
-        const view = new Uint8Array(buffer);
+        // Создаем представление для работы с буфером (или используем переданное)
+        const view = ArrayBuffer.isView(buffer) ? buffer : new Uint8Array(buffer);
 
         // Выделяем часть данных для дешифрования
-        const dataPart = view.subarray(this.metaLength);
+        const dataPart = view.subarray(offset);
 
-        // Создаем экземпляр класса шифрования и применяем дешифрование
-        const instance = existMethod.instance;
-        const cl = new instance(this.secret);
-        cl.decrypt(dataPart);
+        // Применяем дешифрование экземпляром метода с этим ключом
+        this.getInstance(methodCode).decrypt(dataPart);
 
         return buffer;
     }
@@ -154,4 +353,4 @@ class EncryptionMethod {
     }
 }
 
-export {EncryptionMethod, AvailableMethods, AvailableMethodsName};
\ No newline at end of file
+export {EncryptionMethod, AvailableMethods, AvailableMethodsName, MethodInterface};
\ No newline at end of file
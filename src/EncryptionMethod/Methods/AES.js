@@ -31,7 +31,7 @@ class AES extends MethodInterface {
      * Создает экземпляр AES-шифрования с указанным секретным ключом.
      *
      * @constructor
-     * @param {string} secret - Секретный ключ для шифрования и дешифрования
+     * @param {string|Uint8Array} secret - Секретный ключ: пароль или двоичный ключ
      */
     constructor(secret) {
         // Вызов конструктора родительского класса с именем метода
@@ -39,7 +39,7 @@ class AES extends MethodInterface {
 
         /**
          * Секретный ключ, используемый для шифрования и дешифрования
-         * @type {string}
+         * @type {string|Uint8Array}
          * @private
          */
         this.secret = secret;
@@ -58,7 +58,7 @@ class AES extends MethodInterface {
      */
     encrypt(dataPart) {
         // Преобразование секретного ключа в байты
-        const secretBytes = this.encoder.encode(this.secret);
+        const secretBytes = this.getSecretBytes();
         const rounds = 3;
 
         // Три раунда шифрования
@@ -85,7 +85,7 @@ class AES extends MethodInterface {
      */
     decrypt(dataPart) {
         // Преобразование секретного ключа в байты
-        const secretBytes = this.encoder.encode(this.secret);
+        const secretBytes = this.getSecretBytes();
         const rounds = 3;
 
         // Обратные раунды дешифрования (в обратном порядке)
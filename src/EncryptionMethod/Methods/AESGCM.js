@@ -0,0 +1,366 @@
+import {MethodInterface} from "./_MethodInterface.js";
+import {Runtime, Random} from '../../Utils/index.js';
+import {AuthenticationError} from '../../Errors/index.js';
+
+// Константа с именем метода шифрования
+const METHOD_NAME = 'aes-256-gcm';
+
+// Длина вектора инициализации (96 бит)
+const IV_LENGTH = 12;
+
+// Длина ключа (256 бит)
+const KEY_LENGTH = 32;
+
+// Длина тега аутентификации (128 бит)
+const TAG_LENGTH = 16;
+
+/**
+ * Реализация AES-256-GCM - стандартного шифрования с аутентификацией, наследующая от MethodInterface.
+ * Использует node:crypto в Node.js и WebCrypto (crypto.subtle) в браузерах. Ключ - SHA-256 от пароля,
+ * 256-битный двоичный ключ используется без изменений.
+ *
+ * Для каждого сообщения создается случайный 96-битный вектор инициализации. Результат seal():
+ * [вектор инициализации:12B][шифротекст...][тег аутентификации:16B]. Тег проверяет и шифротекст,
+ * и дополнительные данные (заголовок пакета), поэтому любое изменение приводит к AuthenticationError.
+ *
+ * WebCrypto работает только асинхронно: в браузерах метод доступен в packAsync()/unpackAsync(),
+ * в Node.js - также в pack()/unpack().
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class AESGCM
+ * @extends MethodInterface
+ * @example
+ * const gcm = new AESGCM('my-secret-key');
+ * const sealed = await gcm.sealAsync(data, header);
+ * const opened = await gcm.openAsync(sealed, header);
+ */
+class AESGCM extends MethodInterface {
+    /**
+     * Статическое свойство с именем метода шифрования
+     * @static
+     * @type {string}
+     */
+    static name = METHOD_NAME;
+
+    /**
+     * Создает экземпляр AES-256-GCM с указанным секретным ключом.
+     *
+     * @constructor
+     * @param {string|Uint8Array} secret - Секретный ключ: пароль или двоичный ключ
+     */
+    constructor(secret) {
+        // Вызов конструктора родительского класса с именем метода
+        super(METHOD_NAME);
+
+        /**
+         * Секретный ключ, используемый для шифрования и дешифрования
+         * @type {string|Uint8Array}
+         * @private
+         */
+        this.secret = secret;
+
+        /**
+         * Модуль node:crypto или null вне Node.js
+         * @type {Object|null}
+         * @private
+         */
+        this.nodeCrypto = Runtime.nodeModule('node:crypto');
+
+        /**
+         * Ключ для node:crypto (вычисляется при первом использовании)
+         * @type {Uint8Array|null}
+         * @private
+         */
+        this.rawKey = null;
+
+        /**
+         * Ключ WebCrypto (вычисляется при первом использовании)
+         * @type {Promise<CryptoKey>|null}
+         * @private
+         */
+        this.cryptoKey = null;
+    }
+
+    /**
+     * Количество байт, которое seal() добавляет к данным: вектор инициализации и тег аутентификации.
+     *
+     * @returns {number} - Количество дополнительных байт
+     */
+    get overhead() {
+        return IV_LENGTH + TAG_LENGTH;
+    }
+
+    /**
+     * Метод проверяет подлинность данных и заголовка пакета.
+     *
+     * @returns {boolean} - Всегда true
+     */
+    get authenticated() {
+        return true;
+    }
+
+    /**
+     * Шифрование на месте невозможно: результат длиннее исходных данных.
+     *
+     * @param {Uint8Array} dataPart - Часть данных
+     * @returns {void}
+     * @throws {Error} Всегда
+     */
+    encrypt(dataPart) {
+        throw new Error(`Метод ${METHOD_NAME} не поддерживает шифрование на месте, используйте seal()`);
+    }
+
+    /**
+     * Дешифрование на месте невозможно: зашифрованные данные длиннее исходных.
+     *
+     * @param {Uint8Array} dataPart - Часть данных
+     * @returns {void}
+     * @throws {Error} Всегда
+     */
+    decrypt(dataPart) {
+        throw new Error(`Метод ${METHOD_NAME} не поддерживает дешифрование на месте, используйте open()`);
+    }
+
+    /**
+     * Шифрует данные через node:crypto.
+     *
+     * @param {Uint8Array} data - Данные для шифрования
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные
+     * @returns {Uint8Array} - [вектор инициализации][шифротекст][тег аутентификации]
+     * @throws {Error} Если node:crypto недоступен (браузер)
+     */
+    seal(data, aad) {
+        const crypto = this.requireNodeCrypto('packAsync()');
+        const iv = Random.bytes(IV_LENGTH);
+
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getRawKey(), iv, {authTagLength: TAG_LENGTH});
+        if (aad) {
+            cipher.setAAD(aad);
+        }
+
+        const result = new Uint8Array(IV_LENGTH + data.length + TAG_LENGTH);
+        result.set(iv);
+
+        const encrypted = cipher.update(data);
+        result.set(encrypted, IV_LENGTH);
+        result.set(cipher.final(), IV_LENGTH + encrypted.length);
+        result.set(cipher.getAuthTag(), IV_LENGTH + data.length);
+
+        return result;
+    }
+
+    /**
+     * Проверяет тег аутентификации и дешифрует данные через node:crypto.
+     *
+     * @param {Uint8Array} data - [вектор инициализации][шифротекст][тег аутентификации]
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные
+     * @returns {Uint8Array} - Исходные данные
+     * @throws {AuthenticationError} Если данные изменены или ключ неверный
+     * @throws {Error} Если node:crypto недоступен (браузер)
+     */
+    open(data, aad) {
+        const crypto = this.requireNodeCrypto('unpackAsync()');
+        this.checkLength(data);
+
+        const decipher = crypto.createDecipheriv(
+            'aes-256-gcm', this.getRawKey(), data.subarray(0, IV_LENGTH), {authTagLength: TAG_LENGTH},
+        );
+        decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+        if (aad) {
+            decipher.setAAD(aad);
+        }
+
+        try {
+            const decrypted = decipher.update(data.subarray(IV_LENGTH, data.length - TAG_LENGTH));
+            const final = decipher.final();
+
+            const result = new Uint8Array(decrypted.length + final.length);
+            result.set(decrypted);
+            result.set(final, decrypted.length);
+
+            return result;
+        } catch (error) {
+            throw new AuthenticationError(undefined, {cause: error});
+        }
+    }
+
+    /**
+     * Асинхронно шифрует данные: через node:crypto в Node.js, иначе через WebCrypto.
+     *
+     * @param {Uint8Array} data - Данные для шифрования
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные
+     * @returns {Promise<Uint8Array>} - [вектор инициализации][шифротекст][тег аутентификации]
+     */
+    async sealAsync(data, aad) {
+        if (this.nodeCrypto) {
+            return this.seal(data, aad);
+        }
+
+        const iv = Random.bytes(IV_LENGTH);
+        const encrypted = await this.getSubtle().encrypt(
+            this.getParams(iv, aad), await this.getCryptoKey(), data,
+        );
+
+        const result = new Uint8Array(IV_LENGTH + encrypted.byteLength);
+        result.set(iv);
+        result.set(new Uint8Array(encrypted), IV_LENGTH);
+
+        return result;
+    }
+
+    /**
+     * Асинхронно проверяет тег аутентификации и дешифрует данные.
+     *
+     * @param {Uint8Array} data - [вектор инициализации][шифротекст][тег аутентификации]
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные
+     * @returns {Promise<Uint8Array>} - Исходные данные
+     * @throws {AuthenticationError} Если данные изменены или ключ неверный
+     */
+    async openAsync(data, aad) {
+        if (this.nodeCrypto) {
+            return this.open(data, aad);
+        }
+
+        this.checkLength(data);
+        const subtle = this.getSubtle();
+
+        try {
+            const decrypted = await subtle.decrypt(
+                this.getParams(data.slice(0, IV_LENGTH), aad), await this.getCryptoKey(), data.subarray(IV_LENGTH),
+            );
+
+            return new Uint8Array(decrypted);
+        } catch (error) {
+            throw new AuthenticationError(undefined, {cause: error});
+        }
+    }
+
+    /**
+     * Возвращает WebCrypto (crypto.subtle) для асинхронных операций без node:crypto.
+     *
+     * @returns {SubtleCrypto} - crypto.subtle
+     * @throws {Error} Если WebCrypto недоступен
+     * @private
+     */
+    getSubtle() {
+        const webCrypto = Runtime.webCrypto();
+
+        if (!webCrypto) {
+            throw new Error(`Метод ${METHOD_NAME} недоступен: в окружении нет ни node:crypto, ни WebCrypto`);
+        }
+
+        return webCrypto.subtle;
+    }
+
+    /**
+     * Возвращает модуль node:crypto для синхронных операций.
+     *
+     * @param {string} alternative - Асинхронный метод, который можно использовать вместо синхронного
+     * @returns {Object} - Модуль node:crypto
+     * @throws {Error} Если node:crypto недоступен
+     * @private
+     */
+    requireNodeCrypto(alternative) {
+        if (!this.nodeCrypto) {
+            throw new Error(`Метод ${METHOD_NAME} в этом окружении доступен только в ${alternative}`);
+        }
+
+        return this.nodeCrypto;
+    }
+
+    /**
+     * Проверяет, что данные не короче вектора инициализации и тега аутентификации.
+     *
+     * @param {Uint8Array} data - Зашифрованные данные
+     * @returns {void}
+     * @throws {AuthenticationError} Если данные обрезаны
+     * @private
+     */
+    checkLength(data) {
+        if (data.length < IV_LENGTH + TAG_LENGTH) {
+            throw new AuthenticationError('Проверка подлинности не пройдена: данные обрезаны');
+        }
+    }
+
+    /**
+     * Возвращает параметры алгоритма WebCrypto.
+     *
+     * @param {Uint8Array} iv - Вектор инициализации
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные
+     * @returns {Object} - Параметры AES-GCM
+     * @private
+     */
+    getParams(iv, aad) {
+        const params = {name: 'AES-GCM', iv, tagLength: TAG_LENGTH * 8};
+
+        if (aad) {
+            params.additionalData = aad;
+        }
+
+        return params;
+    }
+
+    /**
+     * Возвращает ключ для node:crypto: 256-битный двоичный ключ без изменений, SHA-256 от пароля
+     * или двоичного ключа другой длины.
+     *
+     * @returns {Uint8Array} - 256-битный ключ
+     * @private
+     */
+    getRawKey() {
+        if (!this.rawKey) {
+            this.rawKey = this.hasRawKey()
+                ? this.secret
+                : this.nodeCrypto.createHash('sha256').update(this.getSecretBytes()).digest();
+        }
+
+        return this.rawKey;
+    }
+
+    /**
+     * Возвращает ключ WebCrypto: 256-битный двоичный ключ или SHA-256 от секрета, импортированный для AES-GCM.
+     *
+     * @returns {Promise<CryptoKey>} - Ключ WebCrypto
+     * @private
+     */
+    getCryptoKey() {
+        if (!this.cryptoKey) {
+            const subtle = this.getSubtle();
+
+            const hash = this.hasRawKey()
+                ? Promise.resolve(this.secret)
+                : subtle.digest('SHA-256', this.getSecretBytes());
+
+            this.cryptoKey = hash.then((key) => subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt', 'decrypt']));
+        }
+
+        return this.cryptoKey;
+    }
+
+    /**
+     * Проверяет, что секрет - 256-битный двоичный ключ, который используется без хэширования.
+     *
+     * @returns {boolean} - true для двоичного ключа длиной 32 байта
+     * @private
+     */
+    hasRawKey() {
+        return ArrayBuffer.isView(this.secret) && this.secret.length === KEY_LENGTH;
+    }
+
+    /**
+     * Обнуляет ключ шифра.
+     *
+     * @returns {void}
+     */
+    destroy() {
+        this.rawKey?.fill(0);
+        this.rawKey = null;
+        this.cryptoKey = null;
+        super.destroy();
+    }
+}
+
+export {AESGCM};
@@ -9,6 +9,10 @@ const METHOD_NAME = 'caesar';
  * Предоставляет модифицированную версию шифра Цезаря для работы с бинарными данными,
  * где сдвиг вычисляется на основе хэша секретного ключа.
  *
+ * Сдвиг принимает одно из 26 значений при любом ключе, в том числе сформированном функцией
+ * формирования ключа (параметр kdf BinaryPack): KDF не усиливает этот метод, данные
+ * подбираются перебором 26 вариантов.
+ *
  * @author TM Project <tm-project@asdev.ru>
  * @version 1.0
  * @license MIT
@@ -33,7 +37,7 @@ class Caesar extends MethodInterface {
      * Создает экземпляр шифра Цезаря с указанным секретным ключом.
      *
      * @constructor
-     * @param {string} secret - Секретный ключ для шифрования и дешифрования
+     * @param {string|Uint8Array} secret - Секретный ключ: пароль или двоичный ключ
      */
     constructor(secret) {
         // Вызов конструктора родительского класса с именем метода
@@ -41,10 +45,17 @@ class Caesar extends MethodInterface {
 
         /**
          * Секретный ключ, используемый для вычисления величины сдвига
-         * @type {string}
+         * @type {string|Uint8Array}
          * @private
          */
         this.secret = secret;
+
+        /**
+         * Хэш секретного ключа (вычисляется при первом использовании)
+         * @type {number|null}
+         * @private
+         */
+        this.secretHash = null;
     }
 
     /**
@@ -60,7 +71,7 @@ class Caesar extends MethodInterface {
      */
     encrypt(dataPart) {
         // Вычисление хэша секретного ключа
-        const secretHash = this.hash.secret(this.secret);
+        const secretHash = this.getSecretHash();
 
         // Вычисление величины сдвига (ограниченной диапазоном 0-25)
         const shift = secretHash % 26;
@@ -83,7 +94,7 @@ class Caesar extends MethodInterface {
      */
     decrypt(dataPart) {
         // Вычисление хэша секретного ключа (должно быть идентично шифрованию)
-        const secretHash = this.hash.secret(this.secret);
+        const secretHash = this.getSecretHash();
 
         // Вычисление величины сдвига (должно быть идентично шифрованию)
         const shift = secretHash % 26;
@@ -94,6 +105,33 @@ class Caesar extends MethodInterface {
             dataPart[i] = (dataPart[i] - shift + 256) % 256;
         }
     }
+
+    /**
+     * Возвращает хэш секретного ключа. Для двоичного ключа используются его первые 4 байта:
+     * ключ уже равномерно распределен.
+     *
+     * @returns {number} - Хэш секретного ключа
+     * @private
+     */
+    getSecretHash() {
+        if (this.secretHash === null) {
+            this.secretHash = ArrayBuffer.isView(this.secret)
+                ? new DataView(this.secret.buffer, this.secret.byteOffset, this.secret.byteLength).getUint32(0)
+                : this.hash.secret(this.secret);
+        }
+
+        return this.secretHash;
+    }
+
+    /**
+     * Сбрасывает хэш секретного ключа.
+     *
+     * @returns {void}
+     */
+    destroy() {
+        this.secretHash = null;
+        super.destroy();
+    }
 }
 
 export {Caesar};
\ No newline at end of file
@@ -0,0 +1,181 @@
+import {MethodInterface} from "./_MethodInterface.js";
+import {Random} from '../../Utils/index.js';
+import {ChaCha20Poly1305, Sha256} from '../../Crypto/index.js';
+import {AuthenticationError} from '../../Errors/index.js';
+
+// Константа с именем метода шифрования
+const METHOD_NAME = 'chacha20-poly1305';
+
+// Длина nonce (96 бит)
+const NONCE_LENGTH = ChaCha20Poly1305.nonceLength;
+
+// Длина ключа шифра (256 бит)
+const KEY_LENGTH = 32;
+
+// Длина тега аутентификации (128 бит)
+const TAG_LENGTH = ChaCha20Poly1305.tagLength;
+
+/**
+ * Реализация ChaCha20-Poly1305 (RFC 8439) - шифрования с аутентификацией на чистом JavaScript,
+ * наследующая от MethodInterface. Работает синхронно в любом окружении, в том числе в браузерах
+ * без WebCrypto. Ключ - SHA-256 от пароля, 256-битный двоичный ключ используется без изменений.
+ *
+ * Для каждого сообщения создается случайный 96-битный nonce. Результат seal():
+ * [nonce:12B][шифротекст...][тег аутентификации:16B]. Тег проверяет и шифротекст,
+ * и дополнительные данные (заголовок пакета), поэтому любое изменение приводит к AuthenticationError.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class ChaChaPoly
+ * @extends MethodInterface
+ * @example
+ * const chacha = new ChaChaPoly('my-secret-key');
+ * const sealed = chacha.seal(data, header);
+ * const opened = chacha.open(sealed, header);
+ */
+class ChaChaPoly extends MethodInterface {
+    /**
+     * Статическое свойство с именем метода шифрования
+     * @static
+     * @type {string}
+     */
+    static name = METHOD_NAME;
+
+    /**
+     * Создает экземпляр ChaCha20-Poly1305 с указанным секретным ключом.
+     *
+     * @constructor
+     * @param {string|Uint8Array} secret - Секретный ключ: пароль или двоичный ключ
+     */
+    constructor(secret) {
+        // Вызов конструктора родительского класса с именем метода
+        super(METHOD_NAME);
+
+        /**
+         * Секретный ключ, используемый для шифрования и дешифрования
+         * @type {string|Uint8Array}
+         * @private
+         */
+        this.secret = secret;
+
+        /**
+         * Ключ шифра (вычисляется при первом использовании)
+         * @type {Uint8Array|null}
+         * @private
+         */
+        this.rawKey = null;
+    }
+
+    /**
+     * Количество байт, которое seal() добавляет к данным: nonce и тег аутентификации.
+     *
+     * @returns {number} - Количество дополнительных байт
+     */
+    get overhead() {
+        return NONCE_LENGTH + TAG_LENGTH;
+    }
+
+    /**
+     * Метод проверяет подлинность данных и заголовка пакета.
+     *
+     * @returns {boolean} - Всегда true
+     */
+    get authenticated() {
+        return true;
+    }
+
+    /**
+     * Шифрование на месте невозможно: результат длиннее исходных данных.
+     *
+     * @param {Uint8Array} dataPart - Часть данных
+     * @returns {void}
+     * @throws {Error} Всегда
+     */
+    encrypt(dataPart) {
+        throw new Error(`Метод ${METHOD_NAME} не поддерживает шифрование на месте, используйте seal()`);
+    }
+
+    /**
+     * Дешифрование на месте невозможно: зашифрованные данные длиннее исходных.
+     *
+     * @param {Uint8Array} dataPart - Часть данных
+     * @returns {void}
+     * @throws {Error} Всегда
+     */
+    decrypt(dataPart) {
+        throw new Error(`Метод ${METHOD_NAME} не поддерживает дешифрование на месте, используйте open()`);
+    }
+
+    /**
+     * Шифрует данные со случайным nonce.
+     *
+     * @param {Uint8Array} data - Данные для шифрования
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные
+     * @returns {Uint8Array} - [nonce][шифротекст][тег аутентификации]
+     */
+    seal(data, aad) {
+        const nonce = Random.bytes(NONCE_LENGTH);
+        const sealed = ChaCha20Poly1305.seal(this.getRawKey(), nonce, data, aad);
+
+        const result = new Uint8Array(NONCE_LENGTH + sealed.length);
+        result.set(nonce);
+        result.set(sealed, NONCE_LENGTH);
+
+        return result;
+    }
+
+    /**
+     * Проверяет тег аутентификации и дешифрует данные.
+     *
+     * @param {Uint8Array} data - [nonce][шифротекст][тег аутентификации]
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные
+     * @returns {Uint8Array} - Исходные данные
+     * @throws {AuthenticationError} Если данные изменены, обрезаны или ключ неверный
+     */
+    open(data, aad) {
+        if (data.length < NONCE_LENGTH + TAG_LENGTH) {
+            throw new AuthenticationError('Проверка подлинности не пройдена: данные обрезаны');
+        }
+
+        const opened = ChaCha20Poly1305.open(
+            this.getRawKey(), data.subarray(0, NONCE_LENGTH), data.subarray(NONCE_LENGTH), aad,
+        );
+        if (!opened) {
+            throw new AuthenticationError();
+        }
+
+        return opened;
+    }
+
+    /**
+     * Возвращает ключ шифра: 256-битный двоичный ключ без изменений, SHA-256 от пароля
+     * или двоичного ключа другой длины.
+     *
+     * @returns {Uint8Array} - 256-битный ключ
+     * @private
+     */
+    getRawKey() {
+        if (!this.rawKey) {
+            this.rawKey = ArrayBuffer.isView(this.secret) && this.secret.length === KEY_LENGTH
+                ? this.secret
+                : Sha256.digest(this.getSecretBytes());
+        }
+
+        return this.rawKey;
+    }
+
+    /**
+     * Обнуляет ключ шифра.
+     *
+     * @returns {void}
+     */
+    destroy() {
+        this.rawKey?.fill(0);
+        this.rawKey = null;
+        super.destroy();
+    }
+}
+
+export {ChaChaPoly};
@@ -32,7 +32,7 @@ class XOR extends MethodInterface {
      * Создает экземпляр XOR-шифрования с указанным секретным ключом.
      *
      * @constructor
-     * @param {string} secret - Секретный ключ для шифрования и дешифрования
+     * @param {string|Uint8Array} secret - Секретный ключ: пароль или двоичный ключ
      */
     constructor(secret) {
         // Вызов конструктора родительского класса с именем метода
@@ -40,7 +40,7 @@ class XOR extends MethodInterface {
 
         /**
          * Секретный ключ, используемый для шифрования и дешифрования
-         * @type {string}
+         * @type {string|Uint8Array}
          * @private
          */
         this.secret = secret;
@@ -59,7 +59,7 @@ class XOR extends MethodInterface {
      */
     encrypt(dataPart) {
         // Преобразование секретного ключа в байты
-        const secretBytes = this.encoder.encode(this.secret);
+        const secretBytes = this.getSecretBytes();
 
         // Применение операции XOR к каждому байту данных
         for (let i = 0; i < dataPart.length; i++) {
@@ -63,6 +63,13 @@ class MethodInterface {
          * @protected
          */
         this.name = name;
+
+        /**
+         * Байты секрета (вычисляются при первом использовании)
+         * @type {Uint8Array|null}
+         * @protected
+         */
+        this.secretBytes = null;
     }
 
     /**
@@ -91,6 +98,106 @@ class MethodInterface {
         throw new Error('Метод decrypt должен быть реализован в дочернем классе');
     }
 
+    /**
+     * Количество байт, которое seal() добавляет к данным (вектор инициализации, тег аутентификации).
+     * Методы, шифрующие на месте, не изменяют длину данных.
+     *
+     * @returns {number} - Количество дополнительных байт
+     */
+    get overhead() {
+        return 0;
+    }
+
+    /**
+     * Метод сам проверяет подлинность данных (шифрование с аутентификацией). Пакетам остальных
+     * методов BinaryPack добавляет код аутентификации HMAC-SHA256.
+     *
+     * @returns {boolean} - true, если seal() добавляет тег аутентификации
+     */
+    get authenticated() {
+        return false;
+    }
+
+    /**
+     * Шифрует данные и возвращает результат в новом массиве.
+     * По умолчанию шифрует копию данных на месте через encrypt(); методы с аутентификацией
+     * переопределяют его и проверяют дополнительные данные (aad) при открытии.
+     *
+     * @param {Uint8Array} data - Данные для шифрования (не изменяются)
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные (например, заголовок)
+     * @returns {Uint8Array} - Зашифрованные данные длиной data.length + overhead
+     */
+    seal(data, aad) {
+        const copy = data.slice();
+        this.encrypt(copy);
+
+        return copy;
+    }
+
+    /**
+     * Дешифрует данные, зашифрованные seal(), и возвращает результат в новом массиве.
+     *
+     * @param {Uint8Array} data - Зашифрованные данные (не изменяются)
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные, переданные в seal()
+     * @returns {Uint8Array} - Исходные данные
+     * @throws {AuthenticationError} Если метод проверяет подлинность и проверка не пройдена
+     */
+    open(data, aad) {
+        const copy = data.slice();
+        this.decrypt(copy);
+
+        return copy;
+    }
+
+    /**
+     * Асинхронная версия seal(). По умолчанию вызывает синхронную реализацию.
+     *
+     * @param {Uint8Array} data - Данные для шифрования
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные
+     * @returns {Promise<Uint8Array>} - Зашифрованные данные
+     */
+    async sealAsync(data, aad) {
+        return this.seal(data, aad);
+    }
+
+    /**
+     * Асинхронная версия open(). По умолчанию вызывает синхронную реализацию.
+     *
+     * @param {Uint8Array} data - Зашифрованные данные
+     * @param {Uint8Array} [aad] - Дополнительные аутентифицируемые данные
+     * @returns {Promise<Uint8Array>} - Исходные данные
+     * @throws {AuthenticationError} Если метод проверяет подлинность и проверка не пройдена
+     */
+    async openAsync(data, aad) {
+        return this.open(data, aad);
+    }
+
+    /**
+     * Возвращает секрет в байтах: строка кодируется в UTF-8 один раз, двоичный ключ
+     * (Uint8Array) возвращается без изменений.
+     *
+     * @returns {Uint8Array} - Байты секрета
+     * @protected
+     */
+    getSecretBytes() {
+        if (!this.secretBytes) {
+            this.secretBytes = ArrayBuffer.isView(this.secret) ? this.secret : this.encoder.encode(this.secret);
+        }
+
+        return this.secretBytes;
+    }
+
+    /**
+     * Обнуляет производные данные ключа. Вызывается PackKey.destroy(); методы, которые хранят
+     * собственные производные ключи, переопределяют его и вызывают super.destroy().
+     *
+     * @returns {void}
+     */
+    destroy() {
+        this.secretBytes?.fill(0);
+        this.secretBytes = null;
+    }
+
     /**
      * Возвращает имя метода шифрования.
      *
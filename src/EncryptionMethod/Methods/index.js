@@ -1,9 +1,13 @@
 import { XOR } from './XOR.js';
 import { AES } from './AES.js';
 import { Caesar } from './Caesar.js';
+import { AESGCM } from './AESGCM.js';
+import { ChaChaPoly } from './ChaChaPoly.js';
+import { MethodInterface } from './_MethodInterface.js';
 
 /**
  * Массив доступных методов шифрования с их кодами, именами и классами-реализациями.
+ * Пользовательские методы добавляются в него через EncryptionMethod.register (BinaryPack.registerMethod).
  * Каждый элемент массива содержит:
  * - code: числовой идентификатор метода
  * - name: строковое имя метода (соответствует статическому свойству name класса)
@@ -16,6 +20,8 @@ const AvailableMethods = [
     { code: 1, name: XOR.name, instance: XOR },
     { code: 2, name: AES.name, instance: AES },
     { code: 3, name: Caesar.name, instance: Caesar },
+    { code: 4, name: AESGCM.name, instance: AESGCM },
+    { code: 5, name: ChaChaPoly.name, instance: ChaChaPoly },
 ];
 
 /**
@@ -23,12 +29,14 @@ const AvailableMethods = [
  * Предоставляет псевдонимы для доступа к именам методов шифрования.
  *
  * @constant {Object}
- * @type {{XOR: string, AES: string, CAESAR: string}}
+ * @type {{XOR: string, AES: string, CAESAR: string, AES_GCM: string, CHACHA20_POLY1305: string}}
  */
 const AvailableMethodsName = {
     'XOR': XOR.name,
     'AES': AES.name,
     'CAESAR': Caesar.name,
+    'AES_GCM': AESGCM.name,
+    'CHACHA20_POLY1305': ChaChaPoly.name,
 };
 
-export { AvailableMethods, AvailableMethodsName };
\ No newline at end of file
+export { AvailableMethods, AvailableMethodsName, MethodInterface };
\ No newline at end of file
@@ -0,0 +1,309 @@
+import {X25519, ChaCha20Poly1305, Hmac} from '../Crypto/index.js';
+import {Bytes, Random, Runtime} from '../Utils/index.js';
+
+// Длина ключей X25519 и ключа данных в байтах
+const KEY_LENGTH = 32;
+
+// Длина зашифрованного ключа данных для одного получателя: [ключ:32B][тег:16B]
+const WRAPPED_KEY_LENGTH = KEY_LENGTH + ChaCha20Poly1305.tagLength;
+
+// Максимальное количество получателей (поле количества - 1 байт)
+const MAX_RECIPIENTS = 255;
+
+// Метка, отделяющая ключ шифрования ключа данных от общего секрета
+const WRAPPING_KEY_LABEL = 'binary-pack envelope';
+
+// Nonce шифрования ключа данных: ключ шифрования уникален для каждого одноразового ключа и получателя
+const ZERO_NONCE = new Uint8Array(ChaCha20Poly1305.nonceLength);
+
+// Префиксы DER-представлений ключей X25519 для node:crypto (PKCS#8 и SPKI)
+const PKCS8_PREFIX = new Uint8Array([0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x6e, 0x04, 0x22, 0x04, 0x20]);
+const SPKI_PREFIX = new Uint8Array([0x30, 0x2a, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x6e, 0x03, 0x21, 0x00]);
+
+/**
+ * Класс Envelope реализует конверты для получателей с открытыми ключами X25519. Данные шифруются
+ * случайным ключом данных, а ключ данных - отдельно для каждого получателя ключом, полученным
+ * согласованием одноразового ключа отправителя с открытым ключом получателя (ECDH):
+ * KEK = HMAC-SHA256(общий секрет, метка | одноразовый открытый ключ | открытый ключ получателя).
+ *
+ * Поле заголовка: [количество получателей:1B][одноразовый открытый ключ:32B]
+ * [зашифрованный ключ данных:48B × количество]. Получатель находит свой ключ данных перебором:
+ * по полю нельзя определить, кому адресован конверт.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class Envelope
+ * @example
+ * const envelope = new Envelope();
+ * const {publicKey, privateKey} = envelope.generateKeyPair();
+ * const {contentKey, field} = envelope.create([publicKey]);
+ * envelope.unwrap(field, privateKey); // contentKey
+ */
+class Envelope {
+    /**
+     * Длина ключей X25519 в байтах
+     * @static
+     * @type {number}
+     */
+    static KEY_LENGTH = KEY_LENGTH;
+
+    /**
+     * Максимальное количество получателей конверта
+     * @static
+     * @type {number}
+     */
+    static MAX_RECIPIENTS = MAX_RECIPIENTS;
+
+    /**
+     * Возвращает длину поля конверта в заголовке.
+     *
+     * @static
+     * @param {number} recipients - Количество получателей
+     * @returns {number} - Длина поля в байтах
+     */
+    static fieldLength(recipients) {
+        return 1 + KEY_LENGTH + recipients * WRAPPED_KEY_LENGTH;
+    }
+
+    /**
+     * Создает экземпляр Envelope.
+     *
+     * @constructor
+     */
+    constructor() {
+        /**
+         * Модуль node:crypto или null вне Node.js
+         * @type {Object|null}
+         * @private
+         */
+        this.nodeCrypto = Runtime.nodeModule('node:crypto');
+    }
+
+    /**
+     * Создает пару ключей X25519.
+     *
+     * @returns {{publicKey: Uint8Array, privateKey: Uint8Array}} - Открытый и закрытый ключи по 32 байта
+     */
+    generateKeyPair() {
+        const privateKey = Random.bytes(KEY_LENGTH);
+
+        return {publicKey: this.publicKey(privateKey), privateKey};
+    }
+
+    /**
+     * Вычисляет открытый ключ по закрытому.
+     *
+     * @param {ArrayBuffer|ArrayBufferView} privateKey - Закрытый ключ (32 байта)
+     * @returns {Uint8Array} - Открытый ключ (32 байта)
+     * @throws {Error} При некорректной длине ключа
+     */
+    publicKey(privateKey) {
+        privateKey = this.checkKey(privateKey, 'Закрытый ключ');
+
+        if (this.nodeCrypto) {
+            const spki = this.nodeCrypto.createPublicKey(this.nodePrivateKey(privateKey)).export({format: 'der', type: 'spki'});
+
+            return new Uint8Array(spki.subarray(SPKI_PREFIX.length));
+        }
+
+        return X25519.publicKey(privateKey);
+    }
+
+    /**
+     * Создает ключ данных и поле конверта для получателей.
+     *
+     * @param {ArrayBuffer|ArrayBufferView|Array<ArrayBuffer|ArrayBufferView>} recipients - Открытый ключ получателя
+     *                                                                                     или массив ключей
+     * @returns {{contentKey: Uint8Array, field: {ephemeralPublicKey: Uint8Array, wrappedKeys: Array<Uint8Array>}}} - Ключ
+     *          данных и поле конверта
+     * @throws {Error} При некорректных ключах или количестве получателей
+     */
+    create(recipients) {
+        const publicKeys = (Array.isArray(recipients) ? recipients : [recipients])
+            .map((publicKey) => this.checkKey(publicKey, 'Открытый ключ получателя'));
+
+        if (publicKeys.length === 0 || publicKeys.length > MAX_RECIPIENTS) {
+            throw new Error(`Количество получателей должно быть от 1 до ${MAX_RECIPIENTS}: ${publicKeys.length}`);
+        }
+
+        const contentKey = Random.bytes(KEY_LENGTH);
+        const ephemeral = this.generateKeyPair();
+
+        const wrappedKeys = publicKeys.map((publicKey) => {
+            const wrappingKey = this.wrappingKey(ephemeral.privateKey, publicKey, ephemeral.publicKey, publicKey);
+            if (!wrappingKey) {
+                throw new Error('Некорректный открытый ключ получателя');
+            }
+
+            return ChaCha20Poly1305.seal(wrappingKey, ZERO_NONCE, contentKey);
+        });
+
+        return {contentKey, field: {ephemeralPublicKey: ephemeral.publicKey, wrappedKeys}};
+    }
+
+    /**
+     * Находит и расшифровывает ключ данных получателя.
+     *
+     * @param {{ephemeralPublicKey: Uint8Array, wrappedKeys: Array<Uint8Array>}} field - Поле конверта
+     * @param {ArrayBuffer|ArrayBufferView} privateKey - Закрытый ключ получателя (32 байта)
+     * @returns {Uint8Array|null} - Ключ данных или null, если конверт адресован не этому получателю или изменен
+     * @throws {Error} При некорректной длине ключа
+     */
+    unwrap(field, privateKey) {
+        privateKey = this.checkKey(privateKey, 'Закрытый ключ');
+
+        const wrappingKey = this.wrappingKey(privateKey, field.ephemeralPublicKey, field.ephemeralPublicKey, this.publicKey(privateKey));
+        if (!wrappingKey) {
+            return null;
+        }
+
+        for (const wrappedKey of field.wrappedKeys) {
+            const contentKey = ChaCha20Poly1305.open(wrappingKey, ZERO_NONCE, wrappedKey);
+            if (contentKey) {
+                return contentKey;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Записывает поле конверта в заголовок.
+     *
+     * @param {DataView} view - Представление буфера
+     * @param {number} offset - Сдвиг поля
+     * @param {{ephemeralPublicKey: Uint8Array, wrappedKeys: Array<Uint8Array>}} field - Поле конверта
+     * @returns {void}
+     */
+    writeField(view, offset, field) {
+        const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+
+        view.setUint8(offset, field.wrappedKeys.length);
+        bytes.set(field.ephemeralPublicKey, offset + 1);
+
+        field.wrappedKeys.forEach((wrappedKey, index) => {
+            bytes.set(wrappedKey, offset + Envelope.fieldLength(index));
+        });
+    }
+
+    /**
+     * Читает поле конверта из заголовка.
+     *
+     * @param {DataView} view - Представление буфера
+     * @param {number} offset - Сдвиг поля
+     * @returns {{ephemeralPublicKey: Uint8Array, wrappedKeys: Array<Uint8Array>}} - Поле конверта
+     * @throws {Error} Если получателей нет или поле выходит за пределы данных
+     */
+    readField(view, offset) {
+        const count = view.getUint8(offset);
+
+        if (count === 0) {
+            throw new Error('Конверт не содержит получателей');
+        }
+
+        if (offset + Envelope.fieldLength(count) > view.byteLength) {
+            throw new Error('Некорректная длина данных');
+        }
+
+        const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+        const wrappedKeys = Array.from({length: count}, (_, index) => {
+            const start = offset + Envelope.fieldLength(index);
+
+            return bytes.slice(start, start + WRAPPED_KEY_LENGTH);
+        });
+
+        return {ephemeralPublicKey: bytes.slice(offset + 1, offset + 1 + KEY_LENGTH), wrappedKeys};
+    }
+
+    /**
+     * Вычисляет ключ шифрования ключа данных из общего секрета X25519.
+     *
+     * @param {Uint8Array} privateKey - Свой закрытый ключ
+     * @param {Uint8Array} peerPublicKey - Открытый ключ собеседника
+     * @param {Uint8Array} ephemeralPublicKey - Одноразовый открытый ключ конверта
+     * @param {Uint8Array} recipientPublicKey - Открытый ключ получателя
+     * @returns {Uint8Array|null} - Ключ или null, если открытый ключ собеседника недопустим (общий секрет нулевой)
+     * @private
+     */
+    wrappingKey(privateKey, peerPublicKey, ephemeralPublicKey, recipientPublicKey) {
+        const shared = this.sharedSecret(privateKey, peerPublicKey);
+
+        if (shared.every((byte) => byte === 0)) {
+            return null;
+        }
+
+        return Hmac.sign(shared, new TextEncoder().encode(WRAPPING_KEY_LABEL), ephemeralPublicKey, recipientPublicKey);
+    }
+
+    /**
+     * Вычисляет общий секрет X25519 (через node:crypto, если доступен).
+     *
+     * @param {Uint8Array} privateKey - Закрытый ключ
+     * @param {Uint8Array} publicKey - Открытый ключ собеседника
+     * @returns {Uint8Array} - Общий секрет (нулевой для недопустимого открытого ключа)
+     * @private
+     */
+    sharedSecret(privateKey, publicKey) {
+        if (!this.nodeCrypto) {
+            return X25519.sharedSecret(privateKey, publicKey);
+        }
+
+        try {
+            return new Uint8Array(this.nodeCrypto.diffieHellman({
+                privateKey: this.nodePrivateKey(privateKey),
+                publicKey: this.nodeCrypto.createPublicKey({key: this.concat(SPKI_PREFIX, publicKey), format: 'der', type: 'spki'}),
+            }));
+        } catch (error) {
+            // OpenSSL отклоняет точки малого порядка, для которых общий секрет нулевой
+            return new Uint8Array(KEY_LENGTH);
+        }
+    }
+
+    /**
+     * Создает объект закрытого ключа node:crypto.
+     *
+     * @param {Uint8Array} privateKey - Закрытый ключ
+     * @returns {Object} - KeyObject
+     * @private
+     */
+    nodePrivateKey(privateKey) {
+        return this.nodeCrypto.createPrivateKey({key: this.concat(PKCS8_PREFIX, privateKey), format: 'der', type: 'pkcs8'});
+    }
+
+    /**
+     * Проверяет и копирует ключ X25519.
+     *
+     * @param {ArrayBuffer|ArrayBufferView} key - Ключ
+     * @param {string} label - Название ключа для сообщения об ошибке
+     * @returns {Uint8Array} - Копия ключа
+     * @throws {Error} Если ключ не является бинарными данными длиной 32 байта
+     * @private
+     */
+    checkKey(key, label) {
+        if (!Bytes.isBinary(key) || Bytes.view(key).length !== KEY_LENGTH) {
+            throw new Error(`${label} должен содержать ${KEY_LENGTH} байта`);
+        }
+
+        return Bytes.view(key).slice();
+    }
+
+    /**
+     * Записывает два массива байт подряд (для DER-представлений ключей).
+     *
+     * @param {Uint8Array} prefix - Префикс
+     * @param {Uint8Array} key - Ключ
+     * @returns {Uint8Array} - Результат
+     * @private
+     */
+    concat(prefix, key) {
+        const result = new Uint8Array(prefix.length + key.length);
+        result.set(prefix);
+        result.set(key, prefix.length);
+
+        return result;
+    }
+}
+
+export {Envelope};
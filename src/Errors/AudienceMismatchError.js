@@ -0,0 +1,47 @@
+import {TokenError} from './TokenError.js';
+
+/**
+ * Ошибка получателя токена: утверждение aud не содержит ни одного из ожидаемых получателей,
+ * то есть токен выпущен для другого сервиса.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class AudienceMismatchError
+ * @extends TokenError
+ * @example
+ * try {
+ *     packer.unpackToken(token, { audience: 'billing' });
+ * } catch (error) {
+ *     if (error instanceof AudienceMismatchError) {
+ *         console.warn(`Токен выпущен для ${error.actual.join(', ')}`);
+ *     }
+ * }
+ */
+class AudienceMismatchError extends TokenError {
+    /**
+     * Создает ошибку получателя токена.
+     *
+     * @constructor
+     * @param {Array<string>} expected - Ожидаемые получатели
+     * @param {Array<string>} actual - Получатели из токена
+     */
+    constructor(expected, actual) {
+        super(`Токен выпущен для других получателей: ${actual.join(', ') || 'не указаны'}. Ожидаются: ${expected.join(', ') || 'не указаны'}`);
+
+        /**
+         * Ожидаемые получатели
+         * @type {Array<string>}
+         */
+        this.expected = expected;
+
+        /**
+         * Получатели из токена
+         * @type {Array<string>}
+         */
+        this.actual = actual;
+    }
+}
+
+export {AudienceMismatchError};
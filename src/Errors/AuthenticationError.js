@@ -0,0 +1,37 @@
+import {BinaryPackError} from './BinaryPackError.js';
+
+/**
+ * Ошибка проверки подлинности: данные, зашифрованные методом с аутентификацией (например, AES-GCM)
+ * или защищенные кодом аутентификации HMAC-SHA256, были изменены или расшифровываются другим ключом.
+ * Расшифрованные данные в этом случае не возвращаются.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class AuthenticationError
+ * @extends BinaryPackError
+ * @example
+ * try {
+ *     await packer.unpackAsync(buffer);
+ * } catch (error) {
+ *     if (error instanceof AuthenticationError) {
+ *         // Данные подделаны или ключ неверный
+ *     }
+ * }
+ */
+class AuthenticationError extends BinaryPackError {
+    /**
+     * Создает ошибку проверки подлинности.
+     *
+     * @constructor
+     * @param {string} [message] - Описание ошибки
+     * @param {Object} [options] - Параметры ошибки
+     * @param {Error} [options.cause] - Исходная ошибка
+     */
+    constructor(message = 'Проверка подлинности не пройдена: данные изменены или ключ неверный', options) {
+        super(message, options);
+    }
+}
+
+export {AuthenticationError};
@@ -0,0 +1,56 @@
+/**
+ * Базовый класс ошибок BinaryPack. Позволяет отличить ошибки библиотеки от прочих
+ * и перехватывать отдельные виды ошибок по классу через instanceof.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class BinaryPackError
+ * @extends Error
+ * @example
+ * try {
+ *     packer.unpack(buffer);
+ * } catch (error) {
+ *     if (error instanceof BinaryPackError) {
+ *         // Ошибка формата или содержимого данных
+ *     }
+ * }
+ */
+class BinaryPackError extends Error {
+    /**
+     * Создает ошибку BinaryPack.
+     *
+     * @constructor
+     * @param {string} message - Описание ошибки
+     * @param {Object} [options] - Параметры ошибки
+     * @param {Error} [options.cause] - Исходная ошибка
+     */
+    constructor(message, options) {
+        super(message, options);
+
+        this.name = new.target.name;
+    }
+
+    /**
+     * Дополняет ошибку описанием операции. Ошибки BinaryPack сохраняют свой класс,
+     * чтобы их можно было перехватить по типу, прочие оборачиваются в BinaryPackError.
+     *
+     * @static
+     * @param {Error} error - Исходная ошибка
+     * @param {string} context - Описание операции, например 'Ошибка распаковки данных'
+     * @returns {BinaryPackError} - Ошибка с описанием операции
+     * @example
+     * throw BinaryPackError.wrap(error, 'Ошибка распаковки данных');
+     */
+    static wrap(error, context) {
+        if (error instanceof BinaryPackError) {
+            error.message = `${context}: ${error.message}`;
+            return error;
+        }
+
+        return new BinaryPackError(`${context}: ${error.message}`, {cause: error});
+    }
+}
+
+export {BinaryPackError};
@@ -0,0 +1,37 @@
+import {BinaryPackError} from './BinaryPackError.js';
+
+/**
+ * Ошибка целостности: контрольная сумма пакета без шифрования не совпала, то есть данные
+ * повреждены при хранении или передаче. В отличие от AuthenticationError не означает
+ * неверный ключ: CRC32 обнаруживает случайные повреждения, но не защищает от подделки.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class CorruptedDataError
+ * @extends BinaryPackError
+ * @example
+ * try {
+ *     packer.unpack(buffer);
+ * } catch (error) {
+ *     if (error instanceof CorruptedDataError) {
+ *         // Запросить данные повторно
+ *     }
+ * }
+ */
+class CorruptedDataError extends BinaryPackError {
+    /**
+     * Создает ошибку целостности.
+     *
+     * @constructor
+     * @param {string} [message] - Описание ошибки
+     * @param {Object} [options] - Параметры ошибки
+     * @param {Error} [options.cause] - Исходная ошибка
+     */
+    constructor(message = 'Данные повреждены: контрольная сумма не совпадает', options) {
+        super(message, options);
+    }
+}
+
+export {CorruptedDataError};
@@ -0,0 +1,37 @@
+import {BinaryPackError} from './BinaryPackError.js';
+
+/**
+ * Ошибка проверки подписи: подпись пакета не совпала с открытым ключом, то есть заголовок
+ * или данные изменены после подписания либо пакет подписан другим ключом. Возникает также,
+ * если подпись требуется, а пакет не подписан.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class SignatureError
+ * @extends BinaryPackError
+ * @example
+ * try {
+ *     packer.unpack(bundle, { publicKey });
+ * } catch (error) {
+ *     if (error instanceof SignatureError) {
+ *         // Пакет подделан или подписан не нами
+ *     }
+ * }
+ */
+class SignatureError extends BinaryPackError {
+    /**
+     * Создает ошибку проверки подписи.
+     *
+     * @constructor
+     * @param {string} [message] - Описание ошибки
+     * @param {Object} [options] - Параметры ошибки
+     * @param {Error} [options.cause] - Исходная ошибка
+     */
+    constructor(message = 'Подпись не прошла проверку: данные изменены или подписаны другим ключом', options) {
+        super(message, options);
+    }
+}
+
+export {SignatureError};
@@ -0,0 +1,36 @@
+import {BinaryPackError} from './BinaryPackError.js';
+
+/**
+ * Базовый класс ошибок проверки токена: токен расшифрован и подлинен, но его утверждения
+ * (срок действия, получатель, идентификатор) не позволяют его принять.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class TokenError
+ * @extends BinaryPackError
+ * @example
+ * try {
+ *     packer.unpackToken(token, { audience: 'api' });
+ * } catch (error) {
+ *     if (error instanceof TokenError) {
+ *         // Токен не принимается - запросить новый
+ *     }
+ * }
+ */
+class TokenError extends BinaryPackError {
+    /**
+     * Создает ошибку проверки токена.
+     *
+     * @constructor
+     * @param {string} [message] - Описание ошибки
+     * @param {Object} [options] - Параметры ошибки
+     * @param {Error} [options.cause] - Исходная ошибка
+     */
+    constructor(message = 'Токен не прошел проверку', options) {
+        super(message, options);
+    }
+}
+
+export {TokenError};
@@ -0,0 +1,40 @@
+import {TokenError} from './TokenError.js';
+
+/**
+ * Ошибка истекшего токена: текущее время с учетом допустимого расхождения часов
+ * не раньше утверждения exp.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class TokenExpiredError
+ * @extends TokenError
+ * @example
+ * try {
+ *     packer.unpackToken(token);
+ * } catch (error) {
+ *     if (error instanceof TokenExpiredError) {
+ *         console.warn(`Токен истек ${error.expiredAt.toISOString()}`);
+ *     }
+ * }
+ */
+class TokenExpiredError extends TokenError {
+    /**
+     * Создает ошибку истекшего токена.
+     *
+     * @constructor
+     * @param {Date} expiredAt - Момент истечения токена (утверждение exp)
+     */
+    constructor(expiredAt) {
+        super(`Срок действия токена истек: ${expiredAt.toISOString()}`);
+
+        /**
+         * Момент истечения токена
+         * @type {Date}
+         */
+        this.expiredAt = expiredAt;
+    }
+}
+
+export {TokenExpiredError};
@@ -0,0 +1,40 @@
+import {TokenError} from './TokenError.js';
+
+/**
+ * Ошибка еще не действующего токена: текущее время с учетом допустимого расхождения часов
+ * раньше утверждения nbf.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class TokenNotYetValidError
+ * @extends TokenError
+ * @example
+ * try {
+ *     packer.unpackToken(invitation);
+ * } catch (error) {
+ *     if (error instanceof TokenNotYetValidError) {
+ *         console.warn(`Приглашение действует с ${error.notBefore.toISOString()}`);
+ *     }
+ * }
+ */
+class TokenNotYetValidError extends TokenError {
+    /**
+     * Создает ошибку еще не действующего токена.
+     *
+     * @constructor
+     * @param {Date} notBefore - Момент начала действия токена (утверждение nbf)
+     */
+    constructor(notBefore) {
+        super(`Токен еще не действует: ${notBefore.toISOString()}`);
+
+        /**
+         * Момент начала действия токена
+         * @type {Date}
+         */
+        this.notBefore = notBefore;
+    }
+}
+
+export {TokenNotYetValidError};
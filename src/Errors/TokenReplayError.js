@@ -0,0 +1,40 @@
+import {TokenError} from './TokenError.js';
+
+/**
+ * Ошибка повторного использования токена: идентификатор jti уже есть в хранилище
+ * использованных идентификаторов.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class TokenReplayError
+ * @extends TokenError
+ * @example
+ * try {
+ *     packer.unpackToken(invitation, { seenStore });
+ * } catch (error) {
+ *     if (error instanceof TokenReplayError) {
+ *         console.warn(`Приглашение ${error.jti} уже использовано`);
+ *     }
+ * }
+ */
+class TokenReplayError extends TokenError {
+    /**
+     * Создает ошибку повторного использования токена.
+     *
+     * @constructor
+     * @param {string} jti - Идентификатор токена
+     */
+    constructor(jti) {
+        super(`Токен уже использован: ${jti}`);
+
+        /**
+         * Идентификатор токена
+         * @type {string}
+         */
+        this.jti = jti;
+    }
+}
+
+export {TokenReplayError};
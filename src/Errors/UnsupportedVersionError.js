@@ -0,0 +1,48 @@
+import {BinaryPackError} from './BinaryPackError.js';
+
+/**
+ * Ошибка неизвестной версии формата данных, например, если данные записаны более новой
+ * версией библиотеки. Содержит прочитанную версию и список поддерживаемых версий.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class UnsupportedVersionError
+ * @extends BinaryPackError
+ * @example
+ * try {
+ *     packer.unpack(buffer);
+ * } catch (error) {
+ *     if (error instanceof UnsupportedVersionError) {
+ *         console.warn(`Версия ${error.version} не поддерживается, требуется обновление`);
+ *     }
+ * }
+ */
+class UnsupportedVersionError extends BinaryPackError {
+    /**
+     * Создает ошибку неизвестной версии формата данных.
+     *
+     * @constructor
+     * @param {number} version - Прочитанная версия
+     * @param {Array<number>} supportedVersions - Поддерживаемые версии
+     * @param {string} [subject='формата данных'] - Название формата в сообщении
+     */
+    constructor(version, supportedVersions, subject = 'формата данных') {
+        super(`Неверная версия ${subject}: ${version}. Поддерживаемые: ${supportedVersions.join(', ')}`);
+
+        /**
+         * Прочитанная версия
+         * @type {number}
+         */
+        this.version = version;
+
+        /**
+         * Поддерживаемые версии
+         * @type {Array<number>}
+         */
+        this.supportedVersions = supportedVersions;
+    }
+}
+
+export {UnsupportedVersionError};
@@ -0,0 +1,10 @@
+export * from './BinaryPackError.js'
+export * from './UnsupportedVersionError.js'
+export * from './AuthenticationError.js'
+export * from './CorruptedDataError.js'
+export * from './SignatureError.js'
+export * from './TokenError.js'
+export * from './TokenExpiredError.js'
+export * from './TokenNotYetValidError.js'
+export * from './AudienceMismatchError.js'
+export * from './TokenReplayError.js'
@@ -0,0 +1,76 @@
+import {KdfInterface} from './_KdfInterface.js';
+import {Hkdf} from '../../Crypto/index.js';
+
+// Константа с именем функции формирования ключа
+const KDF_NAME = 'hkdf';
+
+// Контекст, отделяющий ключи пакетов от других применений секрета
+const INFO = new TextEncoder().encode('binary-pack nonce');
+
+/**
+ * Реализация HKDF-SHA256 (RFC 5869), наследующая от KdfInterface. Не замедляет подбор пароля:
+ * формирует из секрета и случайной соли (nonce) отдельный ключ для каждого пакета, поэтому
+ * одинаковые данные, упакованные методами без собственного nonce (xor, caesar, aes-like),
+ * дают разные зашифрованные данные. Параметров нет, все поля заголовка равны 0.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class HKDF
+ * @extends KdfInterface
+ * @example
+ * const hkdf = new HKDF();
+ * const key = hkdf.derive(secret, nonce, 32);
+ */
+class HKDF extends KdfInterface {
+    /**
+     * Статическое свойство с именем функции формирования ключа
+     * @static
+     * @type {string}
+     */
+    static name = KDF_NAME;
+
+    /**
+     * Создает функцию по параметрам из заголовка.
+     *
+     * @static
+     * @param {{cost: number, blockSize: number, parallelism: number}} fields - Параметры из заголовка
+     * @returns {HKDF} - Функция формирования ключа
+     * @throws {Error} При ненулевых параметрах
+     */
+    static fromFields({cost, blockSize, parallelism}) {
+        if (cost !== 0 || blockSize !== 0 || parallelism !== 0) {
+            throw new Error(`Некорректные параметры функции ${KDF_NAME}`);
+        }
+
+        return new HKDF();
+    }
+
+    /**
+     * Параметры функции для записи в заголовок.
+     *
+     * @returns {{cost: number, blockSize: number, parallelism: number}} - Параметры
+     */
+    get fields() {
+        return {cost: 0, blockSize: 0, parallelism: 0};
+    }
+
+    /**
+     * Формирует ключ из секрета и соли.
+     *
+     * @param {Uint8Array} password - Секрет
+     * @param {Uint8Array} salt - Соль (nonce пакета)
+     * @param {number} length - Длина ключа в байтах
+     * @returns {Uint8Array} - Ключ
+     */
+    derive(password, salt, length) {
+        if (this.nodeCrypto) {
+            return new Uint8Array(this.nodeCrypto.hkdfSync('sha256', password, salt, INFO, length));
+        }
+
+        return Hkdf.derive(password, salt, INFO, length);
+    }
+}
+
+export {HKDF};
@@ -0,0 +1,130 @@
+import {KdfInterface} from './_KdfInterface.js';
+import {Pbkdf2} from '../../Crypto/index.js';
+import {Runtime} from '../../Utils/index.js';
+
+// Константа с именем функции формирования ключа
+const KDF_NAME = 'pbkdf2';
+
+// Количество итераций по умолчанию (рекомендация OWASP для PBKDF2-HMAC-SHA256)
+const DEFAULT_ITERATIONS = 600000;
+
+// Максимальное количество итераций, принимаемое из заголовка
+const MAX_ITERATIONS = 10000000;
+
+/**
+ * Реализация PBKDF2-HMAC-SHA256 (RFC 8018), наследующая от KdfInterface.
+ * Использует node:crypto в Node.js, WebCrypto в асинхронном режиме в браузерах
+ * и реализацию на чистом JavaScript в остальных случаях.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class PBKDF2
+ * @extends KdfInterface
+ * @example
+ * const pbkdf2 = new PBKDF2({iterations: 600000});
+ * const key = pbkdf2.derive(password, salt, 32);
+ */
+class PBKDF2 extends KdfInterface {
+    /**
+     * Статическое свойство с именем функции формирования ключа
+     * @static
+     * @type {string}
+     */
+    static name = KDF_NAME;
+
+    /**
+     * Создает функцию PBKDF2 с указанным количеством итераций.
+     *
+     * @constructor
+     * @param {Object} [params] - Параметры
+     * @param {number} [params.iterations=600000] - Количество итераций (от 1 до 10 000 000)
+     * @throws {Error} При некорректных параметрах
+     */
+    constructor({iterations = DEFAULT_ITERATIONS} = {}) {
+        super();
+
+        /**
+         * Количество итераций
+         * @type {number}
+         * @private
+         */
+        this.iterations = this.checkParam('iterations', iterations, 1, MAX_ITERATIONS);
+    }
+
+    /**
+     * Создает функцию по параметрам из заголовка.
+     *
+     * @static
+     * @param {{cost: number, blockSize: number, parallelism: number}} fields - Параметры из заголовка
+     * @returns {PBKDF2} - Функция формирования ключа
+     * @throws {Error} При некорректных параметрах
+     */
+    static fromFields({cost, blockSize, parallelism}) {
+        if (blockSize !== 0 || parallelism !== 0) {
+            throw new Error(`Некорректные параметры функции ${KDF_NAME}`);
+        }
+
+        return new PBKDF2({iterations: cost});
+    }
+
+    /**
+     * Параметры функции для записи в заголовок.
+     *
+     * @returns {{cost: number, blockSize: number, parallelism: number}} - Параметры
+     */
+    get fields() {
+        return {cost: this.iterations, blockSize: 0, parallelism: 0};
+    }
+
+    /**
+     * Формирует ключ из пароля и соли.
+     *
+     * @param {Uint8Array} password - Пароль
+     * @param {Uint8Array} salt - Соль
+     * @param {number} length - Длина ключа в байтах
+     * @returns {Uint8Array} - Ключ
+     */
+    derive(password, salt, length) {
+        if (this.nodeCrypto) {
+            return new Uint8Array(this.nodeCrypto.pbkdf2Sync(password, salt, this.iterations, length, 'sha256'));
+        }
+
+        return Pbkdf2.derive(password, salt, this.iterations, length);
+    }
+
+    /**
+     * Асинхронно формирует ключ, не блокируя поток выполнения: через node:crypto или WebCrypto.
+     *
+     * @param {Uint8Array} password - Пароль
+     * @param {Uint8Array} salt - Соль
+     * @param {number} length - Длина ключа в байтах
+     * @returns {Promise<Uint8Array>} - Ключ
+     */
+    async deriveAsync(password, salt, length) {
+        if (this.nodeCrypto) {
+            return new Promise((resolve, reject) => {
+                this.nodeCrypto.pbkdf2(password, salt, this.iterations, length, 'sha256', (error, key) => {
+                    error ? reject(error) : resolve(new Uint8Array(key));
+                });
+            });
+        }
+
+        const webCrypto = Runtime.webCrypto();
+        if (!webCrypto) {
+            return this.derive(password, salt, length);
+        }
+
+        const subtle = webCrypto.subtle;
+
+        const baseKey = await subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+        const bits = await subtle.deriveBits(
+            {name: 'PBKDF2', hash: 'SHA-256', salt, iterations: this.iterations}, baseKey, length * 8,
+        );
+
+        return new Uint8Array(bits);
+    }
+}
+
+export {PBKDF2};
@@ -0,0 +1,157 @@
+import {KdfInterface} from './_KdfInterface.js';
+import {Scrypt as ScryptFunction} from '../../Crypto/index.js';
+
+// Константа с именем функции формирования ключа
+const KDF_NAME = 'scrypt';
+
+// Параметры по умолчанию: 32 МиБ памяти (128 * N * r)
+const DEFAULT_N = 32768;
+const DEFAULT_R = 8;
+const DEFAULT_P = 1;
+
+// Максимальный объем памяти, который может потребовать пакет (256 МиБ)
+const MAX_MEMORY = 256 * 1024 * 1024;
+
+/**
+ * Реализация scrypt (RFC 7914), наследующая от KdfInterface. Использует node:crypto в Node.js
+ * и реализацию на чистом JavaScript в остальных окружениях.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class Scrypt
+ * @extends KdfInterface
+ * @example
+ * const scrypt = new Scrypt({N: 32768, r: 8, p: 1});
+ * const key = scrypt.derive(password, salt, 32);
+ */
+class Scrypt extends KdfInterface {
+    /**
+     * Статическое свойство с именем функции формирования ключа
+     * @static
+     * @type {string}
+     */
+    static name = KDF_NAME;
+
+    /**
+     * Создает функцию scrypt с указанными параметрами.
+     *
+     * @constructor
+     * @param {Object} [params] - Параметры
+     * @param {number} [params.N=32768] - Параметр стоимости (степень двойки)
+     * @param {number} [params.r=8] - Размер блока
+     * @param {number} [params.p=1] - Параметр параллельности
+     * @throws {Error} При некорректных параметрах или требовании более 256 МиБ памяти
+     */
+    constructor({N = DEFAULT_N, r = DEFAULT_R, p = DEFAULT_P} = {}) {
+        super();
+
+        /**
+         * Параметр стоимости
+         * @type {number}
+         * @private
+         */
+        this.N = this.checkParam('N', N, 2, 0x40000000);
+
+        /**
+         * Размер блока
+         * @type {number}
+         * @private
+         */
+        this.r = this.checkParam('r', r, 1, 0xFFFF);
+
+        /**
+         * Параметр параллельности
+         * @type {number}
+         * @private
+         */
+        this.p = this.checkParam('p', p, 1, 0xFFFF);
+
+        if ((N & (N - 1)) !== 0) {
+            throw new Error(`Параметр N функции ${KDF_NAME} должен быть степенью двойки: ${N}`);
+        }
+
+        if (this.memory > MAX_MEMORY) {
+            throw new Error(`Параметры функции ${KDF_NAME} требуют более ${MAX_MEMORY / 1024 / 1024} МиБ памяти`);
+        }
+    }
+
+    /**
+     * Создает функцию по параметрам из заголовка.
+     *
+     * @static
+     * @param {{cost: number, blockSize: number, parallelism: number}} fields - Параметры из заголовка
+     * @returns {Scrypt} - Функция формирования ключа
+     * @throws {Error} При некорректных параметрах
+     */
+    static fromFields({cost, blockSize, parallelism}) {
+        return new Scrypt({N: cost, r: blockSize, p: parallelism});
+    }
+
+    /**
+     * Параметры функции для записи в заголовок.
+     *
+     * @returns {{cost: number, blockSize: number, parallelism: number}} - Параметры
+     */
+    get fields() {
+        return {cost: this.N, blockSize: this.r, parallelism: this.p};
+    }
+
+    /**
+     * Объем памяти, необходимый для формирования ключа, в байтах.
+     *
+     * @returns {number} - Объем памяти
+     */
+    get memory() {
+        return 128 * this.N * this.r + 128 * this.r * this.p;
+    }
+
+    /**
+     * Формирует ключ из пароля и соли.
+     *
+     * @param {Uint8Array} password - Пароль
+     * @param {Uint8Array} salt - Соль
+     * @param {number} length - Длина ключа в байтах
+     * @returns {Uint8Array} - Ключ
+     */
+    derive(password, salt, length) {
+        if (this.nodeCrypto) {
+            return new Uint8Array(this.nodeCrypto.scryptSync(password, salt, length, this.getNodeOptions()));
+        }
+
+        return ScryptFunction.derive(password, salt, this.N, this.r, this.p, length);
+    }
+
+    /**
+     * Асинхронно формирует ключ. В Node.js вычисление выполняется в пуле потоков.
+     *
+     * @param {Uint8Array} password - Пароль
+     * @param {Uint8Array} salt - Соль
+     * @param {number} length - Длина ключа в байтах
+     * @returns {Promise<Uint8Array>} - Ключ
+     */
+    async deriveAsync(password, salt, length) {
+        if (!this.nodeCrypto) {
+            return this.derive(password, salt, length);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.nodeCrypto.scrypt(password, salt, length, this.getNodeOptions(), (error, key) => {
+                error ? reject(error) : resolve(new Uint8Array(key));
+            });
+        });
+    }
+
+    /**
+     * Возвращает параметры для node:crypto с достаточным лимитом памяти.
+     *
+     * @returns {Object} - Параметры scrypt для node:crypto
+     * @private
+     */
+    getNodeOptions() {
+        return {N: this.N, r: this.r, p: this.p, maxmem: this.memory + 1024 * 1024};
+    }
+}
+
+export {Scrypt};
@@ -0,0 +1,117 @@
+import {Runtime} from '../../Utils/index.js';
+
+/**
+ * Абстрактный базовый класс для функций формирования ключа из пароля (KDF).
+ * Параметры функции записываются в заголовок пакета тремя числами: стоимость (cost),
+ * размер блока (blockSize) и параллельность (parallelism); неиспользуемые поля равны 0.
+ * Конструктор проверяет параметры, в том числе прочитанные из заголовка, чтобы поврежденный
+ * или подделанный пакет не мог потребовать неограниченных вычислений или памяти; KeyDerivation
+ * дополнительно отклоняет параметры из заголовка, превышающие параметры функции экземпляра (exceeds()).
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @abstract
+ * @class KdfInterface
+ * @example
+ * class MyKdf extends KdfInterface {
+ *   static name = 'my-kdf';
+ *
+ *   get fields() {
+ *     return {cost: this.rounds, blockSize: 0, parallelism: 0};
+ *   }
+ *
+ *   derive(password, salt, length) {
+ *     // Реализация формирования ключа
+ *   }
+ * }
+ */
+class KdfInterface {
+    /**
+     * Создает функцию формирования ключа.
+     *
+     * @constructor
+     */
+    constructor() {
+        /**
+         * Модуль node:crypto (нативная реализация) или null вне Node.js
+         * @type {Object|null}
+         * @protected
+         */
+        this.nodeCrypto = Runtime.nodeModule('node:crypto');
+    }
+
+    /**
+     * Параметры функции для записи в заголовок.
+     *
+     * @abstract
+     * @returns {{cost: number, blockSize: number, parallelism: number}} - Параметры
+     * @throws {Error} При отсутствии реализации в дочернем классе
+     */
+    get fields() {
+        throw new Error('Свойство fields должно быть реализовано в дочернем классе');
+    }
+
+    /**
+     * Проверяет, превышает ли функция по стоимости допустимую: хотя бы один параметр больше.
+     *
+     * @param {KdfInterface} limit - Функция с наибольшими допустимыми параметрами
+     * @returns {boolean} - true, если стоимость функции больше допустимой
+     */
+    exceeds(limit) {
+        const fields = this.fields;
+        const limitFields = limit.fields;
+
+        return fields.cost > limitFields.cost
+            || fields.blockSize > limitFields.blockSize
+            || fields.parallelism > limitFields.parallelism;
+    }
+
+    /**
+     * Формирует ключ из пароля и соли.
+     *
+     * @abstract
+     * @param {Uint8Array} password - Пароль
+     * @param {Uint8Array} salt - Соль
+     * @param {number} length - Длина ключа в байтах
+     * @returns {Uint8Array} - Ключ
+     * @throws {Error} При отсутствии реализации в дочернем классе
+     */
+    derive(password, salt, length) {
+        throw new Error('Метод derive должен быть реализован в дочернем классе');
+    }
+
+    /**
+     * Асинхронно формирует ключ. По умолчанию вызывает синхронную реализацию.
+     *
+     * @param {Uint8Array} password - Пароль
+     * @param {Uint8Array} salt - Соль
+     * @param {number} length - Длина ключа в байтах
+     * @returns {Promise<Uint8Array>} - Ключ
+     */
+    async deriveAsync(password, salt, length) {
+        return this.derive(password, salt, length);
+    }
+
+    /**
+     * Проверяет, что параметр - целое число в допустимом диапазоне.
+     *
+     * @param {string} name - Имя параметра
+     * @param {number} value - Значение
+     * @param {number} min - Минимальное значение
+     * @param {number} max - Максимальное значение
+     * @returns {number} - Значение
+     * @throws {Error} Если значение вне диапазона
+     * @protected
+     */
+    checkParam(name, value, min, max) {
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`Некорректный параметр ${name} функции ${this.constructor.name}: ${value}. Допустимо от ${min} до ${max}`);
+        }
+
+        return value;
+    }
+}
+
+export {KdfInterface};
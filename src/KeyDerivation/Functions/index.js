@@ -0,0 +1,33 @@
+import { PBKDF2 } from './PBKDF2.js';
+import { Scrypt } from './Scrypt.js';
+import { HKDF } from './HKDF.js';
+
+/**
+ * Массив доступных функций формирования ключа с их кодами, именами и классами-реализациями.
+ * Каждый элемент массива содержит:
+ * - code: числовой идентификатор функции (записывается в заголовок)
+ * - name: строковое имя функции (соответствует статическому свойству name класса)
+ * - instance: класс-реализация функции формирования ключа
+ *
+ * @constant {Array<Object>}
+ * @type {Array<{code: number, name: string, instance: KdfInterface}>}
+ */
+const AvailableKdfs = [
+    { code: 1, name: PBKDF2.name, instance: PBKDF2 },
+    { code: 2, name: Scrypt.name, instance: Scrypt },
+    { code: 3, name: HKDF.name, instance: HKDF },
+];
+
+/**
+ * Объект-справочник для получения имен функций формирования ключа по удобным ключам.
+ *
+ * @constant {Object}
+ * @type {{PBKDF2: string, SCRYPT: string, HKDF: string}}
+ */
+const AvailableKdfsName = {
+    'PBKDF2': PBKDF2.name,
+    'SCRYPT': Scrypt.name,
+    'HKDF': HKDF.name,
+};
+
+export { AvailableKdfs, AvailableKdfsName };
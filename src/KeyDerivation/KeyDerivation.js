@@ -0,0 +1,263 @@
+import {AvailableKdfs, AvailableKdfsName} from './Functions/index.js';
+import {Random} from '../Utils/index.js';
+import {PackKey} from '../PackKey/index.js';
+
+// Длина соли в байтах
+const SALT_LENGTH = 16;
+
+// Длина формируемого ключа в байтах
+const KEY_LENGTH = 32;
+
+// Количество ключей в кэше
+const CACHE_SIZE = 64;
+
+/**
+ * Класс KeyDerivation формирует ключи шифрования из секрета с помощью функции формирования
+ * ключа (PBKDF2, scrypt, HKDF). Для каждого пакета создается случайная соль; функция, ее параметры
+ * и соль записываются в заголовок полем [функция:1B][стоимость:4B][размер блока:2B]
+ * [параллельность:2B][соль:16B], поэтому ключ можно сформировать заново при распаковке.
+ *
+ * Параметры из заголовка не могут превышать параметры функции экземпляра, а для других функций -
+ * их параметры по умолчанию: подделанный пакет не заставит потратить больше вычислений и памяти,
+ * чем пакеты самого экземпляра, еще до проверки подлинности.
+ *
+ * Сформированные ключи кэшируются в PackKey по функции, параметрам и соли: повторная распаковка
+ * пакетов с той же солью не повторяет дорогое вычисление, а PackKey.destroy() обнуляет кэш.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class KeyDerivation
+ * @example
+ * const keys = new KeyDerivation('passphrase', {name: 'scrypt', N: 32768});
+ * const field = keys.createField();
+ * const key = keys.derive(field);
+ */
+class KeyDerivation {
+    /**
+     * Длина поля функции формирования ключа в заголовке
+     * @static
+     * @type {number}
+     */
+    static FIELD_LENGTH = 1 + 4 + 2 + 2 + SALT_LENGTH;
+
+    /**
+     * Длина формируемого ключа в байтах
+     * @static
+     * @type {number}
+     */
+    static KEY_LENGTH = KEY_LENGTH;
+
+    /**
+     * Создает экземпляр KeyDerivation.
+     *
+     * @constructor
+     * @param {string|Uint8Array|PackKey|null} secret - Секрет: пароль, двоичный ключ или PackKey
+     * @param {string|Object|null} [options] - Функция для новых пакетов: имя ('pbkdf2', 'scrypt', 'hkdf')
+     *                                         или объект {name, ...параметры}; null - без формирования ключа
+     * @throws {Error} При неизвестной функции или некорректных параметрах
+     */
+    constructor(secret, options = null) {
+        /**
+         * Ключ, из которого формируются ключи пакетов
+         * @type {PackKey|null}
+         * @private
+         */
+        this.key = secret === null ? null : PackKey.from(secret);
+
+        /**
+         * Доступные функции формирования ключа
+         * @type {Array<Object>}
+         * @private
+         */
+        this.functions = AvailableKdfs;
+
+        /**
+         * Функция для новых пакетов: {code, instance} или null
+         * @type {{code: number, instance: KdfInterface}|null}
+         * @private
+         */
+        this.kdf = options ? this.create(options) : null;
+
+        /**
+         * Кэш сформированных ключей (в порядке последнего использования)
+         * @type {Map<string, Uint8Array>}
+         * @private
+         */
+        this.cache = this.key ? this.key.derivedKeys : new Map();
+    }
+
+    /**
+     * Создает функцию формирования ключа по параметрам конструктора BinaryPack.
+     *
+     * @param {string|Object} options - Имя функции или объект {name, ...параметры}
+     * @returns {{code: number, instance: KdfInterface}} - Функция и ее код
+     * @throws {Error} При неизвестной функции или некорректных параметрах
+     * @private
+     */
+    create(options) {
+        const {name, ...params} = typeof options === 'string' ? {name: options} : options;
+        const existKdf = this.functions.find((kdf) => kdf.name === name);
+
+        if (!existKdf) {
+            throw new Error(`Неподдерживаемая функция формирования ключа: ${name}. Доступные: ${this.functions.map((kdf) => kdf.name).join(', ')}`);
+        }
+
+        return {code: existKdf.code, instance: new existKdf.instance(params)};
+    }
+
+    /**
+     * Создает поле заголовка для нового пакета: функция, ее параметры и случайная соль.
+     *
+     * @returns {{code: number, kdf: KdfInterface, salt: Uint8Array}|null} - Поле или null, если функция не задана
+     */
+    createField() {
+        if (!this.kdf) {
+            return null;
+        }
+
+        return {code: this.kdf.code, kdf: this.kdf.instance, salt: Random.bytes(SALT_LENGTH)};
+    }
+
+    /**
+     * Записывает поле функции формирования ключа в заголовок.
+     *
+     * @param {DataView} view - Представление буфера
+     * @param {number} offset - Сдвиг поля
+     * @param {{code: number, kdf: KdfInterface, salt: Uint8Array}} field - Поле
+     * @returns {void}
+     */
+    writeField(view, offset, field) {
+        const {cost, blockSize, parallelism} = field.kdf.fields;
+
+        view.setUint8(offset, field.code);
+        view.setUint32(offset + 1, cost);
+        view.setUint16(offset + 5, blockSize);
+        view.setUint16(offset + 7, parallelism);
+        new Uint8Array(view.buffer, view.byteOffset + offset + 9, SALT_LENGTH).set(field.salt);
+    }
+
+    /**
+     * Читает поле функции формирования ключа из заголовка и проверяет параметры: они не должны
+     * превышать параметры функции экземпляра (для других функций - параметры по умолчанию).
+     *
+     * @param {DataView} view - Представление буфера
+     * @param {number} offset - Сдвиг поля
+     * @returns {{code: number, kdf: KdfInterface, salt: Uint8Array}} - Поле
+     * @throws {Error} При неизвестной функции, недопустимых или слишком дорогих параметрах
+     */
+    readField(view, offset) {
+        const code = view.getUint8(offset);
+        const existKdf = this.functions.find((kdf) => kdf.code === code);
+
+        if (!existKdf) {
+            throw new Error(`Неизвестная функция формирования ключа: ${code}`);
+        }
+
+        const kdf = existKdf.instance.fromFields({
+            cost: view.getUint32(offset + 1),
+            blockSize: view.getUint16(offset + 5),
+            parallelism: view.getUint16(offset + 7),
+        });
+
+        const limit = this.kdf && this.kdf.code === code ? this.kdf.instance : new existKdf.instance();
+        if (kdf.exceeds(limit)) {
+            const {cost, blockSize, parallelism} = kdf.fields;
+            throw new Error(`Параметры функции формирования ключа ${existKdf.name} превышают допустимые: ${cost}, ${blockSize}, ${parallelism}`);
+        }
+
+        return {code, kdf, salt: new Uint8Array(view.buffer, view.byteOffset + offset + 9, SALT_LENGTH).slice()};
+    }
+
+    /**
+     * Формирует ключ для поля заголовка или берет его из кэша.
+     *
+     * @param {{code: number, kdf: KdfInterface, salt: Uint8Array}} field - Поле
+     * @returns {Uint8Array} - Ключ
+     * @throws {Error} Если ключ уничтожен
+     */
+    derive(field) {
+        const password = this.key.bytes;
+        const cacheKey = this.getCacheKey(field);
+
+        return this.fromCache(cacheKey) ?? this.toCache(cacheKey, field.kdf.derive(password, field.salt, KEY_LENGTH));
+    }
+
+    /**
+     * Асинхронная версия derive().
+     *
+     * @param {{code: number, kdf: KdfInterface, salt: Uint8Array}} field - Поле
+     * @returns {Promise<Uint8Array>} - Ключ
+     * @throws {Error} Если ключ уничтожен
+     */
+    async deriveAsync(field) {
+        const password = this.key.bytes;
+        const cacheKey = this.getCacheKey(field);
+
+        return this.fromCache(cacheKey) ?? this.toCache(cacheKey, await field.kdf.deriveAsync(password, field.salt, KEY_LENGTH));
+    }
+
+    /**
+     * Возвращает имя функции формирования ключа по коду.
+     *
+     * @param {number} code - Код функции
+     * @returns {string|null} - Имя функции или null, если функция не найдена
+     */
+    getName(code) {
+        const existKdf = this.functions.find((kdf) => kdf.code === code);
+
+        return existKdf ? existKdf.name : null;
+    }
+
+    /**
+     * Возвращает ключ кэша: код функции, параметры и соль.
+     *
+     * @param {{code: number, kdf: KdfInterface, salt: Uint8Array}} field - Поле
+     * @returns {string} - Ключ кэша
+     * @private
+     */
+    getCacheKey(field) {
+        const {cost, blockSize, parallelism} = field.kdf.fields;
+
+        return `${field.code}:${cost}:${blockSize}:${parallelism}:${field.salt.join(',')}`;
+    }
+
+    /**
+     * Возвращает ключ из кэша и отмечает его как недавно использованный.
+     *
+     * @param {string} cacheKey - Ключ кэша
+     * @returns {Uint8Array|undefined} - Ключ или undefined
+     * @private
+     */
+    fromCache(cacheKey) {
+        const key = this.cache.get(cacheKey);
+
+        if (key) {
+            this.cache.delete(cacheKey);
+            this.cache.set(cacheKey, key);
+        }
+
+        return key;
+    }
+
+    /**
+     * Добавляет ключ в кэш, вытесняя давно не использованные.
+     *
+     * @param {string} cacheKey - Ключ кэша
+     * @param {Uint8Array} key - Ключ
+     * @returns {Uint8Array} - Ключ
+     * @private
+     */
+    toCache(cacheKey, key) {
+        if (this.cache.size >= CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        this.cache.set(cacheKey, key);
+
+        return key;
+    }
+}
+
+export {KeyDerivation, AvailableKdfs, AvailableKdfsName};
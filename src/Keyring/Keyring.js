@@ -0,0 +1,269 @@
+import {AvailableMethods} from '../EncryptionMethod/index.js';
+import {PackKey} from '../PackKey/index.js';
+import {Bytes} from '../Utils/index.js';
+
+// Максимальный идентификатор ключа (поле заголовка - 4 байта)
+const MAX_KEY_ID = 0xFFFFFFFF;
+
+/**
+ * Класс Keyring хранит набор ключей { keyId, secret, method } для смены секрета без потери
+ * старых данных. BinaryPack шифрует новые пакеты активным ключом и записывает его идентификатор
+ * в заголовок, а при распаковке выбирает ключ по идентификатору из заголовка. Старые ключи
+ * остаются в связке, пока есть данные, зашифрованные ими (см. BinaryPack.rewrap).
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class Keyring
+ * @example
+ * const keyring = new Keyring([
+ *     { keyId: 1, secret: 'old-secret', method: 'xor' },
+ *     { keyId: 2, secret: 'new-secret', method: 'aes-256-gcm' },
+ * ]);
+ *
+ * const packer = new BinaryPack({ keyring });
+ * packer.pack(data); // Шифруется ключом 2
+ */
+class Keyring {
+    /**
+     * Создает связку ключей.
+     *
+     * @constructor
+     * @param {Array<{keyId: number, secret: string|Uint8Array|PackKey, method: string}>} [entries] - Ключи
+     * @param {Object} [options] - Параметры связки
+     * @param {number} [options.activeKeyId] - Идентификатор ключа для новых пакетов (по умолчанию последний ключ)
+     * @param {number|null} [options.fallbackKeyId=null] - Ключ для данных без идентификатора ключа,
+     *                                                    упакованных до перехода на связку ключей
+     * @throws {Error} Если ключи или параметры некорректны
+     */
+    constructor(entries = [], {activeKeyId, fallbackKeyId = null} = {}) {
+        /**
+         * Ключи по идентификаторам
+         * @type {Map<number, Object>}
+         * @private
+         */
+        this.entries = new Map();
+
+        /**
+         * Идентификатор активного ключа
+         * @type {number|null}
+         * @private
+         */
+        this.activeId = null;
+
+        /**
+         * Идентификатор ключа для данных без идентификатора ключа
+         * @type {number|null}
+         * @private
+         */
+        this.fallbackId = null;
+
+        for (const entry of entries) {
+            this.add(entry);
+        }
+
+        if (activeKeyId !== undefined) {
+            this.setActive(activeKeyId);
+        } else if (this.entries.size > 0) {
+            this.activeId = [...this.entries.keys()].at(-1);
+        }
+
+        if (fallbackKeyId !== null) {
+            this.setFallback(fallbackKeyId);
+        }
+    }
+
+    /**
+     * Возвращает экземпляр Keyring для массива ключей или готовой связки.
+     *
+     * @static
+     * @param {Keyring|Array<Object>} keyring - Связка ключей или массив ключей
+     * @returns {Keyring} - Экземпляр связки ключей
+     */
+    static from(keyring) {
+        return keyring instanceof Keyring ? keyring : new Keyring(keyring);
+    }
+
+    /**
+     * Добавляет ключ в связку. Первый добавленный ключ становится активным. Двоичный секрет
+     * копируется в PackKey.
+     *
+     * @param {{keyId: number, secret: string|ArrayBuffer|ArrayBufferView|PackKey, method: string}} entry - Ключ
+     * @returns {Keyring} - Текущий экземпляр для цепочки вызовов
+     * @throws {Error} Если ключ некорректен или идентификатор уже занят
+     */
+    add(entry) {
+        const {keyId, secret, method} = entry || {};
+
+        if (!Number.isInteger(keyId) || keyId < 0 || keyId > MAX_KEY_ID) {
+            throw new Error(`Идентификатор ключа должен быть целым числом от 0 до ${MAX_KEY_ID}: ${keyId}`);
+        }
+
+        if (this.entries.has(keyId)) {
+            throw new Error(`Ключ ${keyId} уже есть в связке`);
+        }
+
+        if (!(secret instanceof PackKey) && !Bytes.isBinary(secret) && (typeof secret !== 'string' || secret === '')) {
+            throw new Error(`Секрет ключа ${keyId} должен быть непустой строкой, двоичным ключом или PackKey`);
+        }
+
+        const validMethodsName = AvailableMethods.map(({name}) => name);
+        if (!validMethodsName.includes(method)) {
+            throw new Error(`Неподдерживаемый метод шифрования ключа ${keyId}: ${method}. Доступные: ${validMethodsName.join(', ')}`);
+        }
+
+        this.entries.set(keyId, Object.freeze({keyId, secret: Bytes.isBinary(secret) ? PackKey.from(secret) : secret, method}));
+
+        if (this.activeId === null) {
+            this.activeId = keyId;
+        }
+
+        return this;
+    }
+
+    /**
+     * Добавляет ключ и делает его активным: новые пакеты шифруются им,
+     * а данные, зашифрованные прежними ключами, по-прежнему распаковываются.
+     *
+     * @param {{keyId: number, secret: string|ArrayBuffer|ArrayBufferView|PackKey, method: string}} entry - Новый ключ
+     * @returns {Keyring} - Текущий экземпляр для цепочки вызовов
+     * @throws {Error} Если ключ некорректен или идентификатор уже занят
+     * @example
+     * keyring.rotate({ keyId: 3, secret: newSecret, method: 'aes-256-gcm' });
+     */
+    rotate(entry) {
+        return this.add(entry).setActive(entry.keyId);
+    }
+
+    /**
+     * Делает ключ активным.
+     *
+     * @param {number} keyId - Идентификатор ключа
+     * @returns {Keyring} - Текущий экземпляр для цепочки вызовов
+     * @throws {Error} Если ключа нет в связке
+     */
+    setActive(keyId) {
+        this.require(keyId);
+        this.activeId = keyId;
+
+        return this;
+    }
+
+    /**
+     * Назначает ключ для данных без идентификатора ключа (упакованных обычным секретом).
+     *
+     * @param {number|null} keyId - Идентификатор ключа или null, чтобы отклонять такие данные
+     * @returns {Keyring} - Текущий экземпляр для цепочки вызовов
+     * @throws {Error} Если ключа нет в связке
+     */
+    setFallback(keyId) {
+        if (keyId !== null) {
+            this.require(keyId);
+        }
+
+        this.fallbackId = keyId;
+
+        return this;
+    }
+
+    /**
+     * Удаляет ключ из связки. Данные, зашифрованные им, больше не распаковываются.
+     *
+     * @param {number} keyId - Идентификатор ключа
+     * @returns {boolean} - true, если ключ был удален
+     * @throws {Error} Если ключ активный
+     */
+    remove(keyId) {
+        if (keyId === this.activeId) {
+            throw new Error(`Нельзя удалить активный ключ ${keyId}`);
+        }
+
+        if (keyId === this.fallbackId) {
+            this.fallbackId = null;
+        }
+
+        return this.entries.delete(keyId);
+    }
+
+    /**
+     * Возвращает ключ по идентификатору.
+     *
+     * @param {number} keyId - Идентификатор ключа
+     * @returns {{keyId: number, secret: string|PackKey, method: string}|null} - Ключ или null, если его нет в связке
+     */
+    get(keyId) {
+        return this.entries.get(keyId) ?? null;
+    }
+
+    /**
+     * Проверяет наличие ключа в связке.
+     *
+     * @param {number} keyId - Идентификатор ключа
+     * @returns {boolean} - true, если ключ есть в связке
+     */
+    has(keyId) {
+        return this.entries.has(keyId);
+    }
+
+    /**
+     * Возвращает ключ по идентификатору или выбрасывает ошибку.
+     *
+     * @param {number} keyId - Идентификатор ключа
+     * @returns {{keyId: number, secret: string|PackKey, method: string}} - Ключ
+     * @throws {Error} Если ключа нет в связке
+     * @private
+     */
+    require(keyId) {
+        const entry = this.get(keyId);
+
+        if (!entry) {
+            throw new Error(`Ключ ${keyId} отсутствует в связке`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Активный ключ, которым шифруются новые пакеты.
+     *
+     * @returns {{keyId: number, secret: string|PackKey, method: string}} - Активный ключ
+     * @throws {Error} Если связка пуста
+     */
+    get active() {
+        if (this.activeId === null) {
+            throw new Error('Связка ключей пуста');
+        }
+
+        return this.require(this.activeId);
+    }
+
+    /**
+     * Идентификатор активного ключа.
+     *
+     * @returns {number|null} - Идентификатор или null, если связка пуста
+     */
+    get activeKeyId() {
+        return this.activeId;
+    }
+
+    /**
+     * Идентификатор ключа для данных без идентификатора ключа.
+     *
+     * @returns {number|null} - Идентификатор или null
+     */
+    get fallbackKeyId() {
+        return this.fallbackId;
+    }
+
+    /**
+     * Идентификаторы всех ключей в порядке добавления.
+     *
+     * @returns {Array<number>} - Идентификаторы ключей
+     */
+    get keyIds() {
+        return [...this.entries.keys()];
+    }
+}
+
+export {Keyring};
@@ -0,0 +1,158 @@
+import {AvailablePresets, AvailablePresetsName} from './Presets.js';
+
+// Ограничения по умолчанию (64 МиБ; длина пакета не ограничена)
+const DEFAULT_LIMIT = 64 * 1024 * 1024;
+
+// Допустимые параметры конструктора BinaryPack
+const OPTION_NAMES = [
+    'preset', 'key', 'secret', 'method', 'lenientExtensions', 'schema', 'compression', 'format', 'writeVersion',
+    'kdf', 'integrity', 'keyring', 'publicKey', 'deterministic', 'padding', 'encryptMetadata', 'acceptMethods', 'limits',
+];
+
+// Параметры, принимающие только логические значения
+const BOOLEAN_OPTIONS = ['lenientExtensions', 'integrity', 'deterministic', 'encryptMetadata'];
+
+/**
+ * Класс Options проверяет параметры конструктора BinaryPack и объединяет их с набором параметров
+ * (preset) и значениями по умолчанию: параметры, заданные явно, имеют приоритет над набором,
+ * а набор - над значениями по умолчанию. Значения параметров (метод шифрования, сжатие, схема
+ * и т.д.) проверяет сам BinaryPack.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class Options
+ * @example
+ * const options = Options.resolve({ preset: 'compact', key: 'secret', limits: { maxPacketLength: 65536 } });
+ * options.method; // 'chacha20-poly1305'
+ * options.compression; // 'lz'
+ */
+class Options {
+    /**
+     * Ограничения по умолчанию
+     * @static
+     * @type {{maxPacketLength: number, maxFrameLength: number, maxChunkLength: number, maxValueLength: number}}
+     */
+    static DEFAULT_LIMITS = Object.freeze({
+        maxPacketLength: Infinity,
+        maxFrameLength: DEFAULT_LIMIT,
+        maxChunkLength: DEFAULT_LIMIT,
+        maxValueLength: DEFAULT_LIMIT,
+    });
+
+    /**
+     * Проверяет параметры и объединяет их с набором параметров и значениями по умолчанию.
+     *
+     * @static
+     * @param {Object} options - Параметры конструктора BinaryPack
+     * @returns {Object} - Параметры: secret и writeVersion вместо key и format, limits со всеми ограничениями
+     * @throws {Error} При неизвестном параметре или наборе, противоречивых параметрах или значении неверного типа
+     */
+    static resolve(options) {
+        if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+            throw new Error('Параметры BinaryPack должны быть объектом');
+        }
+
+        // Параметры со значением undefined считаются не заданными
+        const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+
+        const unknownOption = Object.keys(given).find((name) => !OPTION_NAMES.includes(name));
+        if (unknownOption) {
+            throw new Error(`Неизвестный параметр BinaryPack: ${unknownOption}. Доступные: ${OPTION_NAMES.join(', ')}`);
+        }
+
+        const {key = null, format, preset = null, ...rest} = given;
+
+        if (key !== null && (rest.secret ?? null) !== null) {
+            throw new Error('Ключ задается одним параметром: key или secret');
+        }
+
+        if (format !== undefined && rest.writeVersion !== undefined && format !== rest.writeVersion) {
+            throw new Error('Версия формата задается одним параметром: format или writeVersion');
+        }
+
+        const resolved = {...rest, secret: key ?? rest.secret ?? null, writeVersion: format ?? rest.writeVersion};
+        const presetOptions = preset === null ? {} : Options.presetOptions(preset, resolved);
+
+        for (const [name, value] of Object.entries(presetOptions)) {
+            if (name !== 'limits' && (resolved[name] === undefined || (name === 'method' && resolved.method === null))) {
+                resolved[name] = value;
+            }
+        }
+
+        for (const name of BOOLEAN_OPTIONS) {
+            if (resolved[name] !== undefined && typeof resolved[name] !== 'boolean') {
+                throw new Error(`Параметр ${name} должен быть логическим значением`);
+            }
+        }
+
+        resolved.limits = Options.limits(presetOptions.limits, resolved.limits);
+
+        return resolved;
+    }
+
+    /**
+     * Возвращает параметры набора с учетом ключа.
+     *
+     * @static
+     * @param {string} name - Имя набора
+     * @param {{secret: any, keyring?: any}} options - Параметры, заданные явно
+     * @returns {Object} - Параметры набора
+     * @throws {Error} При неизвестном наборе или наборе, требующем ключ, без ключа
+     * @private
+     */
+    static presetOptions(name, {secret, keyring}) {
+        const existPreset = AvailablePresets.find((preset) => preset.name === name);
+
+        if (!existPreset) {
+            throw new Error(`Неизвестный набор параметров: ${name}. Доступные: ${Object.values(AvailablePresetsName).join(', ')}`);
+        }
+
+        const hasKey = secret !== null || Boolean(keyring);
+        if (existPreset.requiresKey && !hasKey) {
+            throw new Error(`Набор параметров ${name} требует ключа или связки ключей`);
+        }
+
+        if (!hasKey) {
+            return existPreset.options;
+        }
+
+        // Метод шифрования связки задают ее ключи
+        const {method, ...keyed} = existPreset.keyed;
+
+        return {...existPreset.options, ...keyed, ...(secret !== null ? {method} : {})};
+    }
+
+    /**
+     * Объединяет ограничения набора и заданные явно с ограничениями по умолчанию.
+     *
+     * @static
+     * @param {Object} [presetLimits] - Ограничения набора
+     * @param {Object} [limits] - Ограничения, заданные явно
+     * @returns {{maxPacketLength: number, maxFrameLength: number, maxChunkLength: number, maxValueLength: number}} - Ограничения
+     * @throws {Error} При неизвестном ограничении или недопустимом значении
+     * @private
+     */
+    static limits(presetLimits = {}, limits = {}) {
+        if (limits === null || typeof limits !== 'object' || Array.isArray(limits)) {
+            throw new Error('Параметр limits должен быть объектом');
+        }
+
+        const names = Object.keys(Options.DEFAULT_LIMITS);
+
+        for (const [name, value] of Object.entries(limits)) {
+            if (!names.includes(name)) {
+                throw new Error(`Неизвестное ограничение: ${name}. Доступные: ${names.join(', ')}`);
+            }
+
+            if (value !== Infinity && (!Number.isInteger(value) || value < 1)) {
+                throw new Error(`Ограничение ${name} должно быть положительным целым числом: ${value}`);
+            }
+        }
+
+        return Object.freeze({...Options.DEFAULT_LIMITS, ...presetLimits, ...limits});
+    }
+}
+
+export {Options, AvailablePresets, AvailablePresetsName};
@@ -0,0 +1,64 @@
+import {AvailableMethodsName} from '../EncryptionMethod/index.js';
+import {AvailableCompressionsName} from '../Compression/index.js';
+import {AvailablePaddingsName} from '../Padding/index.js';
+
+// Ограничения набора 'secure' (16 МиБ)
+const SECURE_LIMIT = 16 * 1024 * 1024;
+
+/**
+ * Массив именованных наборов параметров BinaryPack. Каждый элемент массива содержит:
+ * - name: имя набора для параметра preset
+ * - options: параметры набора (параметры, заданные явно, имеют приоритет)
+ * - keyed: параметры, которые применяются только при заданном ключе или связке ключей
+ * - requiresKey: набор применяется только с ключом или связкой ключей
+ *
+ * @constant {Array<Object>}
+ * @type {Array<{name: string, options: Object, keyed: Object, requiresKey: boolean}>}
+ */
+const AvailablePresets = [
+    // Минимальная обработка: без сжатия и контрольной суммы открытых данных
+    Object.freeze({
+        name: 'fast',
+        options: {compression: null, integrity: false},
+        keyed: {method: AvailableMethodsName.CHACHA20_POLY1305},
+        requiresKey: false,
+    }),
+
+    // Минимальный размер пакетов: сжатие LZ и метод с наименьшими накладными расходами
+    Object.freeze({
+        name: 'compact',
+        options: {compression: AvailableCompressionsName.LZ},
+        keyed: {method: AvailableMethodsName.CHACHA20_POLY1305},
+        requiresKey: false,
+    }),
+
+    // Шифрование с аутентификацией, выравнивание длины, скрытые метаданные и строгие ограничения
+    Object.freeze({
+        name: 'secure',
+        options: {
+            padding: AvailablePaddingsName.POWER_OF_TWO,
+            limits: {
+                maxPacketLength: SECURE_LIMIT,
+                maxFrameLength: SECURE_LIMIT,
+                maxChunkLength: SECURE_LIMIT,
+                maxValueLength: SECURE_LIMIT,
+            },
+        },
+        keyed: {method: AvailableMethodsName.CHACHA20_POLY1305, encryptMetadata: true},
+        requiresKey: true,
+    }),
+];
+
+/**
+ * Объект-справочник для получения имен наборов параметров по удобным ключам.
+ *
+ * @constant {Object}
+ * @type {{FAST: string, COMPACT: string, SECURE: string}}
+ */
+const AvailablePresetsName = {
+    'FAST': 'fast',
+    'COMPACT': 'compact',
+    'SECURE': 'secure',
+};
+
+export { AvailablePresets, AvailablePresetsName };
@@ -0,0 +1,367 @@
+import {Base64, Bytes, Random, Runtime} from '../Utils/index.js';
+
+// Минимальная длина двоичного ключа в байтах
+const MIN_LENGTH = 16;
+
+// Длина ключа, создаваемого generate() по умолчанию
+const DEFAULT_LENGTH = 32;
+
+// Кодировки export() и import()
+const ENCODINGS = ['base64', 'hex', 'raw'];
+
+/**
+ * Класс PackKey хранит ключевой материал BinaryPack: пароль (строку) или двоичный ключ.
+ * Ключ создается один раз и передается в BinaryPack вместо секрета; производные данные
+ * (экземпляры методов шифрования с подготовленным расписанием ключа, ключ кода аутентификации,
+ * ключи функций формирования ключа) вычисляются при первом использовании и переиспользуются
+ * всеми вызовами и всеми экземплярами BinaryPack с этим ключом.
+ *
+ * destroy() обнуляет байты ключа и производные ключи; после этого любое использование ключа
+ * выбрасывает ошибку. Строку пароля JavaScript стереть не позволяет: для ключей, которые нужно
+ * стирать из памяти, используйте двоичный ключ.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class PackKey
+ * @example
+ * const key = PackKey.generate();
+ * const stored = key.export('base64');
+ *
+ * const packer = new BinaryPack(PackKey.import(stored), 'aes-256-gcm');
+ * packer.pack(data);
+ * key.destroy();
+ */
+class PackKey {
+    /**
+     * Минимальная длина двоичного ключа в байтах
+     * @static
+     * @type {number}
+     */
+    static MIN_LENGTH = MIN_LENGTH;
+
+    /**
+     * Создает ключ. Двоичный ключ не копируется: используйте PackKey.from(), чтобы ключ
+     * не зависел от переданного массива.
+     *
+     * @constructor
+     * @param {string|Uint8Array} material - Пароль (непустая строка) или двоичный ключ (не короче 16 байт)
+     * @throws {Error} Если ключевой материал некорректен
+     */
+    constructor(material) {
+        if (typeof material === 'string' ? material === '' : !(material instanceof Uint8Array)) {
+            throw new Error('Ключ должен быть непустой строкой или двоичными данными');
+        }
+
+        if (material instanceof Uint8Array && material.length < MIN_LENGTH) {
+            throw new Error(`Длина двоичного ключа должна быть не менее ${MIN_LENGTH} байт: ${material.length}`);
+        }
+
+        /**
+         * Пароль или двоичный ключ (null после destroy())
+         * @type {string|Uint8Array|null}
+         * @private
+         */
+        this.material = material;
+
+        /**
+         * Байты ключа: UTF-8 пароля (вычисляется при первом использовании) или двоичный ключ
+         * @type {Uint8Array|null}
+         * @private
+         */
+        this.encoded = material instanceof Uint8Array ? material : null;
+
+        /**
+         * Экземпляры методов шифрования с этим ключом
+         * @type {Map<Object, MethodInterface>}
+         * @private
+         */
+        this.instances = new Map();
+
+        /**
+         * Производные ключи по меткам
+         * @type {Map<string, PackKey>}
+         * @private
+         */
+        this.subkeys = new Map();
+
+        /**
+         * Кэш ключей, сформированных функциями формирования ключа (заполняет KeyDerivation)
+         * @type {Map<string, Uint8Array>}
+         */
+        this.derivedKeys = new Map();
+
+        /**
+         * Ключ уничтожен
+         * @type {boolean}
+         * @private
+         */
+        this.isDestroyed = false;
+    }
+
+    /**
+     * Возвращает ключ для пароля, двоичных данных или готового ключа. Двоичные данные копируются.
+     *
+     * @static
+     * @param {string|ArrayBuffer|ArrayBufferView|PackKey} value - Пароль, двоичный ключ или ключ
+     * @returns {PackKey} - Ключ
+     * @throws {Error} Если ключевой материал некорректен
+     * @example
+     * const key = PackKey.from(new Uint8Array(32));
+     */
+    static from(value) {
+        if (value instanceof PackKey) {
+            return value;
+        }
+
+        return new PackKey(Bytes.isBinary(value) ? new Uint8Array(Bytes.copy(value)) : value);
+    }
+
+    /**
+     * Создает двоичный ключ из шестнадцатеричной строки.
+     *
+     * @static
+     * @param {string} hex - Шестнадцатеричная строка
+     * @returns {PackKey} - Ключ
+     * @throws {Error} Если строка некорректна или ключ слишком короткий
+     */
+    static fromHex(hex) {
+        if (typeof hex !== 'string' || !/^(?:[0-9a-fA-F]{2})*$/.test(hex)) {
+            throw new Error('Неверный формат шестнадцатеричной строки ключа');
+        }
+
+        return new PackKey(Uint8Array.from(hex.match(/../g) ?? [], (byte) => parseInt(byte, 16)));
+    }
+
+    /**
+     * Создает двоичный ключ из строки Base64.
+     *
+     * @static
+     * @param {string} base64 - Строка Base64
+     * @returns {PackKey} - Ключ
+     * @throws {Error} Если строка некорректна или ключ слишком короткий
+     */
+    static fromBase64(base64) {
+        return new PackKey(new Uint8Array(Base64.base64ToBuffer(base64)));
+    }
+
+    /**
+     * Создает двоичный ключ из ключа WebCrypto. Ключ должен быть извлекаемым (extractable).
+     *
+     * @static
+     * @param {CryptoKey} cryptoKey - Ключ WebCrypto (например, AES или HMAC)
+     * @returns {Promise<PackKey>} - Ключ
+     * @throws {Error} Если WebCrypto недоступен или ключ нельзя извлечь
+     * @example
+     * const cryptoKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+     * const key = await PackKey.fromCryptoKey(cryptoKey);
+     */
+    static async fromCryptoKey(cryptoKey) {
+        const subtle = Runtime.webCrypto()?.subtle;
+
+        if (!subtle) {
+            throw new Error('WebCrypto недоступен');
+        }
+
+        if (!cryptoKey || cryptoKey.extractable !== true) {
+            throw new Error('Ключ WebCrypto должен быть извлекаемым (extractable)');
+        }
+
+        return new PackKey(new Uint8Array(await subtle.exportKey('raw', cryptoKey)));
+    }
+
+    /**
+     * Создает случайный двоичный ключ.
+     *
+     * @static
+     * @param {number} [length=32] - Длина ключа в байтах (не менее 16)
+     * @returns {PackKey} - Ключ
+     * @throws {Error} Если длина некорректна
+     */
+    static generate(length = DEFAULT_LENGTH) {
+        if (!Number.isInteger(length) || length < MIN_LENGTH) {
+            throw new Error(`Длина двоичного ключа должна быть целым числом не менее ${MIN_LENGTH}: ${length}`);
+        }
+
+        return new PackKey(Random.bytes(length));
+    }
+
+    /**
+     * Восстанавливает ключ, сохраненный export().
+     *
+     * @static
+     * @param {string|ArrayBuffer|ArrayBufferView} value - Ключ в кодировке encoding
+     * @param {string} [encoding='base64'] - Кодировка: 'base64', 'hex' или 'raw'
+     * @returns {PackKey} - Ключ
+     * @throws {Error} При неизвестной кодировке или некорректном значении
+     */
+    static import(value, encoding = 'base64') {
+        switch (encoding) {
+            case 'base64':
+                return PackKey.fromBase64(value);
+            case 'hex':
+                return PackKey.fromHex(value);
+            case 'raw':
+                if (!Bytes.isBinary(value)) {
+                    throw new Error('Ключ в кодировке raw должен быть двоичными данными');
+                }
+
+                return PackKey.from(value);
+            default:
+                throw new Error(`Неподдерживаемая кодировка ключа: ${encoding}. Доступные: ${ENCODINGS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Экспортирует двоичный ключ для хранения или передачи. Ключ из пароля не экспортируется:
+     * сохраните сам пароль.
+     *
+     * @param {string} [encoding='base64'] - Кодировка: 'base64', 'hex' или 'raw' (копия байт)
+     * @returns {string|Uint8Array} - Ключ в выбранной кодировке
+     * @throws {Error} Если ключ уничтожен, создан из пароля или кодировка неизвестна
+     */
+    export(encoding = 'base64') {
+        const material = this.secret;
+
+        if (typeof material === 'string') {
+            throw new Error('Ключ из пароля не экспортируется');
+        }
+
+        switch (encoding) {
+            case 'base64':
+                return Base64.bufferToBase64(material);
+            case 'hex':
+                return Array.from(material, (byte) => byte.toString(16).padStart(2, '0')).join('');
+            case 'raw':
+                return material.slice();
+            default:
+                throw new Error(`Неподдерживаемая кодировка ключа: ${encoding}. Доступные: ${ENCODINGS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Ключевой материал для методов шифрования: пароль или двоичный ключ.
+     *
+     * @returns {string|Uint8Array} - Пароль или двоичный ключ
+     * @throws {Error} Если ключ уничтожен
+     */
+    get secret() {
+        this.assertAlive();
+
+        return this.material;
+    }
+
+    /**
+     * Байты ключа: UTF-8 пароля или двоичный ключ.
+     *
+     * @returns {Uint8Array} - Байты ключа
+     * @throws {Error} Если ключ уничтожен
+     */
+    get bytes() {
+        this.assertAlive();
+
+        if (!this.encoded) {
+            this.encoded = new TextEncoder().encode(this.material);
+        }
+
+        return this.encoded;
+    }
+
+    /**
+     * Ключ создан из двоичных данных, а не из пароля.
+     *
+     * @returns {boolean} - true для двоичного ключа
+     */
+    get binary() {
+        return this.material instanceof Uint8Array;
+    }
+
+    /**
+     * Ключ уничтожен методом destroy().
+     *
+     * @returns {boolean} - true после destroy()
+     */
+    get destroyed() {
+        return this.isDestroyed;
+    }
+
+    /**
+     * Возвращает экземпляр метода шифрования с этим ключом, создавая его при первом обращении.
+     *
+     * @param {{code: number, name: string, instance: Function}} method - Метод из списка доступных методов
+     * @returns {MethodInterface} - Экземпляр метода
+     * @throws {Error} Если ключ уничтожен
+     */
+    instance(method) {
+        this.assertAlive();
+
+        let instance = this.instances.get(method);
+
+        if (!instance) {
+            instance = new method.instance(this.material);
+            this.instances.set(method, instance);
+        }
+
+        return instance;
+    }
+
+    /**
+     * Возвращает производный ключ для метки, вычисляя его один раз.
+     *
+     * @param {string} label - Метка применения ключа
+     * @param {function(Uint8Array): Uint8Array} derive - Формирует производный ключ из байт ключа
+     * @returns {PackKey} - Производный ключ (уничтожается вместе с этим ключом)
+     * @throws {Error} Если ключ уничтожен
+     */
+    subkey(label, derive) {
+        this.assertAlive();
+
+        let subkey = this.subkeys.get(label);
+
+        if (!subkey) {
+            subkey = new PackKey(derive(this.bytes));
+            this.subkeys.set(label, subkey);
+        }
+
+        return subkey;
+    }
+
+    /**
+     * Обнуляет байты ключа и производные ключи. Повторный вызов ничего не делает.
+     *
+     * @returns {void}
+     */
+    destroy() {
+        if (this.isDestroyed) {
+            return;
+        }
+
+        this.instances.forEach((instance) => instance.destroy());
+        this.subkeys.forEach((subkey) => subkey.destroy());
+        this.derivedKeys.forEach((key) => key.fill(0));
+        this.encoded?.fill(0);
+
+        this.instances.clear();
+        this.subkeys.clear();
+        this.derivedKeys.clear();
+        this.material = null;
+        this.encoded = null;
+        this.isDestroyed = true;
+    }
+
+    /**
+     * Проверяет, что ключ не уничтожен.
+     *
+     * @returns {void}
+     * @throws {Error} Если ключ уничтожен
+     * @private
+     */
+    assertAlive() {
+        if (this.isDestroyed) {
+            throw new Error('Ключ уничтожен');
+        }
+    }
+}
+
+export {PackKey};
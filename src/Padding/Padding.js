@@ -0,0 +1,93 @@
+import {AvailablePaddings, AvailablePaddingsName} from './Policies/index.js';
+
+// Длина поля исходной длины данных в байтах
+const LENGTH_FIELD = 4;
+
+// Максимальная длина данных после выравнивания (поле длины пакета - 4 байта)
+const MAX_LENGTH = 0xFFFFFFFF;
+
+/**
+ * Класс Padding дополняет данные пакета до длины, выбранной политикой выравнивания
+ * ('power-of-two', 'buckets', 'random'). Данные записываются полем [исходная длина:4B][данные][нули...]
+ * перед шифрованием, поэтому точная длина шифруется вместе с данными, а длина пакета зависит
+ * только от политики. Распаковка отбрасывает дополнение по исходной длине и не зависит от политики.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class Padding
+ * @example
+ * const padding = new Padding({name: 'buckets', sizes: [256, 1024]});
+ * const padded = padding.pad(body); // 256 байт
+ * Padding.unpad(padded); // body
+ */
+class Padding {
+    /**
+     * Создает экземпляр Padding.
+     *
+     * @constructor
+     * @param {string|Object} options - Имя политики ('power-of-two', 'buckets', 'random')
+     *                                  или объект {name, ...параметры}
+     * @throws {Error} При неизвестной политике или некорректных параметрах
+     */
+    constructor(options) {
+        const {name, ...params} = typeof options === 'string' ? {name: options} : options;
+        const existPolicy = AvailablePaddings.find((policy) => policy.name === name);
+
+        if (!existPolicy) {
+            throw new Error(`Неподдерживаемая политика выравнивания: ${name}. Доступные: ${AvailablePaddings.map((policy) => policy.name).join(', ')}`);
+        }
+
+        /**
+         * Политика выравнивания
+         * @type {PaddingInterface}
+         * @private
+         */
+        this.policy = new existPolicy.instance(params);
+    }
+
+    /**
+     * Дополняет данные до длины, выбранной политикой.
+     *
+     * @param {Uint8Array} body - Данные
+     * @returns {Uint8Array} - [исходная длина:4B][данные][нули...]
+     * @throws {Error} Если длина после выравнивания превышает допустимую
+     */
+    pad(body) {
+        const length = Math.max(this.policy.targetLength(LENGTH_FIELD + body.length), LENGTH_FIELD + body.length);
+
+        if (length > MAX_LENGTH) {
+            throw new Error(`Длина данных после выравнивания превышает ${MAX_LENGTH} байт`);
+        }
+
+        const padded = new Uint8Array(length);
+        new DataView(padded.buffer).setUint32(0, body.length);
+        padded.set(body, LENGTH_FIELD);
+
+        return padded;
+    }
+
+    /**
+     * Отбрасывает дополнение.
+     *
+     * @static
+     * @param {Uint8Array} padded - Данные с дополнением
+     * @returns {Uint8Array} - Исходные данные
+     * @throws {Error} Если исходная длина не помещается в данные
+     */
+    static unpad(padded) {
+        if (padded.length < LENGTH_FIELD) {
+            throw new Error('Некорректная длина данных с выравниванием');
+        }
+
+        const length = new DataView(padded.buffer, padded.byteOffset, padded.byteLength).getUint32(0);
+        if (length > padded.length - LENGTH_FIELD) {
+            throw new Error('Некорректная длина данных с выравниванием');
+        }
+
+        return padded.subarray(LENGTH_FIELD, LENGTH_FIELD + length);
+    }
+}
+
+export {Padding, AvailablePaddings, AvailablePaddingsName};
@@ -0,0 +1,82 @@
+import {PaddingInterface} from './_PaddingInterface.js';
+
+// Константа с именем политики выравнивания
+const POLICY_NAME = 'buckets';
+
+// Максимальный размер корзины (1 ГиБ)
+const MAX_SIZE = 2 ** 30;
+
+/**
+ * Политика выравнивания до фиксированных размеров (корзин): данные дополняются до ближайшего
+ * размера из списка, а данные длиннее наибольшего размера - до кратного ему. Пакеты сообщений
+ * разных типов, попавших в одну корзину, не различаются по длине.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class Buckets
+ * @extends PaddingInterface
+ * @example
+ * const buckets = new Buckets({sizes: [256, 1024, 4096]});
+ * buckets.targetLength(300); // 1024
+ * buckets.targetLength(5000); // 8192
+ */
+class Buckets extends PaddingInterface {
+    /**
+     * Статическое свойство с именем политики выравнивания
+     * @static
+     * @type {string}
+     */
+    static name = POLICY_NAME;
+
+    /**
+     * Создает политику выравнивания до фиксированных размеров.
+     *
+     * @constructor
+     * @param {Object} params - Параметры
+     * @param {Array<number>} params.sizes - Размеры корзин в порядке возрастания
+     * @throws {Error} Если список размеров пуст или размеры некорректны
+     */
+    constructor({sizes} = {}) {
+        super();
+
+        if (!Array.isArray(sizes) || sizes.length === 0) {
+            throw new Error(`Политика выравнивания ${POLICY_NAME} требует непустой список размеров sizes`);
+        }
+
+        sizes.forEach((size, index) => {
+            this.checkParam('sizes', size, 1, MAX_SIZE);
+
+            if (index > 0 && size <= sizes[index - 1]) {
+                throw new Error(`Размеры политики выравнивания ${POLICY_NAME} должны возрастать: ${sizes.join(', ')}`);
+            }
+        });
+
+        /**
+         * Размеры корзин
+         * @type {Array<number>}
+         * @private
+         */
+        this.sizes = [...sizes];
+    }
+
+    /**
+     * Возвращает наименьший размер корзины, вмещающий данные, или кратное наибольшему размеру.
+     *
+     * @param {number} length - Длина данных до выравнивания
+     * @returns {number} - Длина после выравнивания
+     */
+    targetLength(length) {
+        const size = this.sizes.find((bucket) => bucket >= length);
+        if (size !== undefined) {
+            return size;
+        }
+
+        const largest = this.sizes.at(-1);
+
+        return Math.ceil(length / largest) * largest;
+    }
+}
+
+export {Buckets};
@@ -0,0 +1,68 @@
+import {PaddingInterface} from './_PaddingInterface.js';
+
+// Константа с именем политики выравнивания
+const POLICY_NAME = 'power-of-two';
+
+// Минимальная длина по умолчанию
+const DEFAULT_MIN = 64;
+
+// Максимальная минимальная длина (1 ГиБ)
+const MAX_MIN = 2 ** 30;
+
+/**
+ * Политика выравнивания до степени двойки: длина пакета раскрывает только порядок длины данных.
+ * Накладные расходы - менее чем в два раза.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class PowerOfTwo
+ * @extends PaddingInterface
+ * @example
+ * new PowerOfTwo({min: 64}).targetLength(100); // 128
+ */
+class PowerOfTwo extends PaddingInterface {
+    /**
+     * Статическое свойство с именем политики выравнивания
+     * @static
+     * @type {string}
+     */
+    static name = POLICY_NAME;
+
+    /**
+     * Создает политику выравнивания до степени двойки.
+     *
+     * @constructor
+     * @param {Object} [params] - Параметры
+     * @param {number} [params.min=64] - Минимальная длина: короткие данные дополняются до нее
+     * @throws {Error} При некорректных параметрах
+     */
+    constructor({min = DEFAULT_MIN} = {}) {
+        super();
+
+        /**
+         * Минимальная длина
+         * @type {number}
+         * @private
+         */
+        this.min = this.checkParam('min', min, 1, MAX_MIN);
+    }
+
+    /**
+     * Возвращает ближайшую степень двойки, не меньшую длины данных и минимальной длины.
+     *
+     * @param {number} length - Длина данных до выравнивания
+     * @returns {number} - Длина после выравнивания
+     */
+    targetLength(length) {
+        let target = 1;
+        while (target < length || target < this.min) {
+            target *= 2;
+        }
+
+        return target;
+    }
+}
+
+export {PowerOfTwo};
@@ -0,0 +1,76 @@
+import {PaddingInterface} from './_PaddingInterface.js';
+import {Random} from '../../Utils/index.js';
+
+// Константа с именем политики выравнивания
+const POLICY_NAME = 'random';
+
+// Границы случайного дополнения по умолчанию
+const DEFAULT_MIN = 0;
+const DEFAULT_MAX = 255;
+
+// Максимальная длина случайного дополнения (1 МиБ)
+const MAX_PADDING = 1024 * 1024;
+
+/**
+ * Политика случайного дополнения: к данным добавляется случайное количество байт в заданных границах,
+ * поэтому пакеты одних и тех же данных различаются по длине. Скрывает длину слабее корзин: при
+ * многократной отправке близкие по длине данные различимы статистически.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class RandomPadding
+ * @extends PaddingInterface
+ * @example
+ * new RandomPadding({min: 16, max: 128}).targetLength(100); // от 116 до 228
+ */
+class RandomPadding extends PaddingInterface {
+    /**
+     * Статическое свойство с именем политики выравнивания
+     * @static
+     * @type {string}
+     */
+    static name = POLICY_NAME;
+
+    /**
+     * Создает политику случайного дополнения.
+     *
+     * @constructor
+     * @param {Object} [params] - Параметры
+     * @param {number} [params.min=0] - Минимальное количество байт дополнения
+     * @param {number} [params.max=255] - Максимальное количество байт дополнения (не более 1 МиБ)
+     * @throws {Error} При некорректных параметрах
+     */
+    constructor({min = DEFAULT_MIN, max = DEFAULT_MAX} = {}) {
+        super();
+
+        /**
+         * Минимальное количество байт дополнения
+         * @type {number}
+         * @private
+         */
+        this.min = this.checkParam('min', min, 0, MAX_PADDING);
+
+        /**
+         * Максимальное количество байт дополнения
+         * @type {number}
+         * @private
+         */
+        this.max = this.checkParam('max', max, this.min, MAX_PADDING);
+    }
+
+    /**
+     * Возвращает длину данных со случайным дополнением.
+     *
+     * @param {number} length - Длина данных до выравнивания
+     * @returns {number} - Длина после выравнивания
+     */
+    targetLength(length) {
+        const random = new DataView(Random.bytes(4).buffer).getUint32(0);
+
+        return length + this.min + Math.floor(random / 2 ** 32 * (this.max - this.min + 1));
+    }
+}
+
+export {RandomPadding};
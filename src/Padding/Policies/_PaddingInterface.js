@@ -0,0 +1,54 @@
+/**
+ * Абстрактный базовый класс для политик выравнивания длины данных. Политика определяет,
+ * до какой длины дополняются данные пакета перед шифрованием, чтобы длина пакета не раскрывала
+ * точную длину данных. Политика не записывается в заголовок: распаковке она не нужна.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @abstract
+ * @class PaddingInterface
+ * @example
+ * class MyPadding extends PaddingInterface {
+ *   static name = 'my-padding';
+ *
+ *   targetLength(length) {
+ *     return Math.ceil(length / 100) * 100;
+ *   }
+ * }
+ */
+class PaddingInterface {
+    /**
+     * Возвращает длину данных после выравнивания.
+     *
+     * @abstract
+     * @param {number} length - Длина данных до выравнивания
+     * @returns {number} - Длина после выравнивания (не меньше исходной)
+     * @throws {Error} При отсутствии реализации в дочернем классе
+     */
+    targetLength(length) {
+        throw new Error('Метод targetLength должен быть реализован в дочернем классе');
+    }
+
+    /**
+     * Проверяет, что параметр - целое число в допустимом диапазоне.
+     *
+     * @param {string} name - Имя параметра
+     * @param {number} value - Значение
+     * @param {number} min - Минимальное значение
+     * @param {number} max - Максимальное значение
+     * @returns {number} - Значение
+     * @throws {Error} Если значение вне диапазона
+     * @protected
+     */
+    checkParam(name, value, min, max) {
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`Некорректный параметр ${name} политики выравнивания ${this.constructor.name}: ${value}. Допустимо от ${min} до ${max}`);
+        }
+
+        return value;
+    }
+}
+
+export {PaddingInterface};
@@ -0,0 +1,32 @@
+import { PowerOfTwo } from './PowerOfTwo.js';
+import { Buckets } from './Buckets.js';
+import { RandomPadding } from './RandomPadding.js';
+
+/**
+ * Массив доступных политик выравнивания длины с их именами и классами-реализациями.
+ * Каждый элемент массива содержит:
+ * - name: строковое имя политики (соответствует статическому свойству name класса)
+ * - instance: класс-реализация политики выравнивания
+ *
+ * @constant {Array<Object>}
+ * @type {Array<{name: string, instance: PaddingInterface}>}
+ */
+const AvailablePaddings = [
+    { name: PowerOfTwo.name, instance: PowerOfTwo },
+    { name: Buckets.name, instance: Buckets },
+    { name: RandomPadding.name, instance: RandomPadding },
+];
+
+/**
+ * Объект-справочник для получения имен политик выравнивания по удобным ключам.
+ *
+ * @constant {Object}
+ * @type {{POWER_OF_TWO: string, BUCKETS: string, RANDOM: string}}
+ */
+const AvailablePaddingsName = {
+    'POWER_OF_TWO': PowerOfTwo.name,
+    'BUCKETS': Buckets.name,
+    'RANDOM': RandomPadding.name,
+};
+
+export { AvailablePaddings, AvailablePaddingsName };
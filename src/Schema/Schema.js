@@ -0,0 +1,445 @@
+import {ValueWriter, ValueReader} from '../Codec/index.js';
+import {Hash} from '../Utils/index.js';
+
+/**
+ * Описание числовых типов полей: метод DataView, размер и допустимый диапазон.
+ *
+ * @constant {Object}
+ */
+const NumericTypes = {
+    u8: {setter: 'setUint8', getter: 'getUint8', size: 1, min: 0, max: 0xff},
+    u16: {setter: 'setUint16', getter: 'getUint16', size: 2, min: 0, max: 0xffff},
+    u32: {setter: 'setUint32', getter: 'getUint32', size: 4, min: 0, max: 0xffffffff},
+    i8: {setter: 'setInt8', getter: 'getInt8', size: 1, min: -0x80, max: 0x7f},
+    i16: {setter: 'setInt16', getter: 'getInt16', size: 2, min: -0x8000, max: 0x7fff},
+    i32: {setter: 'setInt32', getter: 'getInt32', size: 4, min: -0x80000000, max: 0x7fffffff},
+    f32: {setter: 'setFloat32', getter: 'getFloat32', size: 4},
+    f64: {setter: 'setFloat64', getter: 'getFloat64', size: 8},
+};
+
+/**
+ * Список всех поддерживаемых типов полей.
+ * 'any' записывает значение в бинарном формате с тегом типа (см. ValueWriter).
+ *
+ * @constant {Array<string>}
+ */
+const FieldTypes = [...Object.keys(NumericTypes), 'string', 'bool', 'array', 'nested', 'any'];
+
+// Маркеры присутствия для необязательных и nullable полей
+const MARKER_ABSENT = 0;
+const MARKER_NULL = 1;
+const MARKER_PRESENT = 2;
+
+/**
+ * Класс Schema описывает фиксированную структуру объектов и упаковывает их позиционно:
+ * значения полей записываются в порядке объявления, без имен ключей.
+ * Необязательные (optional) и допускающие null (nullable) поля предваряются байтом-маркером.
+ * Идентификатор схемы вычисляется по ее описанию и записывается в заголовок,
+ * что позволяет отклонять данные, упакованные с другой схемой.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class Schema
+ * @example
+ * const schema = new Schema({
+ *     fields: [
+ *         { name: 'id', type: 'u32' },
+ *         { name: 'temperature', type: 'f32', nullable: true },
+ *         { name: 'tags', type: 'array', items: 'string', optional: true },
+ *         { name: 'position', type: 'nested', schema: { fields: [
+ *             { name: 'lat', type: 'f64' },
+ *             { name: 'lon', type: 'f64' },
+ *         ] } },
+ *     ],
+ * });
+ *
+ * const packer = new BinaryPack({ schema });
+ */
+class Schema {
+    /**
+     * Создает схему и проверяет ее описание.
+     *
+     * @constructor
+     * @param {{fields: Array<Object>}|Array<Object>} definition - Описание схемы или массив полей
+     * @throws {Error} Если описание схемы некорректно
+     */
+    constructor(definition) {
+        const fields = Array.isArray(definition) ? definition : definition && definition.fields;
+
+        if (!Array.isArray(fields) || fields.length === 0) {
+            throw new Error('Схема должна содержать непустой массив полей fields');
+        }
+
+        const names = new Set();
+
+        /**
+         * Нормализованные описания полей в порядке записи
+         * @type {Array<Object>}
+         * @private
+         */
+        this.fields = fields.map((field) => {
+            if (!field || typeof field.name !== 'string' || field.name === '') {
+                throw new Error('Имя поля схемы должно быть непустой строкой');
+            }
+
+            if (names.has(field.name)) {
+                throw new Error(`Поле "${field.name}" объявлено в схеме дважды`);
+            }
+
+            names.add(field.name);
+
+            return {
+                ...this.normalizeSpec(field, field.name),
+                name: field.name,
+                optional: Boolean(field.optional),
+            };
+        });
+
+        /**
+         * Идентификатор схемы (хэш ее описания)
+         * @type {number}
+         * @readonly
+         */
+        this.id = Hash.secret(JSON.stringify(this.describe()));
+    }
+
+    /**
+     * Возвращает экземпляр Schema для описания или готовой схемы.
+     *
+     * @static
+     * @param {Schema|Object|Array<Object>} schema - Схема или ее описание
+     * @returns {Schema} - Экземпляр схемы
+     */
+    static from(schema) {
+        return schema instanceof Schema ? schema : new Schema(schema);
+    }
+
+    /**
+     * Упаковывает объект по схеме.
+     *
+     * @param {Object} value - Объект, соответствующий схеме
+     * @param {Object} [options] - Параметры ValueWriter для полей типа 'any'
+     * @returns {Uint8Array} - Упакованные данные
+     * @throws {Error} Если объект не соответствует схеме
+     */
+    encode(value, options) {
+        const writer = new ValueWriter(options);
+        this.writeObject(writer, value, '');
+
+        return writer.finish();
+    }
+
+    /**
+     * Восстанавливает объект, упакованный по схеме.
+     *
+     * @param {Uint8Array} bytes - Упакованные данные
+     * @param {Object} [options] - Параметры ValueReader для полей типа 'any'
+     * @returns {Object} - Восстановленный объект
+     * @throws {Error} Если данные не соответствуют схеме
+     */
+    decode(bytes, options) {
+        const reader = new ValueReader(bytes, options);
+        const value = this.readObject(reader, '');
+
+        if (reader.offset !== bytes.length) {
+            throw new Error('Лишние байты после данных схемы');
+        }
+
+        return value;
+    }
+
+    /**
+     * Возвращает каноническое описание схемы, по которому вычисляется ее идентификатор.
+     *
+     * @returns {Array} - Описание полей
+     */
+    describe() {
+        return this.fields.map((field) => [field.name, field.optional ? 1 : 0, this.describeSpec(field)]);
+    }
+
+    /**
+     * Проверяет и нормализует описание типа поля или элемента массива.
+     *
+     * @param {Object|string} spec - Описание типа или имя типа
+     * @param {string} path - Путь к полю для сообщений об ошибках
+     * @returns {{type: string, nullable: boolean, items: Object|null, schema: Schema|null}} - Нормализованное описание
+     * @throws {Error} При неизвестном типе или отсутствии items/schema
+     * @private
+     */
+    normalizeSpec(spec, path) {
+        if (typeof spec === 'string') {
+            spec = {type: spec};
+        }
+
+        if (!spec || !FieldTypes.includes(spec.type)) {
+            throw new Error(`Поле "${path}": неизвестный тип ${spec && spec.type}. Доступные: ${FieldTypes.join(', ')}`);
+        }
+
+        if (spec.type === 'array' && !spec.items) {
+            throw new Error(`Поле "${path}": для типа array обязателен параметр items`);
+        }
+
+        if (spec.type === 'nested' && !spec.schema) {
+            throw new Error(`Поле "${path}": для типа nested обязателен параметр schema`);
+        }
+
+        return {
+            type: spec.type,
+            nullable: Boolean(spec.nullable),
+            items: spec.type === 'array' ? this.normalizeSpec(spec.items, `${path}[]`) : null,
+            schema: spec.type === 'nested' ? Schema.from(spec.schema) : null,
+        };
+    }
+
+    /**
+     * Возвращает каноническое описание типа.
+     *
+     * @param {Object} spec - Нормализованное описание типа
+     * @returns {Array} - Описание типа
+     * @private
+     */
+    describeSpec(spec) {
+        const description = [spec.type, spec.nullable ? 1 : 0];
+
+        if (spec.items) {
+            description.push(this.describeSpec(spec.items));
+        }
+
+        if (spec.schema) {
+            description.push(spec.schema.describe());
+        }
+
+        return description;
+    }
+
+    /**
+     * Записывает объект по схеме без имен ключей.
+     *
+     * @param {ValueWriter} writer - Буфер для записи
+     * @param {Object} value - Объект для записи
+     * @param {string} path - Путь к объекту для сообщений об ошибках
+     * @returns {void}
+     * @throws {Error} Если объект не соответствует схеме
+     * @private
+     */
+    writeObject(writer, value, path) {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            throw new Error(`${path ? `Поле "${path}"` : 'Данные'}: ожидается объект`);
+        }
+
+        for (const key of Object.keys(value)) {
+            if (!this.fields.some(({name}) => name === key)) {
+                throw new Error(`Неизвестное поле "${path ? `${path}.` : ''}${key}"`);
+            }
+        }
+
+        for (const field of this.fields) {
+            this.writeField(writer, field, value[field.name], path ? `${path}.${field.name}` : field.name);
+        }
+    }
+
+    /**
+     * Записывает значение поля с маркером присутствия для optional и nullable полей.
+     *
+     * @param {ValueWriter} writer - Буфер для записи
+     * @param {Object} field - Нормализованное описание поля
+     * @param {any} value - Значение поля
+     * @param {string} path - Путь к полю для сообщений об ошибках
+     * @returns {void}
+     * @throws {Error} Если значение не соответствует описанию поля
+     * @private
+     */
+    writeField(writer, field, value, path) {
+        const hasMarker = field.optional || field.nullable;
+
+        if (value === undefined) {
+            if (!field.optional) {
+                throw new Error(`Поле "${path}" обязательно`);
+            }
+
+            writer.writeByte(MARKER_ABSENT);
+            return;
+        }
+
+        if (value === null) {
+            if (!field.nullable) {
+                throw new Error(`Поле "${path}" не может быть null`);
+            }
+
+            writer.writeByte(MARKER_NULL);
+            return;
+        }
+
+        if (hasMarker) {
+            writer.writeByte(MARKER_PRESENT);
+        }
+
+        this.writeValue(writer, field, value, path);
+    }
+
+    /**
+     * Записывает значение без маркера присутствия.
+     *
+     * @param {ValueWriter} writer - Буфер для записи
+     * @param {Object} spec - Нормализованное описание типа
+     * @param {any} value - Значение
+     * @param {string} path - Путь к полю для сообщений об ошибках
+     * @returns {void}
+     * @throws {Error} Если значение не соответствует типу
+     * @private
+     */
+    writeValue(writer, spec, value, path) {
+        const numeric = NumericTypes[spec.type];
+
+        if (numeric) {
+            if (typeof value !== 'number' || (numeric.max !== undefined && !Number.isInteger(value))) {
+                throw new Error(`Поле "${path}": ожидается число ${spec.type}`);
+            }
+
+            if (numeric.max !== undefined && (value < numeric.min || value > numeric.max)) {
+                throw new Error(`Поле "${path}": значение ${value} вне диапазона ${spec.type}`);
+            }
+
+            writer.writeFixed(numeric.setter, numeric.size, value);
+            return;
+        }
+
+        switch (spec.type) {
+            case 'string':
+                if (typeof value !== 'string') {
+                    throw new Error(`Поле "${path}": ожидается строка`);
+                }
+                writer.writeString(value);
+                return;
+
+            case 'bool':
+                if (typeof value !== 'boolean') {
+                    throw new Error(`Поле "${path}": ожидается boolean`);
+                }
+                writer.writeByte(value ? 1 : 0);
+                return;
+
+            case 'array':
+                if (!Array.isArray(value)) {
+                    throw new Error(`Поле "${path}": ожидается массив`);
+                }
+
+                writer.writeVarint(value.length);
+                for (let i = 0; i < value.length; i++) {
+                    this.writeField(writer, spec.items, value[i], `${path}[${i}]`);
+                }
+                return;
+
+            case 'nested':
+                spec.schema.writeObject(writer, value, path);
+                return;
+
+            default:
+                writer.write(value);
+        }
+    }
+
+    /**
+     * Читает объект, записанный по схеме.
+     *
+     * @param {ValueReader} reader - Источник данных
+     * @param {string} path - Путь к объекту для сообщений об ошибках
+     * @returns {Object} - Восстановленный объект
+     * @private
+     */
+    readObject(reader, path) {
+        const object = {};
+
+        for (const field of this.fields) {
+            const value = this.readField(reader, field, path ? `${path}.${field.name}` : field.name);
+
+            if (value !== undefined) {
+                object[field.name] = value;
+            }
+        }
+
+        return object;
+    }
+
+    /**
+     * Читает значение поля с учетом маркера присутствия.
+     *
+     * @param {ValueReader} reader - Источник данных
+     * @param {Object} field - Нормализованное описание поля
+     * @param {string} path - Путь к полю для сообщений об ошибках
+     * @returns {any} - Значение поля, null или undefined для отсутствующего поля
+     * @throws {Error} Если маркер не соответствует описанию поля
+     * @private
+     */
+    readField(reader, field, path) {
+        if (field.optional || field.nullable) {
+            const marker = reader.readByte();
+
+            if (marker === MARKER_ABSENT && field.optional) {
+                return undefined;
+            }
+
+            if (marker === MARKER_NULL && field.nullable) {
+                return null;
+            }
+
+            if (marker !== MARKER_PRESENT) {
+                throw new Error(`Поле "${path}": некорректный маркер присутствия ${marker}`);
+            }
+        }
+
+        return this.readValue(reader, field, path);
+    }
+
+    /**
+     * Читает значение без маркера присутствия.
+     *
+     * @param {ValueReader} reader - Источник данных
+     * @param {Object} spec - Нормализованное описание типа
+     * @param {string} path - Путь к полю для сообщений об ошибках
+     * @returns {any} - Прочитанное значение
+     * @throws {Error} Если данные не соответствуют типу
+     * @private
+     */
+    readValue(reader, spec, path) {
+        const numeric = NumericTypes[spec.type];
+
+        if (numeric) {
+            return reader.readFixed(numeric.getter, numeric.size);
+        }
+
+        switch (spec.type) {
+            case 'string':
+                return reader.readString();
+
+            case 'bool': {
+                const value = reader.readByte();
+                if (value > 1) {
+                    throw new Error(`Поле "${path}": некорректное значение boolean`);
+                }
+                return value === 1;
+            }
+
+            case 'array': {
+                const length = reader.readLength();
+                const array = new Array(length);
+
+                for (let i = 0; i < length; i++) {
+                    array[i] = this.readField(reader, spec.items, `${path}[${i}]`);
+                }
+
+                return array;
+            }
+
+            case 'nested':
+                return spec.schema.readObject(reader, path);
+
+            default:
+                return reader.read();
+        }
+    }
+}
+
+export {Schema, FieldTypes};
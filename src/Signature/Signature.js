@@ -0,0 +1,214 @@
+import {Ed25519} from '../Crypto/index.js';
+import {Bytes, Random, Runtime} from '../Utils/index.js';
+
+// Длина ключей Ed25519 в байтах
+const KEY_LENGTH = 32;
+
+// Длина подписи Ed25519 в байтах
+const SIGNATURE_LENGTH = 64;
+
+// Код алгоритма Ed25519 в блоке подписи
+const ALGORITHM_ED25519 = 1;
+
+// Алгоритмы подписи
+const ALGORITHMS = [
+    {name: 'ed25519', code: ALGORITHM_ED25519},
+];
+
+// Префиксы DER-представлений ключей Ed25519 для node:crypto (PKCS#8 и SPKI)
+const PKCS8_PREFIX = new Uint8Array([0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20]);
+const SPKI_PREFIX = new Uint8Array([0x30, 0x2a, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x03, 0x21, 0x00]);
+
+/**
+ * Класс Signature создает и проверяет цифровые подписи Ed25519 (RFC 8032). В Node.js используется
+ * node:crypto, в остальных окружениях - реализация на чистом JavaScript (см. Ed25519).
+ *
+ * Блок подписи пакета: [алгоритм:1B][подпись:64B]. Код алгоритма оставляет место для других
+ * алгоритмов без изменения формата.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class Signature
+ * @example
+ * const signature = new Signature();
+ * const {publicKey, privateKey} = signature.generateKeyPair();
+ * const signed = signature.sign(privateKey, message);
+ * signature.verify(publicKey, signed, message); // true
+ */
+class Signature {
+    /**
+     * Длина ключей Ed25519 в байтах
+     * @static
+     * @type {number}
+     */
+    static KEY_LENGTH = KEY_LENGTH;
+
+    /**
+     * Длина подписи в байтах
+     * @static
+     * @type {number}
+     */
+    static SIGNATURE_LENGTH = SIGNATURE_LENGTH;
+
+    /**
+     * Длина блока подписи пакета в байтах: [алгоритм:1B][подпись:64B]
+     * @static
+     * @type {number}
+     */
+    static BLOCK_LENGTH = 1 + SIGNATURE_LENGTH;
+
+    /**
+     * Код алгоритма Ed25519 в блоке подписи
+     * @static
+     * @type {number}
+     */
+    static ALGORITHM_ED25519 = ALGORITHM_ED25519;
+
+    /**
+     * Создает экземпляр Signature.
+     *
+     * @constructor
+     */
+    constructor() {
+        /**
+         * Модуль node:crypto или null вне Node.js
+         * @type {Object|null}
+         * @private
+         */
+        this.nodeCrypto = Runtime.nodeModule('node:crypto');
+    }
+
+    /**
+     * Создает пару ключей Ed25519.
+     *
+     * @returns {{publicKey: Uint8Array, privateKey: Uint8Array}} - Открытый и закрытый ключи по 32 байта
+     */
+    generateKeyPair() {
+        const privateKey = Random.bytes(KEY_LENGTH);
+
+        return {publicKey: this.publicKey(privateKey), privateKey};
+    }
+
+    /**
+     * Вычисляет открытый ключ по закрытому.
+     *
+     * @param {ArrayBuffer|ArrayBufferView} privateKey - Закрытый ключ (32 байта)
+     * @returns {Uint8Array} - Открытый ключ (32 байта)
+     * @throws {Error} При некорректной длине ключа
+     */
+    publicKey(privateKey) {
+        privateKey = this.checkKey(privateKey, 'Закрытый ключ подписи');
+
+        if (this.nodeCrypto) {
+            const spki = this.nodeCrypto.createPublicKey(this.nodePrivateKey(privateKey)).export({format: 'der', type: 'spki'});
+
+            return new Uint8Array(spki.subarray(SPKI_PREFIX.length));
+        }
+
+        return Ed25519.publicKey(privateKey);
+    }
+
+    /**
+     * Подписывает данные.
+     *
+     * @param {ArrayBuffer|ArrayBufferView} privateKey - Закрытый ключ (32 байта)
+     * @param {Uint8Array} data - Подписываемые данные
+     * @returns {Uint8Array} - Подпись (64 байта)
+     * @throws {Error} При некорректной длине ключа
+     */
+    sign(privateKey, data) {
+        privateKey = this.checkKey(privateKey, 'Закрытый ключ подписи');
+
+        if (this.nodeCrypto) {
+            return new Uint8Array(this.nodeCrypto.sign(null, data, this.nodePrivateKey(privateKey)));
+        }
+
+        return Ed25519.sign(privateKey, data);
+    }
+
+    /**
+     * Проверяет подпись.
+     *
+     * @param {ArrayBuffer|ArrayBufferView} publicKey - Открытый ключ (32 байта)
+     * @param {Uint8Array} signature - Подпись (64 байта)
+     * @param {Uint8Array} data - Подписанные данные
+     * @returns {boolean} - true, если подпись верна
+     * @throws {Error} При некорректной длине ключа
+     */
+    verify(publicKey, signature, data) {
+        publicKey = this.checkKey(publicKey, 'Открытый ключ подписи');
+
+        if (!this.nodeCrypto) {
+            return Ed25519.verify(publicKey, signature, data);
+        }
+
+        try {
+            const key = this.nodeCrypto.createPublicKey({key: this.concat(SPKI_PREFIX, publicKey), format: 'der', type: 'spki'});
+
+            return this.nodeCrypto.verify(null, data, key, signature);
+        } catch (error) {
+            // OpenSSL отклоняет открытые ключи, которые не являются точкой кривой
+            return false;
+        }
+    }
+
+    /**
+     * Возвращает название алгоритма подписи по коду.
+     *
+     * @param {number} code - Код алгоритма
+     * @returns {string|null} - Название алгоритма или null, если код неизвестен
+     */
+    getName(code) {
+        const algorithm = ALGORITHMS.find((item) => item.code === code);
+
+        return algorithm ? algorithm.name : null;
+    }
+
+    /**
+     * Создает объект закрытого ключа node:crypto.
+     *
+     * @param {Uint8Array} privateKey - Закрытый ключ
+     * @returns {Object} - KeyObject
+     * @private
+     */
+    nodePrivateKey(privateKey) {
+        return this.nodeCrypto.createPrivateKey({key: this.concat(PKCS8_PREFIX, privateKey), format: 'der', type: 'pkcs8'});
+    }
+
+    /**
+     * Проверяет и копирует ключ Ed25519.
+     *
+     * @param {ArrayBuffer|ArrayBufferView} key - Ключ
+     * @param {string} label - Название ключа для сообщения об ошибке
+     * @returns {Uint8Array} - Копия ключа
+     * @throws {Error} Если ключ не является бинарными данными длиной 32 байта
+     * @private
+     */
+    checkKey(key, label) {
+        if (!Bytes.isBinary(key) || Bytes.view(key).length !== KEY_LENGTH) {
+            throw new Error(`${label} должен содержать ${KEY_LENGTH} байта`);
+        }
+
+        return Bytes.view(key).slice();
+    }
+
+    /**
+     * Записывает два массива байт подряд (для DER-представлений ключей).
+     *
+     * @param {Uint8Array} prefix - Префикс
+     * @param {Uint8Array} key - Ключ
+     * @returns {Uint8Array} - Результат
+     * @private
+     */
+    concat(prefix, key) {
+        const result = new Uint8Array(prefix.length + key.length);
+        result.set(prefix);
+        result.set(key, prefix.length);
+
+        return result;
+    }
+}
+
+export {Signature};
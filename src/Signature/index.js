@@ -0,0 +1 @@
+export * from './Signature.js'
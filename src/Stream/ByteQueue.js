@@ -0,0 +1,119 @@
+import {Bytes} from '../Utils/index.js';
+
+/**
+ * Класс ByteQueue накапливает фрагменты байт произвольной длины и позволяет
+ * просматривать и извлекать данные с начала очереди без объединения всех фрагментов.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class ByteQueue
+ * @example
+ * const queue = new ByteQueue();
+ * queue.push(chunk);
+ * if (queue.length >= 4) {
+ *     const header = queue.take(4);
+ * }
+ */
+class ByteQueue {
+    /**
+     * Создает пустую очередь.
+     *
+     * @constructor
+     */
+    constructor() {
+        /**
+         * Накопленные фрагменты
+         * @type {Array<Uint8Array>}
+         * @private
+         */
+        this.chunks = [];
+
+        /**
+         * Общая длина накопленных фрагментов
+         * @type {number}
+         */
+        this.length = 0;
+    }
+
+    /**
+     * Добавляет фрагмент в конец очереди. Фрагмент не копируется.
+     *
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} chunk - Фрагмент (в том числе Node.js Buffer)
+     * @returns {void}
+     * @throws {Error} Если фрагмент не является бинарными данными
+     */
+    push(chunk) {
+        const bytes = Bytes.view(chunk);
+
+        if (bytes.length > 0) {
+            this.chunks.push(bytes);
+            this.length += bytes.length;
+        }
+    }
+
+    /**
+     * Возвращает копию первых накопленных байт, не извлекая их.
+     *
+     * @param {number} length - Максимальное количество байт
+     * @returns {Uint8Array} - Начало накопленных данных
+     */
+    peek(length) {
+        const result = new Uint8Array(Math.min(length, this.length));
+        let offset = 0;
+
+        for (const chunk of this.chunks) {
+            if (offset === result.length) {
+                break;
+            }
+
+            const part = chunk.subarray(0, result.length - offset);
+            result.set(part, offset);
+            offset += part.length;
+        }
+
+        return result;
+    }
+
+    /**
+     * Извлекает указанное количество байт с начала очереди.
+     *
+     * @param {number} length - Количество байт (не больше накопленного)
+     * @returns {ArrayBuffer} - Извлеченные байты в собственном буфере
+     */
+    take(length) {
+        const result = new Uint8Array(length);
+        let offset = 0;
+
+        while (offset < length) {
+            const chunk = this.chunks[0];
+            const part = chunk.subarray(0, length - offset);
+
+            result.set(part, offset);
+            offset += part.length;
+
+            if (part.length === chunk.length) {
+                this.chunks.shift();
+            } else {
+                this.chunks[0] = chunk.subarray(part.length);
+            }
+        }
+
+        this.length -= length;
+
+        return result.buffer;
+    }
+
+    /**
+     * Удаляет все накопленные данные.
+     *
+     * @returns {void}
+     */
+    clear() {
+        this.chunks = [];
+        this.length = 0;
+    }
+}
+
+export {ByteQueue};
@@ -0,0 +1,213 @@
+import {ByteQueue} from './ByteQueue.js';
+
+// Максимальная длина кадра по умолчанию (64 МиБ)
+const DEFAULT_MAX_FRAME_LENGTH = 64 * 1024 * 1024;
+
+/**
+ * Класс FrameDecoder разбирает поток байт, состоящий из последовательно записанных пакетов
+ * (кадров), например данные TCP-сокета. Принимает фрагменты произвольного размера, накапливает
+ * неполные кадры (в том числе разрезанные внутри заголовка) и возвращает каждый полный кадр
+ * после распаковки. Длина кадра определяется по полю длины в заголовке пакета.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class FrameDecoder
+ * @example
+ * const decoder = new FrameDecoder(packer);
+ *
+ * socket.on('data', (chunk) => {
+ *     for (const message of decoder.push(chunk)) {
+ *         handle(message);
+ *     }
+ * });
+ */
+class FrameDecoder {
+    /**
+     * Создает экземпляр FrameDecoder.
+     *
+     * @constructor
+     * @param {BinaryPack} packer - Экземпляр BinaryPack для распаковки кадров
+     * @param {Object} [options] - Параметры разбора
+     * @param {number} [options.maxFrameLength] - Максимальная длина кадра в байтах (по умолчанию
+     *                                              из ограничений BinaryPack, иначе 64 МиБ)
+     */
+    constructor(packer, {maxFrameLength = packer.limits?.maxFrameLength ?? DEFAULT_MAX_FRAME_LENGTH} = {}) {
+        /**
+         * Экземпляр BinaryPack для распаковки кадров
+         * @type {BinaryPack}
+         * @private
+         */
+        this.packer = packer;
+
+        /**
+         * Максимальная длина кадра в байтах
+         * @type {number}
+         * @private
+         */
+        this.maxFrameLength = maxFrameLength;
+
+        /**
+         * Накопленные байты, еще не собранные в кадры
+         * @type {ByteQueue}
+         * @private
+         */
+        this.queue = new ByteQueue();
+
+        /**
+         * Длина текущего кадра, если его заголовок уже получен
+         * @type {number|null}
+         * @private
+         */
+        this.frameLength = null;
+
+        /**
+         * Ошибка кадра, отложенная до следующего вызова push(), чтобы вернуть данные кадров перед ним
+         * @type {Error|null}
+         * @private
+         */
+        this.error = null;
+    }
+
+    /**
+     * Принимает очередной фрагмент и возвращает распакованные данные всех завершенных кадров.
+     * Кадры распаковываются по одному. Если кадр не распаковался, возвращаются данные кадров перед ним,
+     * а ошибку выбрасывает следующий вызов push() или end(). Кадр с ошибкой пропускается, следующие
+     * за ним остаются в очереди: разбор продолжается со следующего вызова push() (в том числе без новых данных).
+     *
+     * @param {ArrayBuffer|ArrayBufferView} chunk - Фрагмент потока (в том числе Node.js Buffer)
+     * @returns {Array<any>} - Распакованные данные завершенных кадров (может быть пустым)
+     * @throws {Error} При некорректном заголовке, превышении длины кадра или ошибке распаковки
+     * @example
+     * try {
+     *     decoder.push(chunk).forEach(handle);
+     * } catch (error) {
+     *     // Кадр отклонен, остальные кадры фрагмента вернет следующий вызов
+     *     decoder.push(new Uint8Array(0)).forEach(handle);
+     * }
+     */
+    push(chunk) {
+        this.queue.push(chunk);
+        this.throwPending();
+
+        const values = [];
+
+        try {
+            while (this.hasFrame()) {
+                values.push(this.packer.unpack(this.takeFrame()));
+            }
+        } catch (error) {
+            if (values.length === 0) {
+                throw error;
+            }
+
+            this.error = error;
+        }
+
+        return values;
+    }
+
+    /**
+     * Принимает очередной фрагмент и возвращает завершенные кадры без распаковки.
+     *
+     * @param {ArrayBuffer|ArrayBufferView} chunk - Фрагмент потока (в том числе Node.js Buffer)
+     * @returns {Array<ArrayBuffer>} - Завершенные кадры (может быть пустым)
+     * @throws {Error} При некорректном заголовке или превышении длины кадра
+     */
+    pushFrames(chunk) {
+        this.queue.push(chunk);
+
+        const frames = [];
+
+        while (this.hasFrame()) {
+            frames.push(this.takeFrame());
+        }
+
+        return frames;
+    }
+
+    /**
+     * Завершает разбор потока.
+     *
+     * @returns {void}
+     * @throws {Error} Если поток закончился посреди кадра или осталась отложенная ошибка кадра (см. push());
+     *                 в последнем случае оставшиеся кадры можно получить вызовом push()
+     */
+    end() {
+        this.throwPending();
+
+        const remaining = this.queue.length;
+        this.reset();
+
+        if (remaining > 0) {
+            throw new Error(`Поток завершился посреди кадра: осталось ${remaining} байт`);
+        }
+    }
+
+    /**
+     * Сбрасывает накопленные данные.
+     *
+     * @returns {void}
+     */
+    reset() {
+        this.queue.clear();
+        this.frameLength = null;
+        this.error = null;
+    }
+
+    /**
+     * Проверяет, что первый кадр очереди получен целиком, и запоминает его длину.
+     *
+     * @returns {boolean} - true, если кадр можно извлечь
+     * @throws {Error} При некорректном заголовке или превышении длины кадра
+     * @private
+     */
+    hasFrame() {
+        if (this.frameLength === null) {
+            this.frameLength = this.packer.frameLength(this.queue.peek(this.packer.maxHeaderLength));
+
+            if (this.frameLength === null) {
+                return false;
+            }
+
+            if (this.frameLength > this.maxFrameLength) {
+                this.reset();
+                throw new Error(`Длина кадра превышает допустимую: ${this.maxFrameLength} байт`);
+            }
+        }
+
+        return this.queue.length >= this.frameLength;
+    }
+
+    /**
+     * Извлекает первый кадр очереди (см. hasFrame()).
+     *
+     * @returns {ArrayBuffer} - Кадр
+     * @private
+     */
+    takeFrame() {
+        const frame = this.queue.take(this.frameLength);
+        this.frameLength = null;
+
+        return frame;
+    }
+
+    /**
+     * Выбрасывает ошибку кадра, отложенную push().
+     *
+     * @returns {void}
+     * @throws {Error} Отложенная ошибка
+     * @private
+     */
+    throwPending() {
+        const error = this.error;
+
+        if (error) {
+            this.error = null;
+            throw error;
+        }
+    }
+}
+
+export {FrameDecoder};
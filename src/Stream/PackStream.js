@@ -0,0 +1,74 @@
+import {Runtime} from '../Utils/index.js';
+
+// Базовый класс потока: в окружениях без WHATWG Streams конструктор сообщает об их отсутствии
+const BaseTransformStream = globalThis.TransformStream || class {
+    constructor() {
+        throw new Error('TransformStream недоступен в текущем окружении');
+    }
+};
+
+/**
+ * Класс PackStream - поток преобразования (WHATWG TransformStream), который упаковывает
+ * каждое записанное значение в отдельный пакет (кадр) с настройками переданного BinaryPack.
+ * Используется с ReadableStream.pipeThrough() в браузере и со stream.pipeline() в Node.js 18+.
+ * Для классических потоков Node.js (.pipe()) предназначен PackStream.createNodeTransform().
+ *
+ * Упаковка выполняется через packAsync(), поэтому поддерживаются и асинхронные алгоритмы сжатия.
+ * Ошибка упаковки переводит поток в состояние ошибки, и она передается дальше по цепочке.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class PackStream
+ * @extends TransformStream
+ * @example
+ * // Браузер
+ * const frames = messages.pipeThrough(new PackStream(packer));
+ *
+ * // Node.js
+ * await pipeline(Readable.from(messages), new PackStream(packer), socket);
+ */
+class PackStream extends BaseTransformStream {
+    /**
+     * Создает поток упаковки.
+     *
+     * @constructor
+     * @param {BinaryPack} packer - Экземпляр BinaryPack с настройками упаковки
+     */
+    constructor(packer) {
+        super({
+            async transform(value, controller) {
+                controller.enqueue(new Uint8Array(await packer.packAsync(value)));
+            },
+        });
+    }
+
+    /**
+     * Создает классический поток преобразования Node.js (stream.Transform) с той же логикой.
+     * Записываемая сторона работает в объектном режиме, читаемая выдает байты кадров.
+     * Значение null передать нельзя: в потоках Node.js оно означает конец потока.
+     *
+     * @static
+     * @param {BinaryPack} packer - Экземпляр BinaryPack с настройками упаковки
+     * @returns {import('stream').Transform} - Поток преобразования Node.js
+     * @throws {Error} Если код выполняется не в Node.js
+     * @example
+     * Readable.from(messages).pipe(PackStream.createNodeTransform(packer)).pipe(socket);
+     */
+    static createNodeTransform(packer) {
+        const stream = Runtime.nodeModule('node:stream');
+        if (!stream) {
+            throw new Error('Потоки Node.js недоступны в текущем окружении');
+        }
+
+        return new stream.Transform({
+            writableObjectMode: true,
+            transform(value, encoding, callback) {
+                packer.packAsync(value).then((buffer) => callback(null, new Uint8Array(buffer)), callback);
+            },
+        });
+    }
+}
+
+export {PackStream, BaseTransformStream};
@@ -0,0 +1,109 @@
+import {Runtime} from '../Utils/index.js';
+import {FrameDecoder} from './FrameDecoder.js';
+import {BaseTransformStream} from './PackStream.js';
+
+/**
+ * Класс UnpackStream - поток преобразования (WHATWG TransformStream), который принимает
+ * фрагменты байт произвольной длины, собирает из них пакеты (кадры) с помощью FrameDecoder
+ * и выдает распакованные значения. Используется с ReadableStream.pipeThrough() в браузере
+ * и со stream.pipeline() в Node.js 18+. Для классических потоков Node.js (.pipe())
+ * предназначен UnpackStream.createNodeTransform().
+ *
+ * Ошибка распаковки или обрыв потока посреди кадра переводят поток в состояние ошибки,
+ * и она передается дальше по цепочке.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class UnpackStream
+ * @extends TransformStream
+ * @example
+ * // Браузер
+ * const messages = response.body.pipeThrough(new UnpackStream(packer));
+ *
+ * // Node.js
+ * await pipeline(socket, new UnpackStream(packer), handler);
+ */
+class UnpackStream extends BaseTransformStream {
+    /**
+     * Создает поток распаковки.
+     *
+     * @constructor
+     * @param {BinaryPack} packer - Экземпляр BinaryPack с настройками распаковки
+     * @param {Object} [options] - Параметры разбора кадров (см. FrameDecoder)
+     */
+    constructor(packer, options) {
+        const decoder = new FrameDecoder(packer, options);
+
+        super({
+            async transform(chunk, controller) {
+                for (const frame of decoder.pushFrames(chunk)) {
+                    controller.enqueue(await packer.unpackAsync(frame));
+                }
+            },
+            flush() {
+                decoder.end();
+            },
+        });
+    }
+
+    /**
+     * Создает классический поток преобразования Node.js (stream.Transform) с той же логикой.
+     * Записываемая сторона принимает байты, читаемая работает в объектном режиме.
+     * Кадр со значением null переводит поток в состояние ошибки: в потоках Node.js null
+     * означает конец потока.
+     *
+     * @static
+     * @param {BinaryPack} packer - Экземпляр BinaryPack с настройками распаковки
+     * @param {Object} [options] - Параметры разбора кадров (см. FrameDecoder)
+     * @returns {import('stream').Transform} - Поток преобразования Node.js
+     * @throws {Error} Если код выполняется не в Node.js
+     * @example
+     * socket.pipe(UnpackStream.createNodeTransform(packer)).on('data', handle);
+     */
+    static createNodeTransform(packer, options) {
+        const stream = Runtime.nodeModule('node:stream');
+        if (!stream) {
+            throw new Error('Потоки Node.js недоступны в текущем окружении');
+        }
+
+        const decoder = new FrameDecoder(packer, options);
+
+        return new stream.Transform({
+            readableObjectMode: true,
+            transform(chunk, encoding, callback) {
+                let frames;
+                try {
+                    frames = decoder.pushFrames(chunk);
+                } catch (error) {
+                    callback(error);
+                    return;
+                }
+
+                frames.reduce((previous, frame) => previous
+                    .then(() => packer.unpackAsync(frame))
+                    .then((value) => {
+                        // push(null) завершил бы читаемую сторону раньше времени
+                        if (value === null) {
+                            throw new Error('Распакованное значение null нельзя передать через поток Node.js: '
+                                + 'оно означает конец потока, используйте new UnpackStream()');
+                        }
+
+                        this.push(value);
+                    }), Promise.resolve())
+                    .then(() => callback(), callback);
+            },
+            flush(callback) {
+                try {
+                    decoder.end();
+                    callback();
+                } catch (error) {
+                    callback(error);
+                }
+            },
+        });
+    }
+}
+
+export {UnpackStream};
@@ -0,0 +1,4 @@
+export * from './ByteQueue.js'
+export * from './FrameDecoder.js'
+export * from './PackStream.js'
+export * from './UnpackStream.js'
@@ -0,0 +1,249 @@
+import {Random} from '../Utils/index.js';
+import {TokenExpiredError, TokenNotYetValidError, AudienceMismatchError, TokenReplayError} from '../Errors/index.js';
+
+// Длина случайного идентификатора токена в байтах
+const ID_LENGTH = 16;
+
+/**
+ * Класс Token формирует и проверяет утверждения токенов, упакованных BinaryPack: время выпуска (iat),
+ * срок действия (exp), начало действия (nbf), получателей (aud) и идентификатор (jti). Время хранится
+ * в секундах с начала эпохи Unix, как NumericDate в JWT. Данные токена записываются в поле data.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const claims = Token.create({ userId: 42 }, { expiresIn: 3600, audience: 'api' });
+ * Token.verify(claims, { audience: 'api', clockSkew: 30 });
+ */
+class Token {
+    /**
+     * Формирует утверждения токена.
+     *
+     * @static
+     * @param {any} data - Данные токена
+     * @param {Object} [options] - Параметры токена
+     * @param {number} [options.expiresIn] - Срок действия в секундах от момента выпуска
+     * @param {number} [options.notBefore] - Начало действия в секундах от момента выпуска
+     * @param {string|Array<string>} [options.audience] - Получатели токена
+     * @param {string|boolean} [options.jti] - Идентификатор токена или true для случайного идентификатора
+     * @param {Date|number} [options.now] - Момент выпуска (по умолчанию текущее время)
+     * @returns {{iat: number, exp?: number, nbf?: number, aud?: Array<string>, jti?: string, data: any}} - Утверждения
+     * @throws {Error} При некорректных параметрах
+     */
+    static create(data, {expiresIn, notBefore, audience, jti, now} = {}) {
+        const claims = {iat: Math.floor(Token.seconds(now))};
+
+        if (expiresIn !== undefined) {
+            claims.exp = claims.iat + Token.checkDuration(expiresIn, 'expiresIn');
+        }
+
+        if (notBefore !== undefined) {
+            claims.nbf = claims.iat + Token.checkDuration(notBefore, 'notBefore');
+        }
+
+        if (audience !== undefined) {
+            claims.aud = Token.checkAudience(audience);
+        }
+
+        if (jti === true) {
+            claims.jti = Array.from(Random.bytes(ID_LENGTH), (byte) => byte.toString(16).padStart(2, '0')).join('');
+        } else if (jti !== undefined && jti !== false) {
+            if (typeof jti !== 'string' || jti === '') {
+                throw new Error('Идентификатор токена jti должен быть непустой строкой или true');
+            }
+
+            claims.jti = jti;
+        }
+
+        claims.data = data;
+
+        return claims;
+    }
+
+    /**
+     * Проверяет срок действия и получателей токена.
+     *
+     * @static
+     * @param {Object} claims - Утверждения токена
+     * @param {Object} [options] - Параметры проверки
+     * @param {string|Array<string>} [options.audience] - Ожидаемые получатели; токен с утверждением aud
+     *                                                   принимается, только если получатель указан
+     * @param {number} [options.clockSkew=0] - Допустимое расхождение часов в секундах
+     * @param {Date|number} [options.now] - Момент проверки (по умолчанию текущее время)
+     * @returns {void}
+     * @throws {TokenExpiredError} Если срок действия истек
+     * @throws {TokenNotYetValidError} Если токен еще не действует
+     * @throws {AudienceMismatchError} Если токен выпущен для других получателей
+     * @throws {Error} Если данные не являются токеном, время выпуска (iat), срок действия (exp) или начало
+     *                 действия (nbf) - не конечные числа или параметры некорректны
+     */
+    static verify(claims, {audience, clockSkew = 0, now} = {}) {
+        if (!Token.isClaims(claims)) {
+            throw new Error('Данные не являются токеном');
+        }
+
+        for (const name of ['exp', 'nbf']) {
+            if (claims[name] !== undefined && !Number.isFinite(claims[name])) {
+                throw new Error(`Утверждение ${name} должно быть числом секунд`);
+            }
+        }
+
+        const skew = Token.checkDuration(clockSkew, 'clockSkew');
+        const time = Token.seconds(now);
+
+        if (claims.nbf !== undefined && time + skew < claims.nbf) {
+            throw new TokenNotYetValidError(new Date(claims.nbf * 1000));
+        }
+
+        if (claims.exp !== undefined && time - skew >= claims.exp) {
+            throw new TokenExpiredError(new Date(claims.exp * 1000));
+        }
+
+        const expected = audience === undefined ? [] : Token.checkAudience(audience);
+        const actual = claims.aud ?? [];
+
+        if ((expected.length || actual.length) && !actual.some((item) => expected.includes(item))) {
+            throw new AudienceMismatchError(expected, actual);
+        }
+    }
+
+    /**
+     * Отклоняет повторное использование токена и запоминает его идентификатор. Хранилище - объект
+     * с методами has(jti) и add(jti, exp), например Set; add() может вернуть false, если идентификатор
+     * уже записан (атомарная запись во внешнем хранилище).
+     *
+     * @static
+     * @param {Object} claims - Утверждения токена
+     * @param {{has: Function, add: Function}} seenStore - Хранилище использованных идентификаторов
+     * @returns {void}
+     * @throws {TokenReplayError} Если токен уже использован
+     * @throws {Error} Если у токена нет идентификатора или хранилище асинхронное
+     */
+    static remember(claims, seenStore) {
+        const jti = Token.requireId(claims, seenStore);
+        const check = (result) => {
+            if (typeof result?.then === 'function') {
+                throw new Error('Хранилище идентификаторов асинхронное: используйте unpackTokenAsync()');
+            }
+
+            return result;
+        };
+
+        if (check(seenStore.has(jti)) || check(seenStore.add(jti, claims.exp ?? null)) === false) {
+            throw new TokenReplayError(jti);
+        }
+    }
+
+    /**
+     * Асинхронная версия remember() для внешних хранилищ (например, Redis).
+     *
+     * @static
+     * @param {Object} claims - Утверждения токена
+     * @param {{has: Function, add: Function}} seenStore - Хранилище использованных идентификаторов
+     * @returns {Promise<void>}
+     * @throws {TokenReplayError} Если токен уже использован
+     * @throws {Error} Если у токена нет идентификатора
+     */
+    static async rememberAsync(claims, seenStore) {
+        const jti = Token.requireId(claims, seenStore);
+
+        if (await seenStore.has(jti) || await seenStore.add(jti, claims.exp ?? null) === false) {
+            throw new TokenReplayError(jti);
+        }
+    }
+
+    /**
+     * Проверяет, что значение - утверждения токена.
+     *
+     * @static
+     * @param {any} value - Распакованное значение
+     * @returns {boolean} - true, если значение содержит время выпуска (конечное число) и поле data
+     */
+    static isClaims(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value)
+            && Number.isFinite(value.iat) && 'data' in value;
+    }
+
+    /**
+     * Возвращает идентификатор токена для хранилища использованных идентификаторов.
+     *
+     * @static
+     * @param {Object} claims - Утверждения токена
+     * @param {Object} seenStore - Хранилище
+     * @returns {string} - Идентификатор
+     * @throws {Error} Если хранилище некорректно или у токена нет идентификатора
+     * @private
+     */
+    static requireId(claims, seenStore) {
+        if (!seenStore || typeof seenStore.has !== 'function' || typeof seenStore.add !== 'function') {
+            throw new Error('Хранилище идентификаторов должно содержать методы has() и add()');
+        }
+
+        if (typeof claims.jti !== 'string') {
+            throw new Error('Токен не содержит идентификатора jti для защиты от повторного использования');
+        }
+
+        return claims.jti;
+    }
+
+    /**
+     * Переводит момент времени в секунды с начала эпохи Unix.
+     *
+     * @static
+     * @param {Date|number} [now] - Момент времени (Date или миллисекунды), по умолчанию текущее время
+     * @returns {number} - Секунды (с дробной частью)
+     * @throws {Error} При некорректном значении
+     * @private
+     */
+    static seconds(now = Date.now()) {
+        const milliseconds = now instanceof Date ? now.getTime() : now;
+
+        if (!Number.isFinite(milliseconds)) {
+            throw new Error('Момент времени должен быть Date или числом миллисекунд');
+        }
+
+        return milliseconds / 1000;
+    }
+
+    /**
+     * Проверяет длительность в секундах.
+     *
+     * @static
+     * @param {number} value - Длительность
+     * @param {string} label - Название параметра для сообщения об ошибке
+     * @returns {number} - Длительность
+     * @throws {Error} Если значение не является неотрицательным числом
+     * @private
+     */
+    static checkDuration(value, label) {
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Параметр ${label} должен быть неотрицательным числом секунд: ${value}`);
+        }
+
+        return value;
+    }
+
+    /**
+     * Приводит получателей к массиву и проверяет их.
+     *
+     * @static
+     * @param {string|Array<string>} audience - Получатель или массив получателей
+     * @returns {Array<string>} - Получатели
+     * @throws {Error} Если получатели не являются непустыми строками
+     * @private
+     */
+    static checkAudience(audience) {
+        const list = Array.isArray(audience) ? audience : [audience];
+
+        if (list.length === 0 || !list.every((item) => typeof item === 'string' && item !== '')) {
+            throw new Error('Получатель токена aud должен быть непустой строкой или массивом строк');
+        }
+
+        return list;
+    }
+}
+
+export {Token};
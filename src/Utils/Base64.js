@@ -1,3 +1,5 @@
+import {Bytes} from './Bytes.js';
+
 /**
  * Класс Base64 предоставляет статические методы для преобразования бинарных данных (ArrayBuffer)
  * в строки формата Base64 и обратно. Это полезно для передачи бинарных данных через текстовые
@@ -21,12 +23,13 @@
  */
 class Base64 {
     /**
-     * Преобразует ArrayBuffer в строку в кодировке Base64.
+     * Преобразует бинарные данные в строку в кодировке Base64.
+     * Для представлений (Uint8Array, Node.js Buffer, DataView) кодируются только их байты.
      *
      * @static
-     * @param {ArrayBuffer} buffer - Бинарные данные для преобразования
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} buffer - Бинарные данные для преобразования
      * @returns {string} Строка в кодировке Base64, представляющая исходные бинарные данные
-     * @throws {Error} Если переданный буфер не является допустимым ArrayBuffer
+     * @throws {Error} Если переданные данные не являются бинарными
      * @example
      * const buffer = new ArrayBuffer(4);
      * const view = new Uint8Array(buffer);
@@ -37,11 +40,11 @@ class Base64 {
      */
     static bufferToBase64(buffer) {
         // Валидация входного параметра
-        if (!(buffer instanceof ArrayBuffer)) {
-            throw new Error('Параметр должен быть экземпляром ArrayBuffer');
+        if (!Bytes.isBinary(buffer)) {
+            throw new Error('Параметр должен быть ArrayBuffer, SharedArrayBuffer или ArrayBufferView');
         }
 
-        const bytes = new Uint8Array(buffer);
+        const bytes = Bytes.view(buffer);
         let binary = '';
 
         for (let i = 0; i < bytes.byteLength; i++) {
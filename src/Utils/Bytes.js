@@ -0,0 +1,67 @@
+/**
+ * Класс Bytes приводит бинарные данные разных видов к Uint8Array. Принимает ArrayBuffer,
+ * SharedArrayBuffer и любые ArrayBufferView (типизированные массивы, DataView, Node.js Buffer)
+ * с учетом byteOffset и byteLength, поэтому представление части большого буфера
+ * не требует ручного копирования.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const bytes = Bytes.view(socketBuffer); // Uint8Array без копирования
+ * const copy = Bytes.copy(socketBuffer);  // собственный ArrayBuffer
+ */
+class Bytes {
+    /**
+     * Проверяет, являются ли данные бинарными.
+     *
+     * @static
+     * @param {any} value - Проверяемое значение
+     * @returns {boolean} - true для ArrayBuffer, SharedArrayBuffer и ArrayBufferView
+     */
+    static isBinary(value) {
+        return value instanceof ArrayBuffer
+            || ArrayBuffer.isView(value)
+            || (typeof SharedArrayBuffer !== 'undefined' && value instanceof SharedArrayBuffer);
+    }
+
+    /**
+     * Возвращает Uint8Array над теми же байтами без копирования.
+     *
+     * @static
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} value - Бинарные данные
+     * @returns {Uint8Array} - Представление данных
+     * @throws {Error} Если данные не являются бинарными
+     */
+    static view(value) {
+        if (ArrayBuffer.isView(value)) {
+            return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        }
+
+        if (!Bytes.isBinary(value)) {
+            throw new Error('Ожидается ArrayBuffer, SharedArrayBuffer или ArrayBufferView');
+        }
+
+        return new Uint8Array(value);
+    }
+
+    /**
+     * Копирует данные в собственный ArrayBuffer (в том числе из SharedArrayBuffer).
+     *
+     * @static
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} value - Бинарные данные
+     * @returns {ArrayBuffer} - Копия данных
+     * @throws {Error} Если данные не являются бинарными
+     */
+    static copy(value) {
+        const bytes = Bytes.view(value);
+        const copy = new Uint8Array(bytes.length);
+        copy.set(bytes);
+
+        return copy.buffer;
+    }
+}
+
+export {Bytes};
@@ -0,0 +1,48 @@
+/**
+ * Таблица CRC32 (полином 0xEDB88320), вычисляется при загрузке модуля
+ * @type {Uint32Array}
+ */
+const TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    TABLE[n] = c;
+}
+
+/**
+ * Класс Crc32 вычисляет контрольную сумму CRC32 (как в zip, gzip и PNG).
+ * Обнаруживает случайное повреждение данных, но не защищает от намеренного изменения.
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const checksum = Crc32.checksum(new TextEncoder().encode('123456789'));
+ * console.log(checksum.toString(16)); // 'cbf43926'
+ */
+class Crc32 {
+    /**
+     * Вычисляет CRC32 от одного или нескольких массивов байт, записанных подряд.
+     *
+     * @static
+     * @param {...Uint8Array} parts - Данные
+     * @returns {number} - Контрольная сумма (32-битное беззнаковое число)
+     */
+    static checksum(...parts) {
+        let crc = 0xFFFFFFFF;
+
+        for (const part of parts) {
+            for (let i = 0; i < part.length; i++) {
+                crc = TABLE[(crc ^ part[i]) & 0xFF] ^ (crc >>> 8);
+            }
+        }
+
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+export {Crc32};
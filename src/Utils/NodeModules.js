@@ -0,0 +1,29 @@
+// Встроенные модули Node.js, которые использует библиотека
+const MODULE_NAMES = ['node:crypto', 'node:stream', 'node:stream/web'];
+
+const process = globalThis.process;
+
+// ES-модуль в Node.js без process.getBuiltinModule() (до 20.16 и 22.3): require() недоступен,
+// а import() асинхронен, поэтому модули загружаются заранее, при загрузке библиотеки
+const isLegacyNodeModule = Boolean(process && process.versions && process.versions.node)
+    && typeof process.getBuiltinModule !== 'function'
+    && typeof require !== 'function';
+
+/**
+ * Встроенные модули Node.js, загруженные заранее для ES-модулей в версиях Node.js без
+ * process.getBuiltinModule(). В остальных средах (браузер, CommonJS, новые версии Node.js)
+ * пуст: модули загружает Runtime.nodeModule(). Сборки CommonJS и UMD заменяют этот модуль
+ * на NodeModules.require.js без top-level await (см. rollup.config.js); сборке ES-модуля нужны
+ * браузер или сборщик с поддержкой top-level await (ES2022, см. «Браузерная поддержка» в README).
+ *
+ * @constant {Map<string, Object>}
+ */
+const NodeModules = new Map(isLegacyNodeModule
+    ? await Promise.all(MODULE_NAMES.map(async (name) => [
+        name,
+        // Имя модуля - переменная: сборщики для браузера не пытаются разрешить модули Node.js
+        await import(/* webpackIgnore: true */ /* @vite-ignore */ name).catch(() => null),
+    ]))
+    : []);
+
+export {NodeModules};
@@ -0,0 +1,9 @@
+/**
+ * Замена NodeModules.js для сборок CommonJS и UMD: встроенные модули Node.js загружает
+ * require() в Runtime.nodeModule(), заранее загружать нечего.
+ *
+ * @constant {Map<string, Object>}
+ */
+const NodeModules = new Map();
+
+export {NodeModules};
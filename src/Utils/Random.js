@@ -0,0 +1,47 @@
+import {Runtime} from './Runtime.js';
+
+/**
+ * Класс Random предоставляет криптографически стойкие случайные байты
+ * в браузере (crypto.getRandomValues) и в Node.js (node:crypto).
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const nonce = Random.bytes(12);
+ */
+class Random {
+    /**
+     * Возвращает массив случайных байт указанной длины.
+     *
+     * @static
+     * @param {number} length - Количество байт
+     * @returns {Uint8Array} - Случайные байты
+     * @throws {Error} Если в окружении нет криптографического генератора случайных чисел
+     * @example
+     * const salt = Random.bytes(16);
+     */
+    static bytes(length) {
+        const bytes = new Uint8Array(length);
+
+        if (globalThis.crypto && typeof globalThis.crypto.getRandomValues === 'function') {
+            // getRandomValues() принимает не более 65536 байт за вызов
+            for (let offset = 0; offset < length; offset += 65536) {
+                globalThis.crypto.getRandomValues(bytes.subarray(offset, Math.min(offset + 65536, length)));
+            }
+
+            return bytes;
+        }
+
+        const crypto = Runtime.nodeModule('node:crypto');
+        if (!crypto) {
+            throw new Error('Криптографический генератор случайных чисел недоступен');
+        }
+
+        return crypto.randomFillSync(bytes);
+    }
+}
+
+export {Random};
@@ -0,0 +1,72 @@
+import {NodeModules} from './NodeModules.js';
+
+/**
+ * Класс Runtime предоставляет доступ к возможностям среды выполнения,
+ * которые отличаются в браузере и Node.js. Встроенные модули Node.js
+ * загружаются по требованию, поэтому браузерная сборка не зависит от них.
+ * В ES-модулях версий Node.js без process.getBuiltinModule() модули
+ * загружаются заранее (см. NodeModules).
+ *
+ * @author TM Project <tm-project@asdev.ru>
+ * @version 1.0
+ * @license MIT
+ *
+ * @class
+ * @example
+ * const stream = Runtime.nodeModule('node:stream');
+ * if (stream) {
+ *     // Выполняется в Node.js
+ * }
+ */
+class Runtime {
+    /**
+     * Возвращает встроенный модуль Node.js или null, если код выполняется не в Node.js.
+     *
+     * @static
+     * @param {string} name - Имя модуля, например 'node:stream'
+     * @returns {Object|null} - Модуль или null
+     * @example
+     * const crypto = Runtime.nodeModule('node:crypto');
+     */
+    static nodeModule(name) {
+        const process = globalThis.process;
+
+        // Node.js 20.16+ и 22.3+ (в том числе ES-модули)
+        if (process && typeof process.getBuiltinModule === 'function') {
+            return process.getBuiltinModule(name) || null;
+        }
+
+        // Сборка CommonJS
+        if (typeof require === 'function') {
+            try {
+                return require(name);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        // ES-модули в Node.js до 20.16: модули загружены заранее (см. NodeModules)
+        return NodeModules.get(name) || null;
+    }
+
+    /**
+     * Возвращает WebCrypto: глобальный crypto или crypto.webcrypto из node:crypto
+     * (в ES-модулях Node.js до 19 глобального crypto нет).
+     *
+     * @static
+     * @returns {Crypto|null} - Объект WebCrypto или null, если crypto.subtle недоступен
+     * @example
+     * const subtle = Runtime.webCrypto()?.subtle;
+     */
+    static webCrypto() {
+        if (globalThis.crypto && globalThis.crypto.subtle) {
+            return globalThis.crypto;
+        }
+
+        const crypto = Runtime.nodeModule('node:crypto');
+
+        return crypto && crypto.webcrypto && crypto.webcrypto.subtle ? crypto.webcrypto : null;
+    }
+}
+
+export {Runtime};
@@ -1,2 +1,6 @@
 export * from './Base64.js'
-export * from './Hash.js'
\ No newline at end of file
+export * from './Bytes.js'
+export * from './Hash.js'
+export * from './Runtime.js'
+export * from './Random.js'
+export * from './Crc32.js'
@@ -1,5 +1,19 @@
-import {Base64} from './Utils/index.js';
+import {Base64, Bytes, Crc32} from './Utils/index.js';
+import {ValueWriter, ValueReader, ExtensionRegistry} from './Codec/index.js';
+import {Schema} from './Schema/index.js';
+import {AvailableCompressions} from './Compression/index.js';
+import {ByteQueue} from './Stream/ByteQueue.js';
+import {BinaryPackError, UnsupportedVersionError, AuthenticationError, CorruptedDataError, SignatureError} from './Errors/index.js';
 import {EncryptionMethod, AvailableMethods, AvailableMethodsName} from './EncryptionMethod/index.js';
+import {KeyDerivation, AvailableKdfsName} from './KeyDerivation/index.js';
+import {Hmac, Hkdf} from './Crypto/index.js';
+import {Keyring} from './Keyring/index.js';
+import {Envelope} from './Envelope/index.js';
+import {Signature} from './Signature/index.js';
+import {Token} from './Token/index.js';
+import {Padding} from './Padding/index.js';
+import {PackKey} from './PackKey/index.js';
+import {Options} from './Options/index.js';
 
 /**
  * Класс BinaryPack предоставляет функциональность для упаковки данных в бинарный формат
@@ -26,8 +40,11 @@ import {EncryptionMethod, AvailableMethods, AvailableMethodsName} from './Encryp
 class BinaryPack {
     // Приватные константы для формата данных
 
-    // Версия
-    #VERSION = 1;
+    // Версия (бинарное кодирование значений)
+    #VERSION = 2;
+
+    // Версия с JSON-представлением данных, поддерживается только для чтения
+    #VERSION_JSON = 1;
 
     // Сдвиг для записи версии
     #OFFSET_VERSION = 0;
@@ -35,30 +52,190 @@ class BinaryPack {
     // Сдвиг для записи кода метода
     #OFFSET_METHOD_CODE = 1;
 
+    // Сдвиг для записи флагов
+    #OFFSET_FLAGS = 2;
+
     // Сдвиг для записи длинны данных
-    #OFFSET_DATA_LENGTH = 2;
+    #OFFSET_DATA_LENGTH = 3;
 
     // Сдвиг для записи данных
-    #OFFSET_DATA = 6;
+    #OFFSET_DATA = 7;
 
     //Количество байт для метаданных
-    #META_LENGTH = 6;
+    #META_LENGTH = 7;
+
+    // Сдвиг длины данных в формате версии 1
+    #JSON_OFFSET_DATA_LENGTH = 2;
+
+    // Количество байт для метаданных в формате версии 1
+    #JSON_META_LENGTH = 6;
+
+    // Флаг: данные упакованы по схеме, после заголовка записан идентификатор схемы (4 байта)
+    #FLAG_SCHEMA = 0x01;
+
+    // Флаг: данные сжаты, после заголовка записан код алгоритма сжатия (1 байт)
+    #FLAG_COMPRESSED = 0x02;
+
+    // Флаг: ключ сформирован функцией формирования ключа, после заголовка записаны функция, параметры и соль
+    #FLAG_KDF = 0x04;
+
+    // Флаг: после данных записан код целостности - CRC32 (4 байта) без шифрования или HMAC-SHA256 (32 байта)
+    #FLAG_INTEGRITY = 0x08;
+
+    // Флаг: данные зашифрованы ключом из связки ключей, после заголовка записан идентификатор ключа (4 байта)
+    #FLAG_KEY_ID = 0x10;
+
+    // Флаг: данные запечатаны для получателей с открытыми ключами, после заголовка записан конверт (см. Envelope)
+    #FLAG_ENVELOPE = 0x20;
+
+    // Флаг: пакет подписан, в конце пакета записан блок подписи [алгоритм:1B][подпись:64B] (см. Signature)
+    #FLAG_SIGNATURE = 0x40;
+
+    // Флаг: данные дополнены до длины политики выравнивания, исходная длина зашифрована вместе с данными (см. Padding)
+    #FLAG_PADDED = 0x80;
+
+    // Все известные флаги
+    #KNOWN_FLAGS = 0xFF;
+
+    // Код метода в заголовке пакета со скрытыми метаданными: пакет целиком зашифрован ключом метаданных
+    #METHOD_HIDDEN = 0xFF;
+
+    // Метод шифрования пакета со скрытыми метаданными
+    #METADATA_METHOD = AvailableMethodsName.CHACHA20_POLY1305;
+
+    // Метка, отделяющая ключ метаданных от других ключей, сформированных из секрета
+    #METADATA_KEY_LABEL = 'binary-pack metadata';
+
+    // Метод шифрования данных конверта
+    #ENVELOPE_METHOD = AvailableMethodsName.CHACHA20_POLY1305;
+
+    // Функция формирования ключа, добавляющая nonce пакетам методов без собственного nonce
+    #NONCE_KDF = AvailableKdfsName.HKDF;
+
+    // Длина контрольной суммы CRC32
+    #CHECKSUM_LENGTH = 4;
+
+    // Длина кода аутентификации HMAC-SHA256
+    #MAC_LENGTH = 32;
+
+    // Сигнатура контейнера с фрагментами ('BPC')
+    #CHUNKED_SIGNATURE = [0x42, 0x50, 0x43];
+
+    // Версия контейнера с фрагментами
+    #CHUNKED_VERSION = 1;
+
+    // Сдвиги полей заголовка контейнера: [сигнатура:3B][версия:1B][метод:1B][флаги:1B][длина полей расширения:4B]
+    #CHUNKED_OFFSET_VERSION = 3;
+    #CHUNKED_OFFSET_METHOD_CODE = 4;
+    #CHUNKED_OFFSET_FLAGS = 5;
+    #CHUNKED_OFFSET_FIELDS_LENGTH = 6;
+
+    // Количество байт для заголовка контейнера
+    #CHUNKED_META_LENGTH = 10;
+
+    // Количество байт для заголовка фрагмента: [флаги фрагмента:1B][длина данных:4B]
+    #CHUNK_META_LENGTH = 5;
+
+    // Флаг фрагмента: данные фрагмента сжаты
+    #CHUNK_FLAG_COMPRESSED = 0x01;
+
+    // Флаг фрагмента: завершающий фрагмент, содержит количество фрагментов с данными (4 байта)
+    #CHUNK_FLAG_FINAL = 0x80;
+
+    // Размер фрагмента по умолчанию (64 КиБ)
+    #DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+    // Реестр форматов по версиям: длина заголовка, сдвиг поля длины, сериализация, заголовок и чтение пакета
+    #formats = new Map([
+        [this.#VERSION_JSON, {
+            metaLength: this.#JSON_META_LENGTH,
+            lengthOffset: this.#JSON_OFFSET_DATA_LENGTH,
+            serialize: (data) => this.#serializeJson(data),
+            header: (bodyLength, useCompression, keyField, key) => this.#buildJsonHeader(bodyLength, key),
+            open: (buffer, view) => this.#openJsonPacket(buffer, view),
+        }],
+        [this.#VERSION, {
+            metaLength: this.#META_LENGTH,
+            lengthOffset: this.#OFFSET_DATA_LENGTH,
+            serialize: (data) => this.#serialize(data),
+            header: (bodyLength, useCompression, keyField, key) => this.#buildHeader(bodyLength, useCompression, keyField, key),
+            open: (buffer, view) => this.#openBinaryPacket(buffer, view),
+        }],
+    ]);
 
     /**
      * Создает экземпляр BinaryPack для упаковки и распаковки данных с опциональным шифрованием.
      *
      * @constructor
-     * @param {string | null} secret - Секретное слово для шифрования (опционально)
-     * @param {string | null} encryptionMethod - Метод шифрования: 'xor', 'caesar', 'aes-like' или null
+     * @param {string | ArrayBuffer | ArrayBufferView | PackKey | null} secret - Секретное слово, двоичный ключ
+     *                                                                        (не короче 16 байт) или PackKey
+     *                                                                        для шифрования (опционально)
+     * @param {string | null} encryptionMethod - Метод шифрования: 'xor', 'caesar', 'aes-like', 'aes-256-gcm', 'chacha20-poly1305',
+     *                                          метод, зарегистрированный BinaryPack.registerMethod, или null
+     * @param {Object} [options] - Дополнительные параметры (при передаче одним объектом - все параметры)
+     * @param {string} [options.preset] - Набор параметров: 'fast', 'compact' или 'secure'; параметры, заданные
+     *                                    явно, имеют приоритет над набором
+     * @param {string|ArrayBuffer|ArrayBufferView|PackKey|null} [options.key] - Ключ (то же, что secret; позиционно
+     *                                                                          - только при secret = null)
+     * @param {string|null} [options.method] - Метод шифрования (позиционно - только при encryptionMethod = null)
+     * @param {boolean} [options.lenientExtensions=false] - Возвращать незарегистрированные пользовательские типы
+     *                                                     как ExtensionValue вместо ошибки
+     * @param {Schema|Object} [options.schema] - Схема для позиционной упаковки объектов (см. Schema)
+     * @param {string|null} [options.compression] - Алгоритм сжатия: 'lz', 'deflate' (только packAsync) или null
+     * @param {number} [options.writeVersion=2] - Версия формата для записи; распаковываются все поддерживаемые версии.
+     *                                             Версия 1 (JSON) нужна на время поэтапного обновления и не
+     *                                             поддерживает схемы, сжатие, формирование ключа и типы за пределами JSON
+     * @param {number} [options.format=2] - То же, что writeVersion
+     * @param {string|Object|null} [options.kdf] - Функция формирования ключа из секрета: 'pbkdf2', 'scrypt', 'hkdf'
+     *                                             или объект с параметрами, например { name: 'scrypt', N: 32768 }.
+     *                                             Параметры из заголовка при распаковке не могут превышать заданные
+     * @param {boolean} [options.integrity=true] - Добавлять к пакетам код целостности: CRC32 без шифрования,
+     *                                             HMAC-SHA256 для методов без аутентификации. С включенным кодом
+     *                                             данные методов без аутентификации без HMAC отклоняются
+     * @param {Keyring|Array<Object>} [options.keyring] - Связка ключей { keyId, secret, method } вместо секрета
+     *                                                  и метода: пакеты шифруются активным ключом, а его
+     *                                                  идентификатор записывается в заголовок (см. Keyring)
+     * @param {ArrayBuffer|ArrayBufferView} [options.publicKey] - Открытый ключ Ed25519 для проверки подписи:
+     *                                                          unpack() принимает только пакеты, подписанные парным
+     *                                                          закрытым ключом (см. sign)
+     * @param {boolean} [options.deterministic=false] - Не добавлять nonce пакетам методов xor, caesar и aes-like:
+     *                                                  одинаковые данные дают одинаковые пакеты, как в прежних версиях
+     * @param {string|Object|null} [options.padding] - Политика выравнивания длины: 'power-of-two', 'buckets', 'random'
+     *                                                 или объект с параметрами, например { name: 'buckets', sizes: [256, 1024] }
+     * @param {boolean} [options.encryptMetadata=false] - Шифровать пакет целиком вместе с заголовком: видны только
+     *                                                    версия, метка скрытых метаданных и длина пакета
+     * @param {Array<string>|boolean} [options.acceptMethods=false] - Методы шифрования, которые unpack() принимает
+     *                                                                кроме метода ключа: метод выбирается по коду
+     *                                                                из заголовка; true - любой известный метод.
+     *                                                                С этим параметром метод шифрования можно
+     *                                                                не указывать, если экземпляр только распаковывает данные
+     * @param {Object} [options.limits] - Ограничения распаковки: maxPacketLength (по умолчанию не ограничена),
+     *                                    maxFrameLength (FrameDecoder и UnpackStream), maxChunkLength и maxValueLength
+     *                                    (unpackChunks), по умолчанию 64 МиБ. maxValueLength ограничивает и длину
+     *                                    сжатых данных пакета после распаковки
      * @throws {Error} Если параметры не соответствуют требованиям
+     * @example
+     * // Параметры можно передать одним объектом
+     * const packer = new BinaryPack({ key: 'secret-key', method: 'xor', schema });
+     *
+     * // Набор параметров с уточнениями
+     * const secure = new BinaryPack({ preset: 'secure', key: PackKey.generate(), limits: { maxPacketLength: 65536 } });
      */
-    constructor(secret = null, encryptionMethod = null) {
+    constructor(secret = null, encryptionMethod = null, options = {}) {
+        // Все параметры переданы одним объектом или позиционно; параметры объединяются с набором и значениями по умолчанию
+        options = secret !== null && typeof secret === 'object' && !(secret instanceof PackKey) && !Bytes.isBinary(secret)
+            ? Options.resolve(secret)
+            : Options.resolve(this.#positionalOptions(secret, encryptionMethod, options));
+
+        secret = options.secret;
+        encryptionMethod = options.method ?? null;
+
         /**
-         * Секретный ключ для шифрования
-         * @type {string|null}
+         * Секретный ключ для шифрования (двоичный ключ копируется)
+         * @type {PackKey|null}
          * @private
          */
-        this.secret = secret;
+        this.secret = secret ? PackKey.from(secret) : null;
 
         /**
          * Выбранный метод шифрования
@@ -68,19 +245,54 @@ class BinaryPack {
         this.encryptionMethod = encryptionMethod;
 
         /**
-         * Кодировщик текста в бинарные данные
+         * Ограничения распаковки (см. options.limits)
+         * @type {{maxPacketLength: number, maxFrameLength: number, maxChunkLength: number, maxValueLength: number}}
+         * @readonly
+         */
+        this.limits = options.limits;
+
+        /**
+         * Методы шифрования, принимаемые при распаковке кроме метода ключа: true - любой известный метод
+         * @type {Array<string>|true|null}
+         * @private
+         */
+        this.acceptMethods = options.acceptMethods || null;
+
+        /**
+         * Связка ключей (вместо секрета и метода шифрования)
+         * @type {Keyring|null}
+         * @private
+         */
+        this.keyring = options.keyring ? Keyring.from(options.keyring) : null;
+
+        /**
+         * Кодировщик текста в бинарные данные (для формата версии 1)
          * @type {TextEncoder}
          * @private
          */
         this.encoder = new TextEncoder();
 
         /**
-         * Декодировщик бинарных данных в текст
+         * Декодировщик бинарных данных в текст (для формата версии 1)
          * @type {TextDecoder}
          * @private
          */
         this.decoder = new TextDecoder();
 
+        /**
+         * Версия формата для записи
+         * @type {number}
+         * @private
+         */
+        this.writeVersion = options.writeVersion ?? this.#VERSION;
+
+        /**
+         * Добавлять к пакетам код целостности
+         * @type {boolean}
+         * @private
+         */
+        this.integrity = options.integrity ?? true;
+
         /**
          * Экземпляр EncryptionMethod для обработки шифрования
          * @type {EncryptionMethod}
@@ -88,6 +300,142 @@ class BinaryPack {
          */
         this.encryptor = new EncryptionMethod(this.secret, this.#META_LENGTH);
 
+        /**
+         * Параметры функции формирования ключа, заданные явно
+         * @type {string|Object|null}
+         * @private
+         */
+        this.kdfOptions = options.kdf ?? null;
+
+        /**
+         * Детерминированное шифрование: пакеты методов без собственного nonce записываются без него
+         * @type {boolean}
+         * @private
+         */
+        this.deterministic = Boolean(options.deterministic);
+
+        /**
+         * Формирование ключей из секрета и кэш сформированных ключей
+         * @type {KeyDerivation}
+         * @private
+         */
+        this.keyDerivation = new KeyDerivation(this.secret, this.#kdfFor(this.encryptionMethod));
+
+        /**
+         * Экземпляры EncryptionMethod для сформированных ключей
+         * @type {WeakMap<Uint8Array, EncryptionMethod>}
+         * @private
+         */
+        this.keyEncryptors = new WeakMap();
+
+        /**
+         * Ключ экземпляра: секрет и метод шифрования из параметров конструктора
+         * @type {{keyId: null, secret: PackKey|null, method: string|null, encryptor: EncryptionMethod, keyDerivation: KeyDerivation}}
+         * @private
+         */
+        this.defaultKey = {
+            keyId: null,
+            secret: this.secret,
+            method: this.encryptionMethod,
+            encryptor: this.encryptor,
+            keyDerivation: this.keyDerivation,
+        };
+
+        /**
+         * Ключи связки с экземплярами EncryptionMethod и KeyDerivation
+         * @type {WeakMap<Object, Object>}
+         * @private
+         */
+        this.keyringKeys = new WeakMap();
+
+        /**
+         * Конверты для получателей с открытыми ключами
+         * @type {Envelope}
+         * @private
+         */
+        this.envelope = new Envelope();
+
+        /**
+         * Цифровые подписи пакетов
+         * @type {Signature}
+         * @private
+         */
+        this.signature = new Signature();
+
+        /**
+         * Открытый ключ для проверки подписи при распаковке
+         * @type {Uint8Array|null}
+         * @private
+         */
+        this.publicKey = options.publicKey ? this.signature.checkKey(options.publicKey, 'Открытый ключ подписи') : null;
+
+        /**
+         * Реестр пользовательских типов экземпляра, дополняющий глобальный реестр
+         * @type {ExtensionRegistry}
+         * @private
+         */
+        this.extensions = new ExtensionRegistry(ExtensionRegistry.global);
+
+        /**
+         * Политика выравнивания длины данных
+         * @type {Padding|null}
+         * @private
+         */
+        this.padding = options.padding ? new Padding(options.padding) : null;
+
+        /**
+         * Шифровать пакеты целиком вместе с заголовком (скрытые метаданные)
+         * @type {boolean}
+         * @private
+         */
+        this.encryptMetadata = Boolean(options.encryptMetadata);
+
+        /**
+         * Экземпляры EncryptionMethod для ключей метаданных ключей экземпляра и связки
+         * @type {WeakMap<PackKey, EncryptionMethod>}
+         * @private
+         */
+        this.metadataEncryptors = new WeakMap();
+
+        /**
+         * Нестрогий режим для незарегистрированных пользовательских типов
+         * @type {boolean}
+         * @private
+         */
+        this.lenientExtensions = Boolean(options.lenientExtensions);
+
+        /**
+         * Схема для позиционной упаковки объектов
+         * @type {Schema|null}
+         * @private
+         */
+        this.schema = options.schema ? Schema.from(options.schema) : null;
+
+        /**
+         * Доступные алгоритмы сжатия
+         * @type {Array<Object>}
+         * @private
+         */
+        this.compressions = AvailableCompressions.map((compression) => ({
+            ...compression,
+            instance: new compression.instance(),
+        }));
+
+        /**
+         * Выбранный алгоритм сжатия
+         * @type {Object|null}
+         * @private
+         */
+        this.compression = null;
+
+        if (options.compression) {
+            this.compression = this.compressions.find(({name}) => name === options.compression) || null;
+
+            if (!this.compression) {
+                throw new Error(`Неподдерживаемый алгоритм сжатия: ${options.compression}. Доступные: ${this.compressions.map(({name}) => name).join(', ')}`);
+            }
+        }
+
         /**
          * Список допустимых имен методов шифрования
          * @type {Array<string>}
@@ -96,7 +444,15 @@ class BinaryPack {
         this.validMethodsName = AvailableMethods.map(({name}) => name);
 
         // Валидация параметров
-        if (secret && !encryptionMethod) {
+        if (this.keyring && (secret || encryptionMethod)) {
+            throw new Error('При использовании связки ключей секрет и метод шифрования задаются ее ключами');
+        }
+
+        if (this.keyring && this.keyring.activeKeyId === null) {
+            throw new Error('Связка ключей пуста');
+        }
+
+        if (secret && !encryptionMethod && !this.acceptMethods) {
             throw new Error('Метод шифрования обязателен при указании секрета');
         }
 
@@ -107,13 +463,60 @@ class BinaryPack {
         if (encryptionMethod && !this.validMethodsName.includes(encryptionMethod)) {
             throw new Error(`Неподдерживаемый метод шифрования: ${encryptionMethod}. Доступные: ${this.validMethodsName.join(', ')}`);
         }
+
+        if (this.acceptMethods !== null && this.acceptMethods !== true && (!Array.isArray(this.acceptMethods) || this.acceptMethods.length === 0)) {
+            throw new Error('Допустимые методы шифрования задаются значением true или непустым массивом имен');
+        }
+
+        const unknownMethod = Array.isArray(this.acceptMethods) && this.acceptMethods.find((method) => !this.validMethodsName.includes(method));
+        if (unknownMethod) {
+            throw new Error(`Неподдерживаемый метод шифрования: ${unknownMethod}. Доступные: ${this.validMethodsName.join(', ')}`);
+        }
+
+        if (this.acceptMethods && !secret && !this.keyring) {
+            throw new Error('Секрет обязателен для распаковки данных, зашифрованных допустимыми методами');
+        }
+
+        if (!this.#formats.has(this.writeVersion)) {
+            throw new Error(`Неподдерживаемая версия формата для записи: ${this.writeVersion}. Доступные: ${[...this.#formats.keys()].join(', ')}`);
+        }
+
+        if (this.deterministic && this.kdfOptions) {
+            throw new Error('Детерминированное шифрование несовместимо с функцией формирования ключа: соль пакета случайна');
+        }
+
+        if (this.keyDerivation.kdf && !secret && !this.keyring) {
+            throw new Error('Секрет обязателен при выборе функции формирования ключа');
+        }
+
+        if (this.writeVersion === this.#VERSION_JSON && (this.schema || this.compression)) {
+            throw new Error('Формат версии 1 не поддерживает схемы и сжатие');
+        }
+
+        if (this.writeVersion === this.#VERSION_JSON && this.keyDerivation.kdf) {
+            throw new Error('Формат версии 1 не поддерживает формирование ключа');
+        }
+
+        if (this.writeVersion === this.#VERSION_JSON && this.keyring) {
+            throw new Error('Формат версии 1 не поддерживает связку ключей');
+        }
+
+        if (this.writeVersion === this.#VERSION_JSON && (this.padding || this.encryptMetadata)) {
+            throw new Error('Формат версии 1 не поддерживает выравнивание длины и скрытие метаданных');
+        }
+
+        if (this.encryptMetadata && !secret && !this.keyring) {
+            throw new Error('Секрет обязателен для скрытия метаданных');
+        }
     }
 
     /**
-     * Упаковывает данные в бинарный формат с возможным шифрованием.
-     * Формат данных: [версия:1B][метод:1B][длина данных:4B][данные...]
+     * Упаковывает данные в бинарный формат с возможным сжатием и шифрованием.
+     * Формат данных: [версия:1B][метод:1B][флаги:1B][длина данных:4B][данные...]
+     * Данные записываются в бинарном формате с тегами типов (см. ValueWriter).
      *
-     * @param {any} data - Данные для упаковки (любые JSON-совместимые данные)
+     * @param {any} data - Данные для упаковки: JSON-совместимые данные, а также undefined, NaN, Infinity,
+     *                     Date, Map, Set, BigInt, ArrayBuffer, типизированные массивы и DataView
      * @returns {ArrayBuffer} - Бинарные данные в формате ArrayBuffer
      * @throws {Error} При ошибках сериализации или невалидных данных
      * @example
@@ -122,101 +525,2515 @@ class BinaryPack {
      */
     pack(data) {
         try {
-            // Сериализуем данные в JSON строку
-            const jsonString = JSON.stringify(data);
+            const format = this.#formats.get(this.writeVersion);
+            const valueBytes = format.serialize(data);
+            const compressed = this.compression ? this.compression.instance.compress(valueBytes) : null;
+            const key = this.#activeKey();
+            const {header, body, keyField} = this.#layout(format, valueBytes, compressed, key);
+
+            const sealed = this.#seal(body, header, key, keyField);
+
+            return this.#writePacket([header, sealed, this.#integrityCode(header, sealed, key, keyField)], key).buffer;
+
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка упаковки данных');
+        }
+    }
+
+    /**
+     * Упаковывает данные непосредственно в переданный буфер, не создавая промежуточных копий пакета.
+     * Удобно для записи нескольких пакетов подряд в заранее выделенный буфер (например, пул сокета).
+     * Если места недостаточно, буфер не изменяется.
+     *
+     * @param {any} data - Данные для упаковки
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} target - Буфер для записи
+     * @param {number} [offset=0] - Сдвиг начала записи относительно начала target
+     * @returns {number} - Количество записанных байт
+     * @throws {Error} При ошибках сериализации, некорректном сдвиге или недостатке места в буфере
+     * @example
+     * const pool = Buffer.allocUnsafe(64 * 1024);
+     * let length = packer.packInto(first, pool);
+     * length += packer.packInto(second, pool, length);
+     * socket.write(pool.subarray(0, length));
+     */
+    packInto(data, target, offset = 0) {
+        try {
+            const bytes = Bytes.view(target);
 
-            // Конвертируем строку в Uint8Array
-            const stringBytes = this.encoder.encode(jsonString);
+            if (!Number.isInteger(offset) || offset < 0 || offset > bytes.length) {
+                throw new Error(`Некорректный сдвиг: ${offset}`);
+            }
 
-            // Создаем буфер с дополнительными 6 байтами для метаданных
-            const buffer = new ArrayBuffer(stringBytes.length + this.#META_LENGTH);
-            const view = new DataView(buffer);
+            const format = this.#formats.get(this.writeVersion);
+            const valueBytes = format.serialize(data);
+            const compressed = this.compression ? this.compression.instance.compress(valueBytes) : null;
+            const key = this.#activeKey();
+            const {header, body, keyField} = this.#layout(format, valueBytes, compressed, key);
 
-            // Записываем версию (1 байт)
-            view.setUint8(this.#OFFSET_VERSION, this.#VERSION);
+            const sealed = this.#seal(body, header, key, keyField);
 
-            // Записываем метод шифрования (1 байт)
-            const methodCode = this.encryptor.getEncryptionMethodCode(this.encryptionMethod);
-            view.setUint8(this.#OFFSET_METHOD_CODE, methodCode);
+            return this.#writePacket([header, sealed, this.#integrityCode(header, sealed, key, keyField)], key, bytes.subarray(offset)).length;
 
-            // Записываем длину данных (4 байта)
-            view.setUint32(this.#OFFSET_DATA_LENGTH, stringBytes.length);
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка упаковки данных');
+        }
+    }
 
-            // Копируем данные строки
-            const dataBytes = new Uint8Array(buffer, this.#OFFSET_DATA);
-            dataBytes.set(stringBytes);
+    /**
+     * Асинхронная версия pack(). Поддерживает алгоритмы сжатия,
+     * доступные только асинхронно (например, 'deflate' через CompressionStream).
+     *
+     * @param {any} data - Данные для упаковки
+     * @returns {Promise<ArrayBuffer>} - Бинарные данные в формате ArrayBuffer
+     * @throws {Error} При ошибках сериализации или невалидных данных
+     * @example
+     * const binaryData = await packer.packAsync(data);
+     */
+    async packAsync(data) {
+        try {
+            const format = this.#formats.get(this.writeVersion);
+            const valueBytes = format.serialize(data);
+            const compressed = this.compression ? await this.compression.instance.compressAsync(valueBytes) : null;
+            const key = this.#activeKey();
+            const {header, body, keyField} = this.#layout(format, valueBytes, compressed, key);
 
-            // Применяем шифрование если есть секрет (только к данным, не к заголовку)
-            if (this.secret && this.encryptionMethod) {
-                return this.encryptor.encrypt(buffer, this.encryptionMethod);
-            }
+            const sealed = await this.#sealAsync(body, header, key, keyField);
 
-            return buffer;
+            return this.#writePacket([header, sealed, this.#integrityCode(header, sealed, key, keyField)], key).buffer;
 
         } catch (error) {
-            throw new Error(`Ошибка упаковки данных: ${error.message}`);
+            throw BinaryPackError.wrap(error, 'Ошибка упаковки данных');
         }
     }
 
     /**
-     * Распаковывает данные из бинарного формата с возможным дешифрованием.
+     * Распаковывает данные из бинарного формата с возможным дешифрованием и распаковкой сжатия.
+     * Поддерживает текущий формат и формат версии 1 с JSON-представлением данных.
      *
-     * @param {ArrayBuffer} buffer - Бинарные данные для распаковки
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} buffer - Бинарные данные для распаковки
+     *                                                             (в том числе Node.js Buffer или часть большого буфера)
+     * @param {Object} [options] - Параметры распаковки
+     * @param {ArrayBuffer|ArrayBufferView|null} [options.publicKey] - Открытый ключ Ed25519: пакет распаковывается,
+     *                                                               только если подписан парным закрытым ключом.
+     *                                                               По умолчанию - ключ из параметров конструктора;
+     *                                                               без ключа подпись не проверяется
      * @returns {any} - Восстановленные данные в исходном формате
-     * @throws {Error} При ошибках десериализации, несоответствии версии или методов шифрования
+     * @throws {SignatureError} Если подпись неверна или пакет не подписан, а открытый ключ указан
+     * @throws {Error} При ошибках десериализации, несоответствии версии или методов шифрования, а также если
+     *                 сжатые данные после распаковки длиннее limits.maxValueLength
      * @example
      * const unpackedData = packer.unpack(binaryData);
      * console.log(unpackedData.message); // 'Hello'
      */
-    unpack(buffer) {
+    unpack(buffer, {publicKey = this.publicKey} = {}) {
         try {
-            // Создаем копию буфера для безопасной обработки
-            const bufferCopy = buffer.slice(0);
-            const view = new DataView(bufferCopy);
+            const packet = this.#openPacket(buffer, publicKey);
+            packet.body = this.#open(packet);
 
-            // Проверяем версию
-            const version = view.getUint8(this.#OFFSET_VERSION);
-            if (version !== this.#VERSION) {
-                throw new Error('Неверная версия формата данных');
+            if (packet.compression) {
+                packet.body = packet.compression.instance.decompress(packet.body, this.limits.maxValueLength);
             }
 
-            const methodCode = view.getUint8(this.#OFFSET_METHOD_CODE);
+            return this.#deserialize(packet);
 
-            // Проверяем соответствие методов шифрования
-            if (this.secret && this.encryptionMethod) {
-                const storedMethod = this.encryptor.getEncryptionMethodName(methodCode);
-                if (this.encryptionMethod !== storedMethod) {
-                    throw new Error('Несоответствие методов шифрования');
-                } else {
-                    this.encryptor.decrypt(bufferCopy, methodCode);
-                }
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка распаковки данных');
+        }
+    }
+
+    /**
+     * Асинхронная версия unpack(). Поддерживает алгоритмы сжатия,
+     * доступные только асинхронно (например, 'deflate' через DecompressionStream).
+     *
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} buffer - Бинарные данные для распаковки
+     *                                                             (в том числе Node.js Buffer или часть большого буфера)
+     * @param {Object} [options] - Параметры распаковки
+     * @param {ArrayBuffer|ArrayBufferView|null} [options.publicKey] - Открытый ключ Ed25519 для проверки подписи
+     * @returns {Promise<any>} - Восстановленные данные в исходном формате
+     * @throws {SignatureError} Если подпись неверна или пакет не подписан, а открытый ключ указан
+     * @throws {Error} При ошибках десериализации, несоответствии версии или методов шифрования
+     * @example
+     * const unpackedData = await packer.unpackAsync(binaryData);
+     */
+    async unpackAsync(buffer, {publicKey = this.publicKey} = {}) {
+        try {
+            const packet = this.#openPacket(buffer, publicKey);
+            packet.body = await this.#openAsync(packet);
+
+            if (packet.compression) {
+                packet.body = await packet.compression.instance.decompressAsync(packet.body, this.limits.maxValueLength);
             }
 
-            // Читаем длину данных
-            const dataLength = view.getUint32(this.#OFFSET_DATA_LENGTH);
+            return this.#deserialize(packet);
 
-            // Проверяем корректность длины
-            if (dataLength > bufferCopy.byteLength - this.#META_LENGTH) {
-                throw new Error('Некорректная длина данных');
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка распаковки данных');
+        }
+    }
+
+    /**
+     * Перешифровывает пакет текущим ключом (активным ключом связки) без передачи данных вызывающему коду:
+     * пакет расшифровывается ключом из своего заголовка и упаковывается заново с новой солью, кодом
+     * целостности и параметрами сжатия экземпляра. Используется для миграции хранилища после смены ключа.
+     *
+     * Подпись пакета не переносится: перешифрованный пакет подписывается заново (см. sign).
+     *
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} buffer - Пакет, зашифрованный любым ключом связки
+     * @returns {ArrayBuffer} - Пакет, зашифрованный текущим ключом
+     * @throws {Error} Если ключа пакета нет в связке или пакет поврежден
+     * @example
+     * keyring.rotate({ keyId: 3, secret: newSecret, method: 'aes-256-gcm' });
+     * await storage.set(id, packer.rewrap(await storage.get(id)));
+     */
+    rewrap(buffer) {
+        try {
+            const packet = this.#openPacket(buffer, this.publicKey);
+            packet.body = this.#open(packet);
+
+            if (packet.compression) {
+                packet.body = packet.compression.instance.decompress(packet.body, this.limits.maxValueLength);
             }
 
-            // Извлекаем данные строки
-            const stringBytes = new Uint8Array(bufferCopy, this.#OFFSET_DATA, dataLength);
-            const jsonString = this.decoder.decode(stringBytes);
+            const format = this.#formats.get(this.writeVersion);
+            const valueBytes = this.#reencode(format, packet);
+            const compressed = this.compression ? this.compression.instance.compress(valueBytes) : null;
+            const key = this.#activeKey();
+            const {header, body, keyField} = this.#layout(format, valueBytes, compressed, key);
 
-            // Парсим JSON
-            return JSON.parse(jsonString);
+            const sealed = this.#seal(body, header, key, keyField);
+
+            return this.#writePacket([header, sealed, this.#integrityCode(header, sealed, key, keyField)], key).buffer;
+
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка перешифрования данных');
+        }
+    }
+
+    /**
+     * Асинхронная версия rewrap(). Поддерживает алгоритмы сжатия, доступные только асинхронно.
+     *
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} buffer - Пакет, зашифрованный любым ключом связки
+     * @returns {Promise<ArrayBuffer>} - Пакет, зашифрованный текущим ключом
+     * @throws {Error} Если ключа пакета нет в связке или пакет поврежден
+     */
+    async rewrapAsync(buffer) {
+        try {
+            const packet = this.#openPacket(buffer, this.publicKey);
+            packet.body = await this.#openAsync(packet);
+
+            if (packet.compression) {
+                packet.body = await packet.compression.instance.decompressAsync(packet.body, this.limits.maxValueLength);
+            }
+
+            const format = this.#formats.get(this.writeVersion);
+            const valueBytes = this.#reencode(format, packet);
+            const compressed = this.compression ? await this.compression.instance.compressAsync(valueBytes) : null;
+            const key = this.#activeKey();
+            const {header, body, keyField} = this.#layout(format, valueBytes, compressed, key);
+
+            const sealed = await this.#sealAsync(body, header, key, keyField);
+
+            return this.#writePacket([header, sealed, this.#integrityCode(header, sealed, key, keyField)], key).buffer;
+
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка перешифрования данных');
+        }
+    }
+
+    /**
+     * Упаковывает данные в конверт, который может открыть только владелец закрытого ключа получателя.
+     * Данные шифруются ChaCha20-Poly1305 случайным ключом данных, а ключ данных - для каждого получателя
+     * ключом, согласованным по X25519 с одноразовым ключом отправителя (см. Envelope). Секрет экземпляра
+     * не используется, поэтому отправителю (например, браузеру) достаточно открытого ключа.
+     *
+     * @param {any} data - Данные для упаковки
+     * @param {ArrayBuffer|ArrayBufferView|Array<ArrayBuffer|ArrayBufferView>} recipients - Открытый ключ X25519
+     *                                                                                     получателя или массив ключей (до 255)
+     * @returns {ArrayBuffer} - Конверт
+     * @throws {Error} При некорректных ключах или ошибках сериализации
+     * @example
+     * const {publicKey, privateKey} = BinaryPack.generateKeyPair();
+     * const sealed = new BinaryPack().seal(data, publicKey);
+     * const opened = new BinaryPack().open(sealed, privateKey);
+     */
+    seal(data, recipients) {
+        try {
+            const format = this.#envelopeFormat();
+            const valueBytes = format.serialize(data);
+            const compressed = this.compression ? this.compression.instance.compress(valueBytes) : null;
+            const key = this.#envelopeKey(this.envelope.create(recipients));
+            const {header, body, keyField} = this.#layout(format, valueBytes, compressed, key);
+
+            const sealed = this.#seal(body, header, key, keyField);
+
+            return this.#write([header, sealed, this.#integrityCode(header, sealed, key, keyField)]).buffer;
+
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка упаковки данных');
+        }
+    }
+
+    /**
+     * Асинхронная версия seal(). Поддерживает алгоритмы сжатия, доступные только асинхронно.
+     *
+     * @param {any} data - Данные для упаковки
+     * @param {ArrayBuffer|ArrayBufferView|Array<ArrayBuffer|ArrayBufferView>} recipients - Открытый ключ X25519
+     *                                                                                     получателя или массив ключей
+     * @returns {Promise<ArrayBuffer>} - Конверт
+     * @throws {Error} При некорректных ключах или ошибках сериализации
+     */
+    async sealAsync(data, recipients) {
+        try {
+            const format = this.#envelopeFormat();
+            const valueBytes = format.serialize(data);
+            const compressed = this.compression ? await this.compression.instance.compressAsync(valueBytes) : null;
+            const key = this.#envelopeKey(this.envelope.create(recipients));
+            const {header, body, keyField} = this.#layout(format, valueBytes, compressed, key);
+
+            const sealed = await this.#sealAsync(body, header, key, keyField);
+
+            return this.#write([header, sealed, this.#integrityCode(header, sealed, key, keyField)]).buffer;
+
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка упаковки данных');
+        }
+    }
+
+    /**
+     * Открывает конверт, созданный seal(), закрытым ключом одного из получателей.
+     *
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} buffer - Конверт
+     * @param {ArrayBuffer|ArrayBufferView} privateKey - Закрытый ключ X25519 получателя (32 байта)
+     * @param {Object} [options] - Параметры распаковки
+     * @param {ArrayBuffer|ArrayBufferView|null} [options.publicKey] - Открытый ключ Ed25519 отправителя для проверки подписи
+     * @returns {any} - Восстановленные данные
+     * @throws {AuthenticationError} Если конверт адресован другим получателям или изменен
+     * @throws {SignatureError} Если подпись неверна или конверт не подписан, а открытый ключ указан
+     * @throws {Error} Если данные не являются конвертом
+     */
+    open(buffer, privateKey, {publicKey = this.publicKey} = {}) {
+        try {
+            const packet = this.#openPacket(buffer, publicKey);
+            packet.key = this.#envelopeOpenKey(packet, privateKey);
+            packet.body = this.#open(packet);
+
+            if (packet.compression) {
+                packet.body = packet.compression.instance.decompress(packet.body, this.limits.maxValueLength);
+            }
+
+            return this.#deserialize(packet);
 
         } catch (error) {
-            throw new Error(`Ошибка распаковки данных: ${error.message}`);
+            throw BinaryPackError.wrap(error, 'Ошибка распаковки данных');
         }
     }
 
+    /**
+     * Асинхронная версия open().
+     *
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} buffer - Конверт
+     * @param {ArrayBuffer|ArrayBufferView} privateKey - Закрытый ключ X25519 получателя (32 байта)
+     * @param {Object} [options] - Параметры распаковки
+     * @param {ArrayBuffer|ArrayBufferView|null} [options.publicKey] - Открытый ключ Ed25519 отправителя для проверки подписи
+     * @returns {Promise<any>} - Восстановленные данные
+     * @throws {AuthenticationError} Если конверт адресован другим получателям или изменен
+     * @throws {SignatureError} Если подпись неверна или конверт не подписан, а открытый ключ указан
+     * @throws {Error} Если данные не являются конвертом
+     */
+    async openAsync(buffer, privateKey, {publicKey = this.publicKey} = {}) {
+        try {
+            const packet = this.#openPacket(buffer, publicKey);
+            packet.key = this.#envelopeOpenKey(packet, privateKey);
+            packet.body = await this.#openAsync(packet);
+
+            if (packet.compression) {
+                packet.body = await packet.compression.instance.decompressAsync(packet.body, this.limits.maxValueLength);
+            }
+
+            return this.#deserialize(packet);
+
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка распаковки данных');
+        }
+    }
+
+    /**
+     * Создает пару ключей X25519 для seal() и open().
+     *
+     * @static
+     * @returns {{publicKey: Uint8Array, privateKey: Uint8Array}} - Открытый и закрытый ключи по 32 байта
+     * @example
+     * const {publicKey, privateKey} = BinaryPack.generateKeyPair();
+     */
+    static generateKeyPair() {
+        return new Envelope().generateKeyPair();
+    }
+
+    /**
+     * Вычисляет открытый ключ X25519 по закрытому.
+     *
+     * @static
+     * @param {ArrayBuffer|ArrayBufferView} privateKey - Закрытый ключ (32 байта)
+     * @returns {Uint8Array} - Открытый ключ (32 байта)
+     * @throws {Error} При некорректной длине ключа
+     */
+    static publicKeyFrom(privateKey) {
+        return new Envelope().publicKey(privateKey);
+    }
+
+    /**
+     * Подписывает пакет закрытым ключом Ed25519: в конец пакета добавляется блок подписи
+     * [алгоритм:1B][подпись:64B], а в заголовке устанавливается флаг подписи. Подпись покрывает все байты
+     * пакета до нее - заголовок, поля расширения, данные и код целостности, поэтому любое изменение пакета
+     * обнаруживается при проверке. Подписать можно пакет с любым методом шифрования и без шифрования;
+     * секрет для этого не нужен.
+     *
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} buffer - Пакет формата версии 2 (pack, seal, rewrap)
+     * @param {ArrayBuffer|ArrayBufferView} privateKey - Закрытый ключ Ed25519 (32 байта)
+     * @returns {ArrayBuffer} - Подписанный пакет
+     * @throws {Error} Если пакет поврежден, уже подписан или записан в формате версии 1
+     * @example
+     * const {publicKey, privateKey} = BinaryPack.generateSigningKeyPair();
+     * const bundle = packer.sign(packer.pack(config), privateKey);
+     * const config = new BinaryPack().unpack(bundle, { publicKey });
+     */
+    sign(buffer, privateKey) {
+        try {
+            const bytes = Bytes.view(buffer);
+            const length = this.frameLength(bytes);
+
+            if (length === null || bytes.length < length) {
+                throw new Error('Некорректная длина данных');
+            }
+
+            if (bytes[this.#OFFSET_VERSION] !== this.#VERSION) {
+                throw new Error(`Подпись поддерживается только форматом версии ${this.#VERSION}`);
+            }
+
+            const flags = bytes[this.#OFFSET_FLAGS];
+            if (flags & ~this.#KNOWN_FLAGS) {
+                throw new Error('Неподдерживаемые флаги формата данных');
+            }
+
+            if (flags & this.#FLAG_SIGNATURE) {
+                throw new Error('Пакет уже подписан');
+            }
+
+            // Заголовок подписанного пакета: флаг подписи и длина данных с блоком подписи
+            const signed = new Uint8Array(length + Signature.BLOCK_LENGTH);
+            const view = new DataView(signed.buffer);
+
+            signed.set(bytes.subarray(0, length));
+            view.setUint8(this.#OFFSET_FLAGS, flags | this.#FLAG_SIGNATURE);
+            view.setUint32(this.#OFFSET_DATA_LENGTH, length - this.#META_LENGTH + Signature.BLOCK_LENGTH);
+            view.setUint8(length, Signature.ALGORITHM_ED25519);
+
+            // Подписываются все байты до подписи, включая код алгоритма
+            signed.set(this.signature.sign(privateKey, signed.subarray(0, length + 1)), length + 1);
+
+            return signed.buffer;
+
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка подписи данных');
+        }
+    }
+
+    /**
+     * Проверяет подпись пакета, не распаковывая данные.
+     *
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} buffer - Подписанный пакет
+     * @param {ArrayBuffer|ArrayBufferView} publicKey - Открытый ключ Ed25519 (32 байта)
+     * @returns {boolean} - true, если пакет подписан парным закрытым ключом и не изменен после подписания
+     * @throws {Error} Если данные не являются пакетом или ключ некорректен
+     * @example
+     * if (!packer.verify(bundle, publicKey)) {
+     *     throw new Error('Пакет подписан не нами');
+     * }
+     */
+    verify(buffer, publicKey) {
+        try {
+            if (!publicKey) {
+                throw new Error('Не указан открытый ключ подписи');
+            }
+
+            this.#verifySignature(Bytes.copy(buffer), publicKey);
+
+            return true;
+
+        } catch (error) {
+            if (error instanceof SignatureError) {
+                return false;
+            }
+
+            throw BinaryPackError.wrap(error, 'Ошибка проверки подписи');
+        }
+    }
+
+    /**
+     * Создает пару ключей Ed25519 для sign() и проверки подписи.
+     *
+     * @static
+     * @returns {{publicKey: Uint8Array, privateKey: Uint8Array}} - Открытый и закрытый ключи по 32 байта
+     * @example
+     * const {publicKey, privateKey} = BinaryPack.generateSigningKeyPair();
+     */
+    static generateSigningKeyPair() {
+        return new Signature().generateKeyPair();
+    }
+
+    /**
+     * Вычисляет открытый ключ Ed25519 по закрытому.
+     *
+     * @static
+     * @param {ArrayBuffer|ArrayBufferView} privateKey - Закрытый ключ (32 байта)
+     * @returns {Uint8Array} - Открытый ключ (32 байта)
+     * @throws {Error} При некорректной длине ключа
+     */
+    static signingPublicKeyFrom(privateKey) {
+        return new Signature().publicKey(privateKey);
+    }
+
+    /**
+     * Упаковывает данные в токен - строку Base64 с утверждениями: временем выпуска (iat), сроком действия (exp),
+     * началом действия (nbf), получателями (aud) и идентификатором (jti). Токен шифруется и защищается кодом
+     * целостности как обычный пакет, а с закрытым ключом Ed25519 - еще и подписывается.
+     *
+     * @param {any} data - Данные токена
+     * @param {Object} [options] - Параметры токена
+     * @param {number} [options.expiresIn] - Срок действия в секундах
+     * @param {number} [options.notBefore] - Начало действия в секундах от момента выпуска
+     * @param {string|Array<string>} [options.audience] - Получатели токена
+     * @param {string|boolean} [options.jti] - Идентификатор токена или true для случайного идентификатора
+     * @param {ArrayBuffer|ArrayBufferView} [options.privateKey] - Закрытый ключ Ed25519 для подписи (см. sign)
+     * @param {Date|number} [options.now] - Момент выпуска (по умолчанию текущее время)
+     * @returns {string} - Токен в Base64
+     * @throws {Error} При некорректных параметрах или ошибках упаковки
+     * @example
+     * const token = packer.packToken({ userId: 42 }, { expiresIn: 3600, audience: 'api', jti: true });
+     */
+    packToken(data, options = {}) {
+        const buffer = this.pack(this.#tokenClaims(data, options));
+
+        return Base64.bufferToBase64(options.privateKey ? this.sign(buffer, options.privateKey) : buffer);
+    }
+
+    /**
+     * Асинхронная версия packToken(). Поддерживает алгоритмы сжатия, доступные только асинхронно.
+     *
+     * @param {any} data - Данные токена
+     * @param {Object} [options] - Параметры токена (см. packToken)
+     * @returns {Promise<string>} - Токен в Base64
+     * @throws {Error} При некорректных параметрах или ошибках упаковки
+     */
+    async packTokenAsync(data, options = {}) {
+        const buffer = await this.packAsync(this.#tokenClaims(data, options));
+
+        return Base64.bufferToBase64(options.privateKey ? this.sign(buffer, options.privateKey) : buffer);
+    }
+
+    /**
+     * Распаковывает токен и проверяет его утверждения: срок действия (exp) и начало действия (nbf)
+     * с допустимым расхождением часов, получателей (aud) и, если передано хранилище использованных
+     * идентификаторов, повторное использование (jti).
+     *
+     * Токен принимается, только если его подлинность подтверждена: ключом экземпляра с методом шифрования
+     * с аутентификацией (AES-GCM, ChaCha20-Poly1305) или с включенным кодом целостности (HMAC-SHA256 для
+     * остальных методов) либо подписью, проверенной открытым ключом. Экземпляр без ключа принимает только
+     * подписанные токены.
+     *
+     * @param {string} token - Токен в Base64
+     * @param {Object} [options] - Параметры проверки
+     * @param {string|Array<string>} [options.audience] - Ожидаемые получатели; токен с утверждением aud
+     *                                                   принимается, только если получатель указан
+     * @param {number} [options.clockSkew=0] - Допустимое расхождение часов в секундах
+     * @param {{has: Function, add: Function}} [options.seenStore] - Хранилище использованных идентификаторов
+     *                                                             с методами has(jti) и add(jti, exp), например Set
+     * @param {ArrayBuffer|ArrayBufferView|null} [options.publicKey] - Открытый ключ Ed25519 для проверки подписи
+     *                                                               (по умолчанию - ключ из параметров конструктора)
+     * @param {Date|number} [options.now] - Момент проверки (по умолчанию текущее время)
+     * @returns {any} - Данные токена
+     * @throws {AuthenticationError} Если подлинность токена нечем подтвердить или токен подделан
+     * @throws {TokenExpiredError} Если срок действия истек
+     * @throws {TokenNotYetValidError} Если токен еще не действует
+     * @throws {AudienceMismatchError} Если токен выпущен для других получателей
+     * @throws {TokenReplayError} Если идентификатор токена уже есть в хранилище
+     * @throws {Error} Если токен поврежден, подделан или не является токеном
+     * @example
+     * const {userId} = packer.unpackToken(token, { audience: 'api', clockSkew: 30, seenStore: usedIds });
+     */
+    unpackToken(token, options = {}) {
+        try {
+            const packet = this.#openToken(token, options);
+            packet.body = this.#open(packet);
+
+            if (packet.compression) {
+                packet.body = packet.compression.instance.decompress(packet.body, this.limits.maxValueLength);
+            }
+
+            const claims = this.#deserialize(packet);
+            Token.verify(claims, options);
+
+            if (options.seenStore) {
+                Token.remember(claims, options.seenStore);
+            }
+
+            return claims.data;
+
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка проверки токена');
+        }
+    }
+
+    /**
+     * Асинхронная версия unpackToken(). Поддерживает асинхронные хранилища использованных
+     * идентификаторов (например, Redis) и алгоритмы сжатия, доступные только асинхронно.
+     *
+     * @param {string} token - Токен в Base64
+     * @param {Object} [options] - Параметры проверки (см. unpackToken)
+     * @returns {Promise<any>} - Данные токена
+     * @throws {AuthenticationError} Если подлинность токена нечем подтвердить или токен подделан
+     * @throws {TokenError} Если токен истек, еще не действует, выпущен для других получателей или уже использован
+     * @throws {Error} Если токен поврежден, подделан или не является токеном
+     */
+    async unpackTokenAsync(token, options = {}) {
+        try {
+            const packet = this.#openToken(token, options);
+            packet.body = await this.#openAsync(packet);
+
+            if (packet.compression) {
+                packet.body = await packet.compression.instance.decompressAsync(packet.body, this.limits.maxValueLength);
+            }
+
+            const claims = this.#deserialize(packet);
+            Token.verify(claims, options);
+
+            if (options.seenStore) {
+                await Token.rememberAsync(claims, options.seenStore);
+            }
+
+            return claims.data;
+
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка проверки токена');
+        }
+    }
+
+    /**
+     * Упаковывает несколько значений в один буфер, записывая пакеты (кадры) друг за другом.
+     * Такой буфер можно передать по потоковому соединению и разобрать с помощью FrameDecoder.
+     *
+     * @param {Iterable<any>} values - Значения для упаковки
+     * @returns {ArrayBuffer} - Последовательность пакетов
+     * @throws {Error} При ошибках сериализации или невалидных данных
+     * @example
+     * socket.write(new Uint8Array(packer.packMany([first, second, third])));
+     */
+    packMany(values) {
+        const frames = Array.from(values, (value) => new Uint8Array(this.pack(value)));
+        const result = new Uint8Array(frames.reduce((length, frame) => length + frame.length, 0));
+        let offset = 0;
+
+        for (const frame of frames) {
+            result.set(frame, offset);
+            offset += frame.length;
+        }
+
+        return result.buffer;
+    }
+
+    /**
+     * Упаковывает последовательность значений в контейнер с фрагментами для данных, которые
+     * не помещаются в память целиком (например, многогигабайтные выгрузки). Значения читаются
+     * из итератора по одному, а контейнер выдается по частям, поэтому расход памяти
+     * не зависит от общего объема данных.
+     *
+     * Формат контейнера: [сигнатура 'BPC':3B][версия:1B][метод:1B][флаги:1B][длина полей расширения:4B]
+     * [поля расширения...], затем фрагменты [флаги фрагмента:1B][длина:4B][данные...] и завершающий
+     * фрагмент с количеством фрагментов с данными. Каждый фрагмент сжимается и шифруется независимо;
+     * для методов без аутентификации в конце фрагмента записывается код HMAC-SHA256.
+     * Значения записываются в поток данных как [длина:4B][значение...] и могут переходить через
+     * границы фрагментов.
+     *
+     * @param {Iterable<any>|AsyncIterable<any>} values - Значения для упаковки
+     * @param {Object} [options] - Параметры упаковки
+     * @param {number} [options.chunkSize=65536] - Размер данных фрагмента до сжатия и шифрования в байтах
+     * @returns {AsyncGenerator<Uint8Array>} - Части контейнера: заголовок и фрагменты
+     * @throws {Error} При ошибках сериализации или некорректном размере фрагмента
+     * @example
+     * await pipeline(Readable.from(packer.packChunks(rows)), fs.createWriteStream('export.bpc'));
+     */
+    async* packChunks(values, {chunkSize = this.#DEFAULT_CHUNK_SIZE} = {}) {
+        try {
+            if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > 0xFFFFFFFF) {
+                throw new Error(`Некорректный размер фрагмента: ${chunkSize}`);
+            }
+
+            const container = this.#buildChunkedHeader(this.#activeKey());
+            yield container.header;
+
+            const chunk = new Uint8Array(chunkSize);
+            let filled = 0;
+            let count = 0;
+
+            for await (const value of values) {
+                const valueBytes = this.#serialize(value);
+
+                // Длина значения (4 байта)
+                const lengthBytes = new Uint8Array(4);
+                new DataView(lengthBytes.buffer).setUint32(0, valueBytes.length);
+
+                for (const bytes of [lengthBytes, valueBytes]) {
+                    let offset = 0;
+
+                    while (offset < bytes.length) {
+                        const part = bytes.subarray(offset, offset + chunkSize - filled);
+                        chunk.set(part, filled);
+                        filled += part.length;
+                        offset += part.length;
+
+                        if (filled === chunkSize) {
+                            yield await this.#sealChunk(chunk, container, count);
+                            filled = 0;
+                            count++;
+                        }
+                    }
+                }
+            }
+
+            if (filled > 0) {
+                yield await this.#sealChunk(chunk.subarray(0, filled), container, count);
+                count++;
+            }
+
+            // Завершающий фрагмент с количеством фрагментов с данными
+            const countBytes = new Uint8Array(4);
+            new DataView(countBytes.buffer).setUint32(0, count);
+
+            yield await this.#sealChunk(countBytes, container, count, this.#CHUNK_FLAG_FINAL);
+
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка упаковки данных');
+        }
+    }
+
+    /**
+     * Распаковывает контейнер с фрагментами, созданный packChunks(), и выдает значения по одному.
+     * Контейнер читается из итератора фрагментов байт произвольной длины (например, файлового потока
+     * Node.js или ReadableStream), в памяти одновременно находится не больше одного фрагмента
+     * и одного значения.
+     *
+     * @param {Iterable<ArrayBuffer|ArrayBufferView>|AsyncIterable<ArrayBuffer|ArrayBufferView>} source - Байты контейнера
+     * @param {Object} [options] - Параметры распаковки
+     * @param {number} [options.maxChunkLength] - Максимальная длина фрагмента в байтах до и после распаковки сжатия
+     *                                           (по умолчанию из limits)
+     * @param {number} [options.maxValueLength] - Максимальная длина одного значения в байтах (по умолчанию из limits)
+     * @returns {AsyncGenerator<any>} - Распакованные значения
+     * @throws {Error} При поврежденном или обрезанном контейнере, несоответствии схемы или метода шифрования
+     * @example
+     * for await (const row of packer.unpackChunks(fs.createReadStream('export.bpc'))) {
+     *     handle(row);
+     * }
+     */
+    async* unpackChunks(source, {
+        maxChunkLength = this.limits.maxChunkLength,
+        maxValueLength = this.limits.maxValueLength,
+    } = {}) {
+        const iterator = source[Symbol.asyncIterator] ? source[Symbol.asyncIterator]() : source[Symbol.iterator]();
+        const input = new ByteQueue();
+
+        // Читает ровно length байт контейнера, null - если источник закончился раньше
+        const read = async (length) => {
+            while (input.length < length) {
+                const {done, value} = await iterator.next();
+                if (done) {
+                    return null;
+                }
+
+                input.push(value);
+            }
+
+            return new Uint8Array(input.take(length));
+        };
+
+        try {
+            const meta = await read(this.#CHUNKED_META_LENGTH);
+            const {methodCode, flags: headerFlags, fieldsLength} = this.#openChunkedHeader(meta);
+
+            const fields = await read(fieldsLength);
+            if (!fields) {
+                throw new Error('Контейнер обрезан посреди заголовка');
+            }
+
+            const {compression, keyField, keyId} = this.#readHeaderFields(new DataView(fields.buffer), 0, headerFlags);
+
+            const key = this.#packetKey(keyId);
+            this.#checkMethod(methodCode, key);
+
+            // Заголовок контейнера целиком входит в аутентифицируемые данные каждого фрагмента
+            const header = new Uint8Array(meta.length + fields.length);
+            header.set(meta);
+            header.set(fields, meta.length);
+
+            const container = {header, keyField, key, mac: Boolean(headerFlags & this.#FLAG_INTEGRITY)};
+
+            const values = new ByteQueue();
+            let count = 0;
+
+            while (true) {
+                const chunkMeta = await read(this.#CHUNK_META_LENGTH);
+                if (!chunkMeta) {
+                    throw new Error('Контейнер обрезан: отсутствует завершающий фрагмент');
+                }
+
+                const metaView = new DataView(chunkMeta.buffer);
+                const flags = metaView.getUint8(0);
+                const length = metaView.getUint32(1);
+
+                if (flags & ~(this.#CHUNK_FLAG_COMPRESSED | this.#CHUNK_FLAG_FINAL)) {
+                    throw new Error('Неподдерживаемые флаги фрагмента');
+                }
+
+                if (length > maxChunkLength) {
+                    throw new Error(`Длина фрагмента превышает допустимую: ${maxChunkLength} байт`);
+                }
+
+                const body = await read(length);
+                if (!body) {
+                    throw new Error('Контейнер обрезан посреди фрагмента');
+                }
+
+                let payload = await this.#openChunk(body, container, chunkMeta, count, methodCode);
+
+                if (flags & this.#CHUNK_FLAG_FINAL) {
+                    if (payload.length !== 4 || new DataView(payload.buffer, payload.byteOffset, 4).getUint32(0) !== count) {
+                        throw new Error('Количество фрагментов не совпадает с завершающим фрагментом');
+                    }
+
+                    if (values.length > 0) {
+                        throw new Error('Контейнер завершился посреди значения');
+                    }
+
+                    if (input.length > 0 || !(await iterator.next()).done) {
+                        throw new Error('Лишние данные после завершающего фрагмента');
+                    }
+
+                    return;
+                }
+
+                if (flags & this.#CHUNK_FLAG_COMPRESSED) {
+                    if (!compression) {
+                        throw new Error('Фрагмент сжат, но алгоритм сжатия не указан');
+                    }
+
+                    // Сжатый фрагмент не длиннее ограничения может раскрыться в любой объем
+                    payload = await compression.instance.decompressAsync(payload, maxChunkLength);
+                }
+
+                values.push(payload);
+                count++;
+
+                // Выдаем все значения, полностью полученные к этому моменту
+                while (values.length >= 4) {
+                    const valueLength = new DataView(values.peek(4).buffer).getUint32(0);
+                    if (valueLength > maxValueLength) {
+                        throw new Error(`Длина значения превышает допустимую: ${maxValueLength} байт`);
+                    }
+
+                    if (values.length < 4 + valueLength) {
+                        break;
+                    }
+
+                    values.take(4);
+                    yield this.#deserialize({isJson: false, body: new Uint8Array(values.take(valueLength))});
+                }
+            }
+
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка распаковки данных');
+
+        } finally {
+            // Освобождаем источник (например, закрываем файловый поток), если чтение прервано
+            await iterator.return?.();
+        }
+    }
+
+    /**
+     * Читает метаданные пакета или контейнера с фрагментами без дешифрования и без секрета,
+     * например, для маршрутизации и диагностики. Никогда не выбрасывает ошибку: для мусорных,
+     * обрезанных или неподдерживаемых данных возвращает результат с valid: false, в котором
+     * поле check указывает на непройденную проверку, а reason описывает причину.
+     *
+     * Проверки: 'input' - тип данных, 'header' - полнота заголовка, 'version' - версия формата,
+     * 'method' - код метода шифрования, 'flags' - неизвестные флаги, 'length' - длина данных.
+     *
+     * @static
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} buffer - Пакет, начало потока или контейнер с фрагментами
+     * @returns {Object} - Результат проверки: valid, check, reason, kind ('packet' или 'chunked'), version,
+     *                     methodCode, method, flags, unknownFlags, schemaId, compression, kdf, integrity, keyId,
+     *                     recipients, signature, padded, encryptedMetadata, dataLength,
+     *                     totalLength, byteLength, truncated, extraLength
+     * @example
+     * const info = BinaryPack.inspect(buffer);
+     * if (info.valid) {
+     *     route(info.method, info.schemaId);
+     * } else {
+     *     console.warn(`Проверка ${info.check} не пройдена: ${info.reason}`);
+     * }
+     */
+    static inspect(buffer) {
+        const result = {
+            valid: false,
+            check: 'input',
+            reason: 'Ожидается ArrayBuffer, SharedArrayBuffer или ArrayBufferView',
+            kind: null,
+            version: null,
+            methodCode: null,
+            method: null,
+            flags: null,
+            unknownFlags: 0,
+            schemaId: null,
+            compression: null,
+            kdf: null,
+            integrity: null,
+            keyId: null,
+            recipients: null,
+            signature: null,
+            padded: false,
+            encryptedMetadata: false,
+            dataLength: null,
+            totalLength: null,
+            byteLength: 0,
+            truncated: false,
+            extraLength: 0,
+        };
+
+        try {
+            if (!Bytes.isBinary(buffer)) {
+                return result;
+            }
+
+            return new BinaryPack().#inspect(Bytes.view(buffer), result);
+
+        } catch (error) {
+            return {...result, valid: false, check: 'input', reason: error.message};
+        }
+    }
+
+    /**
+     * Заполняет результат inspect() по байтам пакета или контейнера.
+     *
+     * @param {Uint8Array} bytes - Проверяемые данные
+     * @param {Object} result - Результат с полями по умолчанию
+     * @returns {Object} - Заполненный результат
+     */
+    #inspect(bytes, result) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const fail = (check, reason) => ({...result, valid: false, check, reason});
+
+        result.byteLength = bytes.length;
+
+        if (bytes.length === 0) {
+            result.truncated = true;
+            return fail('header', 'Нет данных');
+        }
+
+        const isChunked = this.#CHUNKED_SIGNATURE.every((byte, index) => index >= bytes.length || bytes[index] === byte);
+        const version = bytes[isChunked ? this.#CHUNKED_OFFSET_VERSION : this.#OFFSET_VERSION];
+        const format = this.#formats.get(version);
+
+        if (!isChunked && !format) {
+            result.version = version;
+            return fail('version', `Неизвестная версия формата данных: ${version}`);
+        }
+
+        const isJson = !isChunked && version === this.#VERSION_JSON;
+        const metaLength = isChunked ? this.#CHUNKED_META_LENGTH : format.metaLength;
+
+        result.kind = isChunked ? 'chunked' : 'packet';
+
+        if (bytes.length < metaLength) {
+            result.truncated = true;
+            return fail('header', `Заголовок получен не полностью: ${bytes.length} из ${metaLength} байт`);
+        }
+
+        result.version = version;
+
+        if (isChunked && version !== this.#CHUNKED_VERSION) {
+            return fail('version', `Неизвестная версия контейнера с фрагментами: ${version}`);
+        }
+
+        // Метод шифрования
+        result.methodCode = bytes[isChunked ? this.#CHUNKED_OFFSET_METHOD_CODE : this.#OFFSET_METHOD_CODE];
+        result.method = this.encryptor.getEncryptionMethodName(result.methodCode);
+        result.encryptedMetadata = !isChunked && !isJson && result.methodCode === this.#METHOD_HIDDEN;
+
+        if (result.methodCode !== 0 && result.method === null && !result.encryptedMetadata) {
+            return fail('method', `Неизвестный код метода шифрования: ${result.methodCode}`);
+        }
+
+        // Длина данных (для контейнера - длина полей расширения заголовка)
+        result.dataLength = isChunked
+            ? view.getUint32(this.#CHUNKED_OFFSET_FIELDS_LENGTH)
+            : view.getUint32(format.lengthOffset);
+        result.totalLength = metaLength + result.dataLength;
+
+        if (!isJson) {
+            result.flags = bytes[isChunked ? this.#CHUNKED_OFFSET_FLAGS : this.#OFFSET_FLAGS];
+            result.unknownFlags = result.flags & ~this.#KNOWN_FLAGS;
+
+            if (result.unknownFlags) {
+                return fail('flags', `Неизвестные флаги формата данных: 0x${result.unknownFlags.toString(16)}`);
+            }
+
+            let fieldsLength = this.#fieldsLength(result.flags);
+
+            // Длина конверта зависит от количества получателей, записанного в его первом байте
+            if (result.flags & this.#FLAG_ENVELOPE) {
+                const countOffset = metaLength + fieldsLength - Envelope.fieldLength(0);
+                if (bytes.length > countOffset) {
+                    result.recipients = bytes[countOffset];
+                    fieldsLength = this.#fieldsLength(result.flags, result.recipients);
+                }
+            }
+
+            // Блок подписи записан в конце пакета и входит в длину данных
+            const signatureLength = !isChunked && result.flags & this.#FLAG_SIGNATURE ? Signature.BLOCK_LENGTH : 0;
+
+            if (isChunked ? fieldsLength !== result.dataLength : fieldsLength + signatureLength > result.dataLength) {
+                return fail('length', 'Длина данных меньше длины полей расширения заголовка');
+            }
+
+            // Поля расширения заголовка
+            if (bytes.length >= metaLength + fieldsLength) {
+                let offset = metaLength;
+
+                if (result.flags & this.#FLAG_SCHEMA) {
+                    result.schemaId = view.getUint32(offset);
+                    offset += 4;
+                }
+
+                if (result.flags & this.#FLAG_COMPRESSED) {
+                    const compressionCode = bytes[offset];
+                    const compression = this.compressions.find(({code}) => code === compressionCode);
+                    offset += 1;
+
+                    result.compression = compression ? compression.name : null;
+                    if (!compression) {
+                        return fail('flags', `Неизвестный алгоритм сжатия: ${compressionCode}`);
+                    }
+                }
+
+                if (result.flags & this.#FLAG_KDF) {
+                    result.kdf = this.keyDerivation.getName(bytes[offset]);
+                    if (!result.kdf) {
+                        return fail('flags', `Неизвестная функция формирования ключа: ${bytes[offset]}`);
+                    }
+
+                    offset += KeyDerivation.FIELD_LENGTH;
+                }
+
+                if (result.flags & this.#FLAG_KEY_ID) {
+                    result.keyId = view.getUint32(offset);
+                }
+
+                if (result.flags & this.#FLAG_INTEGRITY) {
+                    result.integrity = result.methodCode === 0 ? 'crc32' : 'hmac-sha256';
+                }
+
+                result.padded = Boolean(result.flags & this.#FLAG_PADDED);
+            }
+
+            if (signatureLength && bytes.length >= result.totalLength) {
+                const algorithm = bytes[result.totalLength - Signature.BLOCK_LENGTH];
+
+                result.signature = this.signature.getName(algorithm);
+                if (!result.signature) {
+                    return fail('flags', `Неизвестный алгоритм подписи: ${algorithm}`);
+                }
+            }
+        }
+
+        // Контейнер продолжается фрагментами, поэтому лишних байт у него не бывает
+        if (bytes.length < result.totalLength) {
+            result.truncated = true;
+            return fail('length', `Данные получены не полностью: ${bytes.length} из ${result.totalLength} байт`);
+        }
+
+        result.extraLength = isChunked ? 0 : bytes.length - result.totalLength;
+
+        return {...result, valid: true, check: null, reason: null};
+    }
+
+    /**
+     * Максимальное количество байт, необходимое frameLength() для определения длины пакета.
+     *
+     * @returns {number} - Длина заголовка
+     */
+    get maxHeaderLength() {
+        return Math.max(...Array.from(this.#formats.values(), ({metaLength}) => metaLength));
+    }
+
+    /**
+     * Определяет полную длину пакета по его началу, не распаковывая данные.
+     *
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} bytes - Начало пакета (достаточно maxHeaderLength байт)
+     * @returns {number|null} - Длина пакета в байтах или null, если заголовок получен не полностью
+     * @throws {UnsupportedVersionError} При неизвестной версии формата данных
+     */
+    frameLength(bytes) {
+        bytes = Bytes.view(bytes);
+
+        if (bytes.length < 1) {
+            return null;
+        }
+
+        const format = this.#findFormat(bytes[this.#OFFSET_VERSION]);
+
+        if (bytes.length < format.metaLength) {
+            return null;
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        return format.metaLength + view.getUint32(format.lengthOffset);
+    }
+
+    /**
+     * Сериализует данные в бинарный формат (позиционно, если задана схема).
+     *
+     * @param {any} data - Данные для сериализации
+     * @returns {Uint8Array} - Сериализованные данные
+     */
+    #serialize(data) {
+        const options = {extensions: this.extensions};
+
+        return this.schema ? this.schema.encode(data, options) : ValueWriter.encode(data, options);
+    }
+
+    /**
+     * Восстанавливает данные из открытого пакета.
+     *
+     * @param {{isJson: boolean, body: Uint8Array}} packet - Открытый пакет
+     * @returns {any} - Восстановленные данные
+     */
+    #deserialize(packet) {
+        if (packet.isJson) {
+            // Парсим JSON
+            return JSON.parse(this.decoder.decode(packet.body));
+        }
+
+        const options = {extensions: this.extensions, lenientExtensions: this.lenientExtensions};
+
+        return this.schema ? this.schema.decode(packet.body, options) : ValueReader.decode(packet.body, options);
+    }
+
+    /**
+     * Возвращает сериализованные данные открытого пакета в формате для записи. Данные того же формата
+     * передаются как есть, данные другой версии формата восстанавливаются и сериализуются заново.
+     *
+     * @param {Object} format - Формат данных для записи
+     * @param {{isJson: boolean, body: Uint8Array}} packet - Открытый пакет
+     * @returns {Uint8Array} - Сериализованные данные
+     */
+    #reencode(format, packet) {
+        const isJsonFormat = format === this.#formats.get(this.#VERSION_JSON);
+
+        return packet.isJson === isJsonFormat ? packet.body : format.serialize(this.#deserialize(packet));
+    }
+
+    /**
+     * Выбирает сжатые или исходные данные (сжатые - только если они короче), дополняет их по политике
+     * выравнивания и собирает заголовок пакета.
+     *
+     * @param {Object} format - Формат данных для записи
+     * @param {Uint8Array} valueBytes - Сериализованные данные
+     * @param {Uint8Array|null} compressed - Сжатые данные или null
+     * @param {Object} key - Ключ для шифрования
+     * @returns {{header: Uint8Array, body: Uint8Array, keyField: Object|null}} - Заголовок с полями расширения,
+     *                                                                          данные до шифрования и поле функции формирования ключа
+     */
+    #layout(format, valueBytes, compressed, key) {
+        const useCompression = compressed !== null && compressed.length < valueBytes.length;
+        const data = useCompression ? compressed : valueBytes;
+        const body = this.padding ? this.padding.pad(data) : data;
+        const keyField = key.keyDerivation.createField();
+
+        const bodyLength = body.length + this.#overhead(key) + this.#integrityLength(key);
+
+        return {header: format.header(bodyLength, useCompression, keyField, key), body, keyField};
+    }
+
+    /**
+     * Собирает заголовок пакета: [версия:1B][метод:1B][флаги:1B][длина данных:4B][поля расширения...]
+     *
+     * @param {number} bodyLength - Длина данных после шифрования вместе с кодом целостности
+     * @param {boolean} useCompression - Данные сжаты
+     * @param {Object|null} keyField - Поле функции формирования ключа
+     * @param {Object} key - Ключ для шифрования
+     * @returns {Uint8Array} - Заголовок с полями расширения
+     */
+    #buildHeader(bodyLength, useCompression, keyField, key) {
+        // Поля расширения заголовка, записываемые перед данными
+        const flags = this.#headerFlags(useCompression, keyField, this.#integrityLength(key) > 0, key, this.padding !== null);
+        const extensionLength = this.#fieldsLength(flags, key.envelope ? key.envelope.wrappedKeys.length : 0);
+
+        const header = new Uint8Array(this.#OFFSET_DATA + extensionLength);
+        const view = new DataView(header.buffer);
+
+        // Записываем версию (1 байт)
+        view.setUint8(this.#OFFSET_VERSION, this.#VERSION);
+
+        // Записываем метод шифрования (1 байт)
+        const methodCode = this.encryptor.getEncryptionMethodCode(key.method);
+        view.setUint8(this.#OFFSET_METHOD_CODE, methodCode);
+
+        // Записываем флаги (1 байт)
+        view.setUint8(this.#OFFSET_FLAGS, flags);
+
+        // Записываем длину всего, что следует за заголовком (4 байта)
+        view.setUint32(this.#OFFSET_DATA_LENGTH, extensionLength + bodyLength);
+
+        this.#writeHeaderFields(view, this.#OFFSET_DATA, flags, keyField, key);
+
+        return header;
+    }
+
+    /**
+     * Записывает части пакета (заголовок, зашифрованные данные, код целостности) подряд в новый или переданный буфер.
+     *
+     * @param {Uint8Array[]} parts - Части пакета
+     * @param {Uint8Array|null} [target] - Буфер для записи пакета (по умолчанию новый)
+     * @returns {Uint8Array} - Готовый пакет
+     * @throws {Error} Если в переданном буфере недостаточно места
+     */
+    #write(parts, target = null) {
+        const packet = this.#allocate(parts.reduce((length, part) => length + part.length, 0), target);
+        let offset = 0;
+
+        for (const part of parts) {
+            packet.set(part, offset);
+            offset += part.length;
+        }
+
+        return packet;
+    }
+
+    /**
+     * Записывает части пакета, при скрытии метаданных - зашифровав пакет целиком ключом метаданных.
+     *
+     * @param {Uint8Array[]} parts - Части пакета
+     * @param {Object} key - Ключ для шифрования
+     * @param {Uint8Array|null} [target] - Буфер для записи пакета (по умолчанию новый)
+     * @returns {Uint8Array} - Готовый пакет
+     * @throws {Error} Если в переданном буфере недостаточно места
+     */
+    #writePacket(parts, key, target = null) {
+        return this.#write(this.encryptMetadata ? this.#hideMetadata(this.#write(parts), key) : parts, target);
+    }
+
+    /**
+     * Шифрует пакет целиком вместе с заголовком: [версия:1B][метод:1B = 255][флаги:1B = 0][длина данных:4B]
+     * [пакет, зашифрованный ChaCha20-Poly1305]. Наружный заголовок - аутентифицируемые данные шифрования.
+     *
+     * @param {Uint8Array} packet - Пакет
+     * @param {Object} key - Ключ для шифрования
+     * @returns {Uint8Array[]} - Части пакета со скрытыми метаданными
+     */
+    #hideMetadata(packet, key) {
+        const encryptor = this.#metadataEncryptor(key);
+        const header = new Uint8Array(this.#META_LENGTH);
+        const view = new DataView(header.buffer);
+
+        view.setUint8(this.#OFFSET_VERSION, this.#VERSION);
+        view.setUint8(this.#OFFSET_METHOD_CODE, this.#METHOD_HIDDEN);
+        view.setUint8(this.#OFFSET_FLAGS, 0);
+        view.setUint32(this.#OFFSET_DATA_LENGTH, packet.length + encryptor.getOverhead(this.#METADATA_METHOD));
+
+        return [header, encryptor.seal(packet, this.#METADATA_METHOD, header)];
+    }
+
+    /**
+     * Расшифровывает пакет со скрытыми метаданными, перебирая ключ экземпляра или ключи связки.
+     *
+     * @param {ArrayBuffer} buffer - Копия бинарных данных
+     * @param {DataView} view - Представление буфера
+     * @returns {ArrayBuffer} - Вложенный пакет
+     * @throws {AuthenticationError} Если ни один ключ не подошел или данные изменены
+     * @throws {Error} Если у экземпляра нет секрета или вложенный пакет некорректен
+     */
+    #revealMetadata(buffer, view) {
+        if (view.getUint8(this.#OFFSET_FLAGS) !== 0) {
+            throw new Error('Неподдерживаемые флаги формата данных');
+        }
+
+        const dataLength = view.getUint32(this.#OFFSET_DATA_LENGTH);
+        if (dataLength > buffer.byteLength - this.#META_LENGTH) {
+            throw new Error('Некорректная длина данных');
+        }
+
+        const keys = this.keyring
+            ? this.keyring.keyIds.map((keyId) => this.#keyringKey(this.keyring.get(keyId)))
+            : [this.defaultKey].filter((key) => key.secret);
+
+        if (keys.length === 0) {
+            throw new Error('Метаданные пакета зашифрованы: для распаковки требуется секрет');
+        }
+
+        const aad = new Uint8Array(buffer, 0, this.#META_LENGTH);
+        const sealed = new Uint8Array(buffer, this.#META_LENGTH, dataLength);
+        const methodCode = this.encryptor.getEncryptionMethodCode(this.#METADATA_METHOD);
+
+        for (const key of keys) {
+            let packet;
+            try {
+                packet = this.#metadataEncryptor(key).open(sealed, methodCode, aad);
+            } catch (error) {
+                if (error instanceof AuthenticationError) {
+                    continue;
+                }
+
+                throw error;
+            }
+
+            if (
+                packet.length < this.#META_LENGTH
+                || packet[this.#OFFSET_VERSION] !== this.#VERSION
+                || packet[this.#OFFSET_METHOD_CODE] === this.#METHOD_HIDDEN
+                || this.frameLength(packet) !== packet.length
+            ) {
+                throw new Error('Некорректный пакет со скрытыми метаданными');
+            }
+
+            return Bytes.copy(packet);
+        }
+
+        throw new AuthenticationError('Метаданные пакета не расшифрованы: ключ неверный или данные изменены');
+    }
+
+    /**
+     * Возвращает EncryptionMethod с ключом метаданных: HKDF-SHA256 от секрета ключа с отдельной меткой.
+     *
+     * @param {Object} key - Ключ экземпляра или связки
+     * @returns {EncryptionMethod} - Экземпляр для шифрования пакетов со скрытыми метаданными
+     * @throws {Error} Если ключ уничтожен
+     */
+    #metadataEncryptor(key) {
+        const label = this.#METADATA_KEY_LABEL;
+        const metadataKey = key.secret.subkey(label, (bytes) => Hkdf.derive(bytes, new Uint8Array(0), this.encoder.encode(label), KeyDerivation.KEY_LENGTH));
+        let encryptor = this.metadataEncryptors.get(metadataKey);
+
+        if (!encryptor) {
+            encryptor = new EncryptionMethod(metadataKey, this.#META_LENGTH);
+            this.metadataEncryptors.set(metadataKey, encryptor);
+        }
+
+        return encryptor;
+    }
+
+    /**
+     * Возвращает длину кода целостности для новых пакетов: CRC32 без шифрования, HMAC-SHA256 для методов
+     * без аутентификации, 0 - если код отключен, не поддерживается форматом или метод проверяет подлинность сам.
+     *
+     * @param {Object} key - Ключ для шифрования
+     * @returns {number} - Длина кода целостности в байтах
+     */
+    #integrityLength(key) {
+        if (!this.integrity || this.writeVersion === this.#VERSION_JSON) {
+            return 0;
+        }
+
+        if (!key.secret || !key.method) {
+            return this.#CHECKSUM_LENGTH;
+        }
+
+        return key.encryptor.isAuthenticated(key.method) ? 0 : this.#MAC_LENGTH;
+    }
+
+    /**
+     * Вычисляет код целостности пакета по заголовку и зашифрованным данным.
+     *
+     * @param {Uint8Array} header - Заголовок пакета
+     * @param {Uint8Array} body - Зашифрованные данные
+     * @param {Object} key - Ключ для шифрования
+     * @param {Object|null} keyField - Поле функции формирования ключа
+     * @returns {Uint8Array} - Код целостности (пустой, если не используется)
+     */
+    #integrityCode(header, body, key, keyField) {
+        const length = this.#integrityLength(key);
+
+        if (length === this.#CHECKSUM_LENGTH) {
+            const checksum = new Uint8Array(this.#CHECKSUM_LENGTH);
+            new DataView(checksum.buffer).setUint32(0, Crc32.checksum(header, body));
+
+            return checksum;
+        }
+
+        return length ? this.#encryptorFor(key, keyField).mac(header, body) : new Uint8Array(0);
+    }
+
+    /**
+     * Возвращает длину кода аутентификации фрагментов контейнера: HMAC-SHA256 для методов
+     * без аутентификации (как у пакетов), 0 - для остальных. Фрагменты без шифрования кода не содержат.
+     *
+     * @param {Object} key - Ключ для шифрования
+     * @returns {number} - Длина кода аутентификации фрагмента в байтах
+     */
+    #chunkMacLength(key) {
+        return this.#integrityLength(key) === this.#MAC_LENGTH ? this.#MAC_LENGTH : 0;
+    }
+
+    /**
+     * Проверяет, требует ли экземпляр код аутентификации HMAC-SHA256 для пакета: код целостности включен,
+     * а метод шифрования пакета не проверяет подлинность сам. Решает экземпляр, а не флаги пакета: иначе
+     * код можно было бы просто удалить вместе с флагом. Формат версии 1 поля для кода не имеет, поэтому
+     * его пакеты распаковываются, как и прежде, без кода.
+     *
+     * @param {{isJson: boolean, methodCode: number}} packet - Пакет
+     * @returns {boolean} - true, если пакет без кода аутентификации отклоняется
+     */
+    #requiresMac(packet) {
+        if (!this.integrity || this.writeVersion === this.#VERSION_JSON || packet.isJson || packet.methodCode === 0) {
+            return false;
+        }
+
+        return !this.encryptor.isAuthenticated(this.encryptor.getEncryptionMethodName(packet.methodCode));
+    }
+
+    /**
+     * Проверяет контрольную сумму CRC32 пакета без шифрования.
+     *
+     * @param {{methodCode: number, integrity: Object|null}} packet - Пакет
+     * @returns {void}
+     * @throws {CorruptedDataError} Если контрольная сумма не совпадает
+     */
+    #verifyChecksum(packet) {
+        if (!packet.integrity || packet.methodCode !== 0) {
+            return;
+        }
+
+        const {signed, code} = packet.integrity;
+        const view = new DataView(code.buffer, code.byteOffset, code.byteLength);
+
+        if (Crc32.checksum(...signed) !== view.getUint32(0)) {
+            throw new CorruptedDataError();
+        }
+    }
+
+    /**
+     * Проверяет код аутентификации HMAC-SHA256 зашифрованного пакета до дешифрования. Пакет метода
+     * без аутентификации без кода отклоняется, если экземпляр требует код (см. #requiresMac()).
+     *
+     * @param {{methodCode: number, integrity: Object|null}} packet - Пакет
+     * @param {EncryptionMethod} encryptor - Экземпляр с ключом пакета
+     * @returns {void}
+     * @throws {AuthenticationError} Если данные изменены, ключ неверный или код аутентификации удален
+     */
+    #verifyMac(packet, encryptor) {
+        if (packet.methodCode === 0) {
+            return;
+        }
+
+        if (!packet.integrity) {
+            if (this.#requiresMac(packet)) {
+                throw new AuthenticationError('Проверка подлинности не пройдена: отсутствует код аутентификации');
+            }
+
+            return;
+        }
+
+        const {signed, code} = packet.integrity;
+
+        if (!Hmac.equal(encryptor.mac(...signed), code)) {
+            throw new AuthenticationError();
+        }
+    }
+
+    /**
+     * Возвращает количество байт, которое шифрование добавляет к данным.
+     *
+     * @param {Object} key - Ключ для шифрования
+     * @returns {number} - Количество дополнительных байт
+     */
+    #overhead(key) {
+        return key.secret && key.method ? key.encryptor.getOverhead(key.method) : 0;
+    }
+
+    /**
+     * Шифрует данные, если задан секрет. Заголовок пакета передается как дополнительные
+     * аутентифицируемые данные: методы с аутентификацией обнаруживают и его изменение.
+     *
+     * @param {Uint8Array} body - Данные для шифрования
+     * @param {Uint8Array} aad - Заголовок пакета
+     * @param {Object} key - Ключ для шифрования
+     * @param {Object|null} [keyField] - Поле функции формирования ключа
+     * @returns {Uint8Array} - Зашифрованные данные
+     */
+    #seal(body, aad, key, keyField = null) {
+        if (!key.secret || !key.method) {
+            return body;
+        }
+
+        return this.#encryptorFor(key, keyField).seal(body, key.method, aad);
+    }
+
+    /**
+     * Асинхронная версия #seal().
+     *
+     * @param {Uint8Array} body - Данные для шифрования
+     * @param {Uint8Array} aad - Заголовок пакета
+     * @param {Object} key - Ключ для шифрования
+     * @param {Object|null} [keyField] - Поле функции формирования ключа
+     * @returns {Promise<Uint8Array>} - Зашифрованные данные
+     */
+    async #sealAsync(body, aad, key, keyField = null) {
+        if (!key.secret || !key.method) {
+            return body;
+        }
+
+        return (await this.#encryptorForAsync(key, keyField)).sealAsync(body, key.method, aad);
+    }
+
+    /**
+     * Возвращает EncryptionMethod для ключа из поля функции формирования ключа
+     * или общий экземпляр ключа с секретом, если ключ не формируется.
+     *
+     * @param {Object} key - Ключ экземпляра или связки
+     * @param {Object|null} keyField - Поле функции формирования ключа
+     * @returns {EncryptionMethod} - Экземпляр для шифрования
+     */
+    #encryptorFor(key, keyField) {
+        return keyField ? this.#keyEncryptor(key.keyDerivation.derive(keyField)) : key.encryptor;
+    }
+
+    /**
+     * Асинхронная версия #encryptorFor(): ключ формируется, не блокируя поток выполнения.
+     *
+     * @param {Object} key - Ключ экземпляра или связки
+     * @param {Object|null} keyField - Поле функции формирования ключа
+     * @returns {Promise<EncryptionMethod>} - Экземпляр для шифрования
+     */
+    async #encryptorForAsync(key, keyField) {
+        return keyField ? this.#keyEncryptor(await key.keyDerivation.deriveAsync(keyField)) : key.encryptor;
+    }
+
+    /**
+     * Возвращает ключ для новых пакетов: активный ключ связки или ключ экземпляра.
+     *
+     * @returns {Object} - Ключ: {keyId, secret, method, encryptor, keyDerivation}
+     * @throws {Error} Если у экземпляра есть секрет, но нет метода шифрования (экземпляр только распаковывает данные)
+     */
+    #activeKey() {
+        if (this.keyring) {
+            return this.#keyringKey(this.keyring.active);
+        }
+
+        if (this.defaultKey.secret && !this.defaultKey.method) {
+            throw new Error('Метод шифрования для упаковки не задан: экземпляр только распаковывает данные');
+        }
+
+        return this.defaultKey;
+    }
+
+    /**
+     * Возвращает формат для конвертов: конверт записывается только в формате версии 2.
+     *
+     * @returns {Object} - Формат данных
+     * @throws {Error} Если экземпляр записывает формат версии 1
+     */
+    #envelopeFormat() {
+        if (this.writeVersion === this.#VERSION_JSON) {
+            throw new Error('Формат версии 1 не поддерживает конверты');
+        }
+
+        return this.#formats.get(this.#VERSION);
+    }
+
+    /**
+     * Создает ключ для шифрования данных конверта ключом данных.
+     *
+     * @param {{contentKey: Uint8Array, field: Object}} envelope - Ключ данных и поле конверта
+     * @returns {Object} - Ключ: {keyId, secret, method, encryptor, keyDerivation, envelope}
+     */
+    #envelopeKey({contentKey, field}) {
+        return {
+            keyId: null,
+            secret: contentKey,
+            method: this.#ENVELOPE_METHOD,
+            encryptor: new EncryptionMethod(contentKey, this.#META_LENGTH),
+            keyDerivation: new KeyDerivation(null),
+            envelope: field,
+        };
+    }
+
+    /**
+     * Расшифровывает ключ данных конверта закрытым ключом получателя.
+     *
+     * @param {{envelope: Object|null}} packet - Пакет
+     * @param {ArrayBuffer|ArrayBufferView} privateKey - Закрытый ключ получателя
+     * @returns {Object} - Ключ: {keyId, secret, method, encryptor, keyDerivation, envelope}
+     * @throws {AuthenticationError} Если конверт адресован другим получателям или изменен
+     * @throws {Error} Если пакет не является конвертом
+     */
+    #envelopeOpenKey(packet, privateKey) {
+        if (!packet.envelope) {
+            throw new Error('Данные не являются конвертом для получателя');
+        }
+
+        const contentKey = this.envelope.unwrap(packet.envelope, privateKey);
+        if (!contentKey) {
+            throw new AuthenticationError('Конверт адресован другим получателям или изменен');
+        }
+
+        return this.#envelopeKey({contentKey, field: packet.envelope});
+    }
+
+    /**
+     * Выбирает ключ для распаковки по идентификатору ключа из заголовка.
+     *
+     * @param {number|null} keyId - Идентификатор ключа или null, если он не записан
+     * @returns {Object} - Ключ: {keyId, secret, method, encryptor, keyDerivation}
+     * @throws {Error} Если ключа нет в связке или данные упакованы без идентификатора ключа
+     */
+    #packetKey(keyId) {
+        if (!this.keyring) {
+            if (keyId !== null) {
+                throw new Error(`Для распаковки данных требуется связка ключей с ключом ${keyId}`);
+            }
+
+            return this.defaultKey;
+        }
+
+        const entryId = keyId ?? this.keyring.fallbackKeyId;
+        if (entryId === null) {
+            throw new Error('Данные упакованы без идентификатора ключа');
+        }
+
+        const entry = this.keyring.get(entryId);
+        if (!entry) {
+            throw new Error(`Ключ ${entryId} отсутствует в связке`);
+        }
+
+        return this.#keyringKey(entry);
+    }
+
+    /**
+     * Возвращает ключ связки с экземплярами EncryptionMethod и KeyDerivation, создавая их при первом обращении.
+     *
+     * @param {{keyId: number, secret: string|PackKey, method: string}} entry - Ключ связки
+     * @returns {Object} - Ключ: {keyId, secret, method, encryptor, keyDerivation}
+     */
+    #keyringKey(entry) {
+        let key = this.keyringKeys.get(entry);
+
+        if (!key) {
+            const secret = PackKey.from(entry.secret);
+
+            key = {
+                keyId: entry.keyId,
+                secret,
+                method: entry.method,
+                encryptor: new EncryptionMethod(secret, this.#META_LENGTH),
+                keyDerivation: new KeyDerivation(secret, this.#kdfFor(entry.method)),
+            };
+            this.keyringKeys.set(entry, key);
+        }
+
+        return key;
+    }
+
+    /**
+     * Возвращает параметры функции формирования ключа для метода шифрования. Без явно заданной функции
+     * методы без собственного nonce (xor, caesar, aes-like) получают HKDF: случайная соль в заголовке
+     * служит nonce пакета, и одинаковые данные дают разные зашифрованные данные.
+     *
+     * @param {string|null} method - Название метода шифрования
+     * @returns {string|Object|null} - Параметры для KeyDerivation или null, если ключ не формируется
+     */
+    #kdfFor(method) {
+        if (this.kdfOptions || this.deterministic || this.writeVersion === this.#VERSION_JSON) {
+            return this.kdfOptions;
+        }
+
+        return method && !this.encryptor.isAuthenticated(method) ? this.#NONCE_KDF : null;
+    }
+
+    /**
+     * Возвращает EncryptionMethod для сформированного ключа. Экземпляр живет, пока ключ
+     * находится в кэше KeyDerivation, и хранит производные данные методов (например, ключ WebCrypto).
+     *
+     * @param {Uint8Array} key - Сформированный ключ
+     * @returns {EncryptionMethod} - Экземпляр для шифрования
+     */
+    #keyEncryptor(key) {
+        let encryptor = this.keyEncryptors.get(key);
+
+        if (!encryptor) {
+            encryptor = new EncryptionMethod(key, this.#META_LENGTH);
+            this.keyEncryptors.set(key, encryptor);
+        }
+
+        return encryptor;
+    }
+
+    /**
+     * Выделяет место под пакет: новый буфер или начало переданного буфера.
+     *
+     * @param {number} length - Длина пакета
+     * @param {Uint8Array|null} target - Буфер для записи или null
+     * @returns {Uint8Array} - Место под пакет ровно указанной длины
+     * @throws {Error} Если в переданном буфере недостаточно места
+     */
+    #allocate(length, target) {
+        if (target === null) {
+            return new Uint8Array(length);
+        }
+
+        if (target.length < length) {
+            throw new Error(`Недостаточно места в буфере: требуется ${length} байт, доступно ${target.length}`);
+        }
+
+        return target.subarray(0, length);
+    }
+
+    /**
+     * Определяет флаги заголовка для данных этого экземпляра.
+     *
+     * @param {boolean} useCompression - Данные сжаты
+     * @param {Object|null} [keyField] - Поле функции формирования ключа
+     * @param {boolean} [integrity=false] - После данных записывается код целостности
+     * @param {Object|null} [key] - Ключ для шифрования (идентификатор ключа связки и конверт)
+     * @param {boolean} [padded=false] - Данные дополнены по политике выравнивания
+     * @returns {number} - Флаги заголовка
+     */
+    #headerFlags(useCompression, keyField = null, integrity = false, key = null, padded = false) {
+        let flags = 0;
+
+        if (this.schema) {
+            flags |= this.#FLAG_SCHEMA;
+        }
+
+        if (useCompression) {
+            flags |= this.#FLAG_COMPRESSED;
+        }
+
+        if (keyField) {
+            flags |= this.#FLAG_KDF;
+        }
+
+        if (integrity) {
+            flags |= this.#FLAG_INTEGRITY;
+        }
+
+        if (key && key.keyId !== null) {
+            flags |= this.#FLAG_KEY_ID;
+        }
+
+        if (key && key.envelope) {
+            flags |= this.#FLAG_ENVELOPE;
+        }
+
+        if (padded) {
+            flags |= this.#FLAG_PADDED;
+        }
+
+        return flags;
+    }
+
+    /**
+     * Возвращает длину полей расширения заголовка для указанных флагов.
+     *
+     * @param {number} flags - Флаги заголовка
+     * @param {number} [recipients=0] - Количество получателей конверта
+     * @returns {number} - Длина полей расширения в байтах
+     */
+    #fieldsLength(flags, recipients = 0) {
+        return (flags & this.#FLAG_SCHEMA ? 4 : 0)
+            + (flags & this.#FLAG_COMPRESSED ? 1 : 0)
+            + (flags & this.#FLAG_KDF ? KeyDerivation.FIELD_LENGTH : 0)
+            + (flags & this.#FLAG_KEY_ID ? 4 : 0)
+            + (flags & this.#FLAG_ENVELOPE ? Envelope.fieldLength(recipients) : 0);
+    }
+
+    /**
+     * Записывает поля расширения заголовка: идентификатор схемы, код алгоритма сжатия,
+     * поле функции формирования ключа, идентификатор ключа и конверт.
+     *
+     * @param {DataView} view - Представление буфера
+     * @param {number} offset - Сдвиг начала полей расширения
+     * @param {number} flags - Флаги заголовка
+     * @param {Object|null} [keyField] - Поле функции формирования ключа
+     * @param {Object|null} [key] - Ключ для шифрования (идентификатор ключа связки и конверт)
+     * @returns {void}
+     */
+    #writeHeaderFields(view, offset, flags, keyField = null, key = null) {
+        // Записываем идентификатор схемы (4 байта)
+        if (flags & this.#FLAG_SCHEMA) {
+            view.setUint32(offset, this.schema.id);
+            offset += 4;
+        }
+
+        // Записываем код алгоритма сжатия (1 байт)
+        if (flags & this.#FLAG_COMPRESSED) {
+            view.setUint8(offset, this.compression.code);
+            offset += 1;
+        }
+
+        // Записываем функцию формирования ключа, ее параметры и соль
+        if (flags & this.#FLAG_KDF) {
+            this.keyDerivation.writeField(view, offset, keyField);
+            offset += KeyDerivation.FIELD_LENGTH;
+        }
+
+        // Записываем идентификатор ключа (4 байта)
+        if (flags & this.#FLAG_KEY_ID) {
+            view.setUint32(offset, key.keyId);
+            offset += 4;
+        }
+
+        // Записываем одноразовый открытый ключ и ключи данных получателей
+        if (flags & this.#FLAG_ENVELOPE) {
+            this.envelope.writeField(view, offset, key.envelope);
+        }
+    }
+
+    /**
+     * Читает поля расширения заголовка и проверяет схему, алгоритм сжатия и параметры функции формирования ключа.
+     *
+     * @param {DataView} view - Представление буфера
+     * @param {number} offset - Сдвиг начала полей расширения
+     * @param {number} flags - Флаги заголовка
+     * @returns {{dataOffset: number, compression: Object|null, keyField: Object|null, keyId: number|null, envelope: Object|null}}
+     *          - Сдвиг данных, алгоритм сжатия, поле функции формирования ключа, идентификатор ключа и конверт
+     * @throws {Error} При несоответствии схемы, неизвестном алгоритме сжатия или функции формирования ключа
+     */
+    #readHeaderFields(view, offset, flags) {
+        // Проверяем, что данные упакованы с той же схемой
+        let schemaId = null;
+        if (flags & this.#FLAG_SCHEMA) {
+            schemaId = view.getUint32(offset);
+            offset += 4;
+        }
+
+        if (schemaId === null && this.schema) {
+            throw new Error('Данные упакованы без схемы');
+        }
+
+        if (schemaId !== null && !this.schema) {
+            throw new Error('Для распаковки данных требуется схема');
+        }
+
+        if (schemaId !== null && schemaId !== this.schema.id) {
+            throw new Error('Данные упакованы с другой схемой');
+        }
+
+        // Определяем алгоритм сжатия
+        let compression = null;
+        if (flags & this.#FLAG_COMPRESSED) {
+            const compressionCode = view.getUint8(offset);
+            offset += 1;
+
+            compression = this.compressions.find(({code}) => code === compressionCode);
+            if (!compression) {
+                throw new Error(`Неизвестный алгоритм сжатия: ${compressionCode}`);
+            }
+        }
+
+        // Читаем функцию формирования ключа, ее параметры и соль
+        let keyField = null;
+        if (flags & this.#FLAG_KDF) {
+            keyField = this.keyDerivation.readField(view, offset);
+            offset += KeyDerivation.FIELD_LENGTH;
+        }
+
+        // Читаем идентификатор ключа
+        let keyId = null;
+        if (flags & this.#FLAG_KEY_ID) {
+            keyId = view.getUint32(offset);
+            offset += 4;
+        }
+
+        // Читаем конверт для получателей
+        let envelope = null;
+        if (flags & this.#FLAG_ENVELOPE) {
+            envelope = this.envelope.readField(view, offset);
+            offset += Envelope.fieldLength(envelope.wrappedKeys.length);
+        }
+
+        return {dataOffset: offset, compression, keyField, keyId, envelope};
+    }
+
+    /**
+     * Собирает заголовок контейнера с фрагментами. Ключ, сформированный функцией формирования ключа,
+     * общий для всех фрагментов контейнера.
+     *
+     * @param {Object} key - Ключ для шифрования
+     * @returns {{header: Uint8Array, keyField: Object|null, key: Object}} - Заголовок контейнера, поле функции
+     *                                                                    формирования ключа и ключ
+     */
+    #buildChunkedHeader(key) {
+        const keyField = key.keyDerivation.createField();
+        const flags = this.#headerFlags(this.compression !== null, keyField, this.#chunkMacLength(key) > 0, key);
+        const fieldsLength = this.#fieldsLength(flags);
+
+        const header = new Uint8Array(this.#CHUNKED_META_LENGTH + fieldsLength);
+        const view = new DataView(header.buffer);
+
+        header.set(this.#CHUNKED_SIGNATURE);
+        view.setUint8(this.#CHUNKED_OFFSET_VERSION, this.#CHUNKED_VERSION);
+        view.setUint8(this.#CHUNKED_OFFSET_METHOD_CODE, this.encryptor.getEncryptionMethodCode(key.method));
+        view.setUint8(this.#CHUNKED_OFFSET_FLAGS, flags);
+        view.setUint32(this.#CHUNKED_OFFSET_FIELDS_LENGTH, fieldsLength);
+
+        this.#writeHeaderFields(view, this.#CHUNKED_META_LENGTH, flags, keyField, key);
+
+        return {header, keyField, key};
+    }
+
+    /**
+     * Проверяет заголовок контейнера с фрагментами. Метод шифрования проверяется после выбора ключа
+     * по полям расширения заголовка.
+     *
+     * @param {Uint8Array|null} header - Заголовок контейнера или null, если данные закончились
+     * @returns {{methodCode: number, flags: number, fieldsLength: number}} - Поля заголовка
+     * @throws {Error} При некорректном заголовке
+     */
+    #openChunkedHeader(header) {
+        if (!header) {
+            throw new Error('Контейнер обрезан посреди заголовка');
+        }
+
+        if (!this.#CHUNKED_SIGNATURE.every((byte, index) => header[index] === byte)) {
+            throw new Error('Данные не являются контейнером с фрагментами');
+        }
+
+        const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+
+        const version = view.getUint8(this.#CHUNKED_OFFSET_VERSION);
+        if (version !== this.#CHUNKED_VERSION) {
+            throw new UnsupportedVersionError(version, [this.#CHUNKED_VERSION], 'контейнера с фрагментами');
+        }
+
+        // Флаг кода целостности означает код аутентификации HMAC-SHA256 в конце каждого фрагмента (только для
+        // методов без аутентификации); конверты для получателей, подписи и выравнивание длины не поддерживаются
+        const flags = view.getUint8(this.#CHUNKED_OFFSET_FLAGS);
+        if (flags & (~this.#KNOWN_FLAGS | this.#FLAG_ENVELOPE | this.#FLAG_SIGNATURE | this.#FLAG_PADDED)) {
+            throw new Error('Неподдерживаемые флаги формата данных');
+        }
+
+        const fieldsLength = view.getUint32(this.#CHUNKED_OFFSET_FIELDS_LENGTH);
+        if (fieldsLength !== this.#fieldsLength(flags)) {
+            throw new Error('Некорректная длина заголовка контейнера');
+        }
+
+        const methodCode = view.getUint8(this.#CHUNKED_OFFSET_METHOD_CODE);
+        const methodName = this.encryptor.getEncryptionMethodName(methodCode);
+
+        if ((flags & this.#FLAG_INTEGRITY) && (methodCode === 0 || this.encryptor.isAuthenticated(methodName))) {
+            throw new Error('Неподдерживаемые флаги формата данных');
+        }
+
+        return {methodCode, flags, fieldsLength};
+    }
+
+    /**
+     * Сжимает (если сжатие короче) и шифрует данные одного фрагмента. Аутентифицируемые данные фрагмента -
+     * заголовок контейнера, заголовок фрагмента и его номер, поэтому методы с аутентификацией обнаруживают
+     * перестановку, пропуск и подмену фрагментов. Для методов без аутентификации те же данные и шифротекст
+     * защищает код HMAC-SHA256 в конце фрагмента.
+     *
+     * @param {Uint8Array} payload - Данные фрагмента
+     * @param {{header: Uint8Array, keyField: Object|null, key: Object}} container - Заголовок контейнера, поле функции
+     *                                                                             формирования ключа и ключ
+     * @param {number} index - Номер фрагмента
+     * @param {number} [flags=0] - Флаги фрагмента
+     * @returns {Promise<Uint8Array>} - Фрагмент с заголовком
+     */
+    async #sealChunk(payload, container, index, flags = 0) {
+        let body = payload;
+
+        if (this.compression && !(flags & this.#CHUNK_FLAG_FINAL)) {
+            const compressed = await this.compression.instance.compressAsync(payload);
+
+            if (compressed.length < payload.length) {
+                flags |= this.#CHUNK_FLAG_COMPRESSED;
+                body = compressed;
+            }
+        }
+
+        const chunkMeta = new Uint8Array(this.#CHUNK_META_LENGTH);
+        const view = new DataView(chunkMeta.buffer);
+
+        const macLength = this.#chunkMacLength(container.key);
+
+        view.setUint8(0, flags);
+        view.setUint32(1, body.length + this.#overhead(container.key) + macLength);
+
+        const aad = this.#chunkAad(container.header, chunkMeta, index);
+        const sealed = await this.#sealAsync(body, aad, container.key, container.keyField);
+
+        if (!macLength) {
+            return this.#write([chunkMeta, sealed]);
+        }
+
+        const encryptor = await this.#encryptorForAsync(container.key, container.keyField);
+
+        return this.#write([chunkMeta, sealed, encryptor.mac(aad, sealed)]);
+    }
+
+    /**
+     * Дешифрует данные одного фрагмента.
+     *
+     * @param {Uint8Array} body - Зашифрованные данные фрагмента
+     * @param {{header: Uint8Array, keyField: Object|null, key: Object, mac: boolean}} container - Заголовок контейнера,
+     *                                                                                          поле функции формирования
+     *                                                                                          ключа, ключ и наличие кодов
+     *                                                                                          аутентификации фрагментов
+     * @param {Uint8Array} chunkMeta - Заголовок фрагмента
+     * @param {number} index - Номер фрагмента
+     * @param {number} methodCode - Код метода шифрования из заголовка контейнера
+     * @returns {Promise<Uint8Array>} - Дешифрованные данные фрагмента
+     * @throws {AuthenticationError} Если фрагмент изменен, переставлен или пропущен, а также если экземпляр
+     *                               требует код аутентификации, а фрагменты его не содержат
+     */
+    async #openChunk(body, container, chunkMeta, index, methodCode) {
+        const aad = this.#chunkAad(container.header, chunkMeta, index);
+
+        if (!container.mac) {
+            return this.#openAsync({methodCode, body, aad, keyField: container.keyField, key: container.key, integrity: null});
+        }
+
+        if (body.length < this.#MAC_LENGTH) {
+            throw new AuthenticationError('Проверка подлинности не пройдена: данные обрезаны');
+        }
+
+        const sealed = body.subarray(0, body.length - this.#MAC_LENGTH);
+        const integrity = {signed: [aad, sealed], code: body.subarray(sealed.length)};
+
+        return this.#openAsync({methodCode, body: sealed, aad, keyField: container.keyField, key: container.key, integrity});
+    }
+
+    /**
+     * Собирает аутентифицируемые данные фрагмента: заголовок контейнера, заголовок фрагмента и номер фрагмента.
+     *
+     * @param {Uint8Array} header - Заголовок контейнера
+     * @param {Uint8Array} chunkMeta - Заголовок фрагмента
+     * @param {number} index - Номер фрагмента
+     * @returns {Uint8Array} - Аутентифицируемые данные
+     */
+    #chunkAad(header, chunkMeta, index) {
+        const aad = new Uint8Array(header.length + chunkMeta.length + 4);
+
+        aad.set(header);
+        aad.set(chunkMeta, header.length);
+        new DataView(aad.buffer).setUint32(header.length + chunkMeta.length, index);
+
+        return aad;
+    }
+
+    /**
+     * Проверяет заголовок и читает поля расширения пакета. Данные остаются зашифрованными.
+     *
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} buffer - Бинарные данные
+     * @param {ArrayBuffer|ArrayBufferView|null} [publicKey=null] - Открытый ключ для проверки подписи
+     * @returns {{isJson: boolean, methodCode: number, aad: Uint8Array, body: Uint8Array, compression: Object|null, keyField: Object|null, integrity: Object|null, envelope: Object|null, padded: boolean, key: Object|null}} - Пакет с зашифрованными данными
+     * @throws {SignatureError} Если подпись неверна или пакет не подписан, а открытый ключ указан
+     * @throws {Error} При некорректном заголовке, несоответствии схемы или метода шифрования
+     */
+    #openPacket(buffer, publicKey = null) {
+        if (buffer.byteLength > this.limits.maxPacketLength) {
+            throw new Error(`Длина пакета превышает допустимую: ${this.limits.maxPacketLength} байт`);
+        }
+
+        // Создаем копию байт пакета для безопасной обработки (в том числе части большого буфера)
+        const bufferCopy = Bytes.copy(buffer);
+        const view = new DataView(bufferCopy);
+
+        if (publicKey || this.#isSigned(view)) {
+            this.#verifySignature(bufferCopy, publicKey);
+        }
+
+        // Выбираем формат по версии
+        return this.#findFormat(view.getUint8(this.#OFFSET_VERSION)).open(bufferCopy, view);
+    }
+
+    /**
+     * Открывает пакет формата версии 2: [версия:1B][метод:1B][флаги:1B][длина данных:4B][поля расширения...][данные...]
+     *
+     * @param {ArrayBuffer} buffer - Копия бинарных данных
+     * @param {DataView} view - Представление буфера
+     * @returns {{isJson: boolean, methodCode: number, aad: Uint8Array, body: Uint8Array, compression: Object|null, keyField: Object|null, integrity: Object|null, envelope: Object|null, padded: boolean, key: Object|null}} - Пакет с зашифрованными данными
+     * @throws {Error} При некорректном заголовке, несоответствии схемы или метода шифрования
+     */
+    #openBinaryPacket(buffer, view) {
+        if (view.getUint8(this.#OFFSET_METHOD_CODE) === this.#METHOD_HIDDEN) {
+            const packet = this.#revealMetadata(buffer, view);
+
+            return this.#openBinaryPacket(packet, new DataView(packet));
+        }
+
+        const flags = view.getUint8(this.#OFFSET_FLAGS);
+        if (flags & ~this.#KNOWN_FLAGS) {
+            throw new Error('Неподдерживаемые флаги формата данных');
+        }
+
+        // Читаем длину всего, что следует за заголовком, и проверяем ее корректность
+        const dataLength = view.getUint32(this.#OFFSET_DATA_LENGTH);
+        if (dataLength > buffer.byteLength - this.#META_LENGTH) {
+            throw new Error('Некорректная длина данных');
+        }
+
+        const dataEnd = this.#META_LENGTH + dataLength;
+        if (this.#fieldsLength(flags) > dataLength) {
+            throw new Error('Некорректная длина данных');
+        }
+
+        const {dataOffset, compression, keyField, keyId, envelope} = this.#readHeaderFields(view, this.#OFFSET_DATA, flags);
+        if (dataOffset > dataEnd) {
+            throw new Error('Некорректная длина данных');
+        }
+
+        const methodCode = view.getUint8(this.#OFFSET_METHOD_CODE);
+
+        // Код целостности в конце пакета: CRC32 без шифрования, HMAC-SHA256 с шифрованием
+        let integrity = null;
+        let bodyEnd = dataEnd;
+
+        if (flags & this.#FLAG_INTEGRITY) {
+            bodyEnd -= methodCode === 0 ? this.#CHECKSUM_LENGTH : this.#MAC_LENGTH;
+            if (bodyEnd < dataOffset) {
+                throw new Error('Некорректная длина данных');
+            }
+
+            integrity = {
+                signed: [new Uint8Array(buffer, 0, bodyEnd)],
+                code: new Uint8Array(buffer, bodyEnd, dataEnd - bodyEnd),
+            };
+        }
+
+        return {
+            isJson: false,
+            methodCode,
+            aad: new Uint8Array(buffer, 0, dataOffset),
+            body: new Uint8Array(buffer, dataOffset, bodyEnd - dataOffset),
+            compression,
+            keyField,
+            integrity,
+            envelope,
+            padded: Boolean(flags & this.#FLAG_PADDED),
+            // Ключ конверта выбирает open() по закрытому ключу получателя
+            key: envelope ? null : this.#packetKey(keyId),
+        };
+    }
+
+    /**
+     * Проверяет, что пакет подписан.
+     *
+     * @param {DataView} view - Представление буфера
+     * @returns {boolean} - true, если в заголовке пакета формата версии 2 установлен флаг подписи
+     */
+    #isSigned(view) {
+        return view.byteLength >= this.#META_LENGTH
+            && view.getUint8(this.#OFFSET_VERSION) === this.#VERSION
+            && Boolean(view.getUint8(this.#OFFSET_FLAGS) & this.#FLAG_SIGNATURE);
+    }
+
+    /**
+     * Проверяет подпись пакета (если указан открытый ключ) и отделяет блок подписи: в копии пакета
+     * восстанавливается заголовок неподписанного пакета, по которому вычислены код целостности и
+     * аутентифицируемые данные шифрования. Блок подписи остается за пределами данных пакета.
+     *
+     * @param {ArrayBuffer} buffer - Копия бинарных данных (изменяется на месте)
+     * @param {ArrayBuffer|ArrayBufferView|null} publicKey - Открытый ключ или null, чтобы не проверять подпись
+     * @returns {void}
+     * @throws {SignatureError} Если подпись неверна или пакет не подписан
+     * @throws {Error} При некорректной длине данных или неизвестном алгоритме подписи
+     */
+    #verifySignature(buffer, publicKey) {
+        const view = new DataView(buffer);
+
+        if (!this.#isSigned(view)) {
+            throw new SignatureError('Пакет не подписан');
+        }
+
+        const dataLength = view.getUint32(this.#OFFSET_DATA_LENGTH);
+        const end = this.#META_LENGTH + dataLength;
+        if (dataLength < Signature.BLOCK_LENGTH || end > buffer.byteLength) {
+            throw new Error('Некорректная длина данных');
+        }
+
+        const blockOffset = end - Signature.BLOCK_LENGTH;
+        const algorithm = view.getUint8(blockOffset);
+        if (algorithm !== Signature.ALGORITHM_ED25519) {
+            throw new Error(`Неизвестный алгоритм подписи: ${algorithm}`);
+        }
+
+        if (publicKey) {
+            const bytes = new Uint8Array(buffer);
+
+            if (!this.signature.verify(publicKey, bytes.subarray(blockOffset + 1, end), bytes.subarray(0, blockOffset + 1))) {
+                throw new SignatureError();
+            }
+        }
+
+        view.setUint8(this.#OFFSET_FLAGS, view.getUint8(this.#OFFSET_FLAGS) & ~this.#FLAG_SIGNATURE);
+        view.setUint32(this.#OFFSET_DATA_LENGTH, dataLength - Signature.BLOCK_LENGTH);
+    }
+
+    /**
+     * Объединяет позиционные параметры конструктора с объектом параметров. Позиционные secret
+     * и encryptionMethod со значением null считаются не заданными и не заменяют key, secret и method
+     * из объекта параметров; ключ или метод, заданные обоими способами, отклоняются.
+     *
+     * @param {string|ArrayBuffer|ArrayBufferView|PackKey|null} secret - Позиционный ключ
+     * @param {string|null} encryptionMethod - Позиционный метод шифрования
+     * @param {Object} options - Объект параметров
+     * @returns {Object} - Параметры для Options.resolve()
+     * @throws {Error} Если ключ или метод шифрования заданы и позиционно, и в объекте параметров
+     */
+    #positionalOptions(secret, encryptionMethod, options) {
+        const given = {...options};
+
+        if (secret !== null) {
+            if ((given.key ?? null) !== null || (given.secret ?? null) !== null) {
+                throw new Error('Ключ задается одним параметром: позиционным secret или key в параметрах');
+            }
+
+            given.secret = secret;
+        }
+
+        if (encryptionMethod !== null) {
+            if ((given.method ?? null) !== null) {
+                throw new Error('Метод шифрования задается одним параметром: позиционным encryptionMethod или method в параметрах');
+            }
+
+            given.method = encryptionMethod;
+        }
+
+        return given;
+    }
+
+    /**
+     * Формирует утверждения нового токена.
+     *
+     * @param {any} data - Данные токена
+     * @param {Object} options - Параметры токена
+     * @returns {Object} - Утверждения токена
+     * @throws {Error} При некорректных параметрах или упаковке по схеме
+     */
+    #tokenClaims(data, options) {
+        try {
+            if (this.schema) {
+                throw new Error('Токены не поддерживают упаковку по схеме');
+            }
+
+            return Token.create(data, options);
+
+        } catch (error) {
+            throw BinaryPackError.wrap(error, 'Ошибка создания токена');
+        }
+    }
+
+    /**
+     * Декодирует токен из Base64 и открывает его пакет. Утверждениям токена можно доверять, только если
+     * подлинность пакета подтверждена: подписью, проверенной открытым ключом, методом шифрования
+     * с аутентификацией или обязательным кодом HMAC-SHA256 (см. #requiresMac()). Иначе токен с любыми
+     * утверждениями мог бы создать кто угодно, например экземпляром без ключа.
+     *
+     * @param {string} token - Токен в Base64
+     * @param {Object} options - Параметры проверки
+     * @param {ArrayBuffer|ArrayBufferView|null} [options.publicKey] - Открытый ключ Ed25519 для проверки подписи
+     * @returns {Object} - Пакет токена с зашифрованными данными
+     * @throws {AuthenticationError} Если подлинность токена нечем подтвердить
+     * @throws {SignatureError} Если подпись неверна или токен не подписан, а открытый ключ указан
+     * @throws {Error} Если токен не является строкой Base64 или пакет поврежден
+     */
+    #openToken(token, {publicKey = this.publicKey}) {
+        const packet = this.#openPacket(Base64.base64ToBuffer(token), publicKey);
+
+        if (!publicKey && !this.#isAuthenticatedToken(packet)) {
+            throw new AuthenticationError('Подлинность токена не подтверждена: используйте метод шифрования '
+                + 'с аутентификацией, код целостности или подпись с открытым ключом (publicKey)');
+        }
+
+        return packet;
+    }
+
+    /**
+     * Проверяет, что подлинность пакета токена подтверждает ключ экземпляра: метод шифрования
+     * с аутентификацией или код HMAC-SHA256, который экземпляр требует для метода пакета.
+     *
+     * @param {{isJson: boolean, methodCode: number, envelope: Object|null}} packet - Пакет токена
+     * @returns {boolean} - true, если пакет без подлинного ключа не откроется
+     */
+    #isAuthenticatedToken(packet) {
+        if (packet.methodCode === 0 || packet.envelope) {
+            return false;
+        }
+
+        return this.encryptor.isAuthenticated(this.encryptor.getEncryptionMethodName(packet.methodCode))
+            || this.#requiresMac(packet);
+    }
+
+    /**
+     * Возвращает формат данных по версии.
+     *
+     * @param {number} version - Версия формата из заголовка
+     * @returns {Object} - Формат данных
+     * @throws {UnsupportedVersionError} При неизвестной версии формата данных
+     */
+    #findFormat(version) {
+        const format = this.#formats.get(version);
+
+        if (!format) {
+            throw new UnsupportedVersionError(version, [...this.#formats.keys()]);
+        }
+
+        return format;
+    }
+
+    /**
+     * Сериализует данные в JSON для формата версии 1.
+     *
+     * @param {any} data - Данные для сериализации
+     * @returns {Uint8Array} - JSON-представление данных
+     * @throws {Error} Если данные не представимы в JSON
+     */
+    #serializeJson(data) {
+        const jsonString = JSON.stringify(data);
+
+        if (jsonString === undefined) {
+            throw new Error('Данные не представимы в формате версии 1 (JSON)');
+        }
+
+        return this.encoder.encode(jsonString);
+    }
+
+    /**
+     * Собирает заголовок пакета формата версии 1: [версия:1B][метод:1B][длина данных:4B]
+     *
+     * @param {number} bodyLength - Длина данных после шифрования
+     * @param {Object} key - Ключ для шифрования
+     * @returns {Uint8Array} - Заголовок
+     */
+    #buildJsonHeader(bodyLength, key) {
+        const header = new Uint8Array(this.#JSON_META_LENGTH);
+        const view = new DataView(header.buffer);
+
+        view.setUint8(this.#OFFSET_VERSION, this.#VERSION_JSON);
+        view.setUint8(this.#OFFSET_METHOD_CODE, this.encryptor.getEncryptionMethodCode(key.method));
+        view.setUint32(this.#JSON_OFFSET_DATA_LENGTH, bodyLength);
+
+        return header;
+    }
+
+    /**
+     * Открывает пакет формата версии 1: [версия:1B][метод:1B][длина данных:4B][JSON...]
+     *
+     * @param {ArrayBuffer} buffer - Копия бинарных данных
+     * @param {DataView} view - Представление буфера
+     * @returns {{isJson: boolean, methodCode: number, aad: Uint8Array, body: Uint8Array, compression: null, keyField: null, integrity: null, envelope: null, key: Object}} - Пакет с зашифрованными данными
+     * @throws {Error} При некорректной длине данных
+     */
+    #openJsonPacket(buffer, view) {
+        // Читаем длину данных
+        const dataLength = view.getUint32(this.#JSON_OFFSET_DATA_LENGTH);
+
+        // Проверяем корректность длины
+        if (dataLength > buffer.byteLength - this.#JSON_META_LENGTH) {
+            throw new Error('Некорректная длина данных');
+        }
+
+        return {
+            isJson: true,
+            methodCode: view.getUint8(this.#OFFSET_METHOD_CODE),
+            aad: new Uint8Array(buffer, 0, this.#JSON_META_LENGTH),
+            body: new Uint8Array(buffer, this.#JSON_META_LENGTH, dataLength),
+            compression: null,
+            keyField: null,
+            integrity: null,
+            envelope: null,
+            key: this.#packetKey(null),
+        };
+    }
+
+    /**
+     * Проверяет соответствие методов шифрования и дешифрует данные пакета ключом, выбранным по заголовку.
+     *
+     * @param {{methodCode: number, aad: Uint8Array, body: Uint8Array, keyField: Object|null, integrity: Object|null, key: Object|null}} packet - Пакет с зашифрованными данными
+     * @returns {Uint8Array} - Дешифрованные данные
+     * @throws {Error} Если метод шифрования в данных не принимается экземпляром или данные зашифрованы, а секрета нет
+     * @throws {CorruptedDataError} Если не совпала контрольная сумма пакета без шифрования
+     * @throws {AuthenticationError} Если данные или заголовок изменены или ключ неверный (при наличии кода аутентификации)
+     * @throws {Error} Если пакет - конверт, а ключ получателя не выбран
+     */
+    #open(packet) {
+        this.#verifyChecksum(packet);
+
+        const key = this.#requireKey(packet);
+        this.#checkMethod(packet.methodCode, key);
+
+        if (!key.secret) {
+            return this.#unpad(packet, packet.body);
+        }
+
+        const encryptor = this.#encryptorFor(key, packet.keyField);
+        this.#verifyMac(packet, encryptor);
+
+        return this.#unpad(packet, encryptor.open(packet.body, packet.methodCode, packet.aad));
+    }
+
+    /**
+     * Асинхронная версия #open().
+     *
+     * @param {{methodCode: number, aad: Uint8Array, body: Uint8Array, keyField: Object|null, integrity: Object|null, key: Object|null}} packet - Пакет с зашифрованными данными
+     * @returns {Promise<Uint8Array>} - Дешифрованные данные
+     * @throws {Error} Если метод шифрования в данных не принимается экземпляром или данные зашифрованы, а секрета нет
+     * @throws {CorruptedDataError} Если не совпала контрольная сумма пакета без шифрования
+     * @throws {AuthenticationError} Если данные или заголовок изменены или ключ неверный (при наличии кода аутентификации)
+     */
+    async #openAsync(packet) {
+        this.#verifyChecksum(packet);
+
+        const key = this.#requireKey(packet);
+        this.#checkMethod(packet.methodCode, key);
+
+        if (!key.secret) {
+            return this.#unpad(packet, packet.body);
+        }
+
+        const encryptor = await this.#encryptorForAsync(key, packet.keyField);
+        this.#verifyMac(packet, encryptor);
+
+        return this.#unpad(packet, await encryptor.openAsync(packet.body, packet.methodCode, packet.aad));
+    }
+
+    /**
+     * Отбрасывает дополнение, добавленное политикой выравнивания.
+     *
+     * @param {{padded: boolean}} packet - Пакет
+     * @param {Uint8Array} body - Дешифрованные данные
+     * @returns {Uint8Array} - Данные без дополнения
+     * @throws {Error} Если исходная длина не помещается в данные
+     */
+    #unpad(packet, body) {
+        return packet.padded ? Padding.unpad(body) : body;
+    }
+
+    /**
+     * Возвращает ключ пакета. Ключ конверта выбирается только в open() по закрытому ключу получателя.
+     *
+     * @param {{key: Object|null}} packet - Пакет
+     * @returns {Object} - Ключ пакета
+     * @throws {Error} Если пакет - конверт, а ключ не выбран
+     */
+    #requireKey(packet) {
+        if (!packet.key) {
+            throw new Error('Данные запечатаны для получателя: используйте open() с закрытым ключом');
+        }
+
+        return packet.key;
+    }
+
+    /**
+     * Проверяет, что данные зашифрованы методом ключа или допустимым методом (см. options.acceptMethods).
+     * Экземпляр без секрета принимает только данные без шифрования.
+     *
+     * @param {number} methodCode - Код метода шифрования из заголовка
+     * @param {Object} key - Ключ экземпляра или связки
+     * @returns {void}
+     * @throws {Error} Если данные зашифрованы, а у экземпляра нет секрета
+     * @throws {Error} Если метод шифрования в данных отличается от метода ключа и не входит в допустимые
+     */
+    #checkMethod(methodCode, key) {
+        const storedMethod = this.encryptor.getEncryptionMethodName(methodCode);
+
+        if (!key.secret) {
+            if (methodCode !== 0) {
+                throw new Error(`Данные зашифрованы методом ${storedMethod ?? methodCode}: для распаковки требуется секрет`);
+            }
+
+            return;
+        }
+
+        const accepted = storedMethod === key.method || this.acceptMethods === true || this.acceptMethods?.includes(storedMethod);
+
+        if (storedMethod === null || !accepted) {
+            throw new Error('Несоответствие методов шифрования');
+        }
+    }
+
+    /**
+     * Регистрирует пользовательский тип только для этого экземпляра.
+     * Регистрации экземпляра имеют приоритет над глобальными (см. BinaryPack.registerType).
+     *
+     * @param {number} tag - Тег типа (целое число от 0 до 127)
+     * @param {Function} type - Класс, экземпляры которого упаковываются с этим тегом
+     * @param {function(Object): (Uint8Array|ArrayBuffer)} encode - Преобразует экземпляр в байты
+     * @param {function(Uint8Array): Object} decode - Восстанавливает экземпляр из байт
+     * @returns {BinaryPack} - Текущий экземпляр для цепочки вызовов
+     * @throws {Error} При некорректных параметрах или повторной регистрации тега или класса
+     * @example
+     * packer.registerType(2, GeoPoint,
+     *     (point) => new Float64Array([point.lat, point.lon]).buffer,
+     *     (bytes) => new GeoPoint(...new Float64Array(bytes.buffer)));
+     */
+    registerType(tag, type, encode, decode) {
+        this.extensions.register(tag, type, encode, decode);
+
+        return this;
+    }
+
+    /**
+     * Регистрирует пользовательский метод шифрования для всех экземпляров BinaryPack. Класс метода
+     * наследует MethodInterface и реализует encrypt/decrypt (шифрование на месте) или seal/open
+     * (шифрование с изменением длины данных, например с вектором инициализации и тегом).
+     * Код метода записывается в заголовок пакета, поэтому он должен совпадать у отправителя и получателя.
+     *
+     * @static
+     * @param {{code: number, name: string, instance: Function}} method - Код (1-254), имя и класс метода
+     * @returns {void}
+     * @throws {Error} Если класс не реализует MethodInterface, код или имя уже заняты
+     * @example
+     * class InHouseCipher extends MethodInterface {
+     *     constructor(secret) {
+     *         super('in-house');
+     *         this.secret = secret;
+     *     }
+     *
+     *     encrypt(dataPart) { ... }
+     *     decrypt(dataPart) { ... }
+     * }
+     *
+     * BinaryPack.registerMethod({ code: 200, name: 'in-house', instance: InHouseCipher });
+     * const packer = new BinaryPack('secret', 'in-house');
+     */
+    static registerMethod(method) {
+        EncryptionMethod.register(method);
+    }
+
+    /**
+     * Регистрирует пользовательский тип для всех экземпляров BinaryPack.
+     * Экземпляры класса упаковываются с числовым тегом и восстанавливаются при распаковке.
+     *
+     * @static
+     * @param {number} tag - Тег типа (целое число от 0 до 127)
+     * @param {Function} type - Класс, экземпляры которого упаковываются с этим тегом
+     * @param {function(Object): (Uint8Array|ArrayBuffer)} encode - Преобразует экземпляр в байты
+     * @param {function(Uint8Array): Object} decode - Восстанавливает экземпляр из байт
+     * @returns {void}
+     * @throws {Error} При некорректных параметрах или повторной регистрации тега или класса
+     * @example
+     * BinaryPack.registerType(1, Uuid, (uuid) => uuid.bytes, (bytes) => new Uuid(bytes));
+     */
+    static registerType(tag, type, encode, decode) {
+        ExtensionRegistry.global.register(tag, type, encode, decode);
+    }
+
     /**
      * Статический метод для конвертации ArrayBuffer в Base64 строку.
      *
      * @static
-     * @param {ArrayBuffer} buffer - Бинарные данные для конвертации
+     * @param {ArrayBuffer|SharedArrayBuffer|ArrayBufferView} buffer - Бинарные данные для конвертации
      * @returns {string} - Строка в формате Base64
      * @example
      * const base64String = BinaryPack.bufferToBase64(binaryData);
@@ -1 +1,15 @@
-export { BinaryPack, AvailableMethodsName } from './binary-pack.js';
\ No newline at end of file
+export { BinaryPack, AvailableMethodsName } from './binary-pack.js';
+export { MethodInterface } from './EncryptionMethod/index.js';
+export { AvailableCompressionsName } from './Compression/index.js';
+export { AvailableKdfsName } from './KeyDerivation/index.js';
+export { AvailablePaddingsName } from './Padding/index.js';
+export { ExtensionValue } from './Codec/index.js';
+export { Schema } from './Schema/index.js';
+export { Keyring } from './Keyring/index.js';
+export { PackKey } from './PackKey/index.js';
+export { AvailablePresetsName } from './Options/index.js';
+export { FrameDecoder, PackStream, UnpackStream } from './Stream/index.js';
+export {
+    BinaryPackError, UnsupportedVersionError, AuthenticationError, CorruptedDataError, SignatureError,
+    TokenError, TokenExpiredError, TokenNotYetValidError, AudienceMismatchError, TokenReplayError,
+} from './Errors/index.js';
@@ -1,6 +1,22 @@
-import {BinaryPack, AvailableMethodsName} from '../src/index.js';
+import {isDeepStrictEqual} from 'node:util';
+import {Readable, Writable} from 'node:stream';
+import {pipeline} from 'node:stream/promises';
+import {execFileSync} from 'node:child_process';
+import {webcrypto} from 'node:crypto';
+import {
+    BinaryPack, AvailableMethodsName, AvailableCompressionsName, ExtensionValue, Schema,
+    FrameDecoder, PackStream, UnpackStream, BinaryPackError, UnsupportedVersionError, AuthenticationError,
+    AvailableKdfsName, CorruptedDataError, Keyring, SignatureError, MethodInterface, AvailablePaddingsName, PackKey,
+    TokenError, TokenExpiredError, TokenNotYetValidError, AudienceMismatchError, TokenReplayError, AvailablePresetsName,
+} from '../src/index.js';
+import {AESGCM} from '../src/EncryptionMethod/Methods/AESGCM.js';
+import {EncryptionMethod} from '../src/EncryptionMethod/index.js';
+import {ChaCha20, Poly1305, ChaCha20Poly1305, Pbkdf2, Hkdf, Scrypt, X25519, Sha512, Ed25519} from '../src/Crypto/index.js';
+import {PBKDF2} from '../src/KeyDerivation/Functions/PBKDF2.js';
+import {LZ} from '../src/Compression/Codecs/LZ.js';
+import {Deflate} from '../src/Compression/Codecs/Deflate.js';
 
-function runTests() {
+async function runTests() {
     const ERROR = []
     const SECRET = 'Test Binary Pack'
 
@@ -157,6 +173,2403 @@ function runTests() {
         })
     }
 
+    // Test 7: Binary value format
+    console.log('\nTest 7: Binary value format');
+    const telemetry = {
+        sensor: 'temp-01',
+        ok: true,
+        missing: null,
+        readings: [21, 21.5, -3, 1024, 70000, -70000, 2 ** 40, 0.1],
+        nested: {list: [], text: 'Привет'},
+    };
+    const telemetryString = JSON.stringify(telemetry);
+
+    try {
+        const packed = XorPacker.pack(telemetry);
+        const unpacked = XorPacker.unpack(packed);
+        const unpackedString = JSON.stringify(unpacked);
+        const jsonLength = new TextEncoder().encode(telemetryString).length;
+        // Размер формата сравнивается без кода целостности (HMAC-SHA256 добавляет 32 байта) и nonce (25 байт)
+        const formatLength = new BinaryPack(SECRET, AvailableMethodsName.XOR, {integrity: false, deterministic: true}).pack(telemetry).byteLength;
+
+        if (telemetryString === unpackedString && formatLength < jsonLength) {
+            console.log('✓ Binary value format works');
+        } else {
+            console.log('✗ Binary value format failed');
+            ERROR.push({
+                method: 'binary-format',
+                message: 'Round-trip mismatch or payload is not smaller than JSON',
+            })
+        }
+
+        console.log(`  Packed: ${packed.byteLength} bytes (${formatLength} without integrity), JSON: ${jsonLength} bytes`);
+    }//
+    catch (error) {
+        console.error(`✗ Binary value format failed: ${error.message}`);
+        ERROR.push({
+            method: 'binary-format',
+            message: error.message,
+        })
+    }
+
+    // Test 8: Reading version 1 (JSON) payloads
+    console.log('\nTest 8: Version 1 payloads');
+
+    try {
+        const jsonBytes = new TextEncoder().encode(testDataString);
+        const secretBytes = new TextEncoder().encode(SECRET);
+        const legacy = new Uint8Array(jsonBytes.length + 6);
+        const legacyView = new DataView(legacy.buffer);
+
+        legacyView.setUint8(0, 1);
+        legacyView.setUint8(1, 0);
+        legacyView.setUint32(2, jsonBytes.length);
+        legacy.set(jsonBytes, 6);
+
+        const plain = JSON.stringify(basicPacker.unpack(legacy.buffer.slice(0)));
+
+        // Тот же заголовок, данные зашифрованы методом XOR (код 1)
+        legacyView.setUint8(1, 1);
+        for (let i = 0; i < jsonBytes.length; i++) {
+            legacy[i + 6] ^= secretBytes[i % secretBytes.length];
+        }
+
+        const encrypted = JSON.stringify(XorPacker.unpack(legacy.buffer));
+
+        if (plain === testDataString && encrypted === testDataString) {
+            console.log('✓ Version 1 payloads are readable');
+        } else {
+            console.log('✗ Version 1 payloads failed');
+            ERROR.push({
+                method: 'version-1',
+                message: 'Unpacked data does not match',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Version 1 payloads failed: ${error.message}`);
+        ERROR.push({
+            method: 'version-1',
+            message: error.message,
+        })
+    }
+
+    // Test 9: Built-in types
+    console.log('\nTest 9: Built-in types');
+    const builtins = {
+        missing: undefined,
+        numbers: [NaN, Infinity, -Infinity, -0],
+        date: new Date('2024-01-02T03:04:05.678Z'),
+        map: new Map([['a', 1], [2, new Set(['b'])]]),
+        set: new Set([1, 'two', null]),
+        bigints: [0n, -1n, 2n ** 100n, -(2n ** 64n)],
+        blob: new Uint8Array(1000).fill(7),
+        floats: new Float32Array([1.5, -2.25]),
+        words: new Uint16Array([1, 65535]),
+        raw: new Uint8Array([1, 2, 3]).buffer,
+        view: new DataView(new Uint8Array([4, 5, 6]).buffer),
+    };
+
+    try {
+        const packed = AesPacker.pack(builtins);
+        const unpacked = AesPacker.unpack(packed);
+
+        if (isDeepStrictEqual(builtins, unpacked) && packed.byteLength < 1300) {
+            console.log('✓ Built-in types round-trip');
+        } else {
+            console.log('✗ Built-in types failed');
+            ERROR.push({
+                method: 'built-in-types',
+                message: 'Round-trip mismatch or binary data is not stored as raw bytes',
+            })
+        }
+
+        console.log(`  Packed: ${packed.byteLength} bytes`);
+    }//
+    catch (error) {
+        console.error(`✗ Built-in types failed: ${error.message}`);
+        ERROR.push({
+            method: 'built-in-types',
+            message: error.message,
+        })
+    }
+
+    // Test 10: Extension types
+    console.log('\nTest 10: Extension types');
+
+    class Uuid {
+        constructor(bytes) {
+            this.bytes = bytes;
+        }
+    }
+
+    class Money {
+        constructor(cents, currency) {
+            this.cents = cents;
+            this.currency = currency;
+        }
+    }
+
+    try {
+        BinaryPack.registerType(1, Uuid, (uuid) => uuid.bytes, (bytes) => new Uuid(bytes));
+
+        const moneyPacker = new BinaryPack(SECRET, AvailableMethodsName.XOR).registerType(2, Money,
+            (money) => new TextEncoder().encode(`${money.cents}:${money.currency}`),
+            (bytes) => {
+                const [cents, currency] = new TextDecoder().decode(bytes).split(':');
+                return new Money(Number(cents), currency);
+            });
+
+        const order = {id: new Uuid(new Uint8Array(16).fill(1)), total: new Money(1250, 'EUR')};
+        const packed = moneyPacker.pack(order);
+        const unpacked = moneyPacker.unpack(packed);
+
+        let strictError = null;
+        try {
+            XorPacker.unpack(packed);
+        } catch (error) {
+            strictError = error;
+        }
+
+        const lenient = new BinaryPack(SECRET, AvailableMethodsName.XOR, {lenientExtensions: true}).unpack(packed);
+
+        if (unpacked.id instanceof Uuid && unpacked.total instanceof Money && isDeepStrictEqual(order, unpacked)
+            && strictError && lenient.id instanceof Uuid && lenient.total instanceof ExtensionValue
+            && lenient.total.tag === 2) {
+            console.log('✓ Extension types work');
+        } else {
+            console.log('✗ Extension types failed');
+            ERROR.push({
+                method: 'extension-types',
+                message: 'Registered types were not restored or unknown tag was not reported',
+            })
+        }
+
+        console.log(`  Unregistered tag: ${strictError && strictError.message}`);
+    }//
+    catch (error) {
+        console.error(`✗ Extension types failed: ${error.message}`);
+        ERROR.push({
+            method: 'extension-types',
+            message: error.message,
+        })
+    }
+
+    // Test 11: Schema packing
+    console.log('\nTest 11: Schema packing');
+    const readingSchema = {
+        fields: [
+            {name: 'id', type: 'u32'},
+            {name: 'temperature', type: 'f64', nullable: true},
+            {name: 'online', type: 'bool'},
+            {name: 'label', type: 'string', optional: true},
+            {name: 'samples', type: 'array', items: 'i32'},
+            {name: 'position', type: 'nested', schema: {fields: [
+                {name: 'lat', type: 'f64'},
+                {name: 'lon', type: 'f64'},
+            ]}},
+        ],
+    };
+    const reading = {id: 7, temperature: null, online: true, samples: [-1, 2, 300], position: {lat: 55.75, lon: 37.61}};
+
+    try {
+        const schemaPacker = new BinaryPack({secret: SECRET, method: AvailableMethodsName.XOR, schema: readingSchema});
+        const packed = schemaPacker.pack(reading);
+        const unpacked = schemaPacker.unpack(packed);
+        const plainLength = XorPacker.pack(reading).byteLength;
+
+        const rejected = [];
+        const otherSchema = new Schema([{name: 'id', type: 'u16'}]);
+
+        for (const attempt of [
+            () => new BinaryPack({secret: SECRET, method: AvailableMethodsName.XOR, schema: otherSchema}).unpack(packed),
+            () => XorPacker.unpack(packed),
+            () => schemaPacker.pack({...reading, id: -1}),
+            () => schemaPacker.pack({...reading, extra: 1}),
+            () => new Schema([{name: 'id', type: 'u128'}]),
+        ]) {
+            try {
+                attempt();
+            } catch (error) {
+                rejected.push(error.message);
+            }
+        }
+
+        if (isDeepStrictEqual(reading, unpacked) && packed.byteLength < plainLength && rejected.length === 5) {
+            console.log('✓ Schema packing works');
+        } else {
+            console.log('✗ Schema packing failed');
+            ERROR.push({
+                method: 'schema',
+                message: 'Round-trip mismatch or invalid data was not rejected',
+            })
+        }
+
+        console.log(`  Packed: ${packed.byteLength} bytes, without schema: ${plainLength} bytes`);
+        rejected.forEach((message) => console.log(`  Rejected: ${message}`));
+    }//
+    catch (error) {
+        console.error(`✗ Schema packing failed: ${error.message}`);
+        ERROR.push({
+            method: 'schema',
+            message: error.message,
+        })
+    }
+
+    // Test 12: Compression
+    console.log('\nTest 12: Compression');
+    const history = Array.from({length: 200}, (_, i) => ({page: `/catalog/item/${i % 20}`, action: 'view', ok: true}));
+
+    try {
+        const lzPacker = new BinaryPack(SECRET, AvailableMethodsName.CAESAR, {compression: AvailableCompressionsName.LZ});
+        const deflatePacker = new BinaryPack(SECRET, AvailableMethodsName.CAESAR, {compression: AvailableCompressionsName.DEFLATE});
+        const plainLength = CaesarPacker.pack(history).byteLength;
+
+        const lzPacked = lzPacker.pack(history);
+        const deflatePacked = await deflatePacker.packAsync(history);
+
+        // Сжатие определяется по заголовку, поэтому распаковка не зависит от настроек экземпляра
+        const lzUnpacked = CaesarPacker.unpack(lzPacked);
+        const deflateUnpacked = await CaesarPacker.unpackAsync(deflatePacked);
+
+        let syncError = null;
+        try {
+            CaesarPacker.unpack(deflatePacked);
+        } catch (error) {
+            syncError = error;
+        }
+
+        // Распаковка прекращается, как только исходные данные длиннее допустимого
+        const zeros = new Uint8Array(1024 * 1024);
+        const capped = [];
+        for (const decompress of [
+            async () => new LZ().decompress(new LZ().compress(zeros), zeros.length - 1),
+            async () => new LZ().decompressAsync(new LZ().compress(zeros), 1024),
+            async () => new Deflate().decompressAsync(await new Deflate().compressAsync(zeros), 64 * 1024),
+        ]) {
+            try {
+                await decompress();
+                capped.push(false);
+            } catch (error) {
+                capped.push(/превышает допустимую/.test(error.message));
+            }
+        }
+
+        const withinLimit = isDeepStrictEqual(new LZ().decompress(new LZ().compress(zeros), zeros.length), zeros)
+            && isDeepStrictEqual(await new Deflate().decompressAsync(await new Deflate().compressAsync(zeros), zeros.length), zeros);
+
+        if (isDeepStrictEqual(history, lzUnpacked) && isDeepStrictEqual(history, deflateUnpacked)
+            && lzPacked.byteLength < plainLength / 4 && deflatePacked.byteLength < plainLength / 4 && syncError
+            && capped.every(Boolean) && withinLimit) {
+            console.log('✓ Compression works');
+        } else {
+            console.log('✗ Compression failed');
+            ERROR.push({
+                method: 'compression',
+                message: 'Round-trip mismatch or payload was not compressed',
+            })
+        }
+
+        console.log(`  Plain: ${plainLength} bytes, LZ: ${lzPacked.byteLength} bytes, deflate: ${deflatePacked.byteLength} bytes`);
+    }//
+    catch (error) {
+        console.error(`✗ Compression failed: ${error.message}`);
+        ERROR.push({
+            method: 'compression',
+            message: error.message,
+        })
+    }
+
+    // Test 13: Frame decoder
+    console.log('\nTest 13: Frame decoder');
+    const messages = [testData, 'second', {big: 'x'.repeat(300)}, [1, 2, 3]];
+
+    try {
+        const stream = new Uint8Array(XorPacker.packMany(messages));
+
+        // Разрезаем поток на фрагменты разной длины, в том числе внутри заголовков, и склеиваем с соседними кадрами
+        const received = [];
+        for (const chunkSize of [1, 3, 5, 7, 64, stream.length]) {
+            const decoder = new FrameDecoder(XorPacker);
+            const decoded = [];
+
+            for (let offset = 0; offset < stream.length; offset += chunkSize) {
+                decoded.push(...decoder.push(Buffer.from(stream.subarray(offset, offset + chunkSize))));
+            }
+
+            decoder.end();
+            received.push(decoded);
+        }
+
+        let truncatedError = null;
+        const truncatedDecoder = new FrameDecoder(XorPacker);
+        truncatedDecoder.push(stream.subarray(0, 10));
+        try {
+            truncatedDecoder.end();
+        } catch (error) {
+            truncatedError = error;
+        }
+
+        // Поврежденный кадр между целыми не уносит с собой следующие кадры того же фрагмента
+        const frames = messages.map((message) => new Uint8Array(XorPacker.pack(message)));
+        new Uint8Array(frames[1].buffer)[frames[1].length - 40] ^= 0x01;
+        const withBadFrame = Buffer.concat([frames[0], frames[1], frames[2], frames[3]]);
+
+        const resumed = [];
+        const resumingDecoder = new FrameDecoder(XorPacker);
+        resumed.push(isDeepStrictEqual(resumingDecoder.push(withBadFrame), [messages[0]]));
+        try {
+            resumingDecoder.push(new Uint8Array(0));
+            resumed.push(false);
+        } catch (error) {
+            resumed.push(error instanceof AuthenticationError);
+        }
+        resumed.push(isDeepStrictEqual(resumingDecoder.push(new Uint8Array(0)), messages.slice(2)));
+        resumingDecoder.end();
+
+        // Поврежденный первый кадр отклоняется сразу, следующие кадры остаются в очереди
+        const firstBadDecoder = new FrameDecoder(XorPacker);
+        try {
+            firstBadDecoder.push(withBadFrame.subarray(frames[0].length));
+            resumed.push(false);
+        } catch (error) {
+            resumed.push(error instanceof AuthenticationError);
+        }
+        resumed.push(isDeepStrictEqual(firstBadDecoder.push(new Uint8Array(0)), messages.slice(2)));
+
+        if (received.every((decoded) => isDeepStrictEqual(decoded, messages)) && truncatedError && resumed.every(Boolean)) {
+            console.log('✓ Frame decoder works');
+        } else {
+            console.log('✗ Frame decoder failed');
+            ERROR.push({
+                method: 'frame-decoder',
+                message: 'Decoded frames do not match or truncated stream was not reported',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Frame decoder failed: ${error.message}`);
+        ERROR.push({
+            method: 'frame-decoder',
+            message: error.message,
+        })
+    }
+
+    // Test 14: Stream adapters
+    console.log('\nTest 14: Stream adapters');
+    try {
+        const streamPacker = new BinaryPack(SECRET, AvailableMethodsName.XOR, {compression: AvailableCompressionsName.DEFLATE});
+        const collect = (target) => new Writable({
+            objectMode: true,
+            write(value, encoding, callback) {
+                target.push(value);
+                callback();
+            },
+        });
+
+        // WHATWG-потоки в stream.pipeline() Node.js
+        const viaWeb = [];
+        await pipeline(
+            Readable.from(messages),
+            new PackStream(streamPacker),
+            new UnpackStream(streamPacker),
+            collect(viaWeb),
+        );
+
+        // Классические потоки Node.js
+        const viaNode = [];
+        await pipeline(
+            Readable.from(messages),
+            PackStream.createNodeTransform(streamPacker),
+            UnpackStream.createNodeTransform(streamPacker),
+            collect(viaNode),
+        );
+
+        // Браузерный вариант через pipeThrough()
+        const viaPipeThrough = [];
+        const source = new ReadableStream({
+            start(controller) {
+                messages.forEach((message) => controller.enqueue(message));
+                controller.close();
+            },
+        });
+        const reader = source
+            .pipeThrough(new PackStream(streamPacker))
+            .pipeThrough(new UnpackStream(streamPacker))
+            .getReader();
+        for (let result = await reader.read(); !result.done; result = await reader.read()) {
+            viaPipeThrough.push(result.value);
+        }
+
+        // Оборванный поток должен завершиться ошибкой
+        let truncatedError = null;
+        const frame = new Uint8Array(await streamPacker.packAsync(testData));
+        try {
+            await pipeline(
+                Readable.from([frame.subarray(0, frame.length - 1)]),
+                UnpackStream.createNodeTransform(streamPacker),
+                collect([]),
+            );
+        } catch (error) {
+            truncatedError = error;
+        }
+
+        // null: WHATWG-поток передает его как значение, поток Node.js сообщает об ошибке, а не завершается
+        const nullable = [1, null, 2, undefined, 3];
+        const nullableFrames = await Promise.all(nullable.map(async (value) => new Uint8Array(await streamPacker.packAsync(value))));
+        const viaWebNullable = [];
+        const nullableReader = new ReadableStream({
+            start(controller) {
+                nullableFrames.forEach((nullableFrame) => controller.enqueue(nullableFrame));
+                controller.close();
+            },
+        }).pipeThrough(new UnpackStream(streamPacker)).getReader();
+        for (let result = await nullableReader.read(); !result.done; result = await nullableReader.read()) {
+            viaWebNullable.push(result.value);
+        }
+
+        let nullError = null;
+        try {
+            await pipeline(
+                Readable.from(nullableFrames),
+                UnpackStream.createNodeTransform(streamPacker),
+                collect([]),
+            );
+        } catch (error) {
+            nullError = error;
+        }
+
+        if (
+            [viaWeb, viaNode, viaPipeThrough].every((received) => isDeepStrictEqual(received, messages))
+            && truncatedError
+            && isDeepStrictEqual(viaWebNullable, nullable)
+            && nullError?.message.startsWith('Распакованное значение null нельзя передать через поток Node.js')
+        ) {
+            console.log('✓ Stream adapters work');
+        } else {
+            console.log('✗ Stream adapters failed');
+            ERROR.push({
+                method: 'stream-adapters',
+                message: 'Streamed values do not match, truncated stream or null value was not reported',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Stream adapters failed: ${error.message}`);
+        ERROR.push({
+            method: 'stream-adapters',
+            message: error.message,
+        })
+    }
+
+    // Test 15: Chunked container
+    console.log('\nTest 15: Chunked container');
+    try {
+        const chunkedPacker = new BinaryPack(SECRET, AvailableMethodsName.AES, {compression: AvailableCompressionsName.LZ});
+        const chunkSize = 1024;
+
+        async function* rows() {
+            for (let i = 0; i < 500; i++) {
+                // Отдельные значения больше фрагмента переходят через его границы
+                yield {id: i, name: `row ${i}`, blob: i % 100 === 0 ? 'x'.repeat(5000) : ''};
+            }
+        }
+
+        const parts = [];
+        for await (const part of chunkedPacker.packChunks(rows(), {chunkSize})) {
+            parts.push(part);
+        }
+
+        // Читаем контейнер фрагментами произвольной длины
+        const container = Buffer.concat(parts);
+        const pieces = [];
+        for (let offset = 0; offset < container.length; offset += 333) {
+            pieces.push(container.subarray(offset, offset + 333));
+        }
+
+        const expected = [];
+        for await (const row of rows()) {
+            expected.push(row);
+        }
+
+        const received = [];
+        for await (const row of chunkedPacker.unpackChunks(Readable.from(pieces))) {
+            received.push(row);
+        }
+
+        let truncatedError = null;
+        try {
+            for await (const row of chunkedPacker.unpackChunks([container.subarray(0, container.length - 9)])) {
+                // Значения до места обрыва читаются
+            }
+        } catch (error) {
+            truncatedError = error;
+        }
+
+        // Заголовок фрагмента, nonce и код аутентификации HMAC-SHA256
+        const partsBounded = parts.every((part) => part.length <= chunkSize + 5 + 10 + 32);
+
+        // Сжатый фрагмент короче maxChunkLength, но после распаковки длиннее
+        const zeros = [];
+        for await (const part of chunkedPacker.packChunks([new Uint8Array(512 * 1024)], {chunkSize: 512 * 1024})) {
+            zeros.push(part);
+        }
+
+        let expandedError = null;
+        try {
+            for await (const row of chunkedPacker.unpackChunks(zeros, {maxChunkLength: 64 * 1024})) {
+                // Значение не должно быть получено
+            }
+        } catch (error) {
+            expandedError = error;
+        }
+
+        const expandedRejected = zeros.every((part) => part.length < 64 * 1024)
+            && /превышает допустимую: 65536/.test(expandedError?.message);
+
+        if (isDeepStrictEqual(received, expected) && truncatedError && partsBounded && expandedRejected) {
+            console.log('✓ Chunked container works');
+            console.log(`  ${expected.length} values in ${parts.length} parts, ${container.length} bytes`);
+        } else {
+            console.log('✗ Chunked container failed');
+            ERROR.push({
+                method: 'chunked-container',
+                message: 'Values do not match, truncation was not reported or parts exceed chunk size',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Chunked container failed: ${error.message}`);
+        ERROR.push({
+            method: 'chunked-container',
+            message: error.message,
+        })
+    }
+
+    // Test 16: Header inspection
+    console.log('\nTest 16: Header inspection');
+    try {
+        const packed = XorPacker.pack(testData);
+        const info = BinaryPack.inspect(packed);
+        const truncated = BinaryPack.inspect(packed.slice(0, packed.byteLength - 1));
+
+        // Мусорные данные не должны приводить к исключению
+        const garbage = [null, 'text', new ArrayBuffer(0), new Uint8Array([0xff]), new Uint8Array([2, 1, 0x02, 0, 0, 0, 1, 99]), new Uint8Array([2, 99, 0, 0, 0, 0, 0])]
+            .map((value) => BinaryPack.inspect(value));
+
+        for (let i = 0; i < 1000; i++) {
+            const random = new Uint8Array(i % 32).map(() => Math.random() * 256);
+            random[0] = i % 3;
+            BinaryPack.inspect(random);
+        }
+
+        if (
+            info.valid && info.version === 2 && info.method === AvailableMethodsName.XOR
+            && info.totalLength === packed.byteLength && !info.truncated
+            && !truncated.valid && truncated.truncated && truncated.check === 'length'
+            && garbage.map(({check}) => check).join() === 'input,input,header,version,flags,method'
+            && garbage[4].unknownFlags === 0 && garbage[4].reason === 'Неизвестный алгоритм сжатия: 99'
+        ) {
+            console.log('✓ Header inspection works');
+        } else {
+            console.log('✗ Header inspection failed');
+            ERROR.push({
+                method: 'inspect',
+                message: 'Unexpected inspection result',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Header inspection failed: ${error.message}`);
+        ERROR.push({
+            method: 'inspect',
+            message: error.message,
+        })
+    }
+
+    // Test 17: Format versions
+    console.log('\nTest 17: Format versions');
+    try {
+        // Производитель на старом формате, потребитель читает обе версии
+        const legacyWriter = new BinaryPack(SECRET, AvailableMethodsName.CAESAR, {writeVersion: 1});
+        const legacyPacked = legacyWriter.pack(testData);
+        const legacyRead = CaesarPacker.unpack(legacyPacked);
+
+        const future = new Uint8Array(XorPacker.pack(testData));
+        future[0] = 9;
+
+        let versionError = null;
+        try {
+            XorPacker.unpack(future.buffer);
+        } catch (error) {
+            versionError = error;
+        }
+
+        let frameError = null;
+        try {
+            new FrameDecoder(XorPacker).push(future);
+        } catch (error) {
+            frameError = error;
+        }
+
+        const rejectedOptions = [{writeVersion: 7}, {writeVersion: 1, compression: AvailableCompressionsName.LZ}]
+            .filter((options) => {
+                try {
+                    new BinaryPack(options);
+                    return false;
+                } catch (error) {
+                    return true;
+                }
+            });
+
+        if (
+            new Uint8Array(legacyPacked)[0] === 1
+            && isDeepStrictEqual(legacyRead, testData)
+            && versionError instanceof UnsupportedVersionError && versionError instanceof BinaryPackError
+            && versionError.version === 9
+            && frameError instanceof UnsupportedVersionError
+            && rejectedOptions.length === 2
+        ) {
+            console.log('✓ Format versions work');
+            console.log(`  ${versionError.message}`);
+        } else {
+            console.log('✗ Format versions failed');
+            ERROR.push({
+                method: 'format-versions',
+                message: 'Version 1 writer or unsupported version error does not work',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Format versions failed: ${error.message}`);
+        ERROR.push({
+            method: 'format-versions',
+            message: error.message,
+        })
+    }
+
+    // Test 18: Binary views and packInto
+    console.log('\nTest 18: Binary views and packInto');
+    try {
+        const packed = new Uint8Array(AesPacker.pack(testData));
+
+        // Пакет внутри большего буфера со сдвигом
+        const pool = Buffer.alloc(packed.length + 16, 0xee);
+        pool.set(packed, 5);
+        const slice = pool.subarray(5, 5 + packed.length);
+
+        const shared = new SharedArrayBuffer(packed.length);
+        new Uint8Array(shared).set(packed);
+
+        const fromViews = [
+            AesPacker.unpack(slice),
+            AesPacker.unpack(new DataView(pool.buffer, pool.byteOffset + 5, packed.length)),
+            AesPacker.unpack(shared),
+            await AesPacker.unpackAsync(slice),
+        ];
+
+        const base64Matches = BinaryPack.bufferToBase64(slice) === BinaryPack.bufferToBase64(packed.buffer)
+            && BinaryPack.inspect(slice).valid;
+
+        // Два пакета подряд в общий буфер без промежуточных копий
+        const target = new Uint8Array(new SharedArrayBuffer(packed.length * 2 + 10));
+        let written = AesPacker.packInto(testData, target, 3);
+        written += AesPacker.packInto('second', target, 3 + written);
+        const frames = new FrameDecoder(AesPacker).push(target.subarray(3, 3 + written));
+
+        // При нехватке места буфер не изменяется
+        const small = new Uint8Array(8);
+        let overflowError = null;
+        try {
+            AesPacker.packInto(testData, small);
+        } catch (error) {
+            overflowError = error;
+        }
+
+        if (
+            fromViews.every((value) => isDeepStrictEqual(value, testData))
+            && base64Matches
+            && isDeepStrictEqual(frames, [testData, 'second'])
+            && overflowError && small.every((byte) => byte === 0)
+        ) {
+            console.log('✓ Binary views and packInto work');
+        } else {
+            console.log('✗ Binary views and packInto failed');
+            ERROR.push({
+                method: 'binary-views',
+                message: 'Views, shared buffers or packInto produced unexpected results',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Binary views and packInto failed: ${error.message}`);
+        ERROR.push({
+            method: 'binary-views',
+            message: error.message,
+        })
+    }
+
+    // Test 19: AES-256-GCM
+    console.log('\nTest 19: AES-256-GCM');
+    try {
+        const gcmPacker = new BinaryPack(SECRET, AvailableMethodsName.AES_GCM, {compression: AvailableCompressionsName.LZ});
+        const packed = new Uint8Array(gcmPacker.pack(testData));
+        const packedAgain = new Uint8Array(gcmPacker.pack(testData));
+
+        const roundTrips = [
+            gcmPacker.unpack(packed),
+            await gcmPacker.unpackAsync(await gcmPacker.packAsync(testData)),
+        ];
+
+        // Изменение данных, заголовка или ключа обнаруживается до распаковки
+        const tamperedBody = packed.slice();
+        tamperedBody[tamperedBody.length - 20] ^= 1;
+
+        const tamperedHeader = packed.slice();
+        tamperedHeader[7] = 2; // код алгоритма сжатия
+
+        const rejected = [];
+        for (const [packer, buffer] of [
+            [gcmPacker, tamperedBody],
+            [gcmPacker, tamperedHeader],
+            [new BinaryPack('other secret', AvailableMethodsName.AES_GCM, {compression: AvailableCompressionsName.LZ}), packed],
+        ]) {
+            try {
+                packer.unpack(buffer);
+            } catch (error) {
+                rejected.push(error instanceof AuthenticationError);
+            }
+
+            try {
+                await packer.unpackAsync(buffer);
+            } catch (error) {
+                rejected.push(error instanceof AuthenticationError);
+            }
+        }
+
+        // Реализация на WebCrypto (браузер) совместима с node:crypto
+        const webCrypto = new AESGCM(SECRET);
+        webCrypto.nodeCrypto = null;
+        const nodeCrypto = new AESGCM(SECRET);
+        const aad = new Uint8Array([1, 2, 3]);
+        const message = new TextEncoder().encode(testDataString);
+        const fromWeb = nodeCrypto.open(await webCrypto.sealAsync(message, aad), aad);
+        const fromNode = await webCrypto.openAsync(nodeCrypto.seal(message, aad), aad);
+
+        // Перестановка фрагментов контейнера обнаруживается
+        const parts = [];
+        for await (const part of gcmPacker.packChunks([testData, testData, testData], {chunkSize: 64})) {
+            parts.push(part);
+        }
+        [parts[1], parts[2]] = [parts[2], parts[1]];
+
+        let reorderError = null;
+        try {
+            for await (const value of gcmPacker.unpackChunks(parts)) {
+                // Значения не должны быть получены
+            }
+        } catch (error) {
+            reorderError = error;
+        }
+
+        if (
+            roundTrips.every((value) => isDeepStrictEqual(value, testData))
+            && !isDeepStrictEqual(packed, packedAgain)
+            && rejected.length === 6 && rejected.every(Boolean)
+            && isDeepStrictEqual(fromWeb, message) && isDeepStrictEqual(fromNode, message)
+            && reorderError instanceof AuthenticationError
+        ) {
+            console.log('✓ AES-256-GCM works');
+            console.log(`  Overhead: ${packed.length - new Uint8Array(new BinaryPack({compression: AvailableCompressionsName.LZ, integrity: false}).pack(testData)).length} bytes`);
+        } else {
+            console.log('✗ AES-256-GCM failed');
+            ERROR.push({
+                method: 'aes-256-gcm',
+                message: 'Round trip, tamper detection or WebCrypto compatibility failed',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ AES-256-GCM failed: ${error.message}`);
+        ERROR.push({
+            method: 'aes-256-gcm',
+            message: error.message,
+        })
+    }
+
+    // Test 20: ChaCha20-Poly1305
+    console.log('\nTest 20: ChaCha20-Poly1305');
+    try {
+        const hex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+        const fromHex = (string) => new Uint8Array(string.match(/../g).map((byte) => parseInt(byte, 16)));
+        const sunscreen = new TextEncoder().encode(
+            "Ladies and Gentlemen of the class of '99: If I could offer you only one tip for the future, sunscreen would be it.",
+        );
+
+        // Тестовые векторы RFC 8439: разделы 2.4.2 (ChaCha20), 2.5.2 (Poly1305) и 2.8.2 (AEAD)
+        const chachaVector = hex(ChaCha20.xor(
+            fromHex('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f'),
+            fromHex('000000000000004a00000000'), 1, sunscreen,
+        )) === '6e2e359a2568f98041ba0728dd0d6981e97e7aec1d4360c20a27afccfd9fae0bf91b65c5524733ab8f593dabcd62b3571639d624e65152ab8f530c359f0861d807ca0dbf500d6a6156a38e088a22b65e52bc514d16ccf806818ce91ab77937365af90bbf74a35be6b40b8eedf2785e42874d';
+
+        const polyVector = hex(Poly1305.mac(
+            fromHex('85d6be7857556d337f4452fe42d506a80103808afb0db2fd4abff6af4149f51b'),
+            [new TextEncoder().encode('Cryptographic Forum Research Group')],
+        )) === 'a8061dc1305136c6c22b8baf0c0127a9';
+
+        const aeadKey = fromHex('808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f');
+        const aeadNonce = fromHex('070000004041424344454647');
+        const aeadAad = fromHex('50515253c0c1c2c3c4c5c6c7');
+        const aeadSealed = ChaCha20Poly1305.seal(aeadKey, aeadNonce, sunscreen, aeadAad);
+        const aeadVector = hex(aeadSealed) === 'd31a8d34648e60db7b86afbc53ef7ec2a4aded51296e08fea9e2b5a736ee62d63dbea45e8ca9671282fafb69da92728b1a71de0a9e060b2905d6a5b67ecd3b3692ddbd7f2d778b8c9803aee328091b58fab324e4fad675945585808b4831d7bc3ff4def08e4b7a9de576d26586cec64b6116'
+            + '1ae10b594f09e26a7e902ecbd0600691'
+            && isDeepStrictEqual(ChaCha20Poly1305.open(aeadKey, aeadNonce, aeadSealed, aeadAad), sunscreen)
+            && ChaCha20Poly1305.open(aeadKey, aeadNonce, aeadSealed, aeadAad.subarray(1)) === null;
+
+        // Синхронная упаковка с аутентификацией
+        const chachaPacker = new BinaryPack(SECRET, AvailableMethodsName.CHACHA20_POLY1305, {compression: AvailableCompressionsName.LZ});
+        const packed = new Uint8Array(chachaPacker.pack(testData));
+        const packedAgain = new Uint8Array(chachaPacker.pack(testData));
+
+        const roundTrips = [
+            chachaPacker.unpack(packed),
+            await chachaPacker.unpackAsync(await chachaPacker.packAsync(testData)),
+        ];
+
+        const tamperedBody = packed.slice();
+        tamperedBody[tamperedBody.length - 20] ^= 1;
+
+        const tamperedHeader = packed.slice();
+        tamperedHeader[7] = 2; // код алгоритма сжатия
+
+        const rejected = [];
+        for (const [packer, buffer] of [
+            [chachaPacker, tamperedBody],
+            [chachaPacker, tamperedHeader],
+            [chachaPacker, packed.subarray(0, 30)],
+            [new BinaryPack('other secret', AvailableMethodsName.CHACHA20_POLY1305, {compression: AvailableCompressionsName.LZ}), packed],
+        ]) {
+            try {
+                packer.unpack(buffer);
+            } catch (error) {
+                rejected.push(error instanceof BinaryPackError);
+            }
+        }
+
+        if (
+            chachaVector && polyVector && aeadVector
+            && roundTrips.every((value) => isDeepStrictEqual(value, testData))
+            && !isDeepStrictEqual(packed, packedAgain)
+            && rejected.length === 4 && rejected.every(Boolean)
+        ) {
+            console.log('✓ ChaCha20-Poly1305 works');
+        } else {
+            console.log('✗ ChaCha20-Poly1305 failed');
+            ERROR.push({
+                method: 'chacha20-poly1305',
+                message: 'RFC 8439 vectors, round trip or tamper detection failed',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ ChaCha20-Poly1305 failed: ${error.message}`);
+        ERROR.push({
+            method: 'chacha20-poly1305',
+            message: error.message,
+        })
+    }
+
+    // Test 21: Password-based key derivation
+    console.log('\nTest 21: Password-based key derivation');
+    try {
+        const hex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+        const encode = (string) => new TextEncoder().encode(string);
+
+        // Тестовые векторы RFC 7914 для реализаций на чистом JavaScript
+        const vectors = hex(Pbkdf2.derive(encode('passwd'), encode('salt'), 1, 64)) === '55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc49ca9cccf179b645991664b39d77ef317c71b845b1e30bd509112041d3a19783'
+            && hex(Scrypt.derive(new Uint8Array(0), new Uint8Array(0), 16, 1, 1, 64)) === '77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906';
+
+        // Реализация на JavaScript совместима с node:crypto
+        const pureKdf = new PBKDF2({iterations: 1000});
+        pureKdf.nodeCrypto = null;
+        const compatible = hex(pureKdf.derive(encode(SECRET), encode('salt'), 32))
+            === hex(new PBKDF2({iterations: 1000}).derive(encode(SECRET), encode('salt'), 32));
+
+        // Параметры и соль записаны в пакет: распаковщику достаточно секрета
+        const reader = new BinaryPack(SECRET, AvailableMethodsName.CHACHA20_POLY1305);
+        const roundTrips = [];
+        const salts = new Set();
+
+        for (const kdf of [
+            {name: AvailableKdfsName.PBKDF2, iterations: 1000},
+            {name: AvailableKdfsName.SCRYPT, N: 1024, r: 8, p: 1},
+        ]) {
+            const kdfPacker = new BinaryPack(SECRET, AvailableMethodsName.CHACHA20_POLY1305, {kdf});
+            const packed = new Uint8Array(kdfPacker.pack(testData));
+            const info = BinaryPack.inspect(packed);
+
+            salts.add(hex(packed.subarray(16, 32)));
+            salts.add(hex(new Uint8Array(await kdfPacker.packAsync(testData)).subarray(16, 32)));
+
+            roundTrips.push(
+                info.kdf === kdf.name,
+                isDeepStrictEqual(reader.unpack(packed), testData),
+                isDeepStrictEqual(await reader.unpackAsync(packed), testData),
+            );
+        }
+
+        // Ключ для уже встречавшейся соли берется из кэша
+        let derivations = 0;
+        const derive = PBKDF2.prototype.derive;
+        PBKDF2.prototype.derive = function (...args) {
+            derivations++;
+            return derive.apply(this, args);
+        };
+
+        try {
+            const cachePacker = new BinaryPack(SECRET, AvailableMethodsName.XOR, {kdf: {name: AvailableKdfsName.PBKDF2, iterations: 1000}});
+            const packed = cachePacker.pack(testData);
+            for (let i = 0; i < 3; i++) {
+                cachePacker.unpack(packed);
+            }
+        } finally {
+            PBKDF2.prototype.derive = derive;
+        }
+
+        // Неверный секрет и недопустимые параметры в заголовке отклоняются
+        const packed = new Uint8Array(new BinaryPack(SECRET, AvailableMethodsName.AES_GCM, {kdf: {name: AvailableKdfsName.PBKDF2, iterations: 1000}}).pack(testData));
+        const expensive = packed.slice();
+        new DataView(expensive.buffer).setUint32(8, 0xFFFFFFFF); // количество итераций
+
+        const rejected = [];
+        for (const [packer, buffer] of [
+            [new BinaryPack('other secret', AvailableMethodsName.AES_GCM), packed],
+            [new BinaryPack(SECRET, AvailableMethodsName.AES_GCM), expensive],
+        ]) {
+            try {
+                packer.unpack(buffer);
+            } catch (error) {
+                rejected.push(error instanceof BinaryPackError);
+            }
+        }
+
+        // Стоимость из заголовка не превышает параметры экземпляра, для других функций - параметры по умолчанию
+        const costly = packed.slice();
+        new DataView(costly.buffer).setUint32(8, 9000000); // меньше предела 10 000 000, но больше 600 000
+        const costlyScrypt = new Uint8Array(new BinaryPack(SECRET, AvailableMethodsName.CHACHA20_POLY1305, {kdf: {name: AvailableKdfsName.SCRYPT, N: 1024}}).pack(testData));
+        new DataView(costlyScrypt.buffer).setUint32(8, 1 << 17); // 128 МиБ памяти
+        const limited = new BinaryPack(SECRET, AvailableMethodsName.AES_GCM, {kdf: {name: AvailableKdfsName.PBKDF2, iterations: 1000}});
+        const cheaper = packed.slice();
+        new DataView(cheaper.buffer).setUint32(8, 1001);
+
+        const costMessages = [];
+        for (const [packer, buffer] of [
+            [new BinaryPack(SECRET, AvailableMethodsName.AES_GCM), costly],
+            [reader, costlyScrypt],
+            [limited, cheaper],
+        ]) {
+            try {
+                packer.unpack(buffer);
+            } catch (error) {
+                costMessages.push((error.cause ?? error).message);
+            }
+        }
+
+        const costLimited = costMessages.length === 3
+            && costMessages.every((message) => message.startsWith('Параметры функции формирования ключа'))
+            && isDeepStrictEqual(limited.unpack(packed), testData);
+
+        const invalidOptions = [];
+        for (const options of [
+            [SECRET, AvailableMethodsName.XOR, {kdf: 'argon2'}],
+            [SECRET, AvailableMethodsName.XOR, {kdf: {name: AvailableKdfsName.SCRYPT, N: 1000}}],
+            [SECRET, AvailableMethodsName.XOR, {kdf: AvailableKdfsName.PBKDF2, writeVersion: 1}],
+            [{kdf: AvailableKdfsName.PBKDF2}],
+        ]) {
+            try {
+                new BinaryPack(...options);
+            } catch (error) {
+                invalidOptions.push(error.message);
+            }
+        }
+
+        if (
+            vectors && compatible
+            && roundTrips.every(Boolean) && salts.size === 4
+            && derivations === 1
+            && rejected.length === 2 && rejected.every(Boolean) && costLimited
+            && invalidOptions.length === 4
+        ) {
+            console.log('✓ Password-based key derivation works');
+        } else {
+            console.log('✗ Password-based key derivation failed');
+            ERROR.push({
+                method: 'kdf',
+                message: 'RFC 7914 vectors, round trip, salt, cache, parameter validation or cost limit failed',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Password-based key derivation failed: ${error.message}`);
+        ERROR.push({
+            method: 'kdf',
+            message: error.message,
+        })
+    }
+
+    // Test 22: Integrity checksums
+    console.log('\nTest 22: Integrity checksums');
+    try {
+        const corrupt = (buffer, index) => {
+            const bytes = new Uint8Array(buffer).slice();
+            bytes[index] ^= 0x01;
+            return bytes;
+        };
+        const unpackError = async (packer, buffer) => {
+            try {
+                packer.unpack(buffer);
+            } catch (syncError) {
+                try {
+                    await packer.unpackAsync(buffer);
+                } catch (asyncError) {
+                    return syncError.constructor === asyncError.constructor ? syncError : null;
+                }
+            }
+
+            return null;
+        };
+
+        // Без шифрования: CRC32, повреждение любого байта тела обнаруживается до разбора
+        const plainPacker = new BinaryPack();
+        const plain = new Uint8Array(plainPacker.pack(testData));
+        const corrupted = [];
+        for (const index of [8, plain.length - 10, plain.length - 1]) {
+            corrupted.push(await unpackError(plainPacker, corrupt(plain, index)));
+        }
+
+        // С шифрованием без аутентификации: HMAC-SHA256 по заголовку и шифротексту
+        const tampered = [];
+        const wrongKey = [];
+        const roundTrips = [];
+        for (const method of [AvailableMethodsName.XOR, AvailableMethodsName.AES, AvailableMethodsName.CAESAR]) {
+            for (const options of [{}, {kdf: {name: AvailableKdfsName.PBKDF2, iterations: 1000}}]) {
+                const packer = new BinaryPack(SECRET, method, options);
+                const packed = new Uint8Array(packer.pack(testData));
+
+                roundTrips.push(isDeepStrictEqual(packer.unpack(packed), testData));
+                roundTrips.push(isDeepStrictEqual(await packer.unpackAsync(packed), testData));
+                tampered.push(await unpackError(packer, corrupt(packed, packed.length - 33)));
+                tampered.push(await unpackError(packer, corrupt(packed, packed.length - 40)));
+                wrongKey.push(await unpackError(new BinaryPack(SECRET + '!', method, options), packed));
+            }
+        }
+
+        // Методы с аутентификацией не получают дополнительного кода
+        const gcm = new BinaryPack(SECRET, AvailableMethodsName.AES_GCM);
+        const gcmInfo = BinaryPack.inspect(gcm.pack(testData));
+
+        // Код целостности можно отключить
+        const lean = new BinaryPack(SECRET, AvailableMethodsName.XOR, {integrity: false});
+        const leanPacked = new Uint8Array(lean.pack(testData));
+        const fullPacked = new Uint8Array(new BinaryPack(SECRET, AvailableMethodsName.XOR).pack(testData));
+
+        const inspected = [
+            BinaryPack.inspect(plain).integrity,
+            BinaryPack.inspect(fullPacked).integrity,
+            BinaryPack.inspect(leanPacked).integrity,
+            gcmInfo.integrity,
+        ];
+
+        if (
+            corrupted.every((error) => error instanceof CorruptedDataError && error instanceof BinaryPackError)
+            && tampered.every((error) => error instanceof AuthenticationError && error instanceof BinaryPackError)
+            && wrongKey.every((error) => error instanceof AuthenticationError)
+            && roundTrips.every(Boolean)
+            && fullPacked.length - leanPacked.length === 32
+            && isDeepStrictEqual(lean.unpack(leanPacked), testData)
+            && isDeepStrictEqual(inspected, ['crc32', 'hmac-sha256', null, null])
+        ) {
+            console.log('✓ Integrity checksums work');
+            console.log(`  Corrupted: ${corrupted[0].message}`);
+            console.log(`  Tampered: ${tampered[0].message}`);
+        } else {
+            console.log('✗ Integrity checksums failed');
+            ERROR.push({
+                method: 'integrity',
+                message: 'Corruption or tamper detection, round trip or inspect failed',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Integrity checksums failed: ${error.message}`);
+        ERROR.push({
+            method: 'integrity',
+            message: error.message,
+        })
+    }
+
+    // Test 23: Keyring and key rotation
+    console.log('\nTest 23: Keyring and key rotation');
+    try {
+        const oldKey = {keyId: 1, secret: 'old-secret', method: AvailableMethodsName.XOR};
+        const newKey = {keyId: 2, secret: 'new-secret', method: AvailableMethodsName.AES_GCM};
+
+        // Данные, упакованные до смены ключа
+        const keyring = new Keyring([oldKey]);
+        const packer = new BinaryPack({keyring});
+        const oldPacked = packer.pack(testData);
+        const legacyPacked = new BinaryPack(oldKey.secret, oldKey.method).pack(testData);
+
+        const oldParts = [];
+        for await (const part of packer.packChunks([testData, testData], {chunkSize: 64})) {
+            oldParts.push(part);
+        }
+
+        // Смена ключа: новые пакеты шифруются новым ключом, старые по-прежнему распаковываются
+        keyring.rotate(newKey);
+        const newPacked = packer.pack(testData);
+        const rewrapped = packer.rewrap(oldPacked);
+        const rewrappedAsync = await packer.rewrapAsync(oldPacked);
+
+        const chunkValues = [];
+        for await (const value of packer.unpackChunks(oldParts)) {
+            chunkValues.push(value);
+        }
+
+        const keyIds = [oldPacked, newPacked, rewrapped, rewrappedAsync, legacyPacked]
+            .map((buffer) => BinaryPack.inspect(buffer).keyId);
+
+        const roundTrips = [
+            packer.unpack(oldPacked),
+            packer.unpack(newPacked),
+            packer.unpack(rewrapped),
+            await packer.unpackAsync(rewrappedAsync),
+            ...chunkValues,
+        ];
+
+        // Данные без идентификатора ключа распаковываются только ключом по умолчанию
+        const rejected = [];
+        try {
+            packer.unpack(legacyPacked);
+        } catch (error) {
+            rejected.push(error.message);
+        }
+
+        keyring.setFallback(oldKey.keyId);
+        const legacy = packer.unpack(legacyPacked);
+
+        // После удаления старого ключа его данные не распаковываются, перешифрованные - распаковываются
+        keyring.remove(oldKey.keyId);
+        try {
+            packer.unpack(oldPacked);
+        } catch (error) {
+            rejected.push(error.message);
+        }
+
+        try {
+            new BinaryPack(newKey.secret, newKey.method).unpack(newPacked);
+        } catch (error) {
+            rejected.push(error.message);
+        }
+
+        const invalidOptions = [];
+        for (const create of [
+            () => new Keyring([oldKey, oldKey]),
+            () => new Keyring([{keyId: -1, secret: 'secret', method: AvailableMethodsName.XOR}]),
+            () => new Keyring([{keyId: 3, secret: 'secret', method: 'md5'}]),
+            () => new BinaryPack({keyring: [newKey], secret: SECRET, method: AvailableMethodsName.XOR}),
+            () => new BinaryPack({keyring: [newKey], writeVersion: 1}),
+            () => new BinaryPack({keyring: new Keyring()}),
+            () => keyring.remove(newKey.keyId),
+        ]) {
+            try {
+                create();
+            } catch (error) {
+                invalidOptions.push(error.message);
+            }
+        }
+
+        if (
+            isDeepStrictEqual(keyIds, [1, 2, 2, 2, null])
+            && roundTrips.every((value) => isDeepStrictEqual(value, testData)) && roundTrips.length === 6
+            && isDeepStrictEqual(legacy, testData)
+            && rejected.length === 3
+            && isDeepStrictEqual(packer.unpack(rewrapped), testData)
+            && BinaryPack.inspect(rewrapped).method === AvailableMethodsName.AES_GCM
+            && invalidOptions.length === 7
+        ) {
+            console.log('✓ Keyring and key rotation work');
+            console.log(`  Removed key: ${rejected[1]}`);
+        } else {
+            console.log('✗ Keyring and key rotation failed');
+            ERROR.push({
+                method: 'keyring',
+                message: 'Key selection, rotation, rewrap or validation failed',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Keyring and key rotation failed: ${error.message}`);
+        ERROR.push({
+            method: 'keyring',
+            message: error.message,
+        })
+    }
+
+    // Test 24: Public-key sealed envelopes
+    console.log('\nTest 24: Public-key sealed envelopes');
+    try {
+        const hex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+        const unhex = (string) => Uint8Array.from(string.match(/../g), (byte) => parseInt(byte, 16));
+
+        // Тестовый вектор RFC 7748 (раздел 6.1)
+        const alice = unhex('77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a');
+        const bob = unhex('5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb');
+        const vectors = hex(X25519.publicKey(alice)) === '8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a'
+            && hex(X25519.sharedSecret(alice, X25519.publicKey(bob))) === '4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742'
+            && hex(BinaryPack.publicKeyFrom(bob)) === hex(X25519.publicKey(bob));
+
+        const server = BinaryPack.generateKeyPair();
+        const backup = BinaryPack.generateKeyPair();
+        const stranger = BinaryPack.generateKeyPair();
+
+        // Отправителю достаточно открытого ключа, секрет не нужен
+        const sender = new BinaryPack({compression: AvailableCompressionsName.LZ});
+        const receiver = new BinaryPack({compression: AvailableCompressionsName.LZ});
+        const sealed = sender.seal(testData, server.publicKey);
+        const fanOut = await sender.sealAsync(testData, [server.publicKey, backup.publicKey]);
+
+        // Реализация на чистом JavaScript совместима с node:crypto
+        const pureReceiver = new BinaryPack({compression: AvailableCompressionsName.LZ});
+        pureReceiver.envelope.nodeCrypto = null;
+
+        const roundTrips = [
+            receiver.open(sealed, server.privateKey),
+            await receiver.openAsync(sealed, server.privateKey),
+            receiver.open(fanOut, server.privateKey),
+            receiver.open(fanOut, backup.privateKey),
+            pureReceiver.open(fanOut, backup.privateKey),
+        ];
+
+        // Чужой ключ, измененный конверт и обычная распаковка отклоняются
+        const corrupt = (buffer, index) => {
+            const bytes = new Uint8Array(buffer).slice();
+            bytes[index] ^= 0x01;
+            return bytes;
+        };
+
+        const rejected = [];
+        for (const [buffer, privateKey] of [
+            [sealed, stranger.privateKey],
+            [corrupt(sealed, 20), server.privateKey],
+            [corrupt(sealed, sealed.byteLength - 1), server.privateKey],
+        ]) {
+            try {
+                receiver.open(buffer, privateKey);
+            } catch (error) {
+                rejected.push(error instanceof AuthenticationError);
+            }
+        }
+
+        const misuse = [];
+        for (const attempt of [
+            () => receiver.unpack(sealed),
+            () => receiver.open(receiver.pack(testData), server.privateKey),
+            () => sender.seal(testData, []),
+            () => sender.seal(testData, new Uint8Array(16)),
+            () => sender.seal(testData, new Uint8Array(32)),
+            () => new BinaryPack({writeVersion: 1}).seal(testData, server.publicKey),
+        ]) {
+            try {
+                attempt();
+            } catch (error) {
+                misuse.push(error.message);
+            }
+        }
+
+        const info = BinaryPack.inspect(fanOut);
+
+        if (
+            vectors
+            && roundTrips.every((value) => isDeepStrictEqual(value, testData))
+            && rejected.length === 3 && rejected.every(Boolean)
+            && misuse.length === 6
+            && info.valid && info.recipients === 2 && info.method === AvailableMethodsName.CHACHA20_POLY1305
+        ) {
+            console.log('✓ Public-key sealed envelopes work');
+            console.log(`  Envelope overhead: ${sealed.byteLength - new BinaryPack({compression: AvailableCompressionsName.LZ, integrity: false}).pack(testData).byteLength} bytes`);
+        } else {
+            console.log('✗ Public-key sealed envelopes failed');
+            ERROR.push({
+                method: 'envelope',
+                message: 'RFC 7748 vectors, round trip, recipient selection or tamper detection failed',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Public-key sealed envelopes failed: ${error.message}`);
+        ERROR.push({
+            method: 'envelope',
+            message: error.message,
+        })
+    }
+
+    // Test 25: Ed25519 signatures
+    console.log('\nTest 25: Ed25519 signatures');
+    try {
+        const hex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+        const unhex = (string) => Uint8Array.from(string.match(/../g), (byte) => parseInt(byte, 16));
+
+        // Тестовые векторы FIPS 180-4 ('abc') и RFC 8032 (раздел 7.1, тест 2)
+        const seed = unhex('4ccd089b28ff96da9db6c346ec114e0f5b8a319f35aba624da8cf6ed4fb8a6fb');
+        const vectors = hex(Sha512.digest(new TextEncoder().encode('abc'))).startsWith('ddaf35a193617aba')
+            && hex(Ed25519.publicKey(seed)) === '3d4017c3e843895a92b70aa74d1b7ebc9c982ccf2ec4968cc0cd55f12af4660c'
+            && hex(Ed25519.sign(seed, new Uint8Array([0x72]))) === '92a009a9f0d4cab8720e820b5f642540a2b27b5416503f8fb3762223ebdb69da'
+                + '085ac1e43e15996e458f3613d0f11d8c387b2eaeb4302aeeb00d291612bb0c00'
+            && hex(BinaryPack.signingPublicKeyFrom(seed)) === hex(Ed25519.publicKey(seed));
+
+        const publisher = BinaryPack.generateSigningKeyPair();
+        const stranger = BinaryPack.generateSigningKeyPair();
+        const {publicKey} = publisher;
+
+        // Подпись работает без шифрования и с любым методом шифрования
+        const packers = [
+            new BinaryPack(),
+            new BinaryPack({compression: AvailableCompressionsName.LZ}),
+            ...[AvailableMethodsName.XOR, AvailableMethodsName.AES_GCM, AvailableMethodsName.CHACHA20_POLY1305]
+                .map((method) => new BinaryPack('config-secret', method)),
+            new BinaryPack({keyring: [{keyId: 7, secret: 'config-secret', method: AvailableMethodsName.AES}]}),
+        ];
+
+        const roundTrips = [];
+        for (const packer of packers) {
+            const signed = packer.sign(packer.pack(testData), publisher.privateKey);
+
+            roundTrips.push(
+                packer.verify(signed, publicKey),
+                isDeepStrictEqual(packer.unpack(signed, {publicKey}), testData),
+                isDeepStrictEqual(await packer.unpackAsync(signed, {publicKey}), testData),
+                // Без открытого ключа подпись не проверяется
+                isDeepStrictEqual(packer.unpack(signed), testData),
+            );
+        }
+
+        // Реализация на чистом JavaScript совместима с node:crypto
+        const signer = new BinaryPack();
+        const pureVerifier = new BinaryPack({publicKey});
+        pureVerifier.signature.nodeCrypto = null;
+        const bundle = signer.sign(signer.pack(testData), publisher.privateKey);
+        const pureBundle = pureVerifier.sign(signer.pack(testData), publisher.privateKey);
+
+        roundTrips.push(
+            isDeepStrictEqual(pureVerifier.unpack(bundle), testData),
+            isDeepStrictEqual(signer.unpack(pureBundle, {publicKey}), testData),
+            hex(new Uint8Array(bundle)) === hex(new Uint8Array(pureBundle)),
+        );
+
+        // Подписанный конверт: подпись проверяется до открытия
+        const recipient = BinaryPack.generateKeyPair();
+        const signedEnvelope = signer.sign(signer.seal(testData, recipient.publicKey), publisher.privateKey);
+        roundTrips.push(isDeepStrictEqual(signer.open(signedEnvelope, recipient.privateKey, {publicKey}), testData));
+
+        // Измененный заголовок, данные или подпись, чужой ключ и неподписанный пакет отклоняются
+        const corrupt = (buffer, index) => {
+            const bytes = new Uint8Array(buffer).slice();
+            bytes[index] ^= 0x01;
+            return bytes;
+        };
+
+        const rejected = [];
+        for (const [buffer, key] of [
+            [corrupt(bundle, 1), publicKey],
+            [corrupt(bundle, 10), publicKey],
+            [corrupt(bundle, bundle.byteLength - 1), publicKey],
+            [bundle, stranger.publicKey],
+            [signer.pack(testData), publicKey],
+        ]) {
+            try {
+                signer.unpack(buffer, {publicKey: key});
+            } catch (error) {
+                rejected.push(error instanceof SignatureError && !signer.verify(buffer, key));
+            }
+        }
+
+        const misuse = [];
+        for (const attempt of [
+            () => pureVerifier.unpack(signer.pack(testData)),
+            () => signer.sign(bundle, publisher.privateKey),
+            () => signer.sign(new BinaryPack(null, null, {writeVersion: 1}).pack(testData), publisher.privateKey),
+            () => signer.sign(signer.pack(testData), new Uint8Array(16)),
+            () => signer.verify(bundle, null),
+        ]) {
+            try {
+                attempt();
+            } catch (error) {
+                misuse.push(error.message);
+            }
+        }
+
+        const info = BinaryPack.inspect(bundle);
+
+        if (
+            vectors
+            && roundTrips.every(Boolean)
+            && rejected.length === 5 && rejected.every(Boolean)
+            && misuse.length === 5
+            && info.valid && info.signature === 'ed25519' && info.totalLength === bundle.byteLength
+        ) {
+            console.log('✓ Ed25519 signatures work');
+            console.log(`  Signature overhead: ${bundle.byteLength - signer.pack(testData).byteLength} bytes`);
+        } else {
+            console.log('✗ Ed25519 signatures failed');
+            ERROR.push({
+                method: 'signature',
+                message: 'RFC 8032 vectors, signed round trip or tamper detection failed',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Ed25519 signatures failed: ${error.message}`);
+        ERROR.push({
+            method: 'signature',
+            message: error.message,
+        })
+    }
+
+    // Test 26: Custom encryption methods
+    console.log('\nTest 26: Custom encryption methods');
+    try {
+        // Шифр на месте: сложение с байтами секрета
+        class AdditiveCipher extends MethodInterface {
+            static name = 'additive';
+
+            constructor(secret) {
+                super(AdditiveCipher.name);
+                this.secret = secret;
+            }
+
+            encrypt(dataPart) {
+                const secretBytes = this.getSecretBytes();
+                dataPart.forEach((byte, index) => {
+                    dataPart[index] = (byte + secretBytes[index % secretBytes.length]) & 0xFF;
+                });
+            }
+
+            decrypt(dataPart) {
+                const secretBytes = this.getSecretBytes();
+                dataPart.forEach((byte, index) => {
+                    dataPart[index] = (byte - secretBytes[index % secretBytes.length]) & 0xFF;
+                });
+            }
+        }
+
+        BinaryPack.registerMethod({code: 200, name: AdditiveCipher.name, instance: AdditiveCipher});
+
+        const packer = new BinaryPack('in-house-secret', 'additive');
+        const packed = packer.pack(testData);
+        const keyringPacker = new BinaryPack({keyring: [{keyId: 1, secret: 'in-house-secret', method: 'additive'}]});
+
+        // EncryptionMethod находит метод по имени и коду
+        const encryptor = new EncryptionMethod('in-house-secret', 0);
+        const plain = new Uint8Array([1, 2, 3, 250]);
+        const encrypted = encryptor.encrypt(plain.slice(), 'additive', 0);
+        const decrypted = encryptor.decrypt(encrypted.slice(), 200, 0);
+
+        const roundTrips = [
+            isDeepStrictEqual(packer.unpack(packed), testData),
+            isDeepStrictEqual(await packer.unpackAsync(await packer.packAsync(testData)), testData),
+            isDeepStrictEqual(keyringPacker.unpack(keyringPacker.pack(testData)), testData),
+            !isDeepStrictEqual(encrypted, plain) && isDeepStrictEqual(decrypted, plain),
+        ];
+
+        // Измененные данные обнаруживает код HMAC-SHA256, неверный секрет - тоже
+        const tampered = new Uint8Array(packed).slice();
+        tampered[tampered.length - 40] ^= 0x01;
+
+        const rejected = [];
+        for (const [reader, buffer] of [
+            [packer, tampered],
+            [new BinaryPack('other-secret', 'additive'), packed],
+        ]) {
+            try {
+                reader.unpack(buffer);
+            } catch (error) {
+                rejected.push(error instanceof AuthenticationError);
+            }
+        }
+
+        const misuse = [];
+        for (const method of [
+            {code: 200, name: 'additive-copy', instance: AdditiveCipher},
+            {code: 201, name: 'xor', instance: AdditiveCipher},
+            {code: 0, name: 'zero', instance: AdditiveCipher},
+            {code: 256, name: 'wide', instance: AdditiveCipher},
+            {code: 202, name: 'plain-class', instance: class {}},
+            {code: 203, name: 'abstract', instance: class extends MethodInterface {}},
+            null,
+        ]) {
+            try {
+                BinaryPack.registerMethod(method);
+            } catch (error) {
+                misuse.push(error.message);
+            }
+        }
+
+        const info = BinaryPack.inspect(packed);
+
+        if (
+            roundTrips.every(Boolean)
+            && rejected.length === 2 && rejected.every(Boolean)
+            && misuse.length === 7
+            && info.valid && info.method === 'additive' && info.methodCode === 200 && info.integrity === 'hmac-sha256'
+        ) {
+            console.log('✓ Custom encryption methods work');
+            console.log(`  Duplicate code: ${misuse[0]}`);
+        } else {
+            console.log('✗ Custom encryption methods failed');
+            ERROR.push({
+                method: 'registerMethod',
+                message: 'Custom method round trip, lookup or registration validation failed',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Custom encryption methods failed: ${error.message}`);
+        ERROR.push({
+            method: 'registerMethod',
+            message: error.message,
+        })
+    }
+
+    // Test 27: Expiring tokens with claims
+    console.log('\nTest 27: Expiring tokens with claims');
+    try {
+        const issuer = new BinaryPack('token-secret', AvailableMethodsName.CHACHA20_POLY1305);
+        const issuedAt = Date.UTC(2026, 0, 1);
+        const at = (seconds) => issuedAt + seconds * 1000;
+
+        const token = issuer.packToken(testData, {expiresIn: 3600, notBefore: 60, audience: ['api', 'admin'], jti: true, now: issuedAt});
+        const session = issuer.packToken({userId: 42}, {expiresIn: 60, now: issuedAt});
+
+        // Асинхронное хранилище использованных идентификаторов с атомарной записью
+        const asyncStore = {
+            ids: new Map(),
+            has: async (jti) => asyncStore.ids.has(jti),
+            add: async (jti, exp) => !asyncStore.ids.has(jti) && Boolean(asyncStore.ids.set(jti, exp)),
+        };
+
+        const seen = new Set();
+        const roundTrips = [
+            isDeepStrictEqual(issuer.unpackToken(token, {audience: 'api', now: at(60)}), testData),
+            isDeepStrictEqual(issuer.unpackToken(token, {audience: ['web', 'admin'], now: at(30), clockSkew: 30}), testData),
+            isDeepStrictEqual(issuer.unpackToken(session, {now: at(59)}), {userId: 42}),
+            isDeepStrictEqual(issuer.unpackToken(session, {now: at(70), clockSkew: 15}), {userId: 42}),
+            isDeepStrictEqual(issuer.unpackToken(token, {audience: 'api', now: at(120), seenStore: seen}), testData),
+            isDeepStrictEqual(await issuer.unpackTokenAsync(token, {audience: 'api', now: at(120), seenStore: asyncStore}), testData),
+            typeof token === 'string' && BinaryPack.inspect(BinaryPack.base64ToBuffer(token)).valid,
+        ];
+
+        // Каждая причина отказа - отдельный класс ошибки
+        const rejections = [];
+        for (const [attempt, ErrorClass] of [
+            [() => issuer.unpackToken(session, {now: at(60)}), TokenExpiredError],
+            [() => issuer.unpackToken(session, {now: at(76), clockSkew: 15}), TokenExpiredError],
+            [() => issuer.unpackToken(token, {audience: 'api', now: at(59)}), TokenNotYetValidError],
+            [() => issuer.unpackToken(token, {audience: 'web', now: at(120)}), AudienceMismatchError],
+            [() => issuer.unpackToken(token, {now: at(120)}), AudienceMismatchError],
+            [() => issuer.unpackToken(session, {audience: 'api', now: at(10)}), AudienceMismatchError],
+            [() => issuer.unpackToken(token, {audience: 'api', now: at(120), seenStore: seen}), TokenReplayError],
+            [() => issuer.unpackTokenAsync(token, {audience: 'api', now: at(120), seenStore: asyncStore}), TokenReplayError],
+        ]) {
+            try {
+                await attempt();
+                rejections.push(false);
+            } catch (error) {
+                rejections.push(error instanceof ErrorClass && error instanceof TokenError);
+            }
+        }
+
+        // Истекший токен не запоминается в хранилище, поддельный токен и обычный пакет не принимаются
+        const forged = BinaryPack.base64ToBuffer(session);
+        new Uint8Array(forged)[20] ^= 0x01;
+
+        const misuse = [];
+        for (const attempt of [
+            () => issuer.unpackToken(BinaryPack.bufferToBase64(forged), {now: at(10)}),
+            () => new BinaryPack('other-secret', AvailableMethodsName.CHACHA20_POLY1305).unpackToken(session, {now: at(10)}),
+            () => issuer.unpackToken(BinaryPack.bufferToBase64(issuer.pack(testData))),
+            () => issuer.unpackToken(session, {now: at(10), seenStore: seen}),
+            () => issuer.unpackToken(session, {now: at(10), seenStore: asyncStore}),
+            () => issuer.unpackToken('not a token'),
+            () => issuer.packToken(testData, {expiresIn: -1}),
+            () => issuer.packToken(testData, {audience: []}),
+        ]) {
+            try {
+                attempt();
+            } catch (error) {
+                misuse.push(error instanceof BinaryPackError && !(error instanceof TokenError));
+            }
+        }
+
+        if (
+            roundTrips.every(Boolean)
+            && rejections.every(Boolean)
+            && misuse.length === 8 && misuse.every(Boolean)
+            && seen.size === 1 && asyncStore.ids.size === 1
+        ) {
+            console.log('✓ Expiring tokens with claims work');
+            console.log(`  Token length: ${token.length} characters`);
+        } else {
+            console.log('✗ Expiring tokens with claims failed');
+            ERROR.push({
+                method: 'token',
+                message: 'Token claims round trip, exp/nbf/aud checks or replay rejection failed',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Expiring tokens with claims failed: ${error.message}`);
+        ERROR.push({
+            method: 'token',
+            message: error.message,
+        })
+    }
+
+    // Test 28: Per-message nonce
+    console.log('\nTest 28: Per-message nonce');
+
+    try {
+        const hex = (bytes) => Array.from(new Uint8Array(bytes), (byte) => byte.toString(16).padStart(2, '0')).join('');
+        const fromHex = (string) => new Uint8Array(string.match(/../g).map((byte) => parseInt(byte, 16)));
+
+        // RFC 5869, тест 1
+        const hkdfVector = hex(Hkdf.derive(
+            new Uint8Array(22).fill(0x0b), fromHex('000102030405060708090a0b0c'), fromHex('f0f1f2f3f4f5f6f7f8f9'), 42,
+        )) === '3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865';
+
+        // Одинаковые данные дают разные пакеты, nonce записывается в заголовок и читается при распаковке
+        const methods = [AvailableMethodsName.XOR, AvailableMethodsName.CAESAR, AvailableMethodsName.AES];
+        const randomized = [];
+        for (const method of methods) {
+            const packer = new BinaryPack(SECRET, method);
+            const first = packer.pack(testData);
+            const second = packer.pack(testData);
+            const asyncPacked = await packer.packAsync(testData);
+
+            randomized.push(
+                hex(first) !== hex(second)
+                && BinaryPack.inspect(first).kdf === AvailableKdfsName.HKDF
+                && isDeepStrictEqual(packer.unpack(first), testData)
+                && isDeepStrictEqual(packer.unpack(second), testData)
+                && isDeepStrictEqual(await packer.unpackAsync(asyncPacked), testData)
+            );
+        }
+
+        // Детерминированный режим сохраняет прежнее поведение, его пакеты распаковываются любым экземпляром
+        const deterministic = new BinaryPack(SECRET, AvailableMethodsName.XOR, {deterministic: true});
+        const fixed = deterministic.pack(testData);
+        const stable = hex(fixed) === hex(deterministic.pack(testData))
+            && BinaryPack.inspect(fixed).kdf === null
+            && isDeepStrictEqual(new BinaryPack(SECRET, AvailableMethodsName.XOR).unpack(fixed), testData)
+            && isDeepStrictEqual(deterministic.unpack(new BinaryPack(SECRET, AvailableMethodsName.XOR).pack(testData)), testData);
+
+        // Методы с собственным nonce, формат версии 1 и ключи связки
+        const keyring = new BinaryPack({keyring: [{keyId: 1, secret: SECRET, method: AvailableMethodsName.CAESAR}]});
+        const keyringPacked = keyring.pack(testData);
+        const others = BinaryPack.inspect(new BinaryPack(SECRET, AvailableMethodsName.AES_GCM).pack(testData)).kdf === null
+            && hex(new BinaryPack(SECRET, AvailableMethodsName.XOR, {writeVersion: 1}).pack(testData))
+                === hex(new BinaryPack(SECRET, AvailableMethodsName.XOR, {writeVersion: 1}).pack(testData))
+            && BinaryPack.inspect(keyringPacked).kdf === AvailableKdfsName.HKDF
+            && isDeepStrictEqual(keyring.unpack(keyringPacked), testData);
+
+        let conflict = false;
+        try {
+            new BinaryPack(SECRET, AvailableMethodsName.XOR, {deterministic: true, kdf: AvailableKdfsName.PBKDF2});
+        } catch (error) {
+            conflict = error.message.includes('Детерминированное');
+        }
+
+        if (hkdfVector && randomized.every(Boolean) && stable && others && conflict) {
+            console.log('✓ Per-message nonce works');
+            console.log(`  Nonce overhead: ${new BinaryPack(SECRET, AvailableMethodsName.XOR).pack(testData).byteLength - fixed.byteLength} bytes`);
+        } else {
+            console.log('✗ Per-message nonce failed');
+            ERROR.push({
+                method: 'nonce',
+                message: 'Identical plaintexts produced identical packets or the deterministic mode changed',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Per-message nonce failed: ${error.message}`);
+        ERROR.push({
+            method: 'nonce',
+            message: error.message,
+        })
+    }
+
+    // Test 29: Length-hiding padding and encrypted metadata
+    console.log('\nTest 29: Length-hiding padding and encrypted metadata');
+
+    try {
+        const short = {type: 'typing'};
+        const long = {type: 'message', text: 'Встретимся завтра в десять у входа'};
+
+        // Сообщения разных типов попадают в одну корзину и не различаются по длине
+        const buckets = new BinaryPack(SECRET, AvailableMethodsName.CHACHA20_POLY1305, {
+            padding: {name: AvailablePaddingsName.BUCKETS, sizes: [128, 512]},
+        });
+        const powerOfTwo = new BinaryPack(SECRET, AvailableMethodsName.XOR, {
+            padding: {name: AvailablePaddingsName.POWER_OF_TWO, min: 128},
+        });
+        const random = new BinaryPack(null, null, {padding: {name: AvailablePaddingsName.RANDOM, min: 1, max: 64}});
+
+        const randomLengths = new Set(Array.from({length: 16}, () => random.pack(long).byteLength));
+        const padded = buckets.pack(short).byteLength === buckets.pack(long).byteLength
+            && powerOfTwo.pack(short).byteLength === powerOfTwo.pack(long).byteLength
+            && randomLengths.size > 1
+            && BinaryPack.inspect(buckets.pack(short)).padded
+            && isDeepStrictEqual(buckets.unpack(buckets.pack(long)), long)
+            && isDeepStrictEqual(await powerOfTwo.unpackAsync(await powerOfTwo.packAsync(long)), long)
+            && isDeepStrictEqual(new BinaryPack().unpack(random.pack(long)), long);
+
+        // Скрытые метаданные: видны только версия, метка и длина пакета
+        const hidden = new BinaryPack(SECRET, AvailableMethodsName.XOR, {
+            padding: {name: AvailablePaddingsName.BUCKETS, sizes: [256]},
+            encryptMetadata: true,
+        });
+        const hiddenPacked = hidden.pack(long);
+        const info = BinaryPack.inspect(hiddenPacked);
+        const {privateKey, publicKey} = BinaryPack.generateSigningKeyPair();
+        const target = new Uint8Array(1024);
+        const written = hidden.packInto(short, target, 10);
+
+        const keyring = new BinaryPack({
+            keyring: [{keyId: 1, secret: 'first', method: AvailableMethodsName.CAESAR}, {keyId: 2, secret: 'second', method: AvailableMethodsName.AES_GCM}],
+            encryptMetadata: true,
+        });
+
+        const hiddenWorks = info.valid && info.encryptedMetadata && info.method === null && info.flags === 0 && info.kdf === null
+            && hiddenPacked.byteLength === hidden.pack(short).byteLength
+            && isDeepStrictEqual(hidden.unpack(hiddenPacked), long)
+            && isDeepStrictEqual(new BinaryPack(SECRET, AvailableMethodsName.XOR).unpack(hiddenPacked), long)
+            && isDeepStrictEqual(await hidden.unpackAsync(await hidden.packAsync(short)), short)
+            && isDeepStrictEqual(hidden.unpack(target.subarray(10, 10 + written)), short)
+            && isDeepStrictEqual(hidden.unpack(hidden.sign(hiddenPacked, privateKey), {publicKey}), long)
+            && isDeepStrictEqual(hidden.unpack(hidden.rewrap(hiddenPacked)), long)
+            && isDeepStrictEqual(new BinaryPack({keyring: [{keyId: 2, secret: 'second', method: AvailableMethodsName.AES_GCM}]}).unpack(keyring.pack(long)), long);
+
+        const rejected = [];
+        for (const attempt of [
+            () => new BinaryPack().unpack(hiddenPacked),
+            () => new BinaryPack('other-secret', AvailableMethodsName.XOR).unpack(hiddenPacked),
+        ]) {
+            try {
+                attempt();
+                rejected.push(false);
+            } catch (error) {
+                rejected.push(error instanceof BinaryPackError);
+            }
+        }
+
+        const tampered = new Uint8Array(hiddenPacked.slice(0));
+        tampered[20] ^= 0x01;
+        try {
+            hidden.unpack(tampered);
+            rejected.push(false);
+        } catch (error) {
+            rejected.push(error instanceof AuthenticationError);
+        }
+
+        const invalidOptions = [];
+        for (const create of [
+            () => new BinaryPack({padding: 'exact'}),
+            () => new BinaryPack({padding: {name: AvailablePaddingsName.BUCKETS, sizes: [512, 128]}}),
+            () => new BinaryPack({padding: {name: AvailablePaddingsName.RANDOM, min: 10, max: 5}}),
+            () => new BinaryPack({padding: AvailablePaddingsName.POWER_OF_TWO, writeVersion: 1}),
+            () => new BinaryPack({encryptMetadata: true}),
+        ]) {
+            try {
+                create();
+            } catch (error) {
+                invalidOptions.push(error.message);
+            }
+        }
+
+        if (padded && hiddenWorks && rejected.every(Boolean) && invalidOptions.length === 5) {
+            console.log('✓ Length-hiding padding and encrypted metadata work');
+            console.log(`  Hidden packet: ${hiddenPacked.byteLength} bytes for both message types`);
+        } else {
+            console.log('✗ Length-hiding padding and encrypted metadata failed');
+            ERROR.push({
+                method: 'padding',
+                message: 'Packet lengths revealed the message type or hidden metadata round trip failed',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Length-hiding padding and encrypted metadata failed: ${error.message}`);
+        ERROR.push({
+            method: 'padding',
+            message: error.message,
+        })
+    }
+
+    // Test 30: Binary key material and reusable key objects
+    console.log('\nTest 30: Binary key material and reusable key objects');
+
+    try {
+        const key = PackKey.generate();
+        const restored = [
+            PackKey.import(key.export('base64')),
+            PackKey.import(key.export('hex'), 'hex'),
+            PackKey.import(key.export('raw'), 'raw'),
+            PackKey.fromHex(key.export('hex')),
+        ];
+
+        // Ключ WebCrypto экспортируется в двоичный ключ
+        const cryptoKey = await webcrypto.subtle.generateKey({name: 'AES-GCM', length: 256}, true, ['encrypt']);
+        const fromCryptoKey = await PackKey.fromCryptoKey(cryptoKey);
+        const rawCryptoKey = new Uint8Array(await webcrypto.subtle.exportKey('raw', cryptoKey));
+
+        const packed = new BinaryPack(key, AvailableMethodsName.AES_GCM).pack(testData);
+        const binarySecret = key.export('raw');
+        const methods = Object.values(AvailableMethodsName);
+
+        // Двоичный секрет, PackKey и восстановленный ключ распаковывают данные друг друга всеми методами
+        const binaryWorks = restored.every((copy) => isDeepStrictEqual(new BinaryPack(copy, AvailableMethodsName.AES_GCM).unpack(packed), testData))
+            && methods.every((method) => isDeepStrictEqual(new BinaryPack(binarySecret, method).unpack(new BinaryPack(key, method).pack(testData)), testData))
+            && isDeepStrictEqual(await new BinaryPack(fromCryptoKey, AvailableMethodsName.AES_GCM).unpackAsync(await new BinaryPack(rawCryptoKey.buffer, AvailableMethodsName.AES_GCM).packAsync(testData)), testData)
+            && isDeepStrictEqual(new BinaryPack({keyring: new Keyring([{keyId: 1, secret: binarySecret, method: AvailableMethodsName.XOR}], {fallbackKeyId: 1})}).unpack(new BinaryPack(key, AvailableMethodsName.XOR, {kdf: AvailableKdfsName.HKDF}).pack(testData)), testData)
+            && new BinaryPack(new Uint8Array(32), AvailableMethodsName.XOR).pack(testData).byteLength > 0;
+
+        // Экземпляр метода с расписанием ключа создается один раз для всех вызовов
+        const code = new EncryptionMethod(null, 0).getEncryptionMethodCode(AvailableMethodsName.AES_GCM);
+        const reused = new EncryptionMethod(key, 0).getInstance(code) === new EncryptionMethod(key, 0).getInstance(code);
+
+        // destroy() обнуляет байты ключа, после чего ключ нельзя использовать
+        const material = new Uint8Array(binarySecret);
+        const wiped = new PackKey(material);
+        const wipedPacker = new BinaryPack(wiped, AvailableMethodsName.CHACHA20_POLY1305);
+        const wipedPacked = wipedPacker.pack(testData);
+        wiped.destroy();
+
+        const rejected = [];
+        for (const attempt of [
+            () => wipedPacker.pack(testData),
+            () => wipedPacker.unpack(wipedPacked),
+            () => wiped.export(),
+        ]) {
+            try {
+                attempt();
+                rejected.push(false);
+            } catch (error) {
+                rejected.push((error.cause ?? error).message === 'Ключ уничтожен');
+            }
+        }
+
+        const invalid = [];
+        for (const create of [
+            () => PackKey.from(new Uint8Array(8)),
+            () => PackKey.fromHex('not hex'),
+            () => PackKey.import(key.export(), 'utf8'),
+            () => PackKey.from(SECRET).export(),
+            () => PackKey.generate(8),
+            () => new Keyring([{keyId: 1, secret: 42, method: AvailableMethodsName.XOR}]),
+        ]) {
+            try {
+                create();
+            } catch (error) {
+                invalid.push(error.message);
+            }
+        }
+
+        try {
+            const nonExtractable = await webcrypto.subtle.generateKey({name: 'AES-GCM', length: 256}, false, ['encrypt']);
+            await PackKey.fromCryptoKey(nonExtractable);
+        } catch (error) {
+            invalid.push(error.message);
+        }
+
+        if (binaryWorks && reused && wiped.destroyed && material.every((byte) => byte === 0) && rejected.every(Boolean) && invalid.length === 7) {
+            console.log('✓ Binary key material and reusable key objects work');
+            console.log(`  Exported key: ${key.export('hex').length / 2} bytes`);
+        } else {
+            console.log('✗ Binary key material and reusable key objects failed');
+            ERROR.push({
+                method: 'pack-key',
+                message: 'Binary keys did not round-trip, key schedule was not reused or destroyed key stayed usable',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Binary key material and reusable key objects failed: ${error.message}`);
+        ERROR.push({
+            method: 'pack-key',
+            message: error.message,
+        })
+    }
+
+    // Test 31: Method auto-detection and encrypted payloads given to plain packers
+    console.log('\nTest 31: Method auto-detection and encrypted payloads given to plain packers');
+
+    try {
+        const methods = Object.values(AvailableMethodsName);
+        const packets = methods.map((method) => new BinaryPack(SECRET, method).pack(testData));
+
+        // Экземпляр без метода выбирает дешифратор по коду метода из заголовка
+        const anyMethod = new BinaryPack(SECRET, null, {acceptMethods: true});
+        const allowList = new BinaryPack(SECRET, AvailableMethodsName.AES_GCM, {acceptMethods: [AvailableMethodsName.XOR]});
+        const xorPacked = packets[methods.indexOf(AvailableMethodsName.XOR)];
+        const migrated = allowList.rewrap(xorPacked);
+
+        const detected = packets.every((packed) => isDeepStrictEqual(anyMethod.unpack(packed), testData))
+            && isDeepStrictEqual(await anyMethod.unpackAsync(await new BinaryPack(SECRET, AvailableMethodsName.CAESAR).packAsync(testData)), testData)
+            && isDeepStrictEqual(allowList.unpack(xorPacked), testData)
+            && isDeepStrictEqual(allowList.unpack(allowList.pack(testData)), testData)
+            && BinaryPack.inspect(migrated).method === AvailableMethodsName.AES_GCM
+            && isDeepStrictEqual(new BinaryPack({keyring: [{keyId: 1, secret: SECRET, method: AvailableMethodsName.CHACHA20_POLY1305}], acceptMethods: true})
+                .unpack(new BinaryPack({keyring: [{keyId: 1, secret: SECRET, method: AvailableMethodsName.AES}]}).pack(testData)), testData)
+            && isDeepStrictEqual(new BinaryPack().unpack(new BinaryPack().pack(testData)), testData);
+
+        const chunks = [];
+        for await (const part of new BinaryPack(SECRET, AvailableMethodsName.XOR).packChunks([testData], {chunkSize: 64})) {
+            chunks.push(part);
+        }
+
+        // Экземпляр без секрета сразу сообщает, что данные зашифрованы
+        const messages = [];
+        for (const attempt of [
+            () => new BinaryPack().unpack(xorPacked),
+            () => new BinaryPack().unpackAsync(packets[methods.indexOf(AvailableMethodsName.AES_GCM)]),
+            async () => {
+                for await (const value of new BinaryPack().unpackChunks(chunks)) {
+                    // Значения не должны быть получены
+                }
+            },
+            () => allowList.unpack(new BinaryPack(SECRET, AvailableMethodsName.CAESAR).pack(testData)),
+            () => anyMethod.unpack(new BinaryPack().pack(testData)),
+            () => anyMethod.pack(testData),
+        ]) {
+            try {
+                await attempt();
+                messages.push(null);
+            } catch (error) {
+                messages.push((error.cause ?? error).message);
+            }
+        }
+
+        const invalid = [];
+        for (const create of [
+            () => new BinaryPack(SECRET, null, {acceptMethods: []}),
+            () => new BinaryPack(SECRET, null, {acceptMethods: ['md5']}),
+            () => new BinaryPack(SECRET, null, {acceptMethods: AvailableMethodsName.XOR}),
+            () => new BinaryPack({acceptMethods: true}),
+            () => new BinaryPack(SECRET, null),
+        ]) {
+            try {
+                create();
+            } catch (error) {
+                invalid.push(error.message);
+            }
+        }
+
+        const rejected = messages.slice(0, 3).every((message) => message?.startsWith('Данные зашифрованы методом'))
+            && messages.slice(3, 5).every((message) => message === 'Несоответствие методов шифрования')
+            && messages[5]?.startsWith('Метод шифрования для упаковки не задан');
+
+        if (detected && rejected && invalid.length === 5) {
+            console.log('✓ Method auto-detection and encrypted payload detection work');
+            console.log(`  Plain packer: ${messages[0]}`);
+        } else {
+            console.log('✗ Method auto-detection and encrypted payload detection failed');
+            ERROR.push({
+                method: 'accept-methods',
+                message: 'Method was not detected from the header or encrypted payload reached a plain packer',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Method auto-detection and encrypted payload detection failed: ${error.message}`);
+        ERROR.push({
+            method: 'accept-methods',
+            message: error.message,
+        })
+    }
+
+    // Test 32: Options-object constructor with named presets
+    console.log('\nTest 32: Options-object constructor with named presets');
+
+    try {
+        const longData = {rows: Array.from({length: 64}, (_, index) => ({id: index, name: 'row'}))};
+        const key = PackKey.generate();
+
+        // Одним объектом и позиционно - одинаковые экземпляры
+        const named = new BinaryPack({key: SECRET, method: AvailableMethodsName.XOR, integrity: true});
+        const positional = new BinaryPack(SECRET, AvailableMethodsName.XOR);
+
+        // Позиционные null не заменяют ключ и метод из параметров
+        const mixed = [
+            new BinaryPack(null, null, {key: SECRET, method: AvailableMethodsName.XOR}),
+            new BinaryPack(SECRET, null, {method: AvailableMethodsName.XOR}),
+            new BinaryPack(undefined, undefined, {secret: SECRET, method: AvailableMethodsName.XOR}),
+        ];
+
+        const fast = new BinaryPack({preset: AvailablePresetsName.FAST});
+        const compact = new BinaryPack({preset: AvailablePresetsName.COMPACT, key});
+        const secure = new BinaryPack({preset: AvailablePresetsName.SECURE, key});
+        const overridden = new BinaryPack({preset: AvailablePresetsName.COMPACT, key, compression: null, method: AvailableMethodsName.AES_GCM});
+        const secureKeyring = new BinaryPack({preset: AvailablePresetsName.SECURE, keyring: [{keyId: 1, secret: SECRET, method: AvailableMethodsName.AES}]});
+        const json = new BinaryPack({format: 1});
+
+        const fastInfo = BinaryPack.inspect(fast.pack(testData));
+        const compactInfo = BinaryPack.inspect(compact.pack(longData));
+        const overriddenInfo = BinaryPack.inspect(overridden.pack(longData));
+
+        const presetsWork = isDeepStrictEqual(positional.unpack(named.pack(testData)), testData)
+            && mixed.every((packer) => packer.secret !== null && BinaryPack.inspect(packer.pack(testData)).method === AvailableMethodsName.XOR
+                && isDeepStrictEqual(positional.unpack(packer.pack(testData)), testData))
+            && fastInfo.integrity === null && fastInfo.compression === null
+            && compactInfo.method === AvailableMethodsName.CHACHA20_POLY1305 && compactInfo.compression === AvailableCompressionsName.LZ
+            && overriddenInfo.method === AvailableMethodsName.AES_GCM && overriddenInfo.compression === null
+            && BinaryPack.inspect(secure.pack(testData)).encryptedMetadata
+            && isDeepStrictEqual(secure.unpack(secure.pack(longData)), longData)
+            && isDeepStrictEqual(secureKeyring.unpack(secureKeyring.pack(testData)), testData)
+            && BinaryPack.inspect(secureKeyring.pack(testData)).encryptedMetadata
+            && BinaryPack.inspect(json.pack(testData)).version === 1
+            && secure.limits.maxPacketLength === 16 * 1024 * 1024
+            && fast.limits.maxPacketLength === Infinity;
+
+        // Ограничения распаковки
+        const limited = new BinaryPack({preset: AvailablePresetsName.SECURE, key, limits: {maxPacketLength: 64}});
+        const framed = new BinaryPack({limits: {maxFrameLength: 16}});
+        const messages = [];
+        for (const attempt of [
+            () => limited.unpack(secure.pack(longData)),
+            () => new FrameDecoder(framed).push(framed.pack(longData)),
+        ]) {
+            try {
+                attempt();
+                messages.push(null);
+            } catch (error) {
+                messages.push((error.cause ?? error).message);
+            }
+        }
+
+        const invalid = [];
+        for (const create of [
+            () => new BinaryPack({secrett: SECRET}),
+            () => new BinaryPack({preset: 'ultra'}),
+            () => new BinaryPack({preset: AvailablePresetsName.SECURE}),
+            () => new BinaryPack({key: SECRET, secret: SECRET, method: AvailableMethodsName.XOR}),
+            () => new BinaryPack({format: 1, writeVersion: 2}),
+            () => new BinaryPack({integrity: 'yes'}),
+            () => new BinaryPack({limits: {maxMemory: 1}}),
+            () => new BinaryPack({limits: {maxPacketLength: 0}}),
+            () => new BinaryPack(SECRET, AvailableMethodsName.XOR, {method: AvailableMethodsName.AES, compresion: 'lz'}),
+            () => new BinaryPack(SECRET, AvailableMethodsName.XOR, {method: AvailableMethodsName.AES}),
+            () => new BinaryPack(SECRET, AvailableMethodsName.XOR, {key: 'other-secret'}),
+        ]) {
+            try {
+                create();
+            } catch (error) {
+                invalid.push(error.message);
+            }
+        }
+
+        const limitsWork = messages[0]?.startsWith('Длина пакета превышает допустимую')
+            && messages[1]?.startsWith('Длина кадра превышает допустимую');
+
+        if (presetsWork && limitsWork && invalid.length === 11) {
+            console.log('✓ Options-object constructor with named presets works');
+            console.log(`  Compact preset: ${compactInfo.byteLength} bytes, secure preset: ${secure.pack(longData).byteLength} bytes`);
+        } else {
+            console.log('✗ Options-object constructor with named presets failed');
+            ERROR.push({
+                method: 'presets',
+                message: 'Presets were not merged with explicit options or invalid options were accepted',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Options-object constructor with named presets failed: ${error.message}`);
+        ERROR.push({
+            method: 'presets',
+            message: error.message,
+        })
+    }
+
+    // Test 33: ES modules on Node.js without process.getBuiltinModule
+    console.log('\nTest 33: ES modules on Node.js without process.getBuiltinModule');
+
+    try {
+        // Окружение ES-модуля в Node.js до 20.16: нет process.getBuiltinModule(), require() и глобального crypto
+        const script = `
+            delete process.getBuiltinModule;
+            Object.defineProperty(globalThis, 'crypto', {value: undefined, configurable: true, writable: true});
+            const {BinaryPack} = await import(${JSON.stringify(new URL('../src/index.js', import.meta.url).href)});
+            const {AESGCM} = await import(${JSON.stringify(new URL('../src/EncryptionMethod/Methods/AESGCM.js', import.meta.url).href)});
+            const results = ['xor', 'caesar', 'aes-like', 'aes-256-gcm'].map((method) => {
+                const packer = new BinaryPack('Test Binary Pack', method);
+                return packer.unpack(packer.pack({method})).method === method;
+            });
+
+            // Асинхронный путь без node:crypto использует crypto.webcrypto
+            const webCrypto = new AESGCM('Test Binary Pack');
+            webCrypto.nodeCrypto = null;
+            results.push((await webCrypto.openAsync(await webCrypto.sealAsync(new Uint8Array([1, 2, 3])))).length === 3);
+            console.log(JSON.stringify(results));
+        `;
+        const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], {encoding: 'utf8'});
+
+        if (isDeepStrictEqual(JSON.parse(output), [true, true, true, true, true])) {
+            console.log('✓ ES modules on Node.js without process.getBuiltinModule work');
+        } else {
+            console.log('✗ ES modules on Node.js without process.getBuiltinModule failed');
+            ERROR.push({
+                method: 'legacy-node',
+                message: 'Packing with a random nonce failed without process.getBuiltinModule',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ ES modules on Node.js without process.getBuiltinModule failed: ${error.message}`);
+        ERROR.push({
+            method: 'legacy-node',
+            message: error.message,
+        })
+    }
+
+    // Test 34: Stripped integrity codes
+    console.log('\nTest 34: Stripped integrity codes');
+
+    try {
+        // Удаляет код аутентификации пакета вместе с флагом 0x08 и исправляет длину
+        const strip = (buffer) => {
+            const bytes = new Uint8Array(buffer).slice(0, buffer.byteLength - 32);
+            const view = new DataView(bytes.buffer);
+            view.setUint8(2, view.getUint8(2) & ~0x08);
+            view.setUint32(3, view.getUint32(3) - 32);
+            return bytes;
+        };
+
+        const stripped = [];
+        for (const packer of [XorPacker, AesPacker, CaesarPacker]) {
+            const packed = strip(packer.pack({user: 'bob'}));
+            const edited = packed.slice();
+            edited[edited.length - 2] ^= 0x01;
+
+            for (const buffer of [packed, edited]) {
+                try {
+                    packer.unpack(buffer);
+                    stripped.push(false);
+                } catch (error) {
+                    stripped.push(error instanceof AuthenticationError);
+                }
+            }
+
+            try {
+                await packer.unpackAsync(packed);
+                stripped.push(false);
+            } catch (error) {
+                stripped.push(error instanceof AuthenticationError);
+            }
+        }
+
+        // Фрагменты контейнера методов без аутентификации содержат код HMAC-SHA256
+        const collectChunks = async (packer, values) => {
+            const parts = [];
+            for await (const part of packer.packChunks(values, {chunkSize: 256})) {
+                parts.push(part);
+            }
+            return Buffer.concat(parts);
+        };
+        const readChunks = async (packer, container) => {
+            const rows = [];
+            for await (const row of packer.unpackChunks([container])) {
+                rows.push(row);
+            }
+            return rows;
+        };
+
+        const rows = Array.from({length: 1000}, (_, id) => ({id, role: 'user'}));
+        const container = await collectChunks(XorPacker, rows);
+        const flipped = Buffer.from(container);
+        flipped[Math.floor(flipped.length / 2)] ^= 0x01;
+
+        // Контейнер без кодов, как после их удаления, принимает только экземпляр с integrity: false
+        const unauthenticatedPacker = new BinaryPack(SECRET, AvailableMethodsName.XOR, {integrity: false});
+        const withoutCodes = await collectChunks(unauthenticatedPacker, rows);
+
+        const chunkErrors = [];
+        for (const buffer of [flipped, withoutCodes]) {
+            try {
+                await readChunks(XorPacker, buffer);
+                chunkErrors.push(false);
+            } catch (error) {
+                chunkErrors.push(error instanceof AuthenticationError);
+            }
+        }
+
+        // Формат версии 1 поля для кода не имеет: такие пакеты по-прежнему распаковываются, но токеном не принимаются
+        const legacyWriter = new BinaryPack(SECRET, AvailableMethodsName.XOR, {writeVersion: 1});
+        const legacyRead = isDeepStrictEqual(XorPacker.unpack(legacyWriter.pack({user: 'bob'})), {user: 'bob'});
+        try {
+            XorPacker.unpackToken(legacyWriter.packToken({user: 'bob'}));
+            stripped.push(false);
+        } catch (error) {
+            stripped.push(error instanceof AuthenticationError);
+        }
+
+        const chunksWork = legacyRead && isDeepStrictEqual(await readChunks(XorPacker, container), rows)
+            && isDeepStrictEqual(await readChunks(unauthenticatedPacker, withoutCodes), rows)
+            && BinaryPack.inspect(XorPacker.pack(testData)).integrity === 'hmac-sha256';
+
+        if (stripped.every(Boolean) && chunkErrors.every(Boolean) && chunksWork) {
+            console.log('✓ Stripped integrity codes are rejected');
+        } else {
+            console.log('✗ Stripped integrity codes failed');
+            ERROR.push({
+                method: 'stripped-integrity',
+                message: 'Packets or chunks without an authentication code were accepted',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Stripped integrity codes failed: ${error.message}`);
+        ERROR.push({
+            method: 'stripped-integrity',
+            message: error.message,
+        })
+    }
+
+    // Test 35: Token authentication
+    console.log('\nTest 35: Token authentication');
+
+    try {
+        const publisher = BinaryPack.generateSigningKeyPair();
+        const stranger = BinaryPack.generateSigningKeyPair();
+        const plainPacker = new BinaryPack();
+        const forger = new BinaryPack(SECRET, AvailableMethodsName.XOR, {integrity: false});
+        const session = {userId: 42, role: 'admin'};
+
+        // Токен без подтверждения подлинности может создать кто угодно
+        const unauthenticated = [];
+        for (const [packer, token] of [
+            [plainPacker, plainPacker.packToken(session)],
+            [new BinaryPack({publicKey: publisher.publicKey}), plainPacker.packToken(session)],
+            [XorPacker, forger.packToken(session)],
+            [forger, forger.packToken(session)],
+            [plainPacker, plainPacker.packToken(session, {privateKey: publisher.privateKey})],
+        ]) {
+            for (const attempt of [() => packer.unpackToken(token), async () => packer.unpackTokenAsync(token)]) {
+                try {
+                    await attempt();
+                    unauthenticated.push(false);
+                } catch (error) {
+                    unauthenticated.push(error instanceof AuthenticationError || error instanceof SignatureError);
+                }
+            }
+        }
+
+        const signed = plainPacker.packToken(session, {privateKey: publisher.privateKey});
+        try {
+            plainPacker.unpackToken(signed, {publicKey: stranger.publicKey});
+            unauthenticated.push(false);
+        } catch (error) {
+            unauthenticated.push(error instanceof SignatureError);
+        }
+
+        const accepted = [
+            isDeepStrictEqual(XorPacker.unpackToken(XorPacker.packToken(session)), session),
+            isDeepStrictEqual(await AesPacker.unpackTokenAsync(AesPacker.packToken(session)), session),
+            isDeepStrictEqual(plainPacker.unpackToken(signed, {publicKey: publisher.publicKey}), session),
+            isDeepStrictEqual(new BinaryPack({publicKey: publisher.publicKey}).unpackToken(signed), session),
+        ];
+
+        // Время выпуска, срок и начало действия должны быть конечными числами
+        const issuer = new BinaryPack(SECRET, AvailableMethodsName.CHACHA20_POLY1305);
+        const iat = Math.floor(Date.now() / 1000);
+        const malformed = [];
+        for (const claims of [
+            {iat, exp: String(iat + 3600), data: session},
+            {iat, exp: null, data: session},
+            {iat, nbf: '0', data: session},
+            {iat, exp: Infinity, data: session},
+            {iat: String(iat), data: session},
+        ]) {
+            try {
+                issuer.unpackToken(BinaryPack.bufferToBase64(issuer.pack(claims)));
+                malformed.push(false);
+            } catch (error) {
+                malformed.push(error instanceof BinaryPackError && !(error instanceof TokenError));
+            }
+        }
+
+        if (unauthenticated.length === 11 && unauthenticated.every(Boolean) && accepted.every(Boolean) && malformed.every(Boolean)) {
+            console.log('✓ Unauthenticated and malformed tokens are rejected');
+        } else {
+            console.log('✗ Token authentication failed');
+            ERROR.push({
+                method: 'token-authentication',
+                message: 'Token without authentication or with non-numeric claims was accepted',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Token authentication failed: ${error.message}`);
+        ERROR.push({
+            method: 'token-authentication',
+            message: error.message,
+        })
+    }
+
+    // Test 36: Decompressed length limit
+    console.log('\nTest 36: Decompressed length limit');
+
+    try {
+        // Несколько килобайт сжатых данных раскрываются в 8 МиБ
+        const zeros = new Uint8Array(8 * 1024 * 1024);
+        const lzPacked = new BinaryPack({compression: AvailableCompressionsName.LZ}).pack(zeros);
+        const deflatePacked = await new BinaryPack({compression: AvailableCompressionsName.DEFLATE}).packAsync(zeros);
+        const strictPacker = new BinaryPack({limits: {maxPacketLength: 65536, maxValueLength: 1024 * 1024}});
+
+        const bombs = [];
+        for (const unpack of [
+            async () => strictPacker.unpack(lzPacked),
+            async () => strictPacker.unpackAsync(lzPacked),
+            async () => strictPacker.unpackAsync(deflatePacked),
+        ]) {
+            try {
+                await unpack();
+                bombs.push(false);
+            } catch (error) {
+                bombs.push(error instanceof BinaryPackError && /превышает допустимую: 1048576/.test(error.message));
+            }
+        }
+
+        const withinLimit = lzPacked.byteLength < 65536 && deflatePacked.byteLength < 65536
+            && isDeepStrictEqual(basicPacker.unpack(lzPacked), zeros)
+            && isDeepStrictEqual(await basicPacker.unpackAsync(deflatePacked), zeros);
+
+        if (bombs.every(Boolean) && withinLimit) {
+            console.log('✓ Decompressed length is limited');
+        } else {
+            console.log('✗ Decompressed length limit failed');
+            ERROR.push({
+                method: 'decompression-limit',
+                message: 'Compressed packet expanded beyond limits.maxValueLength',
+            })
+        }
+    }//
+    catch (error) {
+        console.error(`✗ Decompressed length limit failed: ${error.message}`);
+        ERROR.push({
+            method: 'decompression-limit',
+            message: error.message,
+        })
+    }
+
     console.log('\nAll tests completed!');
     console.log('\nErrors:', ERROR);
 }
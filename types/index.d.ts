@@ -4,23 +4,690 @@
  * @license MIT
  */
 
-export type EncryptionMethod = 'xor' | 'caesar' | 'aes-like' | null;
+/**
+ * Встроенные методы шифрования.
+ */
+export type BuiltInEncryptionMethod = 'xor' | 'caesar' | 'aes-like' | 'aes-256-gcm' | 'chacha20-poly1305';
+
+/**
+ * Метод шифрования: встроенный, зарегистрированный BinaryPack.registerMethod или null (без шифрования).
+ */
+export type EncryptionMethod = BuiltInEncryptionMethod | (string & {}) | null;
 
 export interface AvailableMethodsNameType {
     XOR: 'xor';
     AES: 'aes-like';
     CAESAR: 'caesar';
+    AES_GCM: 'aes-256-gcm';
+    CHACHA20_POLY1305: 'chacha20-poly1305';
+}
+
+/**
+ * Базовый класс методов шифрования для BinaryPack.registerMethod. Наследник реализует encrypt/decrypt
+ * (шифрование на месте) или seal/open (шифрование с изменением длины данных).
+ */
+export declare class MethodInterface {
+    constructor(name: string);
+
+    /** Секрет: пароль или двоичный ключ */
+    secret?: string | Uint8Array;
+
+    /** Шифрует часть данных на месте */
+    encrypt(dataPart: Uint8Array): void;
+
+    /** Дешифрует часть данных на месте */
+    decrypt(dataPart: Uint8Array): void;
+
+    /** Количество байт, которое seal() добавляет к данным */
+    readonly overhead: number;
+
+    /** Метод сам проверяет подлинность данных; остальным пакетам добавляется HMAC-SHA256 */
+    readonly authenticated: boolean;
+
+    /** Шифрует данные и возвращает результат в новом массиве */
+    seal(data: Uint8Array, aad?: Uint8Array): Uint8Array;
+
+    /** Дешифрует данные, зашифрованные seal() */
+    open(data: Uint8Array, aad?: Uint8Array): Uint8Array;
+
+    /** Асинхронная версия seal() */
+    sealAsync(data: Uint8Array, aad?: Uint8Array): Promise<Uint8Array>;
+
+    /** Асинхронная версия open() */
+    openAsync(data: Uint8Array, aad?: Uint8Array): Promise<Uint8Array>;
+
+    /** Возвращает секрет в байтах (вычисляются один раз) */
+    protected getSecretBytes(): Uint8Array;
+
+    /** Обнуляет производные данные ключа (вызывается PackKey.destroy()) */
+    destroy(): void;
+
+    /** Возвращает имя метода шифрования */
+    getName(): string;
+}
+
+/**
+ * Пользовательский метод шифрования для BinaryPack.registerMethod.
+ */
+export interface CustomMethod {
+    /** Код метода в заголовке пакета (1-254), совпадает у отправителя и получателя */
+    code: number;
+    /** Имя метода для конструктора BinaryPack и связки ключей */
+    name: string;
+    /** Класс-наследник MethodInterface; конструктор получает секрет */
+    instance: new (secret: string | Uint8Array) => MethodInterface;
+}
+
+/**
+ * Бинарные данные: ArrayBuffer, SharedArrayBuffer или любое представление (Uint8Array, Node.js Buffer, DataView).
+ */
+export type BinaryInput = ArrayBuffer | SharedArrayBuffer | ArrayBufferView;
+
+export type CompressionMethod = 'lz' | 'deflate' | null;
+
+export interface AvailableCompressionsNameType {
+    LZ: 'lz';
+    DEFLATE: 'deflate';
+}
+
+export type KeyDerivationName = 'pbkdf2' | 'scrypt' | 'hkdf';
+
+export interface AvailableKdfsNameType {
+    PBKDF2: 'pbkdf2';
+    SCRYPT: 'scrypt';
+    HKDF: 'hkdf';
+}
+
+/** Параметры PBKDF2-HMAC-SHA256 */
+export interface Pbkdf2Options {
+    name: 'pbkdf2';
+    /** Количество итераций (по умолчанию 600 000, не более 10 000 000) */
+    iterations?: number;
+}
+
+/** Параметры scrypt (не более 256 МиБ памяти) */
+export interface ScryptOptions {
+    name: 'scrypt';
+    /** Параметр стоимости, степень двойки (по умолчанию 32768) */
+    N?: number;
+    /** Размер блока (по умолчанию 8) */
+    r?: number;
+    /** Параметр параллельности (по умолчанию 1) */
+    p?: number;
+}
+
+/** HKDF-SHA256: быстрое формирование ключа пакета из секрета и nonce, без параметров */
+export interface HkdfOptions {
+    name: 'hkdf';
+}
+
+/** Функция формирования ключа: имя (параметры по умолчанию) или объект с параметрами */
+export type KdfOptions = KeyDerivationName | Pbkdf2Options | ScryptOptions | HkdfOptions;
+
+/**
+ * Объект-справочник для получения имен функций формирования ключа по удобным ключам.
+ *
+ * @constant {Object}
+ * @type {{PBKDF2: string, SCRYPT: string, HKDF: string}}
+ */
+export declare const AvailableKdfsName: AvailableKdfsNameType;
+
+export type PaddingName = 'power-of-two' | 'buckets' | 'random';
+
+export interface AvailablePaddingsNameType {
+    POWER_OF_TWO: 'power-of-two';
+    BUCKETS: 'buckets';
+    RANDOM: 'random';
+}
+
+/** Выравнивание до степени двойки */
+export interface PowerOfTwoPaddingOptions {
+    name: 'power-of-two';
+    /** Минимальная длина данных (по умолчанию 64) */
+    min?: number;
+}
+
+/** Выравнивание до фиксированных размеров; данные длиннее наибольшего размера - до кратного ему */
+export interface BucketsPaddingOptions {
+    name: 'buckets';
+    /** Размеры корзин в порядке возрастания */
+    sizes: number[];
+}
+
+/** Случайное дополнение в заданных границах */
+export interface RandomPaddingOptions {
+    name: 'random';
+    /** Минимальное количество байт дополнения (по умолчанию 0) */
+    min?: number;
+    /** Максимальное количество байт дополнения (по умолчанию 255, не более 1 МиБ) */
+    max?: number;
 }
 
+/** Политика выравнивания длины: имя (параметры по умолчанию) или объект с параметрами */
+export type PaddingOptions = Exclude<PaddingName, 'buckets'> | PowerOfTwoPaddingOptions | BucketsPaddingOptions | RandomPaddingOptions;
+
+/**
+ * Объект-справочник для получения имен политик выравнивания длины по удобным ключам.
+ *
+ * @constant {Object}
+ * @type {{POWER_OF_TWO: string, BUCKETS: string, RANDOM: string}}
+ */
+export declare const AvailablePaddingsName: AvailablePaddingsNameType;
+
+export type PresetName = 'fast' | 'compact' | 'secure';
+
+export interface AvailablePresetsNameType {
+    FAST: 'fast';
+    COMPACT: 'compact';
+    SECURE: 'secure';
+}
+
+/**
+ * Объект-справочник для получения имен наборов параметров по удобным ключам.
+ *
+ * @constant {Object}
+ * @type {{FAST: string, COMPACT: string, SECURE: string}}
+ */
+export declare const AvailablePresetsName: AvailablePresetsNameType;
+
+/**
+ * Ограничения распаковки. Значение - положительное целое число или Infinity.
+ */
+export interface BinaryPackLimits {
+    /** Максимальная длина пакета для unpack() в байтах (по умолчанию не ограничена) */
+    maxPacketLength?: number;
+    /** Максимальная длина кадра FrameDecoder по умолчанию (по умолчанию 64 МиБ) */
+    maxFrameLength?: number;
+    /** Максимальная длина фрагмента unpackChunks() по умолчанию (по умолчанию 64 МиБ) */
+    maxChunkLength?: number;
+    /**
+     * Максимальная длина одного значения unpackChunks() по умолчанию и сжатых данных пакета после распаковки
+     * (по умолчанию 64 МиБ)
+     */
+    maxValueLength?: number;
+}
+
+/**
+ * Объект-справочник для получения имен алгоритмов сжатия по удобным ключам.
+ *
+ * @constant {Object}
+ * @type {{LZ: string, DEFLATE: string}}
+ */
+export declare const AvailableCompressionsName: AvailableCompressionsNameType;
+
 /**
  * Объект-справочник для получения имен методов шифрования по удобным ключам.
  * Предоставляет псевдонимы для доступа к именам методов шифрования.
  *
  * @constant {Object}
- * @type {{XOR: string, AES: string, CAESAR: string}}
+ * @type {{XOR: string, AES: string, CAESAR: string, AES_GCM: string, CHACHA20_POLY1305: string}}
  */
 export declare const AvailableMethodsName: AvailableMethodsNameType;
 
+/**
+ * Значение пользовательского типа, тег которого не зарегистрирован при распаковке.
+ * Возвращается в нестрогом режиме (lenientExtensions) и при повторной упаковке записывается без изменений.
+ */
+export declare class ExtensionValue {
+    constructor(tag: number, data: Uint8Array);
+
+    /** Тег пользовательского типа */
+    tag: number;
+
+    /** Закодированные данные значения */
+    data: Uint8Array;
+}
+
+/**
+ * Функция, преобразующая экземпляр пользовательского типа в байты.
+ */
+export type ExtensionEncoder<T> = (value: T) => Uint8Array | ArrayBuffer;
+
+/**
+ * Функция, восстанавливающая экземпляр пользовательского типа из байт.
+ */
+export type ExtensionDecoder<T> = (data: Uint8Array) => T;
+
+/**
+ * Тип поля схемы.
+ */
+export type SchemaFieldType =
+    'u8' | 'u16' | 'u32' | 'i8' | 'i16' | 'i32' | 'f32' | 'f64' |
+    'string' | 'bool' | 'array' | 'nested' | 'any';
+
+/**
+ * Описание типа поля или элемента массива.
+ */
+export interface SchemaTypeSpec {
+    /** Тип значения */
+    type: SchemaFieldType;
+
+    /** Допускает ли поле значение null */
+    nullable?: boolean;
+
+    /** Тип элементов (обязателен для type: 'array') */
+    items?: SchemaFieldType | SchemaTypeSpec;
+
+    /** Вложенная схема (обязательна для type: 'nested') */
+    schema?: Schema | SchemaDefinition;
+}
+
+/**
+ * Описание поля схемы.
+ */
+export interface SchemaField extends SchemaTypeSpec {
+    /** Имя поля */
+    name: string;
+
+    /** Может ли поле отсутствовать */
+    optional?: boolean;
+}
+
+/**
+ * Описание схемы: объект с массивом полей или сам массив полей.
+ */
+export type SchemaDefinition = { fields: SchemaField[] } | SchemaField[];
+
+/**
+ * Схема фиксированной структуры объектов для позиционной упаковки без имен ключей.
+ */
+export declare class Schema {
+    /**
+     * Создает схему и проверяет ее описание.
+     *
+     * @param {SchemaDefinition} definition - Описание схемы
+     * @throws {Error} Если описание схемы некорректно
+     */
+    constructor(definition: SchemaDefinition);
+
+    /** Идентификатор схемы (хэш ее описания), записывается в заголовок */
+    readonly id: number;
+
+    /** Возвращает экземпляр Schema для описания или готовой схемы */
+    static from(schema: Schema | SchemaDefinition): Schema;
+
+    /** Упаковывает объект по схеме */
+    encode(value: object): Uint8Array;
+
+    /** Восстанавливает объект, упакованный по схеме */
+    decode(bytes: Uint8Array): any;
+
+    /** Возвращает каноническое описание схемы */
+    describe(): any[];
+}
+
+/**
+ * Пара ключей X25519 для конвертов или Ed25519 для подписей.
+ */
+export interface KeyPair {
+    /** Открытый ключ (32 байта), передается отправителям */
+    publicKey: Uint8Array;
+    /** Закрытый ключ (32 байта), хранится только у владельца */
+    privateKey: Uint8Array;
+}
+
+/**
+ * Кодировка ключа для PackKey.export() и PackKey.import().
+ */
+export type PackKeyEncoding = 'base64' | 'hex' | 'raw';
+
+/**
+ * Ключевой материал BinaryPack: пароль, двоичный ключ (не короче 16 байт) или PackKey.
+ */
+export type SecretInput = string | BinaryInput | PackKey;
+
+/**
+ * Ключ BinaryPack: пароль или двоичный ключ. Экземпляры методов шифрования с подготовленным
+ * расписанием ключа и производные ключи вычисляются один раз и переиспользуются всеми вызовами.
+ */
+export declare class PackKey {
+    /** Минимальная длина двоичного ключа в байтах */
+    static readonly MIN_LENGTH: number;
+
+    /**
+     * Создает ключ. Двоичный ключ не копируется.
+     *
+     * @param {string | Uint8Array} material - Пароль (непустая строка) или двоичный ключ
+     * @throws {Error} Если ключевой материал некорректен
+     */
+    constructor(material: string | Uint8Array);
+
+    /** Возвращает ключ для пароля, двоичных данных (копируются) или готового ключа */
+    static from(value: SecretInput): PackKey;
+
+    /** Создает двоичный ключ из шестнадцатеричной строки */
+    static fromHex(hex: string): PackKey;
+
+    /** Создает двоичный ключ из строки Base64 */
+    static fromBase64(base64: string): PackKey;
+
+    /** Создает двоичный ключ из извлекаемого (extractable) ключа WebCrypto */
+    static fromCryptoKey(cryptoKey: CryptoKey): Promise<PackKey>;
+
+    /** Создает случайный двоичный ключ (по умолчанию 32 байта) */
+    static generate(length?: number): PackKey;
+
+    /** Восстанавливает ключ, сохраненный export() */
+    static import(value: string, encoding?: 'base64' | 'hex'): PackKey;
+    static import(value: BinaryInput, encoding: 'raw'): PackKey;
+
+    /**
+     * Экспортирует двоичный ключ. Ключ из пароля не экспортируется.
+     *
+     * @throws {Error} Если ключ уничтожен, создан из пароля или кодировка неизвестна
+     */
+    export(encoding?: 'base64' | 'hex'): string;
+    export(encoding: 'raw'): Uint8Array;
+
+    /** Пароль или двоичный ключ (ошибка после destroy()) */
+    readonly secret: string | Uint8Array;
+
+    /** Байты ключа: UTF-8 пароля или двоичный ключ (ошибка после destroy()) */
+    readonly bytes: Uint8Array;
+
+    /** Ключ создан из двоичных данных */
+    readonly binary: boolean;
+
+    /** Ключ уничтожен методом destroy() */
+    readonly destroyed: boolean;
+
+    /** Обнуляет байты ключа и производные ключи; после этого ключ нельзя использовать */
+    destroy(): void;
+}
+
+/**
+ * Ключ связки ключей.
+ */
+export interface KeyringEntry {
+    /** Идентификатор ключа, записывается в заголовок (целое число от 0 до 4294967295) */
+    keyId: number;
+    /** Секрет ключа: пароль, двоичный ключ (копируется в PackKey) или PackKey */
+    secret: SecretInput;
+    /** Метод шифрования ключа */
+    method: Exclude<EncryptionMethod, null>;
+}
+
+/**
+ * Параметры связки ключей.
+ */
+export interface KeyringOptions {
+    /** Идентификатор ключа для новых пакетов (по умолчанию последний ключ) */
+    activeKeyId?: number;
+    /** Ключ для данных без идентификатора ключа, упакованных до перехода на связку ключей */
+    fallbackKeyId?: number | null;
+}
+
+/**
+ * Связка ключей для смены секрета: новые пакеты шифруются активным ключом,
+ * при распаковке ключ выбирается по идентификатору из заголовка.
+ */
+export declare class Keyring {
+    /**
+     * Создает связку ключей.
+     *
+     * @param {KeyringEntry[]} [entries] - Ключи
+     * @param {KeyringOptions} [options] - Параметры связки
+     * @throws {Error} Если ключи или параметры некорректны
+     */
+    constructor(entries?: KeyringEntry[], options?: KeyringOptions);
+
+    /** Возвращает экземпляр Keyring для массива ключей или готовой связки */
+    static from(keyring: Keyring | KeyringEntry[]): Keyring;
+
+    /** Добавляет ключ; первый добавленный ключ становится активным */
+    add(entry: KeyringEntry): this;
+
+    /** Добавляет ключ и делает его активным */
+    rotate(entry: KeyringEntry): this;
+
+    /** Делает ключ активным */
+    setActive(keyId: number): this;
+
+    /** Назначает ключ для данных без идентификатора ключа (null - отклонять такие данные) */
+    setFallback(keyId: number | null): this;
+
+    /** Удаляет неактивный ключ из связки */
+    remove(keyId: number): boolean;
+
+    /** Возвращает ключ по идентификатору или null */
+    get(keyId: number): Readonly<KeyringEntry> | null;
+
+    /** Проверяет наличие ключа в связке */
+    has(keyId: number): boolean;
+
+    /** Активный ключ, которым шифруются новые пакеты */
+    readonly active: Readonly<KeyringEntry>;
+
+    /** Идентификатор активного ключа */
+    readonly activeKeyId: number | null;
+
+    /** Идентификатор ключа для данных без идентификатора ключа */
+    readonly fallbackKeyId: number | null;
+
+    /** Идентификаторы всех ключей в порядке добавления */
+    readonly keyIds: number[];
+}
+
+/**
+ * Базовый класс ошибок BinaryPack.
+ */
+export declare class BinaryPackError extends Error {
+    constructor(message: string, options?: { cause?: unknown });
+
+    /** Дополняет ошибку описанием операции, сохраняя класс ошибок BinaryPack */
+    static wrap(error: Error, context: string): BinaryPackError;
+}
+
+/**
+ * Ошибка неизвестной версии формата данных.
+ */
+export declare class UnsupportedVersionError extends BinaryPackError {
+    constructor(version: number, supportedVersions: number[], subject?: string);
+
+    /** Прочитанная версия */
+    readonly version: number;
+
+    /** Поддерживаемые версии */
+    readonly supportedVersions: number[];
+}
+
+/**
+ * Ошибка проверки подлинности: данные, зашифрованные методом с аутентификацией, изменены или ключ неверный.
+ */
+export declare class AuthenticationError extends BinaryPackError {
+    constructor(message?: string, options?: { cause?: unknown });
+}
+
+/**
+ * Ошибка целостности: контрольная сумма CRC32 пакета без шифрования не совпала.
+ */
+export declare class CorruptedDataError extends BinaryPackError {
+    constructor(message?: string, options?: { cause?: unknown });
+}
+
+/**
+ * Ошибка проверки подписи: пакет изменен после подписания, подписан другим ключом или не подписан.
+ */
+export declare class SignatureError extends BinaryPackError {
+    constructor(message?: string, options?: { cause?: unknown });
+}
+
+/**
+ * Базовый класс ошибок проверки утверждений токена.
+ */
+export declare class TokenError extends BinaryPackError {
+    constructor(message?: string, options?: { cause?: unknown });
+}
+
+/**
+ * Срок действия токена (exp) истек.
+ */
+export declare class TokenExpiredError extends TokenError {
+    constructor(expiredAt: Date);
+
+    /** Момент истечения токена */
+    readonly expiredAt: Date;
+}
+
+/**
+ * Токен еще не действует (nbf).
+ */
+export declare class TokenNotYetValidError extends TokenError {
+    constructor(notBefore: Date);
+
+    /** Момент начала действия токена */
+    readonly notBefore: Date;
+}
+
+/**
+ * Токен выпущен для других получателей (aud).
+ */
+export declare class AudienceMismatchError extends TokenError {
+    constructor(expected: string[], actual: string[]);
+
+    /** Ожидаемые получатели */
+    readonly expected: string[];
+
+    /** Получатели из токена */
+    readonly actual: string[];
+}
+
+/**
+ * Токен с этим идентификатором (jti) уже использован.
+ */
+export declare class TokenReplayError extends TokenError {
+    constructor(jti: string);
+
+    /** Идентификатор токена */
+    readonly jti: string;
+}
+
+/**
+ * Параметры нового токена.
+ */
+export interface TokenOptions {
+    /** Срок действия в секундах */
+    expiresIn?: number;
+    /** Начало действия в секундах от момента выпуска */
+    notBefore?: number;
+    /** Получатели токена */
+    audience?: string | string[];
+    /** Идентификатор токена или true для случайного идентификатора */
+    jti?: string | boolean;
+    /** Закрытый ключ Ed25519 для подписи токена */
+    privateKey?: BinaryInput;
+    /** Момент выпуска (по умолчанию текущее время) */
+    now?: Date | number;
+}
+
+/**
+ * Хранилище использованных идентификаторов токенов, например Set или обертка над Redis.
+ * add() может вернуть false, если идентификатор уже записан (атомарная запись).
+ */
+export interface TokenSeenStore {
+    has(jti: string): boolean | Promise<boolean>;
+    add(jti: string, exp: number | null): unknown;
+}
+
+/**
+ * Параметры проверки токена.
+ */
+export interface TokenVerifyOptions extends UnpackOptions {
+    /** Ожидаемые получатели; токен с утверждением aud принимается, только если получатель указан */
+    audience?: string | string[];
+    /** Допустимое расхождение часов в секундах (по умолчанию 0) */
+    clockSkew?: number;
+    /** Хранилище использованных идентификаторов для отклонения повторного использования */
+    seenStore?: TokenSeenStore;
+    /** Момент проверки (по умолчанию текущее время) */
+    now?: Date | number;
+}
+
+/**
+ * Дополнительные параметры BinaryPack.
+ */
+export interface BinaryPackOptions {
+    /**
+     * Набор параметров: 'fast', 'compact' или 'secure'. Параметры, заданные явно, имеют приоритет над набором.
+     * Метод шифрования и параметры шифрования набора применяются только с ключом; 'secure' требует ключа или связки
+     */
+    preset?: PresetName;
+
+    /** Ключ: секретное слово, двоичный ключ или PackKey (позиционно - только при secret = null) */
+    key?: SecretInput | null;
+
+    /** Синоним key */
+    secret?: SecretInput | null;
+
+    /** Метод шифрования (позиционно - только при encryptionMethod = null) */
+    method?: EncryptionMethod;
+
+    /** Возвращать незарегистрированные пользовательские типы как ExtensionValue вместо ошибки */
+    lenientExtensions?: boolean;
+
+    /** Схема для позиционной упаковки объектов */
+    schema?: Schema | SchemaDefinition;
+
+    /** Алгоритм сжатия перед шифрованием: 'lz' или 'deflate' (только packAsync) */
+    compression?: CompressionMethod;
+
+    /** Версия формата для записи (по умолчанию 2); версия 1 (JSON) не поддерживает схемы, сжатие и формирование ключа */
+    format?: 1 | 2;
+
+    /** Синоним format */
+    writeVersion?: 1 | 2;
+
+    /**
+     * Функция формирования ключа из секрета; соль и параметры записываются в каждый пакет. Параметры из заголовка
+     * при распаковке не могут превышать заданные (для других функций - параметры по умолчанию).
+     * Для caesar не усиливает шифр: любой ключ сводится к одному из 26 сдвигов
+     */
+    kdf?: KdfOptions | null;
+
+    /**
+     * Добавлять код целостности: CRC32 без шифрования, HMAC-SHA256 для методов без аутентификации и фрагментов
+     * их контейнеров (по умолчанию true). С включенным кодом данные методов без аутентификации без HMAC отклоняются
+     * (кроме пакетов формата версии 1, в котором поля для кода нет)
+     */
+    integrity?: boolean;
+
+    /** Связка ключей вместо секрета и метода шифрования; идентификатор активного ключа записывается в заголовок */
+    keyring?: Keyring | KeyringEntry[];
+
+    /** Открытый ключ Ed25519: unpack() принимает только пакеты, подписанные парным закрытым ключом */
+    publicKey?: BinaryInput;
+
+    /**
+     * Не добавлять nonce пакетам методов xor, caesar и aes-like (по умолчанию false): одинаковые данные
+     * дают одинаковые пакеты. Несовместим с kdf
+     */
+    deterministic?: boolean;
+
+    /** Политика выравнивания длины данных перед шифрованием; unpack() отбрасывает дополнение сам */
+    padding?: PaddingOptions | null;
+
+    /** Шифровать пакет целиком вместе с заголовком: видны только версия, метка скрытых метаданных и длина пакета */
+    encryptMetadata?: boolean;
+
+    /**
+     * Методы шифрования, которые unpack() принимает кроме метода ключа: метод выбирается по коду из заголовка;
+     * true - любой известный метод. С этим параметром метод шифрования можно не указывать, если экземпляр
+     * только распаковывает данные (по умолчанию false)
+     */
+    acceptMethods?: Exclude<EncryptionMethod, null>[] | boolean;
+
+    /** Ограничения распаковки; не заданные значения берутся из набора параметров или значений по умолчанию */
+    limits?: BinaryPackLimits;
+}
+
+/**
+ * Параметры распаковки.
+ */
+export interface UnpackOptions {
+    /** Открытый ключ Ed25519 для проверки подписи (по умолчанию - из параметров конструктора) */
+    publicKey?: BinaryInput | null;
+}
+
 /**
  * Класс BinaryPack предоставляет функциональность для упаковки данных в бинарный формат
  * с поддержкой опционального шифрования. Поддерживает сериализацию любых JSON-совместимых
@@ -44,17 +711,35 @@ export declare class BinaryPack {
      * Создает экземпляр BinaryPack для упаковки и распаковки данных с опциональным шифрованием.
      *
      * @constructor
-     * @param {string | null} secret - Секретное слово для шифрования (опционально)
-     * @param {string | null} encryptionMethod - Метод шифрования: 'xor', 'caesar', 'aes-like' или null
+     * @param {SecretInput | null} secret - Секретное слово, двоичный ключ или PackKey для шифрования (опционально)
+     * @param {string | null} encryptionMethod - Метод шифрования: 'xor', 'caesar', 'aes-like', 'aes-256-gcm', 'chacha20-poly1305' или null
+     * @param {BinaryPackOptions} options - Дополнительные параметры
      * @throws {Error} Если параметры не соответствуют требованиям
      */
-    constructor(secret?: string | null, encryptionMethod?: EncryptionMethod);
+    constructor(secret?: SecretInput | null, encryptionMethod?: EncryptionMethod, options?: BinaryPackOptions);
+
+    /**
+     * Создает экземпляр BinaryPack с параметрами, переданными одним объектом.
+     *
+     * @param {BinaryPackOptions} options - Параметры
+     * @throws {Error} При неизвестном параметре или наборе, противоречивых параметрах или неверных значениях
+     * @example
+     * const packer = new BinaryPack({ key: 'secret-key', method: 'xor', schema });
+     * const secure = new BinaryPack({ preset: 'secure', key: PackKey.generate() });
+     */
+    constructor(options: BinaryPackOptions);
+
+    /**
+     * Ограничения распаковки с учетом набора параметров и значений по умолчанию.
+     */
+    readonly limits: Readonly<Required<BinaryPackLimits>>;
 
     /**
      * Упаковывает данные в бинарный формат с возможным шифрованием.
-     * Формат данных: [версия:1B][метод:1B][длина данных:4B][данные...]
+     * Формат данных: [версия:1B][метод:1B][флаги:1B][длина данных:4B][данные...]
      *
-     * @param {any} data - Данные для упаковки (любые JSON-совместимые данные)
+     * @param {any} data - Данные для упаковки: JSON-совместимые данные, а также undefined, NaN, Infinity,
+     *                     Date, Map, Set, BigInt, ArrayBuffer, типизированные массивы и DataView
      * @returns {ArrayBuffer} - Бинарные данные в формате ArrayBuffer
      * @throws {Error} При ошибках сериализации или невалидных данных
      * @example
@@ -64,16 +749,261 @@ export declare class BinaryPack {
     pack(data: any): ArrayBuffer;
 
     /**
-     * Распаковывает данные из бинарного формата с возможным дешифрованием.
+     * Асинхронная версия pack(). Поддерживает алгоритмы сжатия,
+     * доступные только асинхронно (например, 'deflate' через CompressionStream).
+     *
+     * @param {any} data - Данные для упаковки
+     * @returns {Promise<ArrayBuffer>} - Бинарные данные в формате ArrayBuffer
+     */
+    packAsync(data: any): Promise<ArrayBuffer>;
+
+    /**
+     * Упаковывает данные непосредственно в переданный буфер без промежуточных копий.
+     *
+     * @param {any} data - Данные для упаковки
+     * @param {BinaryInput} target - Буфер для записи
+     * @param {number} [offset=0] - Сдвиг начала записи
+     * @returns {number} - Количество записанных байт
+     */
+    packInto(data: any, target: BinaryInput, offset?: number): number;
+
+    /**
+     * Распаковывает данные из бинарного формата с возможным дешифрованием и распаковкой сжатия.
+     * Поддерживает текущий формат и формат версии 1 с JSON-представлением данных.
      *
      * @param {ArrayBuffer} buffer - Бинарные данные для распаковки
+     * @param {UnpackOptions} [options] - Открытый ключ для проверки подписи
      * @returns {any} - Восстановленные данные в исходном формате
+     * @throws {SignatureError} Если подпись неверна или пакет не подписан, а открытый ключ указан
      * @throws {Error} При ошибках десериализации, несоответствии версии или методов шифрования
      * @example
      * const unpackedData = packer.unpack(binaryData);
      * console.log(unpackedData.message); // 'Hello'
      */
-    unpack(buffer: ArrayBuffer): any;
+    unpack(buffer: BinaryInput, options?: UnpackOptions): any;
+
+    /**
+     * Асинхронная версия unpack(). Поддерживает алгоритмы сжатия,
+     * доступные только асинхронно (например, 'deflate' через DecompressionStream).
+     *
+     * @param {ArrayBuffer} buffer - Бинарные данные для распаковки
+     * @returns {Promise<any>} - Восстановленные данные в исходном формате
+     */
+    unpackAsync(buffer: BinaryInput, options?: UnpackOptions): Promise<any>;
+
+    /**
+     * Перешифровывает пакет текущим (активным) ключом, не возвращая данные вызывающему коду.
+     *
+     * @param {BinaryInput} buffer - Пакет, зашифрованный любым ключом связки
+     * @returns {ArrayBuffer} - Пакет, зашифрованный текущим ключом
+     */
+    rewrap(buffer: BinaryInput): ArrayBuffer;
+
+    /**
+     * Асинхронная версия rewrap().
+     *
+     * @param {BinaryInput} buffer - Пакет, зашифрованный любым ключом связки
+     * @returns {Promise<ArrayBuffer>} - Пакет, зашифрованный текущим ключом
+     */
+    rewrapAsync(buffer: BinaryInput): Promise<ArrayBuffer>;
+
+    /**
+     * Упаковывает данные в конверт для получателей с открытыми ключами X25519 (ECDH + ChaCha20-Poly1305).
+     * Секрет экземпляра не используется.
+     *
+     * @param {any} data - Данные для упаковки
+     * @param {BinaryInput | BinaryInput[]} recipients - Открытый ключ получателя или массив ключей (до 255)
+     * @returns {ArrayBuffer} - Конверт
+     */
+    seal(data: any, recipients: BinaryInput | BinaryInput[]): ArrayBuffer;
+
+    /**
+     * Асинхронная версия seal().
+     */
+    sealAsync(data: any, recipients: BinaryInput | BinaryInput[]): Promise<ArrayBuffer>;
+
+    /**
+     * Открывает конверт закрытым ключом одного из получателей.
+     *
+     * @param {BinaryInput} buffer - Конверт
+     * @param {BinaryInput} privateKey - Закрытый ключ X25519 (32 байта)
+     * @returns {any} - Восстановленные данные
+     * @throws {AuthenticationError} Если конверт адресован другим получателям или изменен
+     * @throws {SignatureError} Если подпись неверна или конверт не подписан, а открытый ключ указан
+     */
+    open(buffer: BinaryInput, privateKey: BinaryInput, options?: UnpackOptions): any;
+
+    /**
+     * Асинхронная версия open().
+     */
+    openAsync(buffer: BinaryInput, privateKey: BinaryInput, options?: UnpackOptions): Promise<any>;
+
+    /**
+     * Создает пару ключей X25519 для seal() и open().
+     *
+     * @returns {KeyPair} - Открытый и закрытый ключи по 32 байта
+     */
+    static generateKeyPair(): KeyPair;
+
+    /**
+     * Вычисляет открытый ключ X25519 по закрытому.
+     *
+     * @param {BinaryInput} privateKey - Закрытый ключ (32 байта)
+     * @returns {Uint8Array} - Открытый ключ (32 байта)
+     */
+    static publicKeyFrom(privateKey: BinaryInput): Uint8Array;
+
+    /**
+     * Подписывает пакет формата версии 2 закрытым ключом Ed25519. Блок подписи (65 байт) добавляется
+     * в конец пакета и покрывает заголовок, данные и код целостности. Секрет не нужен.
+     *
+     * @param {BinaryInput} buffer - Пакет (pack, seal, rewrap)
+     * @param {BinaryInput} privateKey - Закрытый ключ Ed25519 (32 байта)
+     * @returns {ArrayBuffer} - Подписанный пакет
+     */
+    sign(buffer: BinaryInput, privateKey: BinaryInput): ArrayBuffer;
+
+    /**
+     * Проверяет подпись пакета, не распаковывая данные.
+     *
+     * @param {BinaryInput} buffer - Подписанный пакет
+     * @param {BinaryInput} publicKey - Открытый ключ Ed25519 (32 байта)
+     * @returns {boolean} - true, если пакет подписан парным закрытым ключом и не изменен
+     */
+    verify(buffer: BinaryInput, publicKey: BinaryInput): boolean;
+
+    /**
+     * Создает пару ключей Ed25519 для sign() и проверки подписи.
+     *
+     * @returns {KeyPair} - Открытый и закрытый ключи по 32 байта
+     */
+    static generateSigningKeyPair(): KeyPair;
+
+    /**
+     * Вычисляет открытый ключ Ed25519 по закрытому.
+     *
+     * @param {BinaryInput} privateKey - Закрытый ключ (32 байта)
+     * @returns {Uint8Array} - Открытый ключ (32 байта)
+     */
+    static signingPublicKeyFrom(privateKey: BinaryInput): Uint8Array;
+
+    /**
+     * Упаковывает данные в токен - строку Base64 с утверждениями iat, exp, nbf, aud и jti.
+     *
+     * @param {any} data - Данные токена
+     * @param {TokenOptions} [options] - Срок действия, получатели, идентификатор и ключ подписи
+     * @returns {string} - Токен в Base64
+     */
+    packToken(data: any, options?: TokenOptions): string;
+
+    /**
+     * Асинхронная версия packToken().
+     */
+    packTokenAsync(data: any, options?: TokenOptions): Promise<string>;
+
+    /**
+     * Распаковывает токен и проверяет срок действия, получателей и повторное использование.
+     * Токен принимается, только если его подлинность подтверждает метод шифрования с аутентификацией,
+     * обязательный код HMAC-SHA256 или подпись, проверенная открытым ключом.
+     *
+     * @param {string} token - Токен в Base64
+     * @param {TokenVerifyOptions} [options] - Параметры проверки
+     * @returns {any} - Данные токена
+     * @throws {AuthenticationError} Если подлинность токена нечем подтвердить или токен подделан
+     * @throws {TokenExpiredError} Если срок действия истек
+     * @throws {TokenNotYetValidError} Если токен еще не действует
+     * @throws {AudienceMismatchError} Если токен выпущен для других получателей
+     * @throws {TokenReplayError} Если токен уже использован
+     */
+    unpackToken(token: string, options?: TokenVerifyOptions): any;
+
+    /**
+     * Асинхронная версия unpackToken(); поддерживает асинхронные хранилища идентификаторов.
+     */
+    unpackTokenAsync(token: string, options?: TokenVerifyOptions): Promise<any>;
+
+    /**
+     * Упаковывает несколько значений в один буфер, записывая пакеты (кадры) друг за другом.
+     *
+     * @param {Iterable<any>} values - Значения для упаковки
+     * @returns {ArrayBuffer} - Последовательность пакетов
+     */
+    packMany(values: Iterable<any>): ArrayBuffer;
+
+    /**
+     * Упаковывает последовательность значений в контейнер с независимо зашифрованными фрагментами.
+     * Расход памяти не зависит от общего объема данных.
+     *
+     * @param {Iterable<any> | AsyncIterable<any>} values - Значения для упаковки
+     * @param {PackChunksOptions} [options] - Параметры упаковки
+     * @returns {AsyncGenerator<Uint8Array>} - Части контейнера: заголовок и фрагменты
+     */
+    packChunks(values: Iterable<any> | AsyncIterable<any>, options?: PackChunksOptions): AsyncGenerator<Uint8Array, void, undefined>;
+
+    /**
+     * Распаковывает контейнер, созданный packChunks(), и выдает значения по одному.
+     *
+     * @param {Iterable<BinaryInput> | AsyncIterable<BinaryInput>} source - Байты контейнера
+     * @param {UnpackChunksOptions} [options] - Параметры распаковки
+     * @returns {AsyncGenerator<any>} - Распакованные значения
+     */
+    unpackChunks(
+        source: Iterable<BinaryInput> | AsyncIterable<BinaryInput>,
+        options?: UnpackChunksOptions,
+    ): AsyncGenerator<any, void, undefined>;
+
+    /**
+     * Максимальное количество байт, необходимое frameLength() для определения длины пакета.
+     */
+    readonly maxHeaderLength: number;
+
+    /**
+     * Определяет полную длину пакета по его началу, не распаковывая данные.
+     *
+     * @param {Uint8Array} bytes - Начало пакета
+     * @returns {number | null} - Длина пакета или null, если заголовок получен не полностью
+     */
+    frameLength(bytes: BinaryInput): number | null;
+
+    /**
+     * Читает метаданные пакета или контейнера без дешифрования. Никогда не выбрасывает ошибку.
+     *
+     * @param {unknown} buffer - Проверяемые данные
+     * @returns {InspectResult} - Результат проверки
+     */
+    static inspect(buffer: unknown): InspectResult;
+
+    /**
+     * Регистрирует пользовательский тип только для этого экземпляра.
+     * Регистрации экземпляра имеют приоритет над глобальными.
+     *
+     * @param {number} tag - Тег типа (целое число от 0 до 127)
+     * @param {Function} type - Класс, экземпляры которого упаковываются с этим тегом
+     * @param {Function} encode - Преобразует экземпляр в байты
+     * @param {Function} decode - Восстанавливает экземпляр из байт
+     * @returns {BinaryPack} - Текущий экземпляр для цепочки вызовов
+     */
+    registerType<T>(tag: number, type: new (...args: any[]) => T, encode: ExtensionEncoder<T>, decode: ExtensionDecoder<T>): this;
+
+    /**
+     * Регистрирует пользовательский метод шифрования для всех экземпляров BinaryPack.
+     *
+     * @static
+     * @param {CustomMethod} method - Код (1-254), имя и класс-наследник MethodInterface
+     * @throws {Error} Если класс не реализует MethodInterface, код или имя уже заняты
+     */
+    static registerMethod(method: CustomMethod): void;
+
+    /**
+     * Регистрирует пользовательский тип для всех экземпляров BinaryPack.
+     *
+     * @static
+     * @param {number} tag - Тег типа (целое число от 0 до 127)
+     * @param {Function} type - Класс, экземпляры которого упаковываются с этим тегом
+     * @param {Function} encode - Преобразует экземпляр в байты
+     * @param {Function} decode - Восстанавливает экземпляр из байт
+     */
+    static registerType<T>(tag: number, type: new (...args: any[]) => T, encode: ExtensionEncoder<T>, decode: ExtensionDecoder<T>): void;
 
     /**
      * Статический метод для конвертации ArrayBuffer в Base64 строку.
@@ -84,7 +1014,7 @@ export declare class BinaryPack {
      * @example
      * const base64String = BinaryPack.bufferToBase64(binaryData);
      */
-    static bufferToBase64(buffer: ArrayBuffer): string;
+    static bufferToBase64(buffer: BinaryInput): string;
 
     /**
      * Статический метод для конвертации Base64 строки обратно в ArrayBuffer.
@@ -98,6 +1028,141 @@ export declare class BinaryPack {
     static base64ToBuffer(base64: string): ArrayBuffer;
 }
 
+/**
+ * Результат BinaryPack.inspect().
+ */
+export interface InspectResult {
+    /** Заголовок корректен и данные получены полностью */
+    valid: boolean;
+    /** Непройденная проверка или null */
+    check: 'input' | 'header' | 'version' | 'method' | 'flags' | 'length' | null;
+    /** Описание причины или null */
+    reason: string | null;
+    /** Пакет или контейнер с фрагментами */
+    kind: 'packet' | 'chunked' | null;
+    /** Версия формата данных */
+    version: number | null;
+    /** Код метода шифрования (0 - без шифрования) */
+    methodCode: number | null;
+    /** Имя метода шифрования */
+    method: EncryptionMethod;
+    /** Флаги заголовка (null для версии 1) */
+    flags: number | null;
+    /** Флаги, неизвестные этой версии библиотеки */
+    unknownFlags: number;
+    /** Идентификатор схемы */
+    schemaId: number | null;
+    /** Алгоритм сжатия */
+    compression: CompressionMethod;
+    /** Функция формирования ключа */
+    kdf: KeyDerivationName | null;
+    /** Код целостности в конце пакета */
+    integrity: 'crc32' | 'hmac-sha256' | null;
+    /** Идентификатор ключа связки */
+    keyId: number | null;
+    /** Количество получателей конверта */
+    recipients: number | null;
+    /** Алгоритм подписи пакета */
+    signature: 'ed25519' | null;
+    /** Данные дополнены по политике выравнивания */
+    padded: boolean;
+    /** Пакет со скрытыми метаданными: остальные поля заголовка зашифрованы */
+    encryptedMetadata: boolean;
+    /** Объявленная длина данных после заголовка */
+    dataLength: number | null;
+    /** Полная длина пакета (для контейнера - длина заголовка) */
+    totalLength: number | null;
+    /** Длина переданных данных */
+    byteLength: number;
+    /** Данные получены не полностью */
+    truncated: boolean;
+    /** Количество байт после конца пакета */
+    extraLength: number;
+}
+
+/**
+ * Параметры packChunks().
+ */
+export interface PackChunksOptions {
+    /** Размер данных фрагмента до сжатия и шифрования в байтах (по умолчанию 64 КиБ) */
+    chunkSize?: number;
+}
+
+/**
+ * Параметры unpackChunks().
+ */
+export interface UnpackChunksOptions {
+    /** Максимальная длина фрагмента в байтах до и после распаковки сжатия (по умолчанию limits.maxChunkLength) */
+    maxChunkLength?: number;
+    /** Максимальная длина одного значения в байтах (по умолчанию limits.maxValueLength) */
+    maxValueLength?: number;
+}
+
+/**
+ * Параметры FrameDecoder.
+ */
+export interface FrameDecoderOptions {
+    /** Максимальная длина кадра в байтах (по умолчанию limits.maxFrameLength упаковщика) */
+    maxFrameLength?: number;
+}
+
+/**
+ * Разбирает поток байт из последовательно записанных пакетов (кадров), например данные TCP-сокета.
+ * Накапливает неполные кадры, в том числе разрезанные внутри заголовка.
+ *
+ * @example
+ * const decoder = new FrameDecoder(packer);
+ * socket.on('data', (chunk) => decoder.push(chunk).forEach(handle));
+ */
+export declare class FrameDecoder {
+    constructor(packer: BinaryPack, options?: FrameDecoderOptions);
+
+    /**
+     * Принимает фрагмент и возвращает распакованные данные всех завершенных кадров. Если кадр не распаковался,
+     * возвращаются данные кадров перед ним, а ошибку выбрасывает следующий вызов push() или end();
+     * кадры после поврежденного остаются в очереди
+     */
+    push(chunk: BinaryInput): any[];
+
+    /** Принимает фрагмент и возвращает завершенные кадры без распаковки */
+    pushFrames(chunk: BinaryInput): ArrayBuffer[];
+
+    /** Завершает разбор потока, выбрасывает ошибку, если поток закончился посреди кадра или осталась ошибка кадра */
+    end(): void;
+
+    /** Сбрасывает накопленные данные */
+    reset(): void;
+}
+
+/**
+ * Поток преобразования, упаковывающий каждое записанное значение в отдельный кадр.
+ *
+ * @example
+ * const frames = messages.pipeThrough(new PackStream(packer));
+ */
+export declare class PackStream extends TransformStream<any, Uint8Array> {
+    constructor(packer: BinaryPack);
+
+    /** Создает классический поток Node.js (stream.Transform) с той же логикой */
+    static createNodeTransform(packer: BinaryPack): import('stream').Transform;
+}
+
+/**
+ * Поток преобразования, собирающий кадры из фрагментов байт и выдающий распакованные значения.
+ *
+ * @example
+ * const messages = response.body.pipeThrough(new UnpackStream(packer));
+ */
+export declare class UnpackStream extends TransformStream<BinaryInput, any> {
+    constructor(packer: BinaryPack, options?: FrameDecoderOptions);
+
+    /**
+     * Создает классический поток Node.js (stream.Transform) с той же логикой.
+     * Кадр со значением null завершает поток ошибкой: в потоках Node.js null означает конец потока
+     */
+    static createNodeTransform(packer: BinaryPack, options?: FrameDecoderOptions): import('stream').Transform;
+}
+
 // Export for CommonJS compatibility
 export as namespace BinaryPackJS;
 